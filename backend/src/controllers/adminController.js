@@ -5,7 +5,7 @@
  * and complaint review functionality.
  * 
  * Security Considerations:
- * - Admin-only access (enforced by middleware)
+ * - Admin or named-permission access (enforced by middleware)
  * - Input validation for all operations
  * - Secure password generation for new students
  * - CSV validation to prevent injection
@@ -13,13 +13,113 @@
 
 import crypto from 'crypto';
 import { parse } from 'csv-parse/sync';
-import { Parser } from 'json2csv';
 import User, { USER_ROLES } from '../models/User.js';
 import Complaint, { COMPLAINT_STATUS } from '../models/Complaint.js';
+import { DIGEST_RUN_STATUS } from '../models/DigestRun.js';
 import { sendAccountCreatedEmail, sendComplaintResolvedEmail, sendStatusUpdateEmail, sendAccountUpdatedEmail, sendAccountDeletedEmail } from '../services/emailService.js';
 import { asyncHandler, ValidationError, NotFoundError } from '../middlewares/errorHandler.js';
+import { sendAttachment } from '../services/attachmentService.js';
+import { getComplaintComments, addComplaintComment } from '../services/commentService.js';
+import {
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  getActingRoles,
+  getAllowedTransitions,
+  transitionComplaint,
+  updateWorkflow,
+} from '../services/workflowService.js';
+import { getCategoryTree, createCategory, updateCategory, deleteCategory } from '../services/categoryService.js';
+import {
+  canSubAdminAccessComplaint,
+  describeSubAdminScopes,
+  getSubAdminUserFilter,
+  getComplaintAccessScope,
+  SUBMITTER_SCOPE_FIELDS,
+} from '../services/routingService.js';
+import { assignComplaint } from '../services/assignmentService.js';
+import { setComplaintPriority } from '../services/priorityService.js';
+import { buildComplaintFilter, findComplaintPage } from '../services/complaintQueryService.js';
+import { getComplaintAnalytics } from '../services/analyticsService.js';
+import {
+  getLeaderboard,
+  exportLeaderboard,
+  getLeaderboardComplaints,
+  exportLeaderboardComplaints,
+} from '../services/leaderboardService.js';
+import { completeFeedbackFollowUp } from '../services/feedbackService.js';
+import {
+  findSimilarComplaints,
+  getMergedComplaints,
+  mergeComplaint,
+  unmergeComplaint,
+  syncMergedComplaints,
+} from '../services/duplicateService.js';
+import {
+  DEFAULT_CLOSURE_POLICY,
+  getClosurePolicy,
+  updateClosurePolicy,
+  decideReopenRequest,
+} from '../services/closureService.js';
+import {
+  DEFAULT_SUBMISSION_POLICY,
+  getSubmissionPolicyDetails,
+  updateSubmissionLimits,
+  grantExemption,
+  revokeExemption,
+} from '../services/submissionLimitService.js';
+import {
+  generateComplaintReport,
+  listReportPresets,
+  saveReportPreset,
+  deleteReportPreset,
+} from '../services/reportService.js';
+import {
+  getDigestSubscription,
+  updateDigestSubscription,
+  runDigest,
+  listDigestRuns,
+} from '../services/digestService.js';
+import {
+  maskComplaintIdentity,
+  maskCommentAuthors,
+  revealComplaintIdentity,
+} from '../services/anonymityService.js';
+import {
+  DEFAULT_SLA_POLICY,
+  getSlaPolicy,
+  updateSlaPolicy,
+  countSlaBreaches,
+} from '../services/slaService.js';
+import {
+  getSecurityPolicy,
+  updateTwoFactorPolicy,
+  listTwoFactorUsers,
+  resetTwoFactor,
+} from '../services/twoFactorService.js';
+import { listSecurityEvents } from '../services/securityEventService.js';
+import { LOCKOUT_SETTINGS, listLockedAccounts, unlockAccount } from '../services/accountLockoutService.js';
+import { TWO_FACTOR_ROLES } from '../models/SecurityPolicy.js';
+import { PERMISSIONS, CUSTOM_ROLE_ASSIGNABLE_ROLES } from '../models/CustomRole.js';
+import {
+  listCustomRoles,
+  createCustomRole,
+  updateCustomRole,
+  deleteCustomRole,
+  listCustomRoleUsers,
+  assignCustomRoles,
+} from '../services/permissionService.js';
 import { csvStudentSchema, csvSubAdminSchema, csvEmployeeSchema } from '../validators/schemas.js';
 
+/**
+ * Load a complaint the requester may reach through these routes
+ * Complaints outside a permission holder's scope are reported as not found.
+ * @param {Object} req
+ * @param {string} [id] - Complaint _id (defaults to the :id param)
+ * @returns {Query}
+ */
+const findAccessibleComplaint = (req, id = req.params.id) =>
+  Complaint.findOne({ _id: id, ...getComplaintAccessScope(req.user) });
+
 /**
  * Generate a secure random password
  * @returns {string} Random password meeting complexity requirements
@@ -442,57 +542,35 @@ export const deleteStudent = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get all complaints (for admin review)
+ * Search, filter and page through all complaints (for admin review)
  * GET /api/admin/complaints
  */
 export const getAllComplaints = asyncHandler(async (req, res) => {
-  const { page, limit, status } = req.query;
-
-  const query = {};
-  if (status && status !== 'all') {
-    query.status = status;
-  }
-
-  // If no pagination params, return all complaints (optimized for admin dashboard)
-  if (!page && !limit) {
-    const complaints = await Complaint.find(query)
-      .populate('userId', 'name email college studentId')
-      .populate('resolvedBy', 'name email')
-      .select('-imageUrl -reopenHistory') // Exclude heavy fields for list view
-      .sort({ createdAt: -1 })
-      .lean(); // Use lean() for better performance
-
-    return res.status(200).json({
-      success: true,
-      data: {
-        complaints,
-      },
-    });
-  }
+  const { sort, cursor, limit } = req.query;
 
-  // Paginated response
-  const pageNum = parseInt(page) || 1;
-  const limitNum = parseInt(limit) || 50;
-  
-  const total = await Complaint.countDocuments(query);
-  const complaints = await Complaint.find(query)
-    .populate('userId', 'name email college studentId')
-    .populate('resolvedBy', 'name email')
-    .sort({ createdAt: -1 })
-    .skip((pageNum - 1) * limitNum)
-    .limit(limitNum)
-    .lean();
+  const filter = await buildComplaintFilter(req.query, {
+    scope: getComplaintAccessScope(req.user),
+    userId: req.userId,
+  });
+  const { complaints, pagination } = await findComplaintPage({
+    filter,
+    sort,
+    cursor,
+    limit,
+    select: '-imageUrl -statusHistory -assignmentHistory', // Exclude heavy fields for list view
+    populate: [
+      { path: 'userId', select: 'name email college studentId role department' },
+      { path: 'resolvedBy', select: 'name email' },
+      { path: 'assignedTo', select: 'name department' },
+      { path: 'category subCategory', select: 'name' },
+    ],
+  });
 
   res.status(200).json({
     success: true,
     data: {
-      complaints,
-      pagination: {
-        current: pageNum,
-        pages: Math.ceil(total / limitNum),
-        total,
-        limit: limitNum,
-      },
+      complaints: complaints.map(maskComplaintIdentity),
+      pagination,
     },
   });
 });
@@ -503,35 +581,38 @@ export const getAllComplaints = asyncHandler(async (req, res) => {
  */
 export const updateComplaintStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, acknowledgment } = req.body;
+  const { status, acknowledgment, note } = req.body;
 
   // Find complaint with user details
-  const complaint = await Complaint.findById(id).populate('userId', 'name email studentId');
+  const complaint = await findAccessibleComplaint(req, id).populate('userId', 'name email studentId');
 
   if (!complaint) {
     throw new NotFoundError('Complaint not found');
   }
 
-  // Once a complaint is resolved, it cannot be updated again.
-  if (complaint.status === COMPLAINT_STATUS.RESOLVED) {
-    throw new ValidationError('Resolved complaints cannot be updated');
+  if (complaint.mergedInto) {
+    throw new ValidationError('This complaint is merged into another complaint; update that complaint instead');
   }
 
-  // Update status
-  complaint.status = status;
-
-  // If resolving, add acknowledgment
-  if (status === COMPLAINT_STATUS.RESOLVED) {
-    if (!acknowledgment) {
-      throw new ValidationError('Acknowledgment is required when resolving a complaint');
-    }
-    complaint.acknowledgment = acknowledgment;
-    complaint.resolvedBy = req.userId;
-    complaint.resolvedAt = new Date();
+  if (complaint.status === status) {
+    throw new ValidationError(`Complaint is already ${status}`);
   }
 
+  // The workflow decides whether this move is allowed; the resolution
+  // response doubles as the remark when resolving
+  await transitionComplaint({
+    complaint,
+    to: status,
+    actor: req.user,
+    remark: status === COMPLAINT_STATUS.RESOLVED ? acknowledgment : note,
+  });
+
   await complaint.save();
 
+  // Duplicates merged into this complaint follow it
+  syncMergedComplaints({ parent: complaint, actor: req.user, remark: status === COMPLAINT_STATUS.RESOLVED ? acknowledgment : note })
+    .catch(err => console.error('Failed to update merged complaints:', err));
+
   // Get user details for email
   const student = complaint.userId;
 
@@ -553,19 +634,207 @@ export const updateComplaintStatus = asyncHandler(async (req, res) => {
       complaintId: complaint.complaintId || complaint._id.toString(),
       subject: complaint.subject,
       status,
+      remark: note,
     }).catch(err => console.error('Failed to send status update email:', err));
   }
 
   // Fetch updated complaint with populated fields
   const updatedComplaint = await Complaint.findById(id)
     .populate('userId', 'name email college studentId')
-    .populate('resolvedBy', 'name email');
+    .populate('resolvedBy', 'name email')
+    .populate('assignedTo', 'name department')
+    .populate('category subCategory', 'name');
 
   res.status(200).json({
     success: true,
     message: `Complaint status updated to ${status}`,
     data: {
-      complaint: updatedComplaint,
+      complaint: maskComplaintIdentity(updatedComplaint),
+    },
+  });
+});
+
+/**
+ * Override complaint priority
+ * PATCH /api/admin/complaints/:id/priority
+ */
+export const updateComplaintPriority = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req)
+    .select(SUBMITTER_SCOPE_FIELDS)
+    .populate('userId', 'name email department college role');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await setComplaintPriority({ complaint, priority: req.body.priority, actor: req.user });
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint priority set to ${complaint.priority}`,
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Close the follow-up opened by negative feedback
+ * PATCH /api/admin/complaints/:id/feedback-follow-up
+ */
+export const completeFeedbackFollowUpHandler = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req)
+    .populate('userId', 'name email department college role');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await completeFeedbackFollowUp({ complaint, actor: req.user, note: req.body.note });
+
+  res.status(200).json({
+    success: true,
+    message: 'Feedback follow-up completed',
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Get open complaints similar to a complaint, and the duplicates merged into it
+ * GET /api/admin/complaints/:id/similar
+ */
+export const getSimilarComplaintsHandler = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req)
+    .populate('mergedInto', 'complaintId subject status');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const [similar, merged] = await Promise.all([
+    complaint.mergedInto
+      ? []
+      : findSimilarComplaints({
+        subject: complaint.subject,
+        content: complaint.content,
+        category: complaint.category,
+        excludeIds: [complaint._id],
+        scope: getComplaintAccessScope(req.user),
+      }),
+    getMergedComplaints(complaint._id),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      parent: complaint.mergedInto,
+      similar: similar.map(({ complaint: match, score }) => ({
+        ...maskComplaintIdentity(match),
+        similarity: Math.round(score * 100),
+      })),
+      merged: merged.map(maskComplaintIdentity),
+    },
+  });
+});
+
+/**
+ * Merge a duplicate complaint into a parent complaint
+ * POST /api/admin/complaints/:id/merge
+ */
+export const mergeComplaintHandler = asyncHandler(async (req, res) => {
+  const [complaint, parent] = await Promise.all([
+    findAccessibleComplaint(req).populate('userId', 'name email department college role'),
+    findAccessibleComplaint(req, req.body.parentId),
+  ]);
+
+  if (!complaint || !parent) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await mergeComplaint({ complaint, parent, actor: req.user, note: req.body.note });
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint merged into ${parent.complaintId}`,
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Detach a merged complaint from its parent
+ * DELETE /api/admin/complaints/:id/merge
+ */
+export const unmergeComplaintHandler = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req)
+    .populate('userId', 'name email department college role');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await unmergeComplaint(complaint);
+
+  res.status(200).json({
+    success: true,
+    message: 'Complaint unmerged',
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Approve or reject a complainant's request to reopen a closed complaint
+ * PATCH /api/admin/complaints/:id/reopen-request
+ */
+export const decideReopenRequestHandler = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req);
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const { approve, note } = req.body;
+  await decideReopenRequest({ complaint, actor: req.user, approve, note });
+  await complaint.populate('userId', 'name email department college role');
+
+  res.status(200).json({
+    success: true,
+    message: approve ? 'Complaint reopened' : 'Reopen request rejected',
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Reveal the submitter of an anonymous complaint
+ * The justification is kept in the complaint's reveal log.
+ * POST /api/admin/complaints/:id/reveal-identity
+ */
+export const revealComplaintSubmitter = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req);
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const { identity, reveals } = await revealComplaintIdentity({
+    complaint,
+    actor: req.user,
+    reason: req.body.reason,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Identity revealed; this access has been recorded',
+    data: {
+      identity,
+      reveals,
     },
   });
 });
@@ -575,9 +844,14 @@ export const updateComplaintStatus = asyncHandler(async (req, res) => {
  * GET /api/admin/stats
  */
 export const getStats = asyncHandler(async (req, res) => {
+  const isAdmin = req.user.role === USER_ROLES.ADMIN;
+  const scope = getComplaintAccessScope(req.user);
+
   // Use aggregation for better performance instead of multiple countDocuments
-  const [userStats, complaintStats] = await Promise.all([
+  const [userStats, byStatus, slaBreaches] = await Promise.all([
     User.aggregate([
+      // Permission holders only count the people they cover
+      { $match: isAdmin ? {} : getSubAdminUserFilter(req.user) },
       {
         $group: {
           _id: '$role',
@@ -585,14 +859,8 @@ export const getStats = asyncHandler(async (req, res) => {
         }
       }
     ]),
-    Complaint.aggregate([
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ])
+    Complaint.countByStatus(scope),
+    countSlaBreaches(scope)
   ]);
 
   // Transform aggregation results into expected format
@@ -600,10 +868,7 @@ export const getStats = asyncHandler(async (req, res) => {
   const totalSubAdmins = userStats.find(s => s._id === USER_ROLES.SUB_ADMIN)?.count || 0;
   const totalEmployees = userStats.find(s => s._id === USER_ROLES.EMPLOYEE)?.count || 0;
   
-  const readComplaints = complaintStats.find(s => s._id === COMPLAINT_STATUS.READ)?.count || 0;
-  const underReviewComplaints = complaintStats.find(s => s._id === COMPLAINT_STATUS.UNDER_REVIEW)?.count || 0;
-  const resolvedComplaints = complaintStats.find(s => s._id === COMPLAINT_STATUS.RESOLVED)?.count || 0;
-  const totalComplaints = complaintStats.reduce((sum, s) => sum + s.count, 0);
+  const totalComplaints = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
 
   res.status(200).json({
     success: true,
@@ -613,16 +878,91 @@ export const getStats = asyncHandler(async (req, res) => {
         totalSubAdmins,
         totalEmployees,
         totalComplaints,
-        byStatus: {
-          read: readComplaints,
-          underReview: underReviewComplaints,
-          resolved: resolvedComplaints,
-        },
+        byStatus,
+        slaBreaches,
       },
     },
   });
 });
 
+/**
+ * Get complaint analytics over a date range
+ * GET /api/admin/analytics
+ */
+export const getAnalytics = asyncHandler(async (req, res) => {
+  const analytics = await getComplaintAnalytics({ ...req.query, scope: getComplaintAccessScope(req.user) });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      analytics,
+    },
+  });
+});
+
+/**
+ * Rank departments or handlers by the complaints they resolved
+ * GET /api/admin/leaderboard
+ */
+export const getLeaderboardHandler = asyncHandler(async (req, res) => {
+  const leaderboard = await getLeaderboard({ ...req.query, scope: getComplaintAccessScope(req.user) });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      leaderboard,
+    },
+  });
+});
+
+/**
+ * Download the leaderboard table
+ * GET /api/admin/leaderboard/export
+ */
+export const exportLeaderboardHandler = asyncHandler(async (req, res) => {
+  const file = await exportLeaderboard({ ...req.query, scope: getComplaintAccessScope(req.user) });
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${file.filename}`);
+
+  res.status(200).send(file.body);
+});
+
+/**
+ * List the complaints behind one leaderboard row
+ * GET /api/admin/leaderboard/complaints
+ */
+export const getLeaderboardComplaintsHandler = asyncHandler(async (req, res) => {
+  const { complaints, pagination } = await getLeaderboardComplaints({
+    ...req.query,
+    scope: getComplaintAccessScope(req.user),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      complaints,
+      pagination,
+    },
+  });
+});
+
+/**
+ * Download the complaints behind one leaderboard row as a report
+ * GET /api/admin/leaderboard/complaints/export
+ */
+export const exportLeaderboardComplaintsHandler = asyncHandler(async (req, res) => {
+  const report = await exportLeaderboardComplaints({
+    ...req.query,
+    scope: getComplaintAccessScope(req.user),
+  });
+
+  res.setHeader('Content-Type', report.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${report.filename}`);
+
+  res.status(200).send(report.body);
+});
+
 /**
  * Get single student details
  * GET /api/admin/students/:id
@@ -639,8 +979,8 @@ export const getStudent = asyncHandler(async (req, res) => {
     throw new NotFoundError('Student not found');
   }
 
-  // Get student's complaints
-  const complaints = await Complaint.find({ userId: id }).sort({ createdAt: -1 });
+  // Get student's complaints; anonymous ones stay sealed
+  const complaints = await Complaint.find({ userId: id, isAnonymous: { $ne: true } }).sort({ createdAt: -1 });
 
   res.status(200).json({
     success: true,
@@ -656,7 +996,7 @@ export const getStudent = asyncHandler(async (req, res) => {
  * POST /api/admin/sub-admins
  */
 export const createSubAdmin = asyncHandler(async (req, res) => {
-  const { name, email, department } = req.body;
+  const { name, email, department, isDepartmentHead = false, scopes = [] } = req.body;
 
   // Check if email already exists
   const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -672,6 +1012,8 @@ export const createSubAdmin = asyncHandler(async (req, res) => {
     name,
     email: email.toLowerCase(),
     department,
+    isDepartmentHead,
+    scopes,
     passwordHash: temporaryPassword, // Will be hashed by pre-save hook
     role: USER_ROLES.SUB_ADMIN,
     forcePasswordChange: true,
@@ -696,6 +1038,8 @@ export const createSubAdmin = asyncHandler(async (req, res) => {
         name: subAdmin.name,
         email: subAdmin.email,
         department: subAdmin.department,
+        isDepartmentHead: subAdmin.isDepartmentHead,
+        scopes: subAdmin.scopes,
         createdAt: subAdmin.createdAt,
       },
     },
@@ -841,6 +1185,7 @@ export const getAllSubAdmins = asyncHandler(async (req, res) => {
       { name: { $regex: search, $options: 'i' } },
       { email: { $regex: search, $options: 'i' } },
       { department: { $regex: search, $options: 'i' } },
+      { 'scopes.department': { $regex: search, $options: 'i' } },
     ];
   }
 
@@ -871,7 +1216,7 @@ export const getAllSubAdmins = asyncHandler(async (req, res) => {
  */
 export const updateSubAdmin = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, email, department, college } = req.body;
+  const { name, email, department, college, isDepartmentHead, scopes } = req.body;
 
   // Find the sub-admin
   const subAdmin = await User.findOne({ _id: id, role: USER_ROLES.SUB_ADMIN });
@@ -907,6 +1252,18 @@ export const updateSubAdmin = asyncHandler(async (req, res) => {
     changes['College'] = college;
     subAdmin.college = college;
   }
+  if (isDepartmentHead !== undefined && isDepartmentHead !== subAdmin.isDepartmentHead) {
+    changes['Department Head'] = isDepartmentHead ? 'Yes' : 'No';
+    subAdmin.isDepartmentHead = isDepartmentHead;
+  }
+  if (scopes !== undefined) {
+    const before = describeSubAdminScopes(subAdmin);
+    subAdmin.scopes = scopes;
+    const after = describeSubAdminScopes(subAdmin);
+    if (after !== before) {
+      changes['Scope'] = after;
+    }
+  }
 
   await subAdmin.save();
 
@@ -930,6 +1287,8 @@ export const updateSubAdmin = asyncHandler(async (req, res) => {
         email: subAdmin.email,
         department: subAdmin.department,
         college: subAdmin.college,
+        isDepartmentHead: subAdmin.isDepartmentHead,
+        scopes: subAdmin.scopes,
         updatedAt: subAdmin.updatedAt,
       },
     },
@@ -1299,66 +1658,715 @@ export const deleteEmployee = asyncHandler(async (req, res) => {
  * GET /api/admin/reports
  */
 export const generateReport = asyncHandler(async (req, res) => {
-  const { startDate, endDate, predefinedRange } = req.query;
-
-  // Calculate date range
-  let dateFilter = {};
-  if (predefinedRange === 'last7days') {
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    dateFilter = { createdAt: { $gte: sevenDaysAgo } };
-  } else if (predefinedRange === 'last30days') {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    dateFilter = { createdAt: { $gte: thirtyDaysAgo } };
-  } else if (startDate && endDate) {
-    dateFilter = {
-      createdAt: {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      },
-    };
+  const isAdmin = req.user.role === USER_ROLES.ADMIN;
+  const report = await generateComplaintReport({
+    query: req.query,
+    scope: getComplaintAccessScope(req.user),
+    title: `Complaint Report - ${isAdmin ? 'All Complaints' : describeSubAdminScopes(req.user)}`,
+    label: isAdmin ? 'all' : describeSubAdminScopes(req.user),
+  });
+
+  res.setHeader('Content-Type', report.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${report.filename}`);
+
+  res.status(200).send(report.body);
+});
+
+/**
+ * Get the admin's saved report presets
+ * GET /api/admin/report-presets
+ */
+export const getReportPresets = asyncHandler(async (req, res) => {
+  const presets = await listReportPresets(req.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      presets,
+    },
+  });
+});
+
+/**
+ * Save a report preset (replaces a preset with the same name)
+ * POST /api/admin/report-presets
+ */
+export const saveReportPresetHandler = asyncHandler(async (req, res) => {
+  const preset = await saveReportPreset(req.userId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Report preset saved',
+    data: {
+      preset,
+    },
+  });
+});
+
+/**
+ * Delete a report preset
+ * DELETE /api/admin/report-presets/:id
+ */
+export const deleteReportPresetHandler = asyncHandler(async (req, res) => {
+  await deleteReportPreset(req.userId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Report preset deleted',
+  });
+});
+
+/**
+ * Get the admin's digest email settings
+ * GET /api/admin/digest
+ */
+export const getDigestSettings = asyncHandler(async (req, res) => {
+  const subscription = await getDigestSubscription(req.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      subscription,
+    },
+  });
+});
+
+/**
+ * Update the admin's digest email settings
+ * PUT /api/admin/digest
+ */
+export const updateDigestSettings = asyncHandler(async (req, res) => {
+  const subscription = await updateDigestSubscription(req.userId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: subscription.enabled ? 'Digest scheduled' : 'Digest turned off',
+    data: {
+      subscription,
+    },
+  });
+});
+
+/**
+ * Send the admin a copy of their digest now
+ * POST /api/admin/digest/send
+ */
+export const sendDigestNow = asyncHandler(async (req, res) => {
+  const subscription = await getDigestSubscription(req.userId);
+  const run = await runDigest(subscription, { trigger: 'manual' });
+
+  if (run.status !== DIGEST_RUN_STATUS.SENT) {
+    throw new ValidationError(`Digest could not be sent: ${run.error}`);
   }
 
-  // Get all complaints within date range
-  const complaints = await Complaint.find(dateFilter)
-    .populate('userId', 'name email college studentId course department role')
-    .populate('resolvedBy', 'name email')
-    .sort({ createdAt: -1 });
-
-  // Format data for CSV
-  const reportData = complaints.map(complaint => {
-    const user = complaint.userId;
-    return {
-      'Complaint ID': complaint.complaintId || complaint._id.toString(),
-      'Submitted By': user.name,
-      'Email': user.email,
-      'User Type': user.role,
-      'Student ID': user.studentId || 'N/A',
-      'Department': user.department || 'N/A',
-      'College': user.college || 'N/A',
-      'Subject': complaint.subject,
-      'Content': complaint.content.substring(0, 200) + (complaint.content.length > 200 ? '...' : ''),
-      'Status': complaint.status,
-      'Submitted At': complaint.createdAt.toISOString(),
-      'Resolved At': complaint.resolvedAt ? complaint.resolvedAt.toISOString() : 'N/A',
-      'Resolved By': complaint.resolvedBy ? complaint.resolvedBy.name : 'N/A',
-      'Acknowledgment': complaint.acknowledgment || 'N/A',
-      'Rating': complaint.rating || 'N/A',
-      'Acknowledged By Student/Employee': complaint.acknowledgedByStudent ? 'Yes' : 'No',
-      'Reopen Count': complaint.reopenHistory.length,
-    };
-  });
-
-  // Convert to CSV
-  const parser = new Parser();
-  const csv = parser.parse(reportData);
-
-  // Set headers for CSV download
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename=complaints-report-all-${new Date().toISOString().split('T')[0]}.csv`);
-  
-  res.status(200).send(csv);
+  res.status(200).json({
+    success: true,
+    message: `Digest sent to ${run.email}`,
+    data: {
+      run,
+    },
+  });
+});
+
+/**
+ * Get recent digest runs for every recipient
+ * GET /api/admin/digest/runs
+ */
+export const getDigestRuns = asyncHandler(async (req, res) => {
+  const runs = await listDigestRuns();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      runs,
+    },
+  });
+});
+
+/**
+ * Download a complaint attachment
+ * GET /api/admin/complaints/:id/attachments/:attachmentId
+ */
+export const downloadAttachment = asyncHandler(async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  const complaint = await findAccessibleComplaint(req, id).select('attachments');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await sendAttachment(res, complaint, attachmentId);
+});
+
+/**
+ * Get the status transition timeline of a complaint
+ * GET /api/admin/complaints/:id/timeline
+ */
+export const getComplaintTimeline = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req)
+    .select('complaintId userId isAnonymous anonymousRef status statusHistory assignmentHistory')
+    .populate('statusHistory.changedBy', 'name email role')
+    .populate('assignmentHistory.assignedTo assignmentHistory.previousAssignee assignmentHistory.assignedBy', 'name email department');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const { statusHistory } = maskComplaintIdentity(complaint);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      complaintId: complaint.complaintId,
+      status: complaint.status,
+      timeline: statusHistory,
+      assignments: complaint.assignmentHistory,
+    },
+  });
+});
+
+/**
+ * Get the status changes the admin may apply to a complaint
+ * GET /api/admin/complaints/:id/transitions
+ */
+export const getComplaintTransitions = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req).select('status');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const workflow = await getWorkflow();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: complaint.status,
+      transitions: getAllowedTransitions(workflow, complaint.status, await getActingRoles(req.user)),
+    },
+  });
+});
+
+/**
+ * Get the sub-admins a complaint can be assigned to
+ * Sub-admins outside the complaint's routing are flagged; assigning them escalates.
+ * GET /api/admin/complaints/:id/assignees
+ */
+export const getComplaintAssignees = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req)
+    .select(`userId routedDepartment routedTo assignedTo ${SUBMITTER_SCOPE_FIELDS}`)
+    .populate('userId', 'department college role');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const subAdmins = await User.find({ role: USER_ROLES.SUB_ADMIN, isActive: true })
+    .select('name email department scopes')
+    .sort({ department: 1, name: 1 })
+    .lean();
+
+  const routing = {
+    routedDepartment: complaint.routedDepartment,
+    routedTo: complaint.routedTo,
+    submitterDepartment: complaint.submitterDepartment,
+    submitterCollege: complaint.submitterCollege,
+  };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      assignedTo: complaint.assignedTo,
+      assignees: subAdmins.map((subAdmin) => ({
+        ...subAdmin,
+        withinRouting: canSubAdminAccessComplaint(subAdmin, routing),
+      })),
+    },
+  });
+});
+
+/**
+ * Assign, reassign or escalate a complaint to a sub-admin
+ * PUT /api/admin/complaints/:id/assign
+ */
+export const assignComplaintHandler = asyncHandler(async (req, res) => {
+  const { assigneeId, note } = req.body;
+
+  const complaint = await findAccessibleComplaint(req)
+    .select(SUBMITTER_SCOPE_FIELDS)
+    .populate('userId', 'name email department college role');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await assignComplaint({ complaint, assigneeId, actor: req.user, note });
+  await complaint.populate('assignedTo', 'name department');
+
+  const escalated = complaint.assignmentHistory[complaint.assignmentHistory.length - 1].escalated;
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint ${escalated ? 'escalated' : 'assigned'} to ${complaint.assignedTo.name}`,
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Get the complaint workflow configuration
+ * GET /api/admin/workflow
+ */
+export const getWorkflowConfig = asyncHandler(async (req, res) => {
+  const workflow = await getWorkflow();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      workflow,
+      defaults: DEFAULT_WORKFLOW,
+    },
+  });
+});
+
+/**
+ * Replace the complaint workflow configuration
+ * PUT /api/admin/workflow
+ */
+export const updateWorkflowConfig = asyncHandler(async (req, res) => {
+  const workflow = await updateWorkflow(req.body, req.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Workflow updated successfully',
+    data: {
+      workflow,
+    },
+  });
+});
+
+/**
+ * Get the SLA policy
+ * GET /api/admin/sla
+ */
+export const getSlaConfig = asyncHandler(async (req, res) => {
+  const policy = await getSlaPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      policy,
+      defaults: DEFAULT_SLA_POLICY,
+    },
+  });
+});
+
+/**
+ * Replace the SLA policy
+ * PUT /api/admin/sla
+ */
+export const updateSlaConfig = asyncHandler(async (req, res) => {
+  const policy = await updateSlaPolicy(req.body, req.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'SLA policy updated successfully',
+    data: {
+      policy,
+    },
+  });
+});
+
+/**
+ * Get the closure policy (auto-close window and reopening after closure)
+ * GET /api/admin/closure
+ */
+export const getClosureConfig = asyncHandler(async (req, res) => {
+  const policy = await getClosurePolicy();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      policy,
+      defaults: DEFAULT_CLOSURE_POLICY,
+    },
+  });
+});
+
+/**
+ * Replace the closure policy
+ * PUT /api/admin/closure
+ */
+export const updateClosureConfig = asyncHandler(async (req, res) => {
+  const policy = await updateClosurePolicy(req.body, req.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Closure policy updated successfully',
+    data: {
+      policy,
+    },
+  });
+});
+
+/**
+ * Get the submission limits and exemptions
+ * GET /api/admin/submission-limits
+ */
+export const getSubmissionLimitsConfig = asyncHandler(async (req, res) => {
+  const policy = await getSubmissionPolicyDetails();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      policy,
+      defaults: DEFAULT_SUBMISSION_POLICY,
+    },
+  });
+});
+
+/**
+ * Replace the submission limits and category overrides
+ * PUT /api/admin/submission-limits
+ */
+export const updateSubmissionLimitsConfig = asyncHandler(async (req, res) => {
+  await updateSubmissionLimits(req.body, req.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Submission limits updated successfully',
+    data: {
+      policy: await getSubmissionPolicyDetails(),
+    },
+  });
+});
+
+/**
+ * Exempt a student or employee from the submission limits
+ * POST /api/admin/submission-limits/exemptions
+ */
+export const grantSubmissionExemption = asyncHandler(async (req, res) => {
+  const { userId, reason, expiresAt } = req.body;
+  await grantExemption({ userId, reason, expiresAt, grantedBy: req.userId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Exemption granted',
+    data: {
+      policy: await getSubmissionPolicyDetails(),
+    },
+  });
+});
+
+/**
+ * Remove a user's exemption from the submission limits
+ * DELETE /api/admin/submission-limits/exemptions/:userId
+ */
+export const revokeSubmissionExemption = asyncHandler(async (req, res) => {
+  await revokeExemption(req.params.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Exemption removed',
+    data: {
+      policy: await getSubmissionPolicyDetails(),
+    },
+  });
+});
+
+/**
+ * Get the two-factor policy and which staff have it on
+ * GET /api/admin/two-factor
+ */
+export const getTwoFactorConfig = asyncHandler(async (req, res) => {
+  const [policy, users] = await Promise.all([getSecurityPolicy(), listTwoFactorUsers()]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      policy: policy.twoFactor,
+      roles: TWO_FACTOR_ROLES,
+      users,
+    },
+  });
+});
+
+/**
+ * Choose the roles that must use two-factor authentication
+ * PUT /api/admin/two-factor
+ */
+export const updateTwoFactorConfig = asyncHandler(async (req, res) => {
+  const policy = await updateTwoFactorPolicy(req.body.requiredRoles, req.user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor policy updated successfully',
+    data: {
+      policy: policy.twoFactor,
+    },
+  });
+});
+
+/**
+ * Reset two-factor authentication for a staff member who lost their device
+ * POST /api/admin/two-factor/users/:id/reset
+ */
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await resetTwoFactor({
+    userId: req.params.id,
+    actor: req.user,
+    reason: req.body.reason,
+    req,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Two-factor authentication reset for ${user.name}. They have been signed out everywhere.`,
+  });
+});
+
+/**
+ * Page through account security events
+ * GET /api/admin/security-events
+ */
+export const getSecurityEvents = asyncHandler(async (req, res) => {
+  const { events, pagination } = await listSecurityEvents(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      pagination,
+    },
+  });
+});
+
+/**
+ * Get accounts that are locked or have recent failed logins
+ * GET /api/admin/lockouts
+ */
+export const getLockedAccounts = asyncHandler(async (req, res) => {
+  const accounts = await listLockedAccounts();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      accounts,
+      settings: LOCKOUT_SETTINGS,
+    },
+  });
+});
+
+/**
+ * Unlock an account before its lockout runs out
+ * POST /api/admin/lockouts/:id/unlock
+ */
+export const unlockUserAccount = asyncHandler(async (req, res) => {
+  const user = await unlockAccount({ userId: req.params.id, actor: req.user, req });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.name} can log in again`,
+  });
+});
+
+/**
+ * Get custom roles, the permissions they can grant and who holds them
+ * GET /api/admin/roles
+ */
+export const getCustomRoles = asyncHandler(async (req, res) => {
+  const [roles, users] = await Promise.all([listCustomRoles(), listCustomRoleUsers()]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      roles,
+      permissions: Object.values(PERMISSIONS),
+      assignableRoles: CUSTOM_ROLE_ASSIGNABLE_ROLES,
+      users,
+    },
+  });
+});
+
+/**
+ * Create a custom role
+ * POST /api/admin/roles
+ */
+export const createCustomRoleHandler = asyncHandler(async (req, res) => {
+  const role = await createCustomRole(req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * Update a custom role
+ * PUT /api/admin/roles/:id
+ */
+export const updateCustomRoleHandler = asyncHandler(async (req, res) => {
+  const role = await updateCustomRole(req.params.id, req.body, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Role updated successfully',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * Delete a custom role, taking it away from everyone holding it
+ * DELETE /api/admin/roles/:id
+ */
+export const deleteCustomRoleHandler = asyncHandler(async (req, res) => {
+  await deleteCustomRole(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully',
+  });
+});
+
+/**
+ * Set the custom roles a sub-admin or employee holds
+ * PUT /api/admin/users/:id/roles
+ */
+export const assignUserCustomRoles = asyncHandler(async (req, res) => {
+  const user = await assignCustomRoles(req.params.id, req.body.roleIds);
+
+  res.status(200).json({
+    success: true,
+    message: `Roles updated for ${user.name}`,
+    data: {
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        customRoles: user.customRoles,
+      },
+    },
+  });
+});
+
+/**
+ * Get all complaint categories with routing, including inactive ones
+ * GET /api/admin/categories
+ */
+export const getCategories = asyncHandler(async (req, res) => {
+  const categories = await getCategoryTree({ includeInactive: true, includeRouting: true });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      categories,
+    },
+  });
+});
+
+/**
+ * Create a complaint category or sub-category
+ * POST /api/admin/categories
+ */
+export const createComplaintCategory = asyncHandler(async (req, res) => {
+  const category = await createCategory(req.body, req.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: {
+      category,
+    },
+  });
+});
+
+/**
+ * Update a complaint category
+ * PUT /api/admin/categories/:id
+ */
+export const updateComplaintCategory = asyncHandler(async (req, res) => {
+  const category = await updateCategory(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully',
+    data: {
+      category,
+    },
+  });
+});
+
+/**
+ * Delete an unused complaint category
+ * DELETE /api/admin/categories/:id
+ */
+export const deleteComplaintCategory = asyncHandler(async (req, res) => {
+  await deleteCategory(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully',
+  });
+});
+
+/**
+ * Get the comment thread of a complaint, including internal notes
+ * GET /api/admin/complaints/:id/comments
+ */
+export const getComments = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req).select('userId isAnonymous anonymousRef');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const comments = await getComplaintComments(complaint._id, { includeInternal: true });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      comments: maskCommentAuthors(comments, complaint),
+    },
+  });
+});
+
+/**
+ * Add a comment or internal note to a complaint
+ * POST /api/admin/complaints/:id/comments
+ */
+export const addComment = asyncHandler(async (req, res) => {
+  const { body, isInternal } = req.body;
+
+  const complaint = await findAccessibleComplaint(req)
+    .populate('userId', 'name email department college role');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const comment = await addComplaintComment({
+    complaint,
+    author: req.user,
+    body,
+    isInternal,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: isInternal ? 'Internal note added successfully' : 'Comment added successfully',
+    data: {
+      comment,
+    },
+  });
 });
 
 export default {
@@ -1379,7 +2387,58 @@ export default {
   deleteEmployee,
   getAllComplaints,
   updateComplaintStatus,
+  updateComplaintPriority,
+  completeFeedbackFollowUpHandler,
+  decideReopenRequestHandler,
+  getSimilarComplaintsHandler,
+  mergeComplaintHandler,
+  unmergeComplaintHandler,
+  revealComplaintSubmitter,
   getStats,
+  getAnalytics,
+  getLeaderboardHandler,
+  exportLeaderboardHandler,
+  getLeaderboardComplaintsHandler,
+  exportLeaderboardComplaintsHandler,
   getStudent,
   generateReport,
+  getReportPresets,
+  saveReportPresetHandler,
+  deleteReportPresetHandler,
+  getDigestSettings,
+  updateDigestSettings,
+  sendDigestNow,
+  getDigestRuns,
+  downloadAttachment,
+  getComplaintTimeline,
+  getComplaintTransitions,
+  getComplaintAssignees,
+  assignComplaintHandler,
+  getWorkflowConfig,
+  updateWorkflowConfig,
+  getSlaConfig,
+  updateSlaConfig,
+  getClosureConfig,
+  updateClosureConfig,
+  getSubmissionLimitsConfig,
+  updateSubmissionLimitsConfig,
+  grantSubmissionExemption,
+  revokeSubmissionExemption,
+  getTwoFactorConfig,
+  updateTwoFactorConfig,
+  resetUserTwoFactor,
+  getSecurityEvents,
+  getLockedAccounts,
+  unlockUserAccount,
+  getCustomRoles,
+  createCustomRoleHandler,
+  updateCustomRoleHandler,
+  deleteCustomRoleHandler,
+  assignUserCustomRoles,
+  getCategories,
+  createComplaintCategory,
+  updateComplaintCategory,
+  deleteComplaintCategory,
+  getComments,
+  addComment,
 };
@@ -6,49 +6,92 @@
  * 
  * Security Considerations:
  * - Password hashing with bcrypt
- * - JWT token generation
+ * - Short-lived JWT access tokens with rotating refresh tokens
+ * - Server-tracked sessions that can be revoked (logout, all devices)
  * - Force password change on first login
- * - Rate limiting on login attempts (handled by middleware)
+ * - TOTP second step for staff with two-factor authentication on
+ * - Rate limiting on login attempts per IP (handled by middleware)
+ * - Per-account lockout after repeated failed logins, and alerts for
+ *   lockouts and logins from new devices
  */
 
 import User, { USER_ROLES } from '../models/User.js';
 import { generateToken } from '../middlewares/auth.js';
 import { sendPasswordChangedEmail, sendPasswordResetEmail } from '../services/emailService.js';
 import { asyncHandler, AuthenticationError, ValidationError } from '../middlewares/errorHandler.js';
+import {
+  REFRESH_TOKEN_TTL_DAYS,
+  REFRESH_COOKIE_NAME,
+  REFRESH_COOKIE_OPTIONS,
+  SESSION_REVOKE_REASONS,
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+} from '../services/sessionService.js';
+import {
+  isTwoFactorSetupRequired,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+} from '../services/twoFactorService.js';
+import {
+  LOCKOUT_FIELDS,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearLockout,
+} from '../services/accountLockoutService.js';
+import { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import { recordSecurityEvent } from '../services/securityEventService.js';
+import { getUserPermissions } from '../services/permissionService.js';
 import crypto from 'crypto';
 
 /**
- * Login user (Admin or Student)
- * POST /api/auth/login
+ * Send the session's refresh token as an httpOnly cookie
+ * @param {Response} res
+ * @param {string} refreshToken
  */
-export const login = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
-
-  // Find user with password field included
-  const user = await User.findByEmailWithPassword(email);
-
-  if (!user) {
-    // Use generic message to prevent email enumeration
-    throw new AuthenticationError('Invalid email or password');
-  }
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    ...REFRESH_COOKIE_OPTIONS,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
 
-  // Check if account is active
-  if (!user.isActive) {
-    throw new AuthenticationError('Account is deactivated. Please contact administrator.');
-  }
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+};
 
-  // Verify password
-  const isMatch = await user.comparePassword(password);
-  if (!isMatch) {
-    throw new AuthenticationError('Invalid email or password');
-  }
+// Browsers send the cookie; other clients may send the token in the body
+const getRefreshToken = (req) => req.cookies?.[REFRESH_COOKIE_NAME] || req.body?.refreshToken;
 
+/**
+ * Finish logging in: open a session for this device and send the tokens
+ * @param {Document} user - User who passed every login step
+ * @param {Request} req
+ * @param {Response} res
+ */
+const completeLogin = async (user, req, res) => {
   // Update last login timestamp
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate JWT token
-  const token = generateToken(user);
+  // Clear failed attempts; alert the owner about a new device
+  await recordSuccessfulLogin(user, req);
+
+  // Open a session for this device
+  const { session, refreshToken } = await createSession(user, req);
+  const token = generateToken(user, session._id);
+  setRefreshCookie(res, refreshToken);
+
+  const requireTwoFactorSetup = await isTwoFactorSetupRequired(user);
 
   // Prepare user response (without sensitive data)
   const userResponse = {
@@ -58,8 +101,12 @@ export const login = asyncHandler(async (req, res) => {
     role: user.role,
     college: user.college,
     department: user.department,
+    scopes: user.scopes,
     studentId: user.studentId,
     forcePasswordChange: user.forcePasswordChange,
+    twoFactorEnabled: user.twoFactorEnabled,
+    requireTwoFactorSetup,
+    permissions: await getUserPermissions(user),
   };
 
   res.status(200).json({
@@ -69,8 +116,74 @@ export const login = asyncHandler(async (req, res) => {
       user: userResponse,
       token,
       requirePasswordChange: user.forcePasswordChange,
+      requireTwoFactorSetup,
     },
   });
+};
+
+/**
+ * Login user (Admin or Student)
+ * POST /api/auth/login
+ * Users with two-factor authentication on get a challenge to answer at
+ * /api/auth/login/2fa instead of tokens.
+ */
+export const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user with password field included
+  const user = await User.findByEmailWithPassword(email).select(LOCKOUT_FIELDS);
+
+  if (!user) {
+    // Use generic message to prevent email enumeration
+    throw new AuthenticationError('Invalid email or password');
+  }
+
+  // Check if account is active
+  if (!user.isActive) {
+    throw new AuthenticationError('Account is deactivated. Please contact administrator.');
+  }
+
+  // A locked account is refused before the password is checked
+  assertNotLocked(user);
+
+  // Verify password
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    await recordSecurityEvent({
+      type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+      user: user._id,
+      req,
+      details: 'Wrong password',
+    });
+    // The attempt that locks the account is told so straight away
+    assertNotLocked(await recordFailedLogin(user, req));
+    throw new AuthenticationError('Invalid email or password');
+  }
+
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        requireTwoFactor: true,
+        challengeToken: createLoginChallenge(user),
+      },
+    });
+  }
+
+  await completeLogin(user, req, res);
+});
+
+/**
+ * Second login step for two-factor authentication
+ * POST /api/auth/login/2fa
+ * Accepts an authenticator code or a backup code.
+ */
+export const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const user = await verifyLoginChallenge(challengeToken, code, req);
+  await completeLogin(user, req, res);
 });
 
 /**
@@ -106,6 +219,12 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.forcePasswordChange = false;
   await user.save();
 
+  // Anyone else signed in with the old password is signed out
+  await revokeUserSessions(user._id, {
+    exceptSessionId: req.sessionId,
+    reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGED,
+  });
+
   // Send confirmation email (async, don't wait)
   sendPasswordChangedEmail({
     email: user.email,
@@ -113,7 +232,7 @@ export const changePassword = asyncHandler(async (req, res) => {
   }).catch(err => console.error('Failed to send password changed email:', err));
 
   // Generate new token with updated info
-  const token = generateToken(user);
+  const token = generateToken(user, req.sessionId);
 
   res.status(200).json({
     success: true,
@@ -126,9 +245,13 @@ export const changePassword = asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role,
         department: user.department,
+        scopes: user.scopes,
         college: user.college,
         studentId: user.studentId,
         forcePasswordChange: false,
+        twoFactorEnabled: user.twoFactorEnabled,
+        requireTwoFactorSetup: await isTwoFactorSetupRequired(user),
+        permissions: await getUserPermissions(user),
       },
     },
   });
@@ -151,9 +274,13 @@ export const getMe = asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role,
         department: user.department,
+        scopes: user.scopes,
         college: user.college,
         studentId: user.studentId,
         forcePasswordChange: user.forcePasswordChange,
+        twoFactorEnabled: user.twoFactorEnabled,
+        requireTwoFactorSetup: await isTwoFactorSetupRequired(user),
+        permissions: await getUserPermissions(user),
         createdAt: user.createdAt,
         lastLogin: user.lastLogin,
       },
@@ -161,12 +288,41 @@ export const getMe = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get a new access token for the session
+ * POST /api/auth/refresh
+ * The refresh token is rotated; the new one replaces the cookie.
+ */
+export const refresh = asyncHandler(async (req, res) => {
+  try {
+    const { session, user, refreshToken } = await rotateSession(getRefreshToken(req), req);
+    // No new refresh token when a concurrent refresh already rotated it
+    if (refreshToken) {
+      setRefreshCookie(res, refreshToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: generateToken(user, session._id),
+      },
+    });
+  } catch (error) {
+    clearRefreshCookie(res);
+    throw error;
+  }
+});
+
 /**
  * Logout user
  * POST /api/auth/logout
- * Clears cookie if using cookie-based auth
+ * Ends the session of the refresh token, so the device cannot get new
+ * access tokens and its current one stops working.
  */
 export const logout = asyncHandler(async (req, res) => {
+  await revokeSessionByRefreshToken(getRefreshToken(req));
+
+  clearRefreshCookie(res);
   // Clear cookie if present
   res.cookie('token', '', {
     httpOnly: true,
@@ -179,6 +335,60 @@ export const logout = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Logout of all devices, including this one
+ * POST /api/auth/logout-all
+ * Requires authentication
+ */
+export const logoutAll = asyncHandler(async (req, res) => {
+  const count = await revokeUserSessions(req.userId, {
+    reason: SESSION_REVOKE_REASONS.LOGOUT_ALL,
+  });
+
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: `Logged out of ${count} ${count === 1 ? 'session' : 'sessions'}`,
+  });
+});
+
+/**
+ * List the user's signed-in devices
+ * GET /api/auth/sessions
+ * Requires authentication
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.userId, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: { sessions },
+  });
+});
+
+/**
+ * Sign out one of the user's other devices
+ * DELETE /api/auth/sessions/:id
+ * Requires authentication
+ */
+export const revokeOtherSession = asyncHandler(async (req, res) => {
+  if (String(req.params.id) === String(req.sessionId)) {
+    throw new ValidationError('Use logout to end the current session');
+  }
+
+  await revokeSession({
+    userId: req.userId,
+    sessionId: req.params.id,
+    reason: SESSION_REVOKE_REASONS.REVOKED,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Device signed out',
+  });
+});
+
 /**
  * Verify token validity
  * GET /api/auth/verify
@@ -196,14 +406,91 @@ export const verifyToken = asyncHandler(async (req, res) => {
         email: req.user.email,
         role: req.user.role,
         department: req.user.department,
+        scopes: req.user.scopes,
         college: req.user.college,
         studentId: req.user.studentId,
         forcePasswordChange: req.user.forcePasswordChange,
+        twoFactorEnabled: req.user.twoFactorEnabled,
+        requireTwoFactorSetup: await isTwoFactorSetupRequired(req.user),
+        permissions: await getUserPermissions(req.user),
       },
     },
   });
 });
 
+/**
+ * Get the user's two-factor status
+ * GET /api/auth/2fa
+ * Requires authentication
+ */
+export const getTwoFactor = asyncHandler(async (req, res) => {
+  const twoFactor = await getTwoFactorStatus(req.userId);
+
+  res.status(200).json({
+    success: true,
+    data: { twoFactor },
+  });
+});
+
+/**
+ * Start setting up two-factor authentication
+ * POST /api/auth/2fa/setup
+ * Requires authentication (admin or sub-admin)
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const setup = await startTwoFactorSetup(req.userId, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app',
+    data: setup,
+  });
+});
+
+/**
+ * Confirm the setup with a code and turn two-factor authentication on
+ * POST /api/auth/2fa/enable
+ * Requires authentication
+ */
+export const enableTwoFactorAuth = asyncHandler(async (req, res) => {
+  const backupCodes = await enableTwoFactor(req.userId, req.body.code, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication is on',
+    data: { backupCodes },
+  });
+});
+
+/**
+ * Turn two-factor authentication off
+ * POST /api/auth/2fa/disable
+ * Requires authentication
+ */
+export const disableTwoFactorAuth = asyncHandler(async (req, res) => {
+  await disableTwoFactor(req.userId, req.body, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication is off',
+  });
+});
+
+/**
+ * Replace the user's backup codes
+ * POST /api/auth/2fa/backup-codes
+ * Requires authentication
+ */
+export const regenerateTwoFactorBackupCodes = asyncHandler(async (req, res) => {
+  const backupCodes = await regenerateBackupCodes(req.userId, req.body.code, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes generated. The old ones no longer work.',
+    data: { backupCodes },
+  });
+});
+
 /**
  * Forgot password
  * POST /api/auth/forgot-password
@@ -375,8 +662,13 @@ export const resetPassword = asyncHandler(async (req, res) => {
   // Reset forgot-password cooldown state once the password is successfully reset.
   user.forgotPasswordConsecutiveCount = 0;
   user.forgotPasswordCooldownUntil = undefined;
+  // Proving ownership of the email also lifts a login lockout
+  clearLockout(user);
   await user.save();
 
+  // The reset may follow a compromise, so every device signs in again
+  await revokeUserSessions(user._id, { reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGED });
+
   // Optional confirmation
   sendPasswordChangedEmail({
     email: user.email,
@@ -391,11 +683,21 @@ export const resetPassword = asyncHandler(async (req, res) => {
 
 export default {
   login,
+  loginTwoFactor,
   changePassword,
   forgotPassword,
   checkForgotCooldown,
   resetPassword,
   getMe,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  revokeOtherSession,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactorAuth,
+  disableTwoFactorAuth,
+  regenerateTwoFactorBackupCodes,
   verifyToken,
 };
@@ -10,103 +10,66 @@
  * - Users can only access their own complaints
  */
 
-import mongoose from 'mongoose';
-import Complaint, { COMPLAINT_STATUS } from '../models/Complaint.js';
+import Complaint, { COMPLAINT_STATUS, COMPLAINT_PRIORITY, ATTACHMENT_CONTEXT } from '../models/Complaint.js';
 import User from '../models/User.js';
 import { asyncHandler, ValidationError, NotFoundError } from '../middlewares/errorHandler.js';
 import { sendComplaintSubmittedEmail } from '../services/emailService.js';
+import { buildAttachments, sendAttachment } from '../services/attachmentService.js';
+import { getComplaintComments, addComplaintComment } from '../services/commentService.js';
+import { getWorkflow, canTransition, transitionComplaint } from '../services/workflowService.js';
+import { buildComplaintRouting, SUBMITTER_SCOPE_FIELDS } from '../services/routingService.js';
+import { applySlaTargets } from '../services/slaService.js';
+import { notifyUrgentComplaint } from '../services/priorityService.js';
+import { getCategoryTree } from '../services/categoryService.js';
+import { submitComplaintFeedback } from '../services/feedbackService.js';
+import { withAutoCloseDates, requestClosedComplaintReopen } from '../services/closureService.js';
+import { findSimilarComplaints, toSimilarSummary, syncMergedComplaints } from '../services/duplicateService.js';
+import {
+  buildBoardListing,
+  getComplainantVisibleFilter,
+  listBoardComplaints,
+  upvoteComplaint,
+  removeUpvote,
+} from '../services/boardService.js';
+import { listDrafts, createDraft, updateDraft, deleteDraft, discardSubmittedDraft } from '../services/draftService.js';
+import { withAuthorActions, editComplaint, withdrawComplaint } from '../services/complaintEditService.js';
 
 /**
  * Submit a new complaint
  * POST /api/student/complaints
  * 
  * Security:
- * - Rate limited to 5 complaints per day
+ * - Submission limits enforced by complaintSubmissionLimiter
  * - Content moderation in validation
- * - Duplicate detection (same content within 1 hour)
  */
 export const submitComplaint = asyncHandler(async (req, res) => {
-  const { subject, content } = req.body;
+  const { subject, content, categoryId, subCategoryId, priority, isAnonymous, boardVisibility, draftId } = req.body;
   const userId = req.userId;
-  const trimmedContent = content.trim();
-
-  // Single optimized query to check all limits at once
-  const now = new Date();
-  const startOfDay = new Date(now);
-  startOfDay.setHours(0, 0, 0, 0);
-  const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
-  const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-
-  // Use aggregation to get all checks in ONE database query
-  const [checks] = await Complaint.aggregate([
-    { 
-      $match: { 
-        userId: new mongoose.Types.ObjectId(userId),
-        createdAt: { $gte: startOfDay }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        dailyCount: { $sum: 1 },
-        hasRecentComplaint: {
-          $sum: { $cond: [{ $gte: ['$createdAt', fiveMinutesAgo] }, 1, 0] }
-        },
-        hasDuplicateContent: {
-          $sum: {
-            $cond: [
-              { 
-                $and: [
-                  { $gte: ['$createdAt', oneHourAgo] },
-                  { $eq: ['$content', trimmedContent] }
-                ]
-              },
-              1, 
-              0
-            ]
-          }
-        }
-      }
-    }
-  ]);
-
-  // Check results (checks will be undefined if no complaints today)
-  if (checks) {
-    if (checks.dailyCount >= 5) {
-      return res.status(429).json({
-        success: false,
-        message: 'You have reached your daily complaint limit (5 per day). Please try again tomorrow.',
-      });
-    }
-
-    if (checks.hasRecentComplaint > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please wait at least 5 minutes between complaints.',
-      });
-    }
-
-    if (checks.hasDuplicateContent > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already submitted this complaint recently. Please wait before submitting again.',
-      });
-    }
-  }
 
   // Get user details for email
   const user = await User.findById(userId);
+  const board = buildBoardListing({ visibility: boardVisibility, isAnonymous, user });
+  const workflow = await getWorkflow();
+  const routing = await buildComplaintRouting({ categoryId, subCategoryId, complainant: user });
 
   // Create complaint object
   const complaintData = {
     userId,
     subject,
     content,
-    status: COMPLAINT_STATUS.READ, // Initial status
+    ...routing,
+    priority: priority || COMPLAINT_PRIORITY.NORMAL,
+    suggestedPriority: priority || null,
+    isAnonymous: !!isAnonymous,
+    board,
+    attachments: buildAttachments(req.files, userId, ATTACHMENT_CONTEXT.SUBMISSION),
   };
 
   const complaint = new Complaint(complaintData);
+  complaint.recordStatusChange({ to: workflow.initialStatus, actor: userId });
+  await applySlaTargets(complaint);
   await complaint.save();
+  await discardSubmittedDraft(userId, draftId);
 
   // Send email notification (non-blocking)
   if (user && user.email) {
@@ -119,6 +82,20 @@ export const submitComplaint = asyncHandler(async (req, res) => {
     }).catch(err => console.error('Failed to send complaint email:', err.message));
   }
 
+  if (complaint.priority === COMPLAINT_PRIORITY.URGENT) {
+    notifyUrgentComplaint(complaint)
+      .catch(err => console.error('Failed to notify department heads:', err));
+  }
+
+  // Let the complainant know if others already reported the same problem
+  const similar = await findSimilarComplaints({
+    subject: complaint.subject,
+    content: complaint.content,
+    category: complaint.category,
+    excludeIds: [complaint._id],
+    scope: getComplainantVisibleFilter(req.user),
+  });
+
   res.status(201).json({
     success: true,
     message: 'Complaint submitted successfully',
@@ -129,12 +106,85 @@ export const submitComplaint = asyncHandler(async (req, res) => {
         subject: complaint.subject,
         content: complaint.content,
         status: complaint.status,
+        priority: complaint.priority,
+        isAnonymous: complaint.isAnonymous,
+        anonymousRef: complaint.anonymousRef,
+        board: complaint.board,
+        category: complaint.category,
+        subCategory: complaint.subCategory,
+        attachments: complaint.attachments,
         createdAt: complaint.createdAt,
       },
+      similarComplaints: similar.map(toSimilarSummary),
+    },
+  });
+});
+
+/**
+ * Find open complaints similar to one being written
+ * POST /api/student/complaints/similar
+ */
+export const getSimilarComplaints = asyncHandler(async (req, res) => {
+  const { subject, content, categoryId } = req.body;
+
+  // Only complaints the requester could already see on their board
+  const similar = await findSimilarComplaints({
+    subject,
+    content,
+    category: categoryId,
+    scope: getComplainantVisibleFilter(req.user),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      similar: similar.map(toSimilarSummary),
+    },
+  });
+});
+
+/**
+ * List complaints on the student's board
+ * GET /api/student/board
+ */
+export const getBoard = asyncHandler(async (req, res) => {
+  const { complaints, pagination } = await listBoardComplaints({ user: req.user, ...req.query });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      complaints,
+      pagination,
     },
   });
 });
 
+/**
+ * Add a "me too" vote to a complaint on the board
+ * POST /api/student/board/:id/upvote
+ */
+export const upvoteBoardComplaint = asyncHandler(async (req, res) => {
+  const vote = await upvoteComplaint(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: vote,
+  });
+});
+
+/**
+ * Withdraw a "me too" vote
+ * DELETE /api/student/board/:id/upvote
+ */
+export const removeBoardUpvote = asyncHandler(async (req, res) => {
+  const vote = await removeUpvote(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: vote,
+  });
+});
+
 /**
  * Get all complaints for the logged-in student
  * GET /api/student/complaints
@@ -151,6 +201,7 @@ export const getMyComplaints = asyncHandler(async (req, res) => {
   const total = await Complaint.countDocuments(query);
   const complaints = await Complaint.find(query)
     .populate('resolvedBy', 'name')
+    .populate('category subCategory', 'name')
     .sort({ createdAt: -1 })
     .skip((parseInt(page) - 1) * parseInt(limit))
     .limit(parseInt(limit));
@@ -158,7 +209,7 @@ export const getMyComplaints = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      complaints,
+      complaints: withAuthorActions(await withAutoCloseDates(complaints), await getWorkflow()),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -179,20 +230,138 @@ export const getComplaint = asyncHandler(async (req, res) => {
 
   const complaint = await Complaint.findOne({ _id: id, userId })
     .populate('resolvedBy', 'name')
+    .populate('category subCategory', 'name')
     .populate('reopenHistory.reopenedBy', 'name email');
 
   if (!complaint) {
     throw new NotFoundError('Complaint not found');
   }
 
+  const [serialized] = withAuthorActions(await withAutoCloseDates([complaint]), await getWorkflow());
+
   res.status(200).json({
     success: true,
     data: {
-      complaint,
+      complaint: serialized,
+    },
+  });
+});
+
+/**
+ * Edit the subject and content of an own complaint before staff respond
+ * The replaced version is kept in the complaint's revisions.
+ * PUT /api/student/complaints/:id
+ */
+export const updateComplaint = asyncHandler(async (req, res) => {
+  const { subject, content } = req.body;
+
+  const complaint = await Complaint.findOne({ _id: req.params.id, userId: req.userId });
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const workflow = await getWorkflow();
+  await editComplaint({ complaint, workflow, subject, content });
+  await complaint.populate('category subCategory', 'name');
+
+  const [serialized] = withAuthorActions(await withAutoCloseDates([complaint]), workflow);
+
+  res.status(200).json({
+    success: true,
+    message: 'Complaint updated successfully',
+    data: {
+      complaint: serialized,
     },
   });
 });
 
+/**
+ * Withdraw an own open complaint
+ * POST /api/student/complaints/:id/withdraw
+ */
+export const withdrawMyComplaint = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findOne({ _id: req.params.id, userId: req.userId })
+    .select(SUBMITTER_SCOPE_FIELDS);
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await withdrawComplaint({ complaint, actor: req.user, reason: req.body.reason });
+  await complaint.populate('category subCategory', 'name');
+
+  const [serialized] = withAuthorActions(await withAutoCloseDates([complaint]), await getWorkflow());
+
+  res.status(200).json({
+    success: true,
+    message: 'Complaint withdrawn',
+    data: {
+      complaint: serialized,
+    },
+  });
+});
+
+/**
+ * List the student's complaint drafts
+ * GET /api/student/drafts
+ */
+export const getDrafts = asyncHandler(async (req, res) => {
+  const drafts = await listDrafts(req.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      drafts,
+    },
+  });
+});
+
+/**
+ * Start a complaint draft
+ * POST /api/student/drafts
+ */
+export const createComplaintDraft = asyncHandler(async (req, res) => {
+  const draft = await createDraft(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Draft saved',
+    data: {
+      draft,
+    },
+  });
+});
+
+/**
+ * Save changes to a complaint draft
+ * PUT /api/student/drafts/:id
+ */
+export const updateComplaintDraft = asyncHandler(async (req, res) => {
+  const draft = await updateDraft(req.userId, req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Draft saved',
+    data: {
+      draft,
+    },
+  });
+});
+
+/**
+ * Delete a complaint draft
+ * DELETE /api/student/drafts/:id
+ */
+export const deleteComplaintDraft = asyncHandler(async (req, res) => {
+  await deleteDraft(req.userId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Draft deleted',
+  });
+});
+
 /**
  * Get complaint statistics for the logged-in student
  * GET /api/student/stats
@@ -200,28 +369,15 @@ export const getComplaint = asyncHandler(async (req, res) => {
 export const getMyStats = asyncHandler(async (req, res) => {
   const userId = req.userId;
 
-  const [
-    totalComplaints,
-    readComplaints,
-    underReviewComplaints,
-    resolvedComplaints,
-  ] = await Promise.all([
-    Complaint.countDocuments({ userId }),
-    Complaint.countDocuments({ userId, status: COMPLAINT_STATUS.READ }),
-    Complaint.countDocuments({ userId, status: COMPLAINT_STATUS.UNDER_REVIEW }),
-    Complaint.countDocuments({ userId, status: COMPLAINT_STATUS.RESOLVED }),
-  ]);
+  const byStatus = await Complaint.countByStatus({ userId });
+  const totalComplaints = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
 
   res.status(200).json({
     success: true,
     data: {
       stats: {
         totalComplaints,
-        byStatus: {
-          read: readComplaints,
-          underReview: underReviewComplaints,
-          resolved: resolvedComplaints,
-        },
+        byStatus,
       },
     },
   });
@@ -250,7 +406,7 @@ export const getProfile = asyncHandler(async (req, res) => {
 });
 
 /**
- * Reopen a resolved complaint
+ * Reopen a resolved or rejected complaint, or ask an admin to reopen a closed one
  * POST /api/student/complaints/:id/reopen
  */
 export const reopenComplaint = asyncHandler(async (req, res) => {
@@ -264,11 +420,33 @@ export const reopenComplaint = asyncHandler(async (req, res) => {
     throw new NotFoundError('Complaint not found');
   }
 
-  // Can only reopen resolved complaints
-  if (complaint.status !== COMPLAINT_STATUS.RESOLVED) {
-    throw new ValidationError('Only resolved complaints can be reopened');
+  // Reopening sends the complaint back to the workflow's initial status
+  const workflow = await getWorkflow();
+  if (!canTransition(workflow, complaint.status, workflow.initialStatus, req.user.role)) {
+    if (complaint.status !== COMPLAINT_STATUS.CLOSED) {
+      throw new ValidationError('This complaint cannot be reopened');
+    }
+
+    // Closed complaints need an admin to approve the reopen (if the policy allows it at all)
+    complaint.attachments.push(
+      ...buildAttachments(req.files, userId, ATTACHMENT_CONTEXT.REOPEN)
+    );
+    await requestClosedComplaintReopen({ complaint, actor: req.user, remarks: reopenRemarks });
+
+    return res.status(202).json({
+      success: true,
+      message: 'Reopen request sent to the administrators for approval',
+      data: {
+        complaint,
+      },
+    });
   }
 
+  // A merged duplicate that is reopened is handled on its own again
+  complaint.mergedInto = null;
+  complaint.mergedAt = null;
+  complaint.mergedBy = null;
+
   // Add to reopen history
   complaint.reopenHistory.push({
     reopenedBy: userId,
@@ -277,15 +455,24 @@ export const reopenComplaint = asyncHandler(async (req, res) => {
     previousStatus: complaint.status,
   });
 
-  // Reset status to READ
-  complaint.status = COMPLAINT_STATUS.READ;
-  complaint.resolvedAt = null;
-  complaint.resolvedBy = null;
-  complaint.acknowledgedByStudent = false;
-  complaint.acknowledgedAt = null;
+  // Keep any supporting files sent with the reopen request
+  complaint.attachments.push(
+    ...buildAttachments(req.files, userId, ATTACHMENT_CONTEXT.REOPEN)
+  );
+
+  await transitionComplaint({
+    complaint,
+    to: workflow.initialStatus,
+    actor: req.user,
+    remark: reopenRemarks,
+  });
 
   await complaint.save();
 
+  // Duplicates merged into this complaint are reopened with it
+  syncMergedComplaints({ parent: complaint, actor: req.user })
+    .catch(err => console.error('Failed to update merged complaints:', err));
+
   // Populate for response
   await complaint.populate('userId', 'name email college studentId');
   await complaint.populate('resolvedBy', 'name email');
@@ -300,34 +487,34 @@ export const reopenComplaint = asyncHandler(async (req, res) => {
 });
 
 /**
- * Rate a resolved complaint
+ * Rate a resolved complaint with optional structured feedback
  * POST /api/student/complaints/:id/rate
  */
 export const rateComplaint = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rating } = req.body;
   const userId = req.userId;
 
-  const complaint = await Complaint.findOne({ _id: id, userId });
+  const complaint = await Complaint.findOne({ _id: id, userId })
+    .select(SUBMITTER_SCOPE_FIELDS);
 
   if (!complaint) {
     throw new NotFoundError('Complaint not found');
   }
 
-  // Can only rate resolved complaints
-  if (complaint.status !== COMPLAINT_STATUS.RESOLVED) {
-    throw new ValidationError('Only resolved complaints can be rated');
-  }
+  const { suggestReopen } = await submitComplaintFeedback({
+    complaint,
+    actor: req.user,
+    feedback: req.body,
+  });
 
-  // Update rating
-  complaint.rating = rating;
-  await complaint.save();
+  const [serialized] = await withAutoCloseDates([complaint]);
 
   res.status(200).json({
     success: true,
-    message: 'Rating submitted successfully',
+    message: 'Feedback submitted successfully',
     data: {
-      complaint,
+      complaint: serialized,
+      suggestReopen,
     },
   });
 });
@@ -347,9 +534,9 @@ export const acknowledgeComplaint = asyncHandler(async (req, res) => {
     throw new NotFoundError('Complaint not found');
   }
 
-  // Can only acknowledge resolved complaints
-  if (complaint.status !== COMPLAINT_STATUS.RESOLVED) {
-    throw new ValidationError('Only resolved complaints can be acknowledged');
+  // Can only acknowledge resolved (or since closed) complaints
+  if (![COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(complaint.status)) {
+    throw new ValidationError('Only resolved or closed complaints can be acknowledged');
   }
 
   // Update acknowledgment
@@ -359,22 +546,125 @@ export const acknowledgeComplaint = asyncHandler(async (req, res) => {
   }
   await complaint.save();
 
+  const [serialized] = await withAutoCloseDates([complaint]);
+
   res.status(200).json({
     success: true,
     message: acknowledged ? 'Complaint acknowledged successfully' : 'Acknowledgment removed',
     data: {
-      complaint,
+      complaint: serialized,
+    },
+  });
+});
+
+/**
+ * Download an attachment of the student's own complaint
+ * GET /api/student/complaints/:id/attachments/:attachmentId
+ */
+export const downloadAttachment = asyncHandler(async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  const complaint = await Complaint.findOne({ _id: id, userId: req.userId }).select('attachments');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  await sendAttachment(res, complaint, attachmentId);
+});
+
+/**
+ * Get the comment thread of the student's own complaint
+ * Internal staff notes are never included.
+ * GET /api/student/complaints/:id/comments
+ */
+export const getComments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const complaint = await Complaint.findOne({ _id: id, userId: req.userId }).select('_id');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const comments = await getComplaintComments(complaint._id, { includeInternal: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      comments,
+    },
+  });
+});
+
+/**
+ * Add a comment to the student's own complaint
+ * POST /api/student/complaints/:id/comments
+ */
+export const addComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { body } = req.body;
+
+  const complaint = await Complaint.findOne({ _id: id, userId: req.userId })
+    .select(SUBMITTER_SCOPE_FIELDS)
+    .populate('userId', 'name email department college role');
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
+
+  const comment = await addComplaintComment({
+    complaint,
+    author: req.user,
+    body,
+    isInternal: false,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: {
+      comment,
+    },
+  });
+});
+
+/**
+ * Get the active complaint categories for the submission form
+ * GET /api/student/categories
+ */
+export const getCategories = asyncHandler(async (req, res) => {
+  const categories = await getCategoryTree();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      categories,
     },
   });
 });
 
 export default {
   submitComplaint,
+  getSimilarComplaints,
+  getBoard,
+  upvoteBoardComplaint,
+  removeBoardUpvote,
   getMyComplaints,
   getComplaint,
+  updateComplaint,
+  withdrawMyComplaint,
+  getDrafts,
+  createComplaintDraft,
+  updateComplaintDraft,
+  deleteComplaintDraft,
   getMyStats,
   getProfile,
   reopenComplaint,
   rateComplaint,
   acknowledgeComplaint,
+  downloadAttachment,
+  getComments,
+  addComment,
+  getCategories,
 };
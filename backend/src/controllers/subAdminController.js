@@ -12,67 +12,111 @@
 
 import User, { USER_ROLES } from '../models/User.js';
 import Complaint, { COMPLAINT_STATUS } from '../models/Complaint.js';
+import { DIGEST_RUN_STATUS } from '../models/DigestRun.js';
 import { sendComplaintResolvedEmail, sendStatusUpdateEmail } from '../services/emailService.js';
 import { asyncHandler, ValidationError, NotFoundError } from '../middlewares/errorHandler.js';
-import { Parser } from 'json2csv';
+import { sendAttachment } from '../services/attachmentService.js';
+import { getComplaintComments, addComplaintComment } from '../services/commentService.js';
+import { getWorkflow, getAllowedTransitions, transitionComplaint } from '../services/workflowService.js';
+import {
+  getSubAdminComplaintScope,
+  getSubAdminUserFilter,
+  describeSubAdminScopes,
+  canSubAdminAccessComplaint,
+  getComplaintHandlers,
+  SUBMITTER_SCOPE_FIELDS,
+} from '../services/routingService.js';
+import { assignComplaint, claimComplaint } from '../services/assignmentService.js';
+import { countSlaBreaches } from '../services/slaService.js';
+import { setComplaintPriority } from '../services/priorityService.js';
+import { completeFeedbackFollowUp } from '../services/feedbackService.js';
+import {
+  findSimilarComplaints,
+  getMergedComplaints,
+  mergeComplaint,
+  unmergeComplaint,
+  syncMergedComplaints,
+} from '../services/duplicateService.js';
+import { buildComplaintFilter, findComplaintPage } from '../services/complaintQueryService.js';
+import { maskComplaintIdentity, maskCommentAuthors } from '../services/anonymityService.js';
+import { getComplaintAnalytics } from '../services/analyticsService.js';
+import {
+  generateComplaintReport,
+  listReportPresets,
+  saveReportPreset,
+  deleteReportPreset,
+} from '../services/reportService.js';
+import {
+  getDigestSubscription,
+  updateDigestSubscription,
+  runDigest,
+  listDigestRuns,
+} from '../services/digestService.js';
 
 /**
- * Get complaints for sub-admin's department
- * GET /api/sub-admin/complaints
+ * Load a complaint and verify it is routed to the sub-admin
+ * @param {string} complaintId - Complaint _id
+ * @param {string} subAdminId - Sub-admin user _id
+ * @returns {Promise<Document>} Complaint with userId populated
  */
-export const getComplaintsForDepartment = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, status } = req.query;
-  const subAdmin = await User.findById(req.userId);
+const findDepartmentComplaint = async (complaintId, subAdminId) => {
+  const subAdmin = await User.findById(subAdminId);
 
   if (!subAdmin || !subAdmin.department) {
     throw new ValidationError('Sub-admin department not found');
   }
 
-  // Create case-insensitive regex for department matching
-  const departmentRegex = new RegExp(`^${subAdmin.department}$`, 'i');
+  const complaint = await Complaint.findById(complaintId)
+    .select(SUBMITTER_SCOPE_FIELDS)
+    .populate('userId', 'name email department college role');
 
-  // Get students whose department matches sub-admin's department (case-insensitive)
-  const studentsInDepartment = await User.find({
-    role: USER_ROLES.STUDENT,
-    department: departmentRegex,
-  }).select('_id');
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found');
+  }
 
-  // Get employees in sub-admin's department (case-insensitive)
-  const employeesInDepartment = await User.find({
-    role: USER_ROLES.EMPLOYEE,
-    department: departmentRegex,
-  }).select('_id');
-
-  // Combine user IDs
-  const userIds = [
-    ...studentsInDepartment.map(s => s._id),
-    ...employeesInDepartment.map(e => e._id),
-  ];
-
-  // Build query
-  const query = { userId: { $in: userIds } };
-  if (status && status !== 'all') {
-    query.status = status;
+  if (!canSubAdminAccessComplaint(subAdmin, complaint)) {
+    throw new ValidationError('You do not have access to this complaint');
   }
 
-  const total = await Complaint.countDocuments(query);
-  const complaints = await Complaint.find(query)
-    .populate('userId', 'name email college studentId course department role')
-    .populate('resolvedBy', 'name email')
-    .sort({ createdAt: -1 })
-    .skip((parseInt(page) - 1) * parseInt(limit))
-    .limit(parseInt(limit));
+  return complaint;
+};
+
+/**
+ * Search, filter and page through the complaints routed to the sub-admin
+ * GET /api/sub-admin/complaints
+ */
+export const getComplaintsForDepartment = asyncHandler(async (req, res) => {
+  const { sort, cursor, limit } = req.query;
+  const subAdmin = await User.findById(req.userId);
+
+  if (!subAdmin || !subAdmin.department) {
+    throw new ValidationError('Sub-admin department not found');
+  }
+
+  // Results never leave the sub-admin's department or handler pool
+  const filter = await buildComplaintFilter(req.query, {
+    scope: getSubAdminComplaintScope(subAdmin),
+    userId: subAdmin._id,
+  });
+  const { complaints, pagination } = await findComplaintPage({
+    filter,
+    sort,
+    cursor,
+    limit,
+    select: '-imageUrl -statusHistory -assignmentHistory',
+    populate: [
+      { path: 'userId', select: 'name email college studentId course department role' },
+      { path: 'resolvedBy', select: 'name email' },
+      { path: 'assignedTo', select: 'name email department' },
+      { path: 'category subCategory', select: 'name' },
+    ],
+  });
 
   res.status(200).json({
     success: true,
     data: {
-      complaints,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        total,
-        limit: parseInt(limit),
-      },
+      complaints: complaints.map(maskComplaintIdentity),
+      pagination,
     },
   });
 });
@@ -83,7 +127,7 @@ export const getComplaintsForDepartment = asyncHandler(async (req, res) => {
  */
 export const updateComplaintStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, acknowledgment } = req.body;
+  const { status, acknowledgment, note } = req.body;
   const subAdmin = await User.findById(req.userId);
 
   if (!subAdmin || !subAdmin.department) {
@@ -91,43 +135,44 @@ export const updateComplaintStatus = asyncHandler(async (req, res) => {
   }
 
   // Find complaint with user details
-  const complaint = await Complaint.findById(id).populate('userId', 'name email studentId department role college');
+  const complaint = await Complaint.findById(id)
+    .select(SUBMITTER_SCOPE_FIELDS)
+    .populate('userId', 'name email studentId department role college');
 
   if (!complaint) {
     throw new NotFoundError('Complaint not found');
   }
 
-  // Verify sub-admin has access to this complaint (case-insensitive department match)
+  // Verify the complaint is routed to this sub-admin
   const user = complaint.userId;
-  const departmentRegex = new RegExp(`^${subAdmin.department}$`, 'i');
-  const hasAccess =
-    (user.role === USER_ROLES.STUDENT && departmentRegex.test(user.department)) ||
-    (user.role === USER_ROLES.EMPLOYEE && departmentRegex.test(user.department));
 
-  if (!hasAccess) {
+  if (!canSubAdminAccessComplaint(subAdmin, complaint)) {
     throw new ValidationError('You do not have access to this complaint');
   }
 
-  // Cannot update if already resolved
-  if (complaint.status === COMPLAINT_STATUS.RESOLVED) {
-    throw new ValidationError('Resolved complaints cannot be updated');
+  if (complaint.mergedInto) {
+    throw new ValidationError('This complaint is merged into another complaint; update that complaint instead');
   }
 
-  // Update status
-  complaint.status = status;
-
-  // If resolving, add acknowledgment
-  if (status === COMPLAINT_STATUS.RESOLVED) {
-    if (!acknowledgment) {
-      throw new ValidationError('Acknowledgment is required when resolving a complaint');
-    }
-    complaint.acknowledgment = acknowledgment;
-    complaint.resolvedBy = req.userId;
-    complaint.resolvedAt = new Date();
+  if (complaint.status === status) {
+    throw new ValidationError(`Complaint is already ${status}`);
   }
 
+  // The workflow decides whether this move is allowed; the resolution
+  // response doubles as the remark when resolving
+  await transitionComplaint({
+    complaint,
+    to: status,
+    actor: subAdmin,
+    remark: status === COMPLAINT_STATUS.RESOLVED ? acknowledgment : note,
+  });
+
   await complaint.save();
 
+  // Duplicates merged into this complaint follow it
+  syncMergedComplaints({ parent: complaint, actor: subAdmin, remark: status === COMPLAINT_STATUS.RESOLVED ? acknowledgment : note })
+    .catch(err => console.error('Failed to update merged complaints:', err));
+
   // Send email notification
   if (status === COMPLAINT_STATUS.RESOLVED) {
     sendComplaintResolvedEmail({
@@ -146,19 +191,22 @@ export const updateComplaintStatus = asyncHandler(async (req, res) => {
       complaintId: complaint.complaintId || complaint._id.toString(),
       subject: complaint.subject,
       status,
+      remark: note,
     }).catch(err => console.error('Failed to send status update email:', err));
   }
 
   // Fetch updated complaint with populated fields
   const updatedComplaint = await Complaint.findById(id)
     .populate('userId', 'name email college studentId course department role')
-    .populate('resolvedBy', 'name email');
+    .populate('resolvedBy', 'name email')
+    .populate('assignedTo', 'name email department')
+    .populate('category subCategory', 'name');
 
   res.status(200).json({
     success: true,
     message: `Complaint status updated to ${status}`,
     data: {
-      complaint: updatedComplaint,
+      complaint: maskComplaintIdentity(updatedComplaint),
     },
   });
 });
@@ -174,137 +222,197 @@ export const getStats = asyncHandler(async (req, res) => {
     throw new ValidationError('Sub-admin department not found');
   }
 
-  // Create case-insensitive regex for department matching
-  const departmentRegex = new RegExp(`^${subAdmin.department}$`, 'i');
-
-  // Get students and employees in department (case-insensitive)
-  const [studentsInDepartment, employeesInDepartment] = await Promise.all([
-    User.find({ role: USER_ROLES.STUDENT, department: departmentRegex }).select('_id'),
-    User.find({ role: USER_ROLES.EMPLOYEE, department: departmentRegex }).select('_id'),
+  // Students and employees in the departments (and colleges) the sub-admin covers
+  const usersInScope = getSubAdminUserFilter(subAdmin);
+  const [totalStudents, totalEmployees] = await Promise.all([
+    User.countDocuments({ role: USER_ROLES.STUDENT, ...usersInScope }),
+    User.countDocuments({ role: USER_ROLES.EMPLOYEE, ...usersInScope }),
   ]);
 
-  const userIds = [
-    ...studentsInDepartment.map(s => s._id),
-    ...employeesInDepartment.map(e => e._id),
-  ];
-
-  const [
-    totalComplaints,
-    readComplaints,
-    underReviewComplaints,
-    resolvedComplaints,
-  ] = await Promise.all([
-    Complaint.countDocuments({ userId: { $in: userIds } }),
-    Complaint.countDocuments({ userId: { $in: userIds }, status: COMPLAINT_STATUS.READ }),
-    Complaint.countDocuments({ userId: { $in: userIds }, status: COMPLAINT_STATUS.UNDER_REVIEW }),
-    Complaint.countDocuments({ userId: { $in: userIds }, status: COMPLAINT_STATUS.RESOLVED }),
+  const scope = getSubAdminComplaintScope(subAdmin);
+  const [byStatus, assignedToMe, slaBreaches] = await Promise.all([
+    Complaint.countByStatus(scope),
+    // Open complaints in the sub-admin's own queue
+    Complaint.countDocuments({
+      assignedTo: subAdmin._id,
+      status: { $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED, COMPLAINT_STATUS.REJECTED, COMPLAINT_STATUS.WITHDRAWN] },
+    }),
+    countSlaBreaches(scope),
   ]);
+  const totalComplaints = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
 
   res.status(200).json({
     success: true,
     data: {
       stats: {
         department: subAdmin.department,
-        totalStudents: studentsInDepartment.length,
-        totalEmployees: employeesInDepartment.length,
+        scope: describeSubAdminScopes(subAdmin),
+        totalStudents,
+        totalEmployees,
         totalComplaints,
-        byStatus: {
-          read: readComplaints,
-          underReview: underReviewComplaints,
-          resolved: resolvedComplaints,
-        },
+        assignedToMe,
+        slaBreaches,
+        byStatus,
       },
     },
   });
 });
 
+/**
+ * Get complaint analytics for the sub-admin's department
+ * GET /api/sub-admin/analytics
+ */
+export const getAnalytics = asyncHandler(async (req, res) => {
+  const subAdmin = await User.findById(req.userId);
+
+  if (!subAdmin || !subAdmin.department) {
+    throw new ValidationError('Sub-admin department not found');
+  }
+
+  const scope = getSubAdminComplaintScope(subAdmin);
+  const analytics = await getComplaintAnalytics({ ...req.query, scope });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      analytics,
+    },
+  });
+});
+
 /**
  * Generate report for sub-admin's department
  * GET /api/sub-admin/reports
  */
 export const generateReport = asyncHandler(async (req, res) => {
-  const { startDate, endDate, predefinedRange } = req.query;
   const subAdmin = await User.findById(req.userId);
 
   if (!subAdmin || !subAdmin.department) {
     throw new ValidationError('Sub-admin department not found');
   }
 
-  // Calculate date range
-  let dateFilter = {};
-  if (predefinedRange === 'last7days') {
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    dateFilter = { createdAt: { $gte: sevenDaysAgo } };
-  } else if (predefinedRange === 'last30days') {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    dateFilter = { createdAt: { $gte: thirtyDaysAgo } };
-  } else if (startDate && endDate) {
-    dateFilter = {
-      createdAt: {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      },
-    };
-  }
+  const report = await generateComplaintReport({
+    query: req.query,
+    scope: getSubAdminComplaintScope(subAdmin),
+    title: `Complaint Report - ${describeSubAdminScopes(subAdmin)}`,
+    label: describeSubAdminScopes(subAdmin),
+  });
 
-  // Create case-insensitive regex for department matching
-  const departmentRegex = new RegExp(`^${subAdmin.department}$`, 'i');
+  res.setHeader('Content-Type', report.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${report.filename}`);
 
-  // Get users in department
-  const [studentsInDepartment, employeesInDepartment] = await Promise.all([
-    User.find({ role: USER_ROLES.STUDENT, department: departmentRegex }).select('_id'),
-    User.find({ role: USER_ROLES.EMPLOYEE, department: departmentRegex }).select('_id'),
-  ]);
+  res.status(200).send(report.body);
+});
 
-  const userIds = [
-    ...studentsInDepartment.map(s => s._id),
-    ...employeesInDepartment.map(e => e._id),
-  ];
+/**
+ * Get the sub-admin's saved report presets
+ * GET /api/sub-admin/report-presets
+ */
+export const getReportPresets = asyncHandler(async (req, res) => {
+  const presets = await listReportPresets(req.userId);
 
-  // Get complaints
-  const complaints = await Complaint.find({
-    userId: { $in: userIds },
-    ...dateFilter,
-  })
-    .populate('userId', 'name email college studentId course department role')
-    .populate('resolvedBy', 'name email')
-    .sort({ createdAt: -1 });
-
-  // Format data for CSV
-  const reportData = complaints.map(complaint => {
-    const user = complaint.userId;
-    return {
-      'Complaint ID': complaint.complaintId || complaint._id.toString(),
-      'Submitted By': user.name,
-      'Email': user.email,
-      'User Type': user.role,
-      'Student ID': user.studentId || 'N/A',
-      'Department': user.department || 'N/A',
-      'College': user.college || 'N/A',
-      'Subject': complaint.subject,
-      'Content': complaint.content.substring(0, 200) + (complaint.content.length > 200 ? '...' : ''),
-      'Status': complaint.status,
-      'Submitted At': complaint.createdAt.toISOString(),
-      'Resolved At': complaint.resolvedAt ? complaint.resolvedAt.toISOString() : 'N/A',
-      'Resolved By': complaint.resolvedBy ? complaint.resolvedBy.name : 'N/A',
-      'Acknowledgment': complaint.acknowledgment || 'N/A',
-      'Rating': complaint.rating || 'N/A',
-      'Acknowledged By Student': complaint.acknowledgedByStudent ? 'Yes' : 'No',
-      'Reopen Count': complaint.reopenHistory.length,
-    };
+  res.status(200).json({
+    success: true,
+    data: {
+      presets,
+    },
+  });
+});
+
+/**
+ * Save a report preset (replaces a preset with the same name)
+ * POST /api/sub-admin/report-presets
+ */
+export const saveReportPresetHandler = asyncHandler(async (req, res) => {
+  const preset = await saveReportPreset(req.userId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Report preset saved',
+    data: {
+      preset,
+    },
+  });
+});
+
+/**
+ * Delete a report preset
+ * DELETE /api/sub-admin/report-presets/:id
+ */
+export const deleteReportPresetHandler = asyncHandler(async (req, res) => {
+  await deleteReportPreset(req.userId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Report preset deleted',
+  });
+});
+
+/**
+ * Get the sub-admin's digest email settings
+ * GET /api/sub-admin/digest
+ */
+export const getDigestSettings = asyncHandler(async (req, res) => {
+  const subscription = await getDigestSubscription(req.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      subscription,
+    },
+  });
+});
+
+/**
+ * Update the sub-admin's digest email settings
+ * PUT /api/sub-admin/digest
+ */
+export const updateDigestSettings = asyncHandler(async (req, res) => {
+  const subscription = await updateDigestSubscription(req.userId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: subscription.enabled ? 'Digest scheduled' : 'Digest turned off',
+    data: {
+      subscription,
+    },
+  });
+});
+
+/**
+ * Send the sub-admin a copy of their digest now
+ * POST /api/sub-admin/digest/send
+ */
+export const sendDigestNow = asyncHandler(async (req, res) => {
+  const subscription = await getDigestSubscription(req.userId);
+  const run = await runDigest(subscription, { trigger: 'manual' });
+
+  if (run.status !== DIGEST_RUN_STATUS.SENT) {
+    throw new ValidationError(`Digest could not be sent: ${run.error}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Digest sent to ${run.email}`,
+    data: {
+      run,
+    },
   });
+});
 
-  // Convert to CSV
-  const parser = new Parser();
-  const csv = parser.parse(reportData);
+/**
+ * Get the sub-admin's recent digest runs
+ * GET /api/sub-admin/digest/runs
+ */
+export const getDigestRuns = asyncHandler(async (req, res) => {
+  const runs = await listDigestRuns({ userId: req.userId });
 
-  // Set headers for CSV download
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename=complaints-report-${subAdmin.department}-${new Date().toISOString().split('T')[0]}.csv`);
-  
-  res.status(200).send(csv);
+  res.status(200).json({
+    success: true,
+    data: {
+      runs,
+    },
+  });
 });
 
 /**
@@ -320,22 +428,24 @@ export const getStudentsForDepartment = asyncHandler(async (req, res) => {
     throw new ValidationError('Sub-admin department not found');
   }
 
-  console.log(`Sub-admin ${subAdmin.name} (${subAdmin.department}) requesting students`);
+  console.log(`Sub-admin ${subAdmin.name} (${describeSubAdminScopes(subAdmin)}) requesting students`);
 
-  // Build query - students whose department matches sub-admin's department (case-insensitive)
+  // Build query - students in the departments (and colleges) the sub-admin covers
   const query = {
     role: USER_ROLES.STUDENT,
-    department: { $regex: new RegExp(`^${subAdmin.department}$`, 'i') }, // Case-insensitive match
+    $and: [getSubAdminUserFilter(subAdmin)],
   };
 
   // Add search filter if provided
   if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { email: { $regex: search, $options: 'i' } },
-      { college: { $regex: search, $options: 'i' } },
-      { studentId: { $regex: search, $options: 'i' } },
-    ];
+    query.$and.push({
+      $or: [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { college: { $regex: search, $options: 'i' } },
+        { studentId: { $regex: search, $options: 'i' } },
+      ],
+    });
   }
 
   // Get total count
@@ -349,7 +459,7 @@ export const getStudentsForDepartment = asyncHandler(async (req, res) => {
     .skip((parseInt(page) - 1) * parseInt(limit))
     .lean();
 
-  console.log(`Sub-admin ${subAdmin.department} fetching students. Found: ${students.length} out of ${total}`);
+  console.log(`Sub-admin ${describeSubAdminScopes(subAdmin)} fetching students. Found: ${students.length} out of ${total}`);
 
   res.json({
     success: true,
@@ -376,19 +486,21 @@ export const getEmployeesForDepartment = asyncHandler(async (req, res) => {
     throw new ValidationError('Sub-admin department not found');
   }
 
-  // Build query - employees whose department matches sub-admin's department (case-insensitive)
+  // Build query - employees in the departments (and colleges) the sub-admin covers
   const query = {
     role: USER_ROLES.EMPLOYEE,
-    department: { $regex: new RegExp(`^${subAdmin.department}$`, 'i') },
+    $and: [getSubAdminUserFilter(subAdmin)],
   };
 
   // Add search filter if provided
   if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { email: { $regex: search, $options: 'i' } },
-      { college: { $regex: search, $options: 'i' } },
-    ];
+    query.$and.push({
+      $or: [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { college: { $regex: search, $options: 'i' } },
+      ],
+    });
   }
 
   // Get employees
@@ -405,11 +517,285 @@ export const getEmployeesForDepartment = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Download an attachment of a department complaint
+ * GET /api/sub-admin/complaints/:id/attachments/:attachmentId
+ */
+export const downloadAttachment = asyncHandler(async (req, res) => {
+  const { id, attachmentId } = req.params;
+  const complaint = await findDepartmentComplaint(id, req.userId);
+
+  await sendAttachment(res, complaint, attachmentId);
+});
+
+/**
+ * Get the status transition timeline of a department complaint
+ * GET /api/sub-admin/complaints/:id/timeline
+ */
+export const getComplaintTimeline = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  await complaint.populate([
+    { path: 'statusHistory.changedBy', select: 'name email role' },
+    { path: 'assignmentHistory.assignedTo assignmentHistory.previousAssignee assignmentHistory.assignedBy', select: 'name email department' },
+  ]);
+
+  const { statusHistory } = maskComplaintIdentity(complaint);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      complaintId: complaint.complaintId,
+      status: complaint.status,
+      timeline: statusHistory,
+      assignments: complaint.assignmentHistory,
+    },
+  });
+});
+
+/**
+ * Get the status changes the sub-admin may apply to a department complaint
+ * GET /api/sub-admin/complaints/:id/transitions
+ */
+export const getComplaintTransitions = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  const workflow = await getWorkflow();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: complaint.status,
+      transitions: getAllowedTransitions(workflow, complaint.status, req.user.role),
+    },
+  });
+});
+
+/**
+ * Get the sub-admins a department complaint can be handed to
+ * GET /api/sub-admin/complaints/:id/assignees
+ */
+export const getComplaintAssignees = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  const assignees = await getComplaintHandlers(complaint);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      assignedTo: complaint.assignedTo,
+      assignees,
+    },
+  });
+});
+
+/**
+ * Take ownership of an unassigned department complaint
+ * POST /api/sub-admin/complaints/:id/claim
+ */
+export const claimDepartmentComplaint = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  await claimComplaint({ complaint, actor: req.user });
+  await complaint.populate('assignedTo', 'name email department');
+
+  res.status(200).json({
+    success: true,
+    message: 'Complaint assigned to you',
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Hand a department complaint to another handler
+ * PUT /api/sub-admin/complaints/:id/assign
+ */
+export const assignDepartmentComplaint = asyncHandler(async (req, res) => {
+  const { assigneeId, note } = req.body;
+
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  await assignComplaint({ complaint, assigneeId, actor: req.user, note });
+  await complaint.populate('assignedTo', 'name email department');
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint assigned to ${complaint.assignedTo.name}`,
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Override the priority of a department complaint
+ * PATCH /api/sub-admin/complaints/:id/priority
+ */
+export const updateDepartmentComplaintPriority = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  await setComplaintPriority({ complaint, priority: req.body.priority, actor: req.user });
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint priority set to ${complaint.priority}`,
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Close the follow-up opened by negative feedback on a department complaint
+ * PATCH /api/sub-admin/complaints/:id/feedback-follow-up
+ */
+export const completeFeedbackFollowUpHandler = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  await completeFeedbackFollowUp({ complaint, actor: req.user, note: req.body.note });
+
+  res.status(200).json({
+    success: true,
+    message: 'Feedback follow-up completed',
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Get open department complaints similar to a complaint, and the duplicates merged into it
+ * GET /api/sub-admin/complaints/:id/similar
+ */
+export const getSimilarComplaintsHandler = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  await complaint.populate('mergedInto', 'complaintId subject status');
+
+  const [similar, merged] = await Promise.all([
+    complaint.mergedInto
+      ? []
+      : findSimilarComplaints({
+        subject: complaint.subject,
+        content: complaint.content,
+        category: complaint.category,
+        excludeIds: [complaint._id],
+        scope: getSubAdminComplaintScope(req.user),
+      }),
+    getMergedComplaints(complaint._id),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      parent: complaint.mergedInto,
+      similar: similar.map(({ complaint: match, score }) => ({
+        ...maskComplaintIdentity(match),
+        similarity: Math.round(score * 100),
+      })),
+      merged: merged.map(maskComplaintIdentity),
+    },
+  });
+});
+
+/**
+ * Merge a duplicate department complaint into a parent complaint
+ * Both complaints must be in the sub-admin's scope.
+ * POST /api/sub-admin/complaints/:id/merge
+ */
+export const mergeComplaintHandler = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  const parent = await findDepartmentComplaint(req.body.parentId, req.userId);
+
+  await mergeComplaint({ complaint, parent, actor: req.user, note: req.body.note });
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint merged into ${parent.complaintId}`,
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Detach a merged department complaint from its parent
+ * DELETE /api/sub-admin/complaints/:id/merge
+ */
+export const unmergeComplaintHandler = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+  await unmergeComplaint(complaint);
+
+  res.status(200).json({
+    success: true,
+    message: 'Complaint unmerged',
+    data: {
+      complaint: maskComplaintIdentity(complaint),
+    },
+  });
+});
+
+/**
+ * Get the comment thread of a department complaint, including internal notes
+ * GET /api/sub-admin/complaints/:id/comments
+ */
+export const getComments = asyncHandler(async (req, res) => {
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+
+  const comments = await getComplaintComments(complaint._id, { includeInternal: true });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      comments: maskCommentAuthors(comments, complaint),
+    },
+  });
+});
+
+/**
+ * Add a comment or internal note to a department complaint
+ * POST /api/sub-admin/complaints/:id/comments
+ */
+export const addComment = asyncHandler(async (req, res) => {
+  const { body, isInternal } = req.body;
+  const complaint = await findDepartmentComplaint(req.params.id, req.userId);
+
+  const comment = await addComplaintComment({
+    complaint,
+    author: req.user,
+    body,
+    isInternal,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: isInternal ? 'Internal note added successfully' : 'Comment added successfully',
+    data: {
+      comment,
+    },
+  });
+});
+
 export default {
   getComplaintsForDepartment,
   updateComplaintStatus,
   getStats,
+  getAnalytics,
   generateReport,
+  getReportPresets,
+  saveReportPresetHandler,
+  deleteReportPresetHandler,
+  getDigestSettings,
+  updateDigestSettings,
+  sendDigestNow,
+  getDigestRuns,
   getStudentsForDepartment,
   getEmployeesForDepartment,
+  downloadAttachment,
+  getComplaintTimeline,
+  getComplaintTransitions,
+  getComplaintAssignees,
+  claimDepartmentComplaint,
+  assignDepartmentComplaint,
+  updateDepartmentComplaintPriority,
+  completeFeedbackFollowUpHandler,
+  getSimilarComplaintsHandler,
+  mergeComplaintHandler,
+  unmergeComplaintHandler,
+  getComments,
+  addComment,
 };
@@ -47,6 +47,9 @@ import { apiLimiter } from './middlewares/rateLimiter.js';
 // Import utilities
 import seedAdmin from './utils/seedAdmin.js';
 import { verifyTransporter } from './config/email.js';
+import { startSlaScheduler } from './services/slaService.js';
+import { startDigestScheduler } from './services/digestService.js';
+import { startAutoCloseScheduler } from './services/closureService.js';
 
 // Get directory name in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -84,6 +87,13 @@ const allowedOrigins = new Set([
 // SECURITY MIDDLEWARE
 // ===========================================
 
+// Number of reverse proxies in front of the API (e.g. the frontend's
+// /api rewrite), so req.ip is the client's address in sessions and logs
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+if (TRUST_PROXY_HOPS > 0) {
+  app.set('trust proxy', TRUST_PROXY_HOPS);
+}
+
 // Helmet - Sets various HTTP headers for security
 // Protects against well-known web vulnerabilities
 app.use(helmet({
@@ -154,12 +164,12 @@ if (NODE_ENV === 'development') {
 }
 
 // ===========================================
-// STATIC FILES
+// UPLOADED FILES
 // ===========================================
 
-// Serve uploaded files
+// Uploads are private. Complaint attachments are only served through the
+// authorization-checked /complaints/:id/attachments/:attachmentId routes.
 const uploadsPath = path.join(__dirname, '../uploads');
-app.use('/uploads', express.static(uploadsPath));
 
 // ===========================================
 // HEALTH CHECK ROUTES
@@ -249,6 +259,15 @@ const startServer = async () => {
       console.log('✅ Created uploads directory');
     }
 
+    // Escalate complaints that miss their SLA targets
+    startSlaScheduler();
+
+    // Send scheduled complaint digests
+    startDigestScheduler();
+
+    // Remind complainants about, then close, unacknowledged resolved complaints
+    startAutoCloseScheduler();
+
     // Start server
     app.listen(PORT, () => {
       console.log('='.repeat(50));
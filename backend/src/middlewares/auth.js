@@ -6,13 +6,18 @@
  * 
  * Security Considerations:
  * - Token verification on every protected request
- * - Role-based access control (RBAC)
+ * - Role-based access control (RBAC), plus named permissions that custom
+ *   roles can grant beyond the built-in roles
  * - Token expiration handling
+ * - Revoked sessions are rejected even while their access token is unexpired
  * - No sensitive data in error responses
  */
 
 import jwt from 'jsonwebtoken';
 import User, { USER_ROLES } from '../models/User.js';
+import { findActiveSession } from '../services/sessionService.js';
+import { isTwoFactorSetupRequired } from '../services/twoFactorService.js';
+import { getUserPermissions } from '../services/permissionService.js';
 
 /**
  * Verify JWT token and attach user to request
@@ -63,6 +68,15 @@ export const authenticate = async (req, res, next) => {
       throw error;
     }
 
+    // Access tokens issued before sessions were tracked carry no session
+    const session = decoded.sid ? await findActiveSession(decoded.sid, decoded.userId) : null;
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please login again.',
+      });
+    }
+
     // Find user and verify still exists and active
     const user = await User.findById(decoded.userId);
     
@@ -83,6 +97,7 @@ export const authenticate = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.sessionId = session._id;
     
     next();
   } catch (error) {
@@ -122,6 +137,38 @@ export const requireRole = (...roles) => {
   };
 };
 
+/**
+ * Require named permission(s) for access
+ * Admins have every permission; others get them through custom roles.
+ * Must be used AFTER authenticate middleware
+ * @param {...string} permissions - Required permissions (all of them, see PERMISSIONS)
+ * @returns {Function} Middleware function
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.',
+        });
+      }
+
+      req.permissions = req.permissions || await getUserPermissions(req.user);
+      if (!permissions.every((permission) => req.permissions.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.',
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Require admin role
  * Convenience middleware for admin-only routes
@@ -174,20 +221,44 @@ export const checkPasswordChange = (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Check if two-factor setup is required
+ * Blocks access while the user's role requires two-factor authentication
+ * and they have not set it up (setup itself is under /api/auth)
+ */
+export const checkTwoFactorSetup = async (req, res, next) => {
+  try {
+    if (req.user && await isTwoFactorSetupRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account. Please set it up first.',
+        requireTwoFactorSetup: true,
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a short-lived JWT access token for a user's session
+ * Clients get a new one with the session's refresh token when it expires.
  * @param {Object} user - User document
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-export const generateToken = (user) => {
+export const generateToken = (user, sessionId) => {
   return jwt.sign(
     {
       userId: user._id,
       email: user.email,
       role: user.role,
+      sid: sessionId,
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     }
   );
 };
@@ -195,11 +266,13 @@ export const generateToken = (user) => {
 export default {
   authenticate,
   requireRole,
+  requirePermission,
   requireAdmin,
   requireAdminOrSubAdmin,
   requireStudent,
   requireEmployee,
   requireStudentOrEmployee,
   checkPasswordChange,
+  checkTwoFactorSetup,
   generateToken,
 };
@@ -3,10 +3,13 @@
  * 
  * Optimized for low-memory environments (512MB free tier).
  * Uses IP-based limiting to keep memory usage bounded.
- * User-specific limits (like 5 complaints/day) handled at database level.
+ * Per-user complaint limits are admin-configured and checked against the
+ * database (see services/submissionLimitService.js).
  */
 
 import rateLimit from 'express-rate-limit';
+import { asyncHandler } from './errorHandler.js';
+import { checkSubmissionLimits } from '../services/submissionLimitService.js';
 
 /**
  * Login rate limiter - 10 attempts per 15 minutes per IP
@@ -96,7 +99,7 @@ export const forgotPasswordLimiter = rateLimit({
 
 /**
  * Complaint rate limiter - 10 complaints per hour per IP
- * (User-specific daily limit of 5 is enforced in the controller via database)
+ * (Per-user limits are enforced by complaintSubmissionLimiter)
  */
 export const complaintLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -113,10 +116,15 @@ export const complaintLimiter = rateLimit({
 });
 
 /**
- * Complaint cooldown - handled at database level now
- * This is a simple pass-through for backwards compatibility
+ * Per-user complaint limits - daily limit, cooldown and duplicate content
+ * Shared by student and employee submissions. Place it after body
+ * validation: the limits depend on the category and content.
  */
-export const complaintCooldownLimiter = (req, res, next) => next();
+export const complaintSubmissionLimiter = asyncHandler(async (req, res, next) => {
+  const { categoryId, subCategoryId, content } = req.body;
+  await checkSubmissionLimits({ user: req.user, categoryId, subCategoryId, content });
+  next();
+});
 
 export default {
   loginLimiter,
@@ -125,5 +133,5 @@ export default {
   passwordResetLimiter,
   forgotPasswordLimiter,
   complaintLimiter,
-  complaintCooldownLimiter,
+  complaintSubmissionLimiter,
 };
@@ -2,19 +2,22 @@
  * File Upload Middleware
  * 
  * Handles secure file uploads using Multer.
- * Restricted to image files only with size limits.
+ * Single uploads are restricted to images; complaint attachments
+ * additionally accept PDF documents.
  * 
  * Security Considerations:
- * - File type validation (images only)
+ * - File type validation (images, plus PDFs for attachments)
  * - File size limits (5MB max)
  * - Secure filename generation
  * - File extension validation
  * - MIME type verification
+ * - File signature (magic bytes) verification for attachments
  */
 
 import multer from 'multer';
 import path from 'path';
 import crypto from 'crypto';
+import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 
 // Get directory name in ES modules
@@ -31,9 +34,35 @@ const ALLOWED_MIME_TYPES = [
 // Allowed file extensions
 const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
 
+// Allowed attachment MIME types (images and PDF documents)
+const ATTACHMENT_MIME_TYPES = [
+  ...ALLOWED_MIME_TYPES,
+  'application/pdf',
+];
+
+// Allowed attachment extensions
+const ATTACHMENT_EXTENSIONS = [...ALLOWED_EXTENSIONS, '.pdf'];
+
 // Maximum file size (5MB)
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
 
+// Maximum number of attachments per request
+const MAX_ATTACHMENTS = parseInt(process.env.MAX_ATTACHMENTS, 10) || 5;
+
+// Directory where uploaded files are stored (not publicly served)
+export const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+/**
+ * Leading bytes expected for each allowed MIME type.
+ * Used to reject files whose declared type does not match their content.
+ */
+const FILE_SIGNATURES = {
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/jpg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'application/pdf': [Buffer.from('%PDF-')],
+};
+
 /**
  * Storage configuration
  * Files are stored with secure random names to prevent:
@@ -43,8 +72,7 @@ const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024
  */
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../../uploads');
-    cb(null, uploadPath);
+    cb(null, UPLOADS_DIR);
   },
   filename: (req, file, cb) => {
     // Generate secure random filename
@@ -86,6 +114,30 @@ const fileFilter = (req, file, cb) => {
   cb(null, true);
 };
 
+/**
+ * Attachment file filter
+ * Same checks as fileFilter, but also accepts PDF documents.
+ * @param {Request} req
+ * @param {Object} file - Multer file object
+ * @param {Function} cb - Callback
+ */
+const attachmentFileFilter = (req, file, cb) => {
+  if (!ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+    const error = new Error('Invalid file type. Only JPG, JPEG, PNG images and PDF documents are allowed.');
+    error.code = 'INVALID_FILE_TYPE';
+    return cb(error, false);
+  }
+
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (!ATTACHMENT_EXTENSIONS.includes(ext)) {
+    const error = new Error('Invalid file extension. Only .jpg, .jpeg, .png and .pdf are allowed.');
+    error.code = 'INVALID_EXTENSION';
+    return cb(error, false);
+  }
+
+  cb(null, true);
+};
+
 /**
  * Multer upload configuration
  */
@@ -98,6 +150,83 @@ const upload = multer({
   },
 });
 
+/**
+ * Multer configuration for complaint attachments
+ */
+const attachmentUpload = multer({
+  storage,
+  fileFilter: attachmentFileFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_ATTACHMENTS,
+  },
+});
+
+/**
+ * Send a JSON error response for a failed upload
+ * @param {Error} err - Multer or file filter error
+ * @param {Response} res
+ * @param {string} fieldName - Expected form field name
+ * @param {number} maxFiles - Maximum files allowed for the field
+ */
+const handleUploadError = (err, res, fieldName, maxFiles) => {
+  // Handle Multer errors
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `File too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB.`,
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: `Too many files. Only ${maxFiles} file${maxFiles === 1 ? ' is' : 's are'} allowed per upload.`,
+      });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: `Unexpected field name. Use '${fieldName}' for file upload.`,
+      });
+    }
+  }
+
+  // Handle custom errors
+  if (err.code === 'INVALID_FILE_TYPE' || err.code === 'INVALID_EXTENSION') {
+    return res.status(400).json({
+      success: false,
+      message: err.message,
+    });
+  }
+
+  // Generic error
+  console.error('Upload error:', err);
+  return res.status(500).json({
+    success: false,
+    message: 'File upload failed. Please try again.',
+  });
+};
+
+/**
+ * Check that a stored file starts with the signature of its declared MIME type
+ * @param {Object} file - Multer file object
+ * @returns {Promise<boolean>}
+ */
+const hasValidSignature = async (file) => {
+  const signatures = FILE_SIGNATURES[file.mimetype];
+  if (!signatures) return false;
+
+  const handle = await fs.open(file.path, 'r');
+  try {
+    const header = Buffer.alloc(8);
+    await handle.read(header, 0, header.length, 0);
+    return signatures.some((signature) => header.subarray(0, signature.length).equals(signature));
+  } finally {
+    await handle.close();
+  }
+};
+
 /**
  * Single image upload middleware
  * @param {string} fieldName - Form field name for the image
@@ -107,42 +236,53 @@ export const uploadSingle = (fieldName = 'image') => {
   return (req, res, next) => {
     upload.single(fieldName)(req, res, (err) => {
       if (err) {
-        // Handle Multer errors
-        if (err instanceof multer.MulterError) {
-          if (err.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({
-              success: false,
-              message: `File too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB.`,
-            });
-          }
-          if (err.code === 'LIMIT_FILE_COUNT') {
-            return res.status(400).json({
-              success: false,
-              message: 'Too many files. Only 1 file is allowed per upload.',
-            });
-          }
-          if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-            return res.status(400).json({
-              success: false,
-              message: `Unexpected field name. Use '${fieldName}' for file upload.`,
-            });
+        return handleUploadError(err, res, fieldName, 1);
+      }
+
+      next();
+    });
+  };
+};
+
+/**
+ * Multiple attachment upload middleware (images and PDFs)
+ * 
+ * Non-multipart requests pass straight through with no files.
+ * Uploaded files are removed again if the request ends in an error
+ * response, so failed validation never leaves orphans on disk.
+ * 
+ * @param {string} fieldName - Form field name for the attachments
+ * @param {number} maxCount - Maximum number of files
+ * @returns {Function} Multer middleware
+ */
+export const uploadAttachments = (fieldName = 'attachments', maxCount = MAX_ATTACHMENTS) => {
+  return (req, res, next) => {
+    attachmentUpload.array(fieldName, maxCount)(req, res, async (err) => {
+      const files = req.files || [];
+
+      if (err) {
+        await Promise.all(files.map((file) => deleteFile(file.path)));
+        return handleUploadError(err, res, fieldName, maxCount);
+      }
+
+      if (files.length > 0) {
+        res.on('finish', () => {
+          if (res.statusCode >= 400) {
+            files.forEach((file) => deleteFile(file.path));
           }
-        }
+        });
+      }
 
-        // Handle custom errors
-        if (err.code === 'INVALID_FILE_TYPE' || err.code === 'INVALID_EXTENSION') {
+      try {
+        const checks = await Promise.all(files.map(hasValidSignature));
+        if (checks.includes(false)) {
           return res.status(400).json({
             success: false,
-            message: err.message,
+            message: 'File content does not match its type. Only genuine images and PDFs are allowed.',
           });
         }
-
-        // Generic error
-        console.error('Upload error:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'File upload failed. Please try again.',
-        });
+      } catch (error) {
+        return handleUploadError(error, res, fieldName, maxCount);
       }
 
       next();
@@ -150,6 +290,16 @@ export const uploadSingle = (fieldName = 'image') => {
   };
 };
 
+/**
+ * Resolve the on-disk path of a stored upload
+ * Only the base name is used, so stored values cannot escape the uploads directory.
+ * @param {string} filename - Stored filename
+ * @returns {string} Absolute file path
+ */
+export const getFilePath = (filename) => {
+  return path.join(UPLOADS_DIR, path.basename(filename));
+};
+
 /**
  * Get the URL path for an uploaded file
  * @param {string} filename - The filename
@@ -165,7 +315,6 @@ export const getFileUrl = (filename) => {
  * @returns {Promise<void>}
  */
 export const deleteFile = async (filepath) => {
-  const fs = await import('fs/promises');
   try {
     await fs.unlink(filepath);
   } catch (error) {
@@ -177,9 +326,15 @@ export const deleteFile = async (filepath) => {
 
 export default {
   uploadSingle,
+  uploadAttachments,
   getFileUrl,
+  getFilePath,
   deleteFile,
+  UPLOADS_DIR,
   ALLOWED_MIME_TYPES,
   ALLOWED_EXTENSIONS,
+  ATTACHMENT_MIME_TYPES,
+  ATTACHMENT_EXTENSIONS,
   MAX_FILE_SIZE,
+  MAX_ATTACHMENTS,
 };
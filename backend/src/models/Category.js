@@ -0,0 +1,112 @@
+/**
+ * Category Model
+ *
+ * Admin-defined complaint categories (hostel, academics, mess, ...).
+ * A category with a parent is a sub-category. Each category can route its
+ * complaints to a handling department and/or a pool of sub-admins; a
+ * sub-category without its own routing inherits the parent's.
+ */
+
+import mongoose from 'mongoose';
+
+const routingSchema = new mongoose.Schema(
+  {
+    // Department whose sub-admins handle these complaints
+    department: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Department cannot exceed 100 characters'],
+      default: null,
+    },
+    // Specific sub-admins handling these complaints (e.g. mess committee)
+    handlers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// Per-category SLA targets in hours; null falls back to the priority targets
+const categorySlaSchema = new mongoose.Schema(
+  {
+    firstResponseHours: {
+      type: Number,
+      min: [1, 'SLA target must be at least 1 hour'],
+      default: null,
+    },
+    resolutionHours: {
+      type: Number,
+      min: [1, 'SLA target must be at least 1 hour'],
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      maxlength: [100, 'Category name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+      default: null,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+      index: true,
+    },
+    routing: {
+      type: routingSchema,
+      default: () => ({}),
+    },
+    sla: {
+      type: categorySlaSchema,
+      default: () => ({}),
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Names are unique (case-insensitive) among siblings
+categorySchema.index(
+  { parent: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+/**
+ * Whether this category defines its own routing
+ * @returns {boolean}
+ */
+categorySchema.methods.hasRouting = function () {
+  return !!this.routing?.department || (this.routing?.handlers?.length || 0) > 0;
+};
+
+export default mongoose.model('Category', categorySchema);
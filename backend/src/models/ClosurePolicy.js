@@ -0,0 +1,68 @@
+/**
+ * Closure Policy Model
+ *
+ * Admin-managed acknowledgement window after which resolved complaints that
+ * the complainant has not acknowledged are closed automatically, and what a
+ * complainant can do once a complaint is closed. A single document (key
+ * "default") is used by the portal.
+ */
+
+import mongoose from 'mongoose';
+
+// What happens when a complainant tries to reopen a closed complaint
+export const CLOSED_REOPEN_MODE = {
+  BLOCKED: 'BLOCKED',
+  ADMIN_APPROVAL: 'ADMIN_APPROVAL',
+};
+
+const closurePolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'default',
+    },
+    autoClose: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Days after resolution before an unacknowledged complaint is closed
+      windowDays: {
+        type: Number,
+        default: 7,
+        min: [1, 'Acknowledgement window must be at least 1 day'],
+        max: [90, 'Acknowledgement window cannot exceed 90 days'],
+      },
+      // Days before the deadline the complainant is reminded (0 disables reminders)
+      reminderDaysBefore: {
+        type: Number,
+        default: 2,
+        min: [0, 'Reminder lead time cannot be negative'],
+        max: [89, 'Reminder lead time cannot exceed 89 days'],
+      },
+    },
+    reopenAfterClose: {
+      type: String,
+      enum: Object.values(CLOSED_REOPEN_MODE),
+      default: CLOSED_REOPEN_MODE.ADMIN_APPROVAL,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.model('ClosurePolicy', closurePolicySchema);
@@ -2,7 +2,7 @@
  * Complaint Model
  * 
  * Defines the schema for complaints/feedback/reviews submitted by students.
- * Includes status tracking, admin acknowledgment, and image attachments.
+ * Includes status tracking, admin acknowledgment, and file attachments.
  * 
  * Security Considerations:
  * - Content length validation to prevent abuse
@@ -11,15 +11,436 @@
  * - Image URL sanitization
  */
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
 // Define complaint statuses as constants
+// Which transitions between them are allowed is configured by the
+// admin-managed workflow (see services/workflowService.js). WITHDRAWN is
+// outside the workflow: complainants can withdraw any open complaint.
 export const COMPLAINT_STATUS = {
-  READ: 'READ',
-  UNDER_REVIEW: 'UNDER_REVIEW',
+  SUBMITTED: 'SUBMITTED',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  IN_PROGRESS: 'IN_PROGRESS',
+  ON_HOLD: 'ON_HOLD',
+  REJECTED: 'REJECTED',
   RESOLVED: 'RESOLVED',
+  CLOSED: 'CLOSED',
+  WITHDRAWN: 'WITHDRAWN',
+};
+
+// Complaint priority, lowest to highest
+export const COMPLAINT_PRIORITY = {
+  LOW: 'LOW',
+  NORMAL: 'NORMAL',
+  HIGH: 'HIGH',
+  URGENT: 'URGENT',
+};
+
+// Sort weight of each priority; triage queues list higher ranks first
+export const PRIORITY_RANK = {
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2,
+  URGENT: 3,
+};
+
+// Where an attachment was added in the complaint lifecycle
+export const ATTACHMENT_CONTEXT = {
+  SUBMISSION: 'SUBMISSION',
+  REOPEN: 'REOPEN',
+};
+
+/**
+ * Attachment sub-schema
+ * Files live in the private uploads directory and are only served
+ * through the authorization-checked download routes.
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [255, 'File name cannot exceed 255 characters'],
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    context: {
+      type: String,
+      enum: Object.values(ATTACHMENT_CONTEXT),
+      default: ATTACHMENT_CONTEXT.SUBMISSION,
+    },
+  }
+);
+
+/**
+ * Status history sub-schema
+ * One entry per status transition (submission, updates, resolve, reopen).
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Status note cannot exceed 5000 characters'],
+      default: null,
+    },
+  }
+);
+
+/**
+ * Assignment history sub-schema
+ * One entry per assignment, reassignment or claim of a complaint.
+ */
+const assignmentHistorySchema = new mongoose.Schema(
+  {
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    previousAssignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Assignment note cannot exceed 1000 characters'],
+      default: null,
+    },
+    // Assigned outside the complaint's routing (admin escalation)
+    escalated: {
+      type: Boolean,
+      default: false,
+    },
+  }
+);
+
+// Follow-up opened on a complaint after negative feedback
+export const FEEDBACK_FOLLOW_UP_STATUS = {
+  OPEN: 'OPEN',
+  DONE: 'DONE',
 };
 
+/**
+ * Feedback sub-schema
+ * Submitted by the complainant with their rating once a complaint is
+ * resolved (see services/feedbackService.js). The star rating itself stays
+ * in the top-level `rating` field.
+ */
+const feedbackSchema = new mongoose.Schema(
+  {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Feedback comment cannot exceed 2000 characters'],
+      default: null,
+    },
+    // "Was the issue actually fixed?" (null when not answered)
+    issueFixed: {
+      type: Boolean,
+      default: null,
+    },
+    // How responsive the handlers were (1-5)
+    responsiveness: {
+      type: Number,
+      min: [1, 'Responsiveness must be at least 1'],
+      max: [5, 'Responsiveness cannot exceed 5'],
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isNegative: {
+      type: Boolean,
+      default: false,
+    },
+    followUp: {
+      status: {
+        type: String,
+        enum: [...Object.values(FEEDBACK_FOLLOW_UP_STATUS), null],
+        default: null,
+      },
+      openedAt: {
+        type: Date,
+        default: null,
+      },
+      completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      completedAt: {
+        type: Date,
+        default: null,
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Follow-up note cannot exceed 1000 characters'],
+        default: null,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Request to reopen a closed complaint, decided by an admin
+export const REOPEN_REQUEST_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+};
+
+/**
+ * Reopen request sub-schema
+ * Created when a complainant asks to reopen a complaint that is already
+ * closed and the closure policy sends such requests to an admin (see
+ * services/closureService.js). Only the latest request is kept.
+ */
+const reopenRequestSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(REOPEN_REQUEST_STATUS),
+      default: REOPEN_REQUEST_STATUS.PENDING,
+    },
+    remarks: {
+      type: String,
+      required: [true, 'Reopen remarks are required'],
+      trim: true,
+      maxlength: [2000, 'Reopen remarks cannot exceed 2000 characters'],
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    decidedAt: {
+      type: Date,
+      default: null,
+    },
+    decisionNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Decision note cannot exceed 1000 characters'],
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Who a complaint listed on the complainants' board is shown to
+export const BOARD_VISIBILITY = {
+  COLLEGE: 'COLLEGE',
+  DEPARTMENT: 'DEPARTMENT',
+};
+
+/**
+ * Board listing sub-schema
+ * Set at submission when the complainant opts to list the complaint on the
+ * board (see services/boardService.js). College and department are copied
+ * from the submitter so the audience does not change if their profile does.
+ */
+const boardListingSchema = new mongoose.Schema(
+  {
+    visibility: {
+      type: String,
+      enum: Object.values(BOARD_VISIBILITY),
+      required: true,
+    },
+    college: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    department: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    listedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Revision sub-schema
+ * The subject and content as they were before each edit by the complainant
+ * (see services/complaintEditService.js), oldest first.
+ */
+const revisionSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // When this version was replaced
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Withdrawal sub-schema
+ * Set when the complainant withdraws the complaint.
+ */
+const withdrawalSchema = new mongoose.Schema(
+  {
+    reason: {
+      type: String,
+      required: [true, 'A reason is required to withdraw a complaint'],
+      trim: true,
+      maxlength: [1000, 'Withdrawal reason cannot exceed 1000 characters'],
+    },
+    withdrawnAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * SLA sub-schema
+ * Due dates are computed from the SLA policy at submission (see
+ * services/slaService.js); breach timestamps are set by the escalation job.
+ */
+const slaSchema = new mongoose.Schema(
+  {
+    firstResponseDueAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionDueAt: {
+      type: Date,
+      default: null,
+    },
+    firstRespondedAt: {
+      type: Date,
+      default: null,
+    },
+    firstResponseBreachedAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionBreachedAt: {
+      type: Date,
+      default: null,
+    },
+    // Number of times the complaint has been escalated for breaching its SLA
+    escalationLevel: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Identity reveal sub-schema
+ * One entry each time an admin unseals the submitter of an anonymous complaint.
+ */
+const identityRevealSchema = new mongoose.Schema(
+  {
+    revealedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    revealedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: {
+      type: String,
+      required: [true, 'A justification is required to reveal an identity'],
+      trim: true,
+      maxlength: [1000, 'Justification cannot exceed 1000 characters'],
+    },
+  }
+);
+
+/**
+ * Generate the pseudonymous reference shown to handlers in place of the
+ * submitter of an anonymous complaint, e.g. ANON-3F9A1C7B
+ * @returns {string}
+ */
+const generateAnonymousRef = () => `ANON-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
 /**
  * Generate complaint ID in format GEIMS + 6 random digits
  * @returns {string}
@@ -43,6 +464,21 @@ const complaintSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true, // Index for faster user-based queries
     },
+    // Anonymous to handlers: userId stays set so replies and notifications
+    // still reach the submitter, but staff responses are masked (see
+    // services/anonymityService.js) until an admin reveals the identity
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+    anonymousRef: {
+      type: String,
+      default: null,
+    },
+    identityReveals: {
+      type: [identityRevealSchema],
+      default: [],
+    },
     subject: {
       type: String,
       required: [true, 'Complaint subject is required'],
@@ -71,15 +507,135 @@ const complaintSchema = new mongoose.Schema(
         message: 'Invalid image URL format',
       },
     },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    subCategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    // Routing snapshot taken at submission (see services/routingService.js).
+    // Complaints without either field predate categories and fall back to
+    // the submitter's department.
+    routedDepartment: {
+      type: String,
+      trim: true,
+      default: null,
+      index: true,
+    },
+    routedTo: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Submitter's department and college at submission, so sub-admin scopes
+    // filter on the complaint itself. Not returned by default (load them with
+    // routingService's SUBMITTER_SCOPE_FIELDS); anonymityService strips them
+    // from anonymous complaints.
+    submitterDepartment: {
+      type: String,
+      trim: true,
+      default: null,
+      select: false,
+    },
+    submitterCollege: {
+      type: String,
+      trim: true,
+      default: null,
+      select: false,
+    },
+    // Individual handler who owns the complaint (see services/assignmentService.js)
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+    assignmentHistory: {
+      type: [assignmentHistorySchema],
+      default: [],
+    },
+    // Evidence files (images and PDFs) added on submission or reopen
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
     status: {
       type: String,
       enum: {
         values: Object.values(COMPLAINT_STATUS),
-        message: 'Status must be READ, UNDER_REVIEW, or RESOLVED',
+        message: 'Invalid complaint status',
       },
-      default: COMPLAINT_STATUS.READ,
+      default: COMPLAINT_STATUS.SUBMITTED,
       index: true, // Index for filtering by status
     },
+    priority: {
+      type: String,
+      enum: {
+        values: Object.values(COMPLAINT_PRIORITY),
+        message: 'Invalid complaint priority',
+      },
+      default: COMPLAINT_PRIORITY.NORMAL,
+      index: true,
+    },
+    // Kept in sync with priority by the pre-save hook so lists can sort on it
+    priorityRank: {
+      type: Number,
+      default: PRIORITY_RANK.NORMAL,
+    },
+    // Priority picked by the complainant at submission
+    suggestedPriority: {
+      type: String,
+      enum: {
+        values: Object.values(COMPLAINT_PRIORITY),
+        message: 'Invalid complaint priority',
+      },
+      default: null,
+    },
+    // Listing on the complainants' board; null when not listed
+    board: {
+      type: boardListingSchema,
+      default: null,
+    },
+    // "Me too" votes from the board; staff queues rank complaints with more
+    // votes higher within the same priority. Voter IDs are never returned.
+    upvotes: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    upvoteCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Last staff override of the priority
+    priorityChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    priorityChangedAt: {
+      type: Date,
+      default: null,
+    },
+    sla: {
+      type: slaSchema,
+      default: () => ({}),
+    },
     acknowledgment: {
       type: String,
       trim: true,
@@ -114,6 +670,14 @@ const complaintSchema = new mongoose.Schema(
       max: [5, 'Rating cannot exceed 5'],
       default: null,
     },
+    ratedAt: {
+      type: Date,
+      default: null,
+    },
+    feedback: {
+      type: feedbackSchema,
+      default: null,
+    },
     // Student/Employee acknowledgment of resolution
     acknowledgedByStudent: {
       type: Boolean,
@@ -123,6 +687,17 @@ const complaintSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Automatic closure of unacknowledged resolved complaints (see services/closureService.js)
+    autoClose: {
+      reminderSentAt: {
+        type: Date,
+        default: null,
+      },
+      closedAt: {
+        type: Date,
+        default: null,
+      },
+    },
     // Reopen history
     reopenHistory: [
       {
@@ -147,12 +722,48 @@ const complaintSchema = new mongoose.Schema(
         },
       },
     ],
+    reopenRequest: {
+      type: reopenRequestSchema,
+      default: null,
+    },
+    // Duplicate merged into another complaint; it follows the parent's status
+    // from then on (see services/duplicateService.js)
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint',
+      default: null,
+    },
+    mergedAt: {
+      type: Date,
+      default: null,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Earlier versions of the subject and content, kept on every edit
+    revisions: {
+      type: [revisionSchema],
+      default: [],
+    },
+    withdrawal: {
+      type: withdrawalSchema,
+      default: null,
+    },
+    // Audit trail of every status transition
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
     toJSON: {
       transform: function (doc, ret) {
         delete ret.__v;
+        // The reveal log is only returned by the admin reveal endpoint
+        delete ret.identityReveals;
         return ret;
       },
     },
@@ -164,6 +775,20 @@ complaintSchema.index({ userId: 1, status: 1 });
 complaintSchema.index({ createdAt: -1 }); // For sorting by newest first
 complaintSchema.index({ complaintId: 1 }); // For searching by complaint ID
 complaintSchema.index({ userId: 1, createdAt: -1 }); // For user's daily complaint checks (optimized)
+complaintSchema.index({ routedTo: 1 }); // For sub-admin handler pools
+complaintSchema.index({ priorityRank: -1, upvoteCount: -1, createdAt: -1 }); // Default triage ordering
+complaintSchema.index({ updatedAt: -1 }); // For "recently updated" ordering
+complaintSchema.index(
+  { subject: 'text', content: 'text' },
+  { name: 'complaint_text_search', weights: { subject: 5, content: 1 } }
+); // Full-text search of complaint lists
+complaintSchema.index({ status: 1, 'sla.firstResponseDueAt': 1 }); // For the SLA escalation job
+complaintSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+complaintSchema.index({ 'feedback.followUp.status': 1 }); // For the negative feedback queue
+complaintSchema.index({ status: 1, resolvedAt: 1 }); // For the auto-close job
+complaintSchema.index({ 'reopenRequest.status': 1 }); // For the reopen approval queue
+complaintSchema.index({ mergedInto: 1 }); // For fanning parent updates out to merged duplicates
+complaintSchema.index({ 'board.college': 1, 'board.department': 1, upvoteCount: -1 }); // For the complainants' board
 
 /**
  * Pre-save middleware
@@ -182,13 +807,67 @@ complaintSchema.pre('save', async function (next) {
     }
   }
   
+  if (this.isNew && this.isAnonymous && !this.anonymousRef) {
+    this.anonymousRef = generateAnonymousRef();
+  }
+
+  if (this.isNew || this.isModified('priority')) {
+    this.priorityRank = PRIORITY_RANK[this.priority];
+  }
+
   // Set resolvedAt when status changes to RESOLVED
   if (this.isModified('status') && this.status === COMPLAINT_STATUS.RESOLVED) {
     this.resolvedAt = new Date();
   }
+
+  if (this.isModified('rating') && this.rating) {
+    this.ratedAt = new Date();
+  }
   next();
 });
 
+/**
+ * Change status and append an entry to the status history
+ * Does not save; callers save the complaint as part of their update.
+ * @param {Object} params
+ * @param {string} params.to - New status
+ * @param {string|null} params.actor - ID of the user making the change
+ * @param {string} [params.note] - Optional remark for the transition
+ */
+complaintSchema.methods.recordStatusChange = function ({ to, actor = null, note = null }) {
+  this.statusHistory.push({
+    from: this.isNew ? null : this.status,
+    to,
+    changedBy: actor,
+    changedAt: new Date(),
+    note: note || null,
+  });
+  this.status = to;
+};
+
+/**
+ * Assign the complaint to a handler and append an entry to the assignment history
+ * Does not save; callers save the complaint as part of their update.
+ * @param {Object} params
+ * @param {string} params.assignee - ID of the new handler
+ * @param {string|null} params.actor - ID of the user making the assignment
+ * @param {string} [params.note] - Optional handover note
+ * @param {boolean} [params.escalated] - Assigned outside the complaint's routing
+ */
+complaintSchema.methods.recordAssignment = function ({ assignee, actor = null, note = null, escalated = false }) {
+  const assignedAt = new Date();
+  this.assignmentHistory.push({
+    assignedTo: assignee,
+    previousAssignee: this.assignedTo || null,
+    assignedBy: actor,
+    assignedAt,
+    note: note || null,
+    escalated,
+  });
+  this.assignedTo = assignee;
+  this.assignedAt = assignedAt;
+};
+
 /**
  * Static method to get complaints by user
  * @param {string} userId
@@ -210,6 +889,24 @@ complaintSchema.statics.findAllWithUser = function (filters = {}) {
     .sort({ createdAt: -1 });
 };
 
+/**
+ * Count complaints per status, including statuses with no complaints
+ * @param {Object} match - Optional filter
+ * @returns {Promise<Object>} Map of status -> count
+ */
+complaintSchema.statics.countByStatus = async function (match = {}) {
+  const results = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+
+  const byStatus = Object.fromEntries(Object.values(COMPLAINT_STATUS).map((status) => [status, 0]));
+  results.forEach(({ _id, count }) => {
+    if (_id in byStatus) byStatus[_id] = count;
+  });
+  return byStatus;
+};
+
 const Complaint = mongoose.model('Complaint', complaintSchema);
 
 export default Complaint;
@@ -0,0 +1,48 @@
+/**
+ * Complaint Comment Model
+ *
+ * Conversation thread between the complainant and staff on a complaint.
+ * Internal notes are staff-only and never returned to the complainant.
+ */
+
+import mongoose from 'mongoose';
+
+const complaintCommentSchema = new mongoose.Schema(
+  {
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint',
+      required: [true, 'Complaint is required'],
+      index: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required'],
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment text is required'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot exceed 5000 characters'],
+    },
+    // Internal notes are only visible to admins and sub-admins
+    isInternal: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+complaintCommentSchema.index({ complaint: 1, createdAt: 1 });
+
+export default mongoose.model('ComplaintComment', complaintCommentSchema);
@@ -0,0 +1,72 @@
+/**
+ * Complaint Draft Model
+ *
+ * A complaint a student or employee has started writing but not submitted.
+ * Drafts are saved as the complainant types so nothing is lost when they
+ * leave the submission form, and are private to their owner. Attachments
+ * are not kept; they are chosen again when the draft is submitted.
+ */
+
+import mongoose from 'mongoose';
+import { COMPLAINT_PRIORITY, BOARD_VISIBILITY } from './Complaint.js';
+
+const complaintDraftSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Drafts are incomplete, so nothing beyond the length limits is checked
+    // until the complaint is submitted
+    subject: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Subject cannot exceed 200 characters'],
+      default: '',
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [50000, 'Content cannot exceed 50000 characters'],
+      default: '',
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    subCategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    priority: {
+      type: String,
+      enum: [...Object.values(COMPLAINT_PRIORITY), null],
+      default: null,
+    },
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+    boardVisibility: {
+      type: String,
+      enum: [...Object.values(BOARD_VISIBILITY), null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+complaintDraftSchema.index({ owner: 1, updatedAt: -1 });
+
+export default mongoose.model('ComplaintDraft', complaintDraftSchema);
@@ -0,0 +1,84 @@
+/**
+ * Custom Role Model
+ *
+ * Named sets of permissions that admins create and assign to staff, so a
+ * user can be given one portal-wide capability (e.g. an HR employee running
+ * attendance uploads) without full admin access. Permissions are checked
+ * by requirePermission (see middlewares/auth.js).
+ */
+
+import mongoose from 'mongoose';
+import { USER_ROLES } from './User.js';
+
+export const PERMISSIONS = {
+  VIEW_COMPLAINTS: 'complaints.view',
+  RESOLVE_COMPLAINTS: 'complaints.resolve',
+  EXPORT_REPORTS: 'reports.export',
+  MANAGE_USERS: 'users.manage',
+  MANAGE_EMAIL_CONFIG: 'email_config.manage',
+  UPLOAD_ATTENDANCE: 'attendance.upload',
+};
+
+// Permissions that open admin functionality; holding any of them puts a
+// user under the admin two-factor requirement (see services/twoFactorService.js)
+export const PRIVILEGED_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Built-in roles that always hold every permission
+export const FULL_ACCESS_ROLES = [USER_ROLES.ADMIN];
+
+// Roles custom roles can be assigned to; sub-admins keep their department
+// access on top of what custom roles grant
+export const CUSTOM_ROLE_ASSIGNABLE_ROLES = [USER_ROLES.SUB_ADMIN, USER_ROLES.EMPLOYEE];
+
+const customRoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      trim: true,
+      maxlength: [60, 'Role name cannot exceed 60 characters'],
+    },
+    // Lowercased name, so "HR" and "hr" cannot both exist
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Description cannot exceed 300 characters'],
+      default: '',
+    },
+    permissions: {
+      type: [{ type: String, enum: Object.values(PERMISSIONS) }],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+customRoleSchema.pre('validate', function (next) {
+  if (this.name) this.key = this.name.trim().toLowerCase();
+  next();
+});
+
+export default mongoose.model('CustomRole', customRoleSchema);
@@ -0,0 +1,84 @@
+/**
+ * Digest Run Model
+ *
+ * One record per complaint digest the portal tried to send, scheduled or
+ * on demand, with the period it covered and what it contained.
+ */
+
+import mongoose from 'mongoose';
+
+export const DIGEST_RUN_STATUS = {
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+};
+
+export const DIGEST_TRIGGERS = ['scheduled', 'manual'];
+
+const digestRunSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+    },
+    // "All complaints" for admins, the department for sub-admins
+    scope: {
+      type: String,
+      required: true,
+    },
+    frequency: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: DIGEST_TRIGGERS,
+      default: 'scheduled',
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    counts: {
+      new: { type: Number, default: 0 },
+      overdue: { type: Number, default: 0 },
+      reopened: { type: Number, default: 0 },
+      lowRated: { type: Number, default: 0 },
+    },
+    attachment: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.values(DIGEST_RUN_STATUS),
+      required: true,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+digestRunSchema.index({ user: 1, createdAt: -1 });
+digestRunSchema.index({ createdAt: -1 });
+
+export default mongoose.model('DigestRun', digestRunSchema);
@@ -0,0 +1,80 @@
+/**
+ * Digest Subscription Model
+ *
+ * An admin's or sub-admin's settings for the scheduled complaint digest
+ * email: how often it is sent, when, and which report format is attached.
+ * The digest scheduler (services/digestService.js) sends every enabled
+ * subscription whose nextRunAt has passed.
+ */
+
+import mongoose from 'mongoose';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+export const DIGEST_ATTACHMENT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const digestSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    frequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'daily',
+    },
+    // Day of the week for weekly digests (0 = Sunday)
+    weekday: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1,
+    },
+    // Hour of the day (server time) the digest goes out
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8,
+    },
+    attachmentFormat: {
+      type: String,
+      enum: DIGEST_ATTACHMENT_FORMATS,
+      default: 'xlsx',
+    },
+    // Ratings at or below this are listed as low-rated
+    lowRatingThreshold: {
+      type: Number,
+      min: 1,
+      max: 4,
+      default: 2,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+digestSubscriptionSchema.index({ enabled: 1, nextRunAt: 1 }); // For the digest scheduler
+
+export default mongoose.model('DigestSubscription', digestSubscriptionSchema);
@@ -0,0 +1,107 @@
+/**
+ * Report Preset Model
+ *
+ * Named complaint report settings (format, columns, period, filters) saved
+ * by an admin or sub-admin for reuse. Presets are private to their owner.
+ */
+
+import mongoose from 'mongoose';
+import { COMPLAINT_PRIORITY } from './Complaint.js';
+
+export const REPORT_FORMATS = ['csv', 'xlsx', 'pdf', 'json'];
+
+// Column keys, in report order (labels and values live in services/reportService.js)
+export const REPORT_COLUMNS = [
+  'complaintId',
+  'submittedBy',
+  'email',
+  'userType',
+  'studentId',
+  'department',
+  'college',
+  'category',
+  'subCategory',
+  'routedDepartment',
+  'subject',
+  'content',
+  'status',
+  'priority',
+  'suggestedPriority',
+  'submittedAt',
+  'firstResponseDue',
+  'resolutionDue',
+  'slaStatus',
+  'resolvedAt',
+  'assignedTo',
+  'resolvedBy',
+  'acknowledgment',
+  'rating',
+  'acknowledgedBySubmitter',
+  'reopenCount',
+  'reopenRemarks',
+  'statusHistory',
+];
+
+// Columns used when none are chosen; history columns are opt-in
+export const DEFAULT_REPORT_COLUMNS = REPORT_COLUMNS.filter(
+  (column) => !['reopenRemarks', 'statusHistory'].includes(column)
+);
+
+export const REPORT_RANGES = ['last7days', 'last30days', 'all'];
+
+const reportPresetSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Preset name is required'],
+      trim: true,
+      maxlength: [100, 'Preset name cannot exceed 100 characters'],
+    },
+    format: {
+      type: String,
+      enum: REPORT_FORMATS,
+      default: 'csv',
+    },
+    columns: {
+      type: [{ type: String, enum: REPORT_COLUMNS }],
+      default: () => [...DEFAULT_REPORT_COLUMNS],
+    },
+    // Export complaint text in full instead of a 200 character excerpt
+    includeFullText: {
+      type: Boolean,
+      default: false,
+    },
+    predefinedRange: {
+      type: String,
+      enum: REPORT_RANGES,
+      default: 'last30days',
+    },
+    priority: {
+      type: String,
+      enum: Object.values(COMPLAINT_PRIORITY),
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Preset names are unique (case-insensitive) per owner
+reportPresetSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+export default mongoose.model('ReportPreset', reportPresetSchema);
@@ -0,0 +1,78 @@
+/**
+ * Security Event Model
+ *
+ * Audit trail of account security changes and sign-in checks, such as
+ * two-factor enrollment, codes accepted or rejected at login, failed
+ * logins and lockouts, logins from new devices and resets by an admin.
+ * Events are never edited.
+ */
+
+import mongoose from 'mongoose';
+
+export const SECURITY_EVENT_TYPES = {
+  TWO_FACTOR_SETUP_STARTED: 'TWO_FACTOR_SETUP_STARTED',
+  TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+  TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+  TWO_FACTOR_VERIFIED: 'TWO_FACTOR_VERIFIED',
+  TWO_FACTOR_FAILED: 'TWO_FACTOR_FAILED',
+  TWO_FACTOR_BACKUP_CODE_USED: 'TWO_FACTOR_BACKUP_CODE_USED',
+  TWO_FACTOR_BACKUP_CODES_REGENERATED: 'TWO_FACTOR_BACKUP_CODES_REGENERATED',
+  TWO_FACTOR_RESET: 'TWO_FACTOR_RESET',
+  TWO_FACTOR_POLICY_UPDATED: 'TWO_FACTOR_POLICY_UPDATED',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  NEW_DEVICE_LOGIN: 'NEW_DEVICE_LOGIN',
+};
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(SECURITY_EVENT_TYPES),
+      required: true,
+    },
+    // Account the event concerns (null for portal-wide changes)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Who caused it, when not the user themselves (e.g. an admin reset)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+      default: '',
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+export default mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,47 @@
+/**
+ * Security Policy Model
+ *
+ * Admin-managed account security settings, currently which staff roles must
+ * use two-factor authentication. A single document (key "default") is used
+ * by the portal (see services/twoFactorService.js).
+ */
+
+import mongoose from 'mongoose';
+import { USER_ROLES } from './User.js';
+
+// Roles that can turn on two-factor authentication
+export const TWO_FACTOR_ROLES = [USER_ROLES.ADMIN, USER_ROLES.SUB_ADMIN];
+
+const securityPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'default',
+    },
+    twoFactor: {
+      // Users in these roles have to enroll before using the portal
+      requiredRoles: {
+        type: [{ type: String, enum: TWO_FACTOR_ROLES }],
+        default: [],
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.model('SecurityPolicy', securityPolicySchema);
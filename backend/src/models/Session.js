@@ -0,0 +1,87 @@
+/**
+ * Session Model
+ *
+ * A signed-in device. Access tokens are short-lived and name the session
+ * they belong to; the session's refresh token (stored only as a hash) is
+ * rotated every time it is used to get a new access token. Revoking a
+ * session signs that device out on its next request.
+ */
+
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Refresh token replaced by the last rotation. Presenting it again means
+    // it was copied, so the session is revoked.
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // e.g. "Chrome on Windows"
+    device: {
+      type: String,
+      default: 'Unknown device',
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    // When the refresh token was last rotated
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.refreshTokenHash;
+        delete ret.previousRefreshTokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,81 @@
+/**
+ * SLA Policy Model
+ *
+ * Admin-managed response and resolution targets per complaint priority and
+ * what happens when a complaint breaches them. A single document (key
+ * "default") is used by the portal; categories may override the targets.
+ */
+
+import mongoose from 'mongoose';
+
+const targetSchema = new mongoose.Schema(
+  {
+    firstResponseHours: {
+      type: Number,
+      required: true,
+      min: [1, 'SLA target must be at least 1 hour'],
+    },
+    resolutionHours: {
+      type: Number,
+      required: true,
+      min: [1, 'SLA target must be at least 1 hour'],
+    },
+  },
+  { _id: false }
+);
+
+const slaPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'default',
+    },
+    // Targets keyed by complaint priority
+    targets: {
+      LOW: { type: targetSchema, required: true },
+      NORMAL: { type: targetSchema, required: true },
+      HIGH: { type: targetSchema, required: true },
+      URGENT: { type: targetSchema, required: true },
+    },
+    escalation: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Email every active admin about the breach
+      notifyAdmins: {
+        type: Boolean,
+        default: true,
+      },
+      // Raise the complaint priority one level per breach
+      bumpPriority: {
+        type: Boolean,
+        default: true,
+      },
+      // Sub-admin who takes over breached complaints (null keeps the assignee)
+      reassignTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,138 @@
+/**
+ * Submission Policy Model
+ *
+ * Admin-managed limits on how often students and employees can submit
+ * complaints: per-role defaults, optional overrides for individual
+ * categories, and users exempted from the limits. A single document (key
+ * "default") is used by the portal (see services/submissionLimitService.js).
+ */
+
+import mongoose from 'mongoose';
+import { USER_ROLES } from './User.js';
+
+// Roles whose submissions are limited
+export const LIMITED_ROLES = [USER_ROLES.STUDENT, USER_ROLES.EMPLOYEE];
+
+const dailyLimitField = {
+  type: Number,
+  min: [1, 'Daily limit must be at least 1'],
+  max: [100, 'Daily limit cannot exceed 100'],
+};
+
+// 0 turns the cooldown off
+const cooldownField = {
+  type: Number,
+  min: [0, 'Cooldown cannot be negative'],
+  max: [1440, 'Cooldown cannot exceed 24 hours'],
+};
+
+// 0 turns the duplicate check off
+const duplicateWindowField = {
+  type: Number,
+  min: [0, 'Duplicate window cannot be negative'],
+  max: [10080, 'Duplicate window cannot exceed 7 days'],
+};
+
+const roleLimitSchema = new mongoose.Schema(
+  {
+    // Complaints per calendar day
+    dailyLimit: { ...dailyLimitField, required: true },
+    // Minutes between two complaints
+    cooldownMinutes: { ...cooldownField, required: true },
+    // Minutes during which the same content cannot be submitted again
+    duplicateWindowMinutes: { ...duplicateWindowField, required: true },
+  },
+  { _id: false }
+);
+
+// Limits for complaints in one category; null fields fall back to the role limits
+const categoryLimitSchema = new mongoose.Schema(
+  {
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: true,
+    },
+    // Null applies the override to every limited role
+    role: {
+      type: String,
+      enum: LIMITED_ROLES,
+      default: null,
+    },
+    dailyLimit: { ...dailyLimitField, default: null },
+    cooldownMinutes: { ...cooldownField, default: null },
+    duplicateWindowMinutes: { ...duplicateWindowField, default: null },
+  },
+  { _id: false }
+);
+
+const exemptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      required: [true, 'A reason is required'],
+    },
+    // Null never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const submissionPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'default',
+    },
+    // Limits keyed by submitter role
+    limits: {
+      STUDENT: { type: roleLimitSchema, required: true },
+      EMPLOYEE: { type: roleLimitSchema, required: true },
+    },
+    categoryOverrides: {
+      type: [categoryLimitSchema],
+      default: [],
+    },
+    exemptions: {
+      type: [exemptionSchema],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.model('SubmissionPolicy', submissionPolicySchema);
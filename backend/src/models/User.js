@@ -92,6 +92,38 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // Sub-admin heading their department; receives urgent complaint alerts
+    isDepartmentHead: {
+      type: Boolean,
+      default: false,
+    },
+    // Departments a sub-admin covers, each optionally limited to one college.
+    // Empty means just their own department (see services/routingService.js).
+    scopes: {
+      type: [
+        {
+          _id: false,
+          department: {
+            type: String,
+            trim: true,
+            required: true,
+            maxlength: [200, 'Department name cannot exceed 200 characters'],
+          },
+          college: {
+            type: String,
+            trim: true,
+            default: null,
+            maxlength: [200, 'College name cannot exceed 200 characters'],
+          },
+        },
+      ],
+      default: [],
+    },
+    // Extra permissions granted by admins (see models/CustomRole.js)
+    customRoles: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CustomRole' }],
+      default: [],
+    },
     // Account status
     isActive: {
       type: Boolean,
@@ -123,6 +155,73 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+
+    // Two-factor authentication (TOTP, see services/twoFactorService.js).
+    // Secrets are stored encrypted and backup codes as hashes.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret shown during enrollment, until the first code confirms it
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorBackupCodes: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+
+    // Failed-login lockout (DB-backed so it holds across restarts and IPs,
+    // see services/accountLockoutService.js)
+    failedLoginCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      select: false,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      select: false,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Lockouts since the last successful login; each one lasts longer
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      select: false,
+    },
+    // Devices the user has logged in from, to spot logins from new ones
+    knownDevices: {
+      type: [
+        {
+          _id: false,
+          device: { type: String, maxlength: 100 },
+          lastSeenAt: { type: Date },
+        },
+      ],
+      default: undefined,
+      select: false,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
@@ -130,6 +229,9 @@ const userSchema = new mongoose.Schema(
       // Transform output to remove sensitive fields
       transform: function (doc, ret) {
         delete ret.passwordHash;
+        delete ret.twoFactorSecret;
+        delete ret.twoFactorPendingSecret;
+        delete ret.twoFactorBackupCodes;
         delete ret.__v;
         return ret;
       },
@@ -140,6 +242,9 @@ const userSchema = new mongoose.Schema(
 // Index for faster email lookups
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ lockedUntil: 1 });
+userSchema.index({ customRoles: 1 });
+userSchema.index({ 'scopes.department': 1 });
 
 /**
  * Hash password before saving (if modified)
@@ -0,0 +1,87 @@
+/**
+ * Workflow Model
+ *
+ * Admin-managed complaint state machine. Each state lists the transitions
+ * that may leave it, which roles may perform them and whether a remark is
+ * required. A single document (key "default") is used by the portal.
+ */
+
+import mongoose from 'mongoose';
+import { COMPLAINT_STATUS } from './Complaint.js';
+import { USER_ROLES } from './User.js';
+
+const transitionSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      enum: Object.values(COMPLAINT_STATUS),
+      required: true,
+    },
+    roles: {
+      type: [{ type: String, enum: Object.values(USER_ROLES) }],
+      default: [],
+    },
+    requiresRemark: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const workflowStateSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(COMPLAINT_STATUS),
+      required: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, 'State label cannot exceed 50 characters'],
+    },
+    transitions: {
+      type: [transitionSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const workflowSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: 'default',
+    },
+    initialStatus: {
+      type: String,
+      enum: Object.values(COMPLAINT_STATUS),
+      required: true,
+    },
+    states: {
+      type: [workflowStateSchema],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.model('Workflow', workflowSchema);
@@ -1,11 +1,12 @@
 import express from 'express';
 import ActivityLog from '../models/ActivityLog.js';
 import auth from '../middlewares/auth.js';
+import { PERMISSIONS } from '../models/CustomRole.js';
 
 const router = express.Router();
 
 // Get all activity logs (paginated)
-router.get('/', auth.authenticate, async (req, res) => {
+router.get('/', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.UPLOAD_ATTENDANCE), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -37,7 +38,7 @@ router.get('/', auth.authenticate, async (req, res) => {
 });
 
 // Get single activity log details
-router.get('/:id', auth.authenticate, async (req, res) => {
+router.get('/:id', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.UPLOAD_ATTENDANCE), async (req, res) => {
   try {
     const log = await ActivityLog.findById(req.params.id)
       .populate('uploadedBy', 'name email');
@@ -54,7 +55,7 @@ router.get('/:id', auth.authenticate, async (req, res) => {
 });
 
 // Download original attendance Excel file or generate summary
-router.get('/:id/download', auth.authenticate, async (req, res) => {
+router.get('/:id/download', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.UPLOAD_ATTENDANCE), async (req, res) => {
   try {
     const log = await ActivityLog.findById(req.params.id);
 
@@ -145,7 +146,7 @@ router.get('/:id/download', auth.authenticate, async (req, res) => {
 });
 
 // Delete old logs manually (admin only)
-router.delete('/cleanup', auth.authenticate, async (req, res) => {
+router.delete('/cleanup', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.UPLOAD_ATTENDANCE), async (req, res) => {
   try {
     await ActivityLog.cleanOldLogs();
     res.json({ success: true, message: 'Old logs cleaned successfully' });
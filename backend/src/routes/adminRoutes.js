@@ -2,11 +2,13 @@
  * Admin Routes
  * 
  * Defines routes for admin-specific operations.
- * All routes require authentication and admin role.
+ * All routes require authentication. User, complaint and report routes
+ * require a named permission (admins hold all of them; custom roles grant
+ * them to other staff); portal configuration requires the admin role.
  * 
  * Security:
  * - Authentication required
- * - Admin role required
+ * - Permission or admin role required
  * - Input validation
  * - File upload validation for CSV
  */
@@ -14,14 +16,47 @@
 import express from 'express';
 import multer from 'multer';
 import adminController from '../controllers/adminController.js';
-import { authenticate, requireAdmin, checkPasswordChange } from '../middlewares/auth.js';
+import {
+  authenticate,
+  requireAdmin,
+  requirePermission,
+  checkPasswordChange,
+  checkTwoFactorSetup,
+} from '../middlewares/auth.js';
+import { PERMISSIONS } from '../models/CustomRole.js';
 import { apiLimiter } from '../middlewares/rateLimiter.js';
-import { validateBody, validateObjectId } from '../middlewares/validate.js';
+import { validateBody, validateObjectId, validateQuery } from '../middlewares/validate.js';
 import { 
   createStudentSchema, 
   createSubAdminSchema, 
   createEmployeeSchema, 
-  updateComplaintStatusSchema 
+  updateComplaintStatusSchema,
+  updateComplaintPrioritySchema,
+  feedbackFollowUpSchema,
+  mergeComplaintSchema,
+  reopenRequestDecisionSchema,
+  complaintListQuerySchema,
+  analyticsQuerySchema,
+  leaderboardQuerySchema,
+  leaderboardComplaintsQuerySchema,
+  reportGenerationSchema,
+  reportPresetSchema,
+  digestSubscriptionSchema,
+  revealComplaintIdentitySchema,
+  createStaffCommentSchema,
+  assignComplaintSchema,
+  workflowSchema,
+  createCategorySchema,
+  updateCategorySchema,
+  slaPolicySchema,
+  closurePolicySchema,
+  submissionLimitsSchema,
+  submissionExemptionSchema,
+  twoFactorPolicySchema,
+  resetTwoFactorSchema,
+  securityEventQuerySchema,
+  customRoleSchema,
+  assignCustomRolesSchema
 } from '../validators/schemas.js';
 
 const router = express.Router();
@@ -43,33 +78,85 @@ const csvUpload = multer({
   },
 });
 
-// Apply authentication and admin role to all routes
+// Apply authentication to all routes
 router.use(authenticate);
-router.use(requireAdmin);
 router.use(checkPasswordChange);
+router.use(checkTwoFactorSetup);
 router.use(apiLimiter);
 
+// Holders other than admins only reach the complaints their departments cover
+const canViewComplaints = requirePermission(PERMISSIONS.VIEW_COMPLAINTS);
+const canResolveComplaints = requirePermission(PERMISSIONS.RESOLVE_COMPLAINTS);
+const canExportReports = requirePermission(PERMISSIONS.EXPORT_REPORTS);
+const canManageUsers = requirePermission(PERMISSIONS.MANAGE_USERS);
+
 /**
  * @route   GET /api/admin/stats
  * @desc    Get dashboard statistics
- * @access  Admin only
+ * @access  Admin, or complaints.view permission
+ */
+router.get('/stats', canViewComplaints, adminController.getStats);
+
+/**
+ * @route   GET /api/admin/analytics
+ * @desc    Get complaint analytics (time series, response times, breakdowns)
+ * @access  Admin, or complaints.view permission
  */
-router.get('/stats', adminController.getStats);
+router.get('/analytics', canViewComplaints, validateQuery(analyticsQuerySchema), adminController.getAnalytics);
+
+/**
+ * @route   GET /api/admin/leaderboard
+ * @desc    Rank departments or handlers by volume, resolution time, reopen rate and rating
+ * @access  Admin, or complaints.view permission
+ */
+router.get('/leaderboard', canViewComplaints, validateQuery(leaderboardQuerySchema), adminController.getLeaderboardHandler);
+
+/**
+ * @route   GET /api/admin/leaderboard/export
+ * @desc    Download the leaderboard (CSV, XLSX or JSON)
+ * @access  Admin, or reports.export permission
+ */
+router.get('/leaderboard/export', canExportReports, validateQuery(leaderboardQuerySchema), adminController.exportLeaderboardHandler);
+
+/**
+ * @route   GET /api/admin/leaderboard/complaints
+ * @desc    List the resolved complaints behind a leaderboard row
+ * @access  Admin, or complaints.view permission
+ */
+router.get(
+  '/leaderboard/complaints',
+  canViewComplaints,
+  validateQuery(leaderboardComplaintsQuerySchema),
+  adminController.getLeaderboardComplaintsHandler
+);
+
+/**
+ * @route   GET /api/admin/leaderboard/complaints/export
+ * @desc    Download the resolved complaints behind a leaderboard row as a report
+ * @access  Admin, or reports.export permission
+ */
+router.get(
+  '/leaderboard/complaints/export',
+  canExportReports,
+  validateQuery(leaderboardComplaintsQuerySchema),
+  adminController.exportLeaderboardComplaintsHandler
+);
 
 /**
  * @route   GET /api/admin/students
  * @desc    Get all students
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
-router.get('/students', adminController.getAllStudents);
+router.get('/students', canManageUsers, adminController.getAllStudents);
 
 /**
  * @route   GET /api/admin/students/:id
  * @desc    Get single student details
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.get(
   '/students/:id',
+  canManageUsers,
   validateObjectId('id'),
   adminController.getStudent
 );
@@ -77,10 +164,11 @@ router.get(
 /**
  * @route   POST /api/admin/students
  * @desc    Create a single student
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.post(
   '/students',
+  canManageUsers,
   validateBody(createStudentSchema),
   adminController.createStudent
 );
@@ -88,10 +176,11 @@ router.post(
 /**
  * @route   POST /api/admin/students/csv
  * @desc    Create multiple students from CSV
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.post(
   '/students/csv',
+  canManageUsers,
   csvUpload.single('file'),
   adminController.createStudentsFromCSV
 );
@@ -99,10 +188,11 @@ router.post(
 /**
  * @route   PUT /api/admin/students/:id
  * @desc    Update student details
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.put(
   '/students/:id',
+  canManageUsers,
   validateObjectId('id'),
   validateBody(createStudentSchema),
   adminController.updateStudent
@@ -111,10 +201,11 @@ router.put(
 /**
  * @route   DELETE /api/admin/students/:id
  * @desc    Delete a student
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.delete(
   '/students/:id',
+  canManageUsers,
   validateObjectId('id'),
   adminController.deleteStudent
 );
@@ -122,17 +213,18 @@ router.delete(
 /**
  * @route   GET /api/admin/sub-admins
  * @desc    Get all sub-admins
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
-router.get('/sub-admins', adminController.getAllSubAdmins);
+router.get('/sub-admins', canManageUsers, adminController.getAllSubAdmins);
 
 /**
  * @route   POST /api/admin/sub-admins
  * @desc    Create a single sub-admin
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.post(
   '/sub-admins',
+  canManageUsers,
   validateBody(createSubAdminSchema),
   adminController.createSubAdmin
 );
@@ -140,10 +232,11 @@ router.post(
 /**
  * @route   POST /api/admin/sub-admins/csv
  * @desc    Create multiple sub-admins from CSV
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.post(
   '/sub-admins/csv',
+  canManageUsers,
   csvUpload.single('file'),
   adminController.createSubAdminsFromCSV
 );
@@ -151,10 +244,11 @@ router.post(
 /**
  * @route   PUT /api/admin/sub-admins/:id
  * @desc    Update sub-admin details
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.put(
   '/sub-admins/:id',
+  canManageUsers,
   validateObjectId('id'),
   validateBody(createSubAdminSchema),
   adminController.updateSubAdmin
@@ -163,10 +257,11 @@ router.put(
 /**
  * @route   DELETE /api/admin/sub-admins/:id
  * @desc    Delete a sub-admin
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.delete(
   '/sub-admins/:id',
+  canManageUsers,
   validateObjectId('id'),
   adminController.deleteSubAdmin
 );
@@ -174,17 +269,18 @@ router.delete(
 /**
  * @route   GET /api/admin/employees
  * @desc    Get all employees
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
-router.get('/employees', adminController.getAllEmployees);
+router.get('/employees', canManageUsers, adminController.getAllEmployees);
 
 /**
  * @route   POST /api/admin/employees
  * @desc    Create a single employee
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.post(
   '/employees',
+  canManageUsers,
   validateBody(createEmployeeSchema),
   adminController.createEmployee
 );
@@ -192,10 +288,11 @@ router.post(
 /**
  * @route   POST /api/admin/employees/csv
  * @desc    Create multiple employees from CSV
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.post(
   '/employees/csv',
+  canManageUsers,
   csvUpload.single('file'),
   adminController.createEmployeesFromCSV
 );
@@ -203,10 +300,11 @@ router.post(
 /**
  * @route   PUT /api/admin/employees/:id
  * @desc    Update employee details
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.put(
   '/employees/:id',
+  canManageUsers,
   validateObjectId('id'),
   validateBody(createEmployeeSchema),
   adminController.updateEmployee
@@ -215,38 +313,512 @@ router.put(
 /**
  * @route   DELETE /api/admin/employees/:id
  * @desc    Delete an employee
- * @access  Admin only
+ * @access  Admin, or users.manage permission
  */
 router.delete(
   '/employees/:id',
+  canManageUsers,
   validateObjectId('id'),
   adminController.deleteEmployee
 );
 
 /**
  * @route   GET /api/admin/complaints
- * @desc    Get all complaints
- * @access  Admin only
+ * @desc    Search, filter, sort and page through all complaints (cursor pagination)
+ * @access  Admin, or complaints.view permission
  */
-router.get('/complaints', adminController.getAllComplaints);
+router.get(
+  '/complaints',
+  canViewComplaints,
+  validateQuery(complaintListQuerySchema),
+  adminController.getAllComplaints
+);
 
 /**
  * @route   PATCH /api/admin/complaints/:id/status
  * @desc    Update complaint status
- * @access  Admin only
+ * @access  Admin, or complaints.resolve permission
  */
 router.patch(
   '/complaints/:id/status',
+  canResolveComplaints,
   validateObjectId('id'),
   validateBody(updateComplaintStatusSchema),
   adminController.updateComplaintStatus
 );
 
+/**
+ * @route   PATCH /api/admin/complaints/:id/priority
+ * @desc    Override complaint priority
+ * @access  Admin, or complaints.resolve permission
+ */
+router.patch(
+  '/complaints/:id/priority',
+  canResolveComplaints,
+  validateObjectId('id'),
+  validateBody(updateComplaintPrioritySchema),
+  adminController.updateComplaintPriority
+);
+
+/**
+ * @route   PATCH /api/admin/complaints/:id/feedback-follow-up
+ * @desc    Close the follow-up opened by negative feedback
+ * @access  Admin, or complaints.resolve permission
+ */
+router.patch(
+  '/complaints/:id/feedback-follow-up',
+  canResolveComplaints,
+  validateObjectId('id'),
+  validateBody(feedbackFollowUpSchema),
+  adminController.completeFeedbackFollowUpHandler
+);
+
+/**
+ * @route   GET /api/admin/complaints/:id/similar
+ * @desc    Get open complaints similar to a complaint and the duplicates merged into it
+ * @access  Admin, or complaints.view permission
+ */
+router.get(
+  '/complaints/:id/similar',
+  canViewComplaints,
+  validateObjectId('id'),
+  adminController.getSimilarComplaintsHandler
+);
+
+/**
+ * @route   POST /api/admin/complaints/:id/merge
+ * @desc    Merge a duplicate complaint into a parent complaint
+ * @access  Admin, or complaints.resolve permission
+ */
+router.post(
+  '/complaints/:id/merge',
+  canResolveComplaints,
+  validateObjectId('id'),
+  validateBody(mergeComplaintSchema),
+  adminController.mergeComplaintHandler
+);
+
+/**
+ * @route   DELETE /api/admin/complaints/:id/merge
+ * @desc    Detach a merged complaint from its parent
+ * @access  Admin, or complaints.resolve permission
+ */
+router.delete(
+  '/complaints/:id/merge',
+  canResolveComplaints,
+  validateObjectId('id'),
+  adminController.unmergeComplaintHandler
+);
+
+/**
+ * @route   PATCH /api/admin/complaints/:id/reopen-request
+ * @desc    Approve or reject a request to reopen a closed complaint
+ * @access  Admin, or complaints.resolve permission
+ */
+router.patch(
+  '/complaints/:id/reopen-request',
+  canResolveComplaints,
+  validateObjectId('id'),
+  validateBody(reopenRequestDecisionSchema),
+  adminController.decideReopenRequestHandler
+);
+
+/**
+ * @route   POST /api/admin/complaints/:id/reveal-identity
+ * @desc    Reveal the submitter of an anonymous complaint (justification recorded)
+ * @access  Admin only
+ */
+router.post(
+  '/complaints/:id/reveal-identity',
+  requireAdmin,
+  validateObjectId('id'),
+  validateBody(revealComplaintIdentitySchema),
+  adminController.revealComplaintSubmitter
+);
+
+/**
+ * @route   GET /api/admin/complaints/:id/timeline
+ * @desc    Get the status transition history of a complaint
+ * @access  Admin, or complaints.view permission
+ */
+router.get(
+  '/complaints/:id/timeline',
+  canViewComplaints,
+  validateObjectId('id'),
+  adminController.getComplaintTimeline
+);
+
+/**
+ * @route   GET /api/admin/complaints/:id/transitions
+ * @desc    Get the status changes allowed by the workflow for a complaint
+ * @access  Admin, or complaints.view permission
+ */
+router.get(
+  '/complaints/:id/transitions',
+  canViewComplaints,
+  validateObjectId('id'),
+  adminController.getComplaintTransitions
+);
+
+/**
+ * @route   GET /api/admin/complaints/:id/assignees
+ * @desc    Get the sub-admins a complaint can be assigned or escalated to
+ * @access  Admin, or complaints.view permission
+ */
+router.get(
+  '/complaints/:id/assignees',
+  canViewComplaints,
+  validateObjectId('id'),
+  adminController.getComplaintAssignees
+);
+
+/**
+ * @route   PUT /api/admin/complaints/:id/assign
+ * @desc    Assign, reassign or escalate a complaint to a sub-admin
+ * @access  Admin, or complaints.resolve permission
+ */
+router.put(
+  '/complaints/:id/assign',
+  canResolveComplaints,
+  validateObjectId('id'),
+  validateBody(assignComplaintSchema),
+  adminController.assignComplaintHandler
+);
+
+/**
+ * @route   GET /api/admin/complaints/:id/comments
+ * @desc    Get the comment thread of a complaint
+ * @access  Admin, or complaints.view permission
+ */
+router.get(
+  '/complaints/:id/comments',
+  canViewComplaints,
+  validateObjectId('id'),
+  adminController.getComments
+);
+
+/**
+ * @route   POST /api/admin/complaints/:id/comments
+ * @desc    Add a comment or internal note to a complaint
+ * @access  Admin, or complaints.resolve permission
+ */
+router.post(
+  '/complaints/:id/comments',
+  canResolveComplaints,
+  validateObjectId('id'),
+  validateBody(createStaffCommentSchema),
+  adminController.addComment
+);
+
+/**
+ * @route   GET /api/admin/complaints/:id/attachments/:attachmentId
+ * @desc    Download a complaint attachment
+ * @access  Admin, or complaints.view permission
+ */
+router.get(
+  '/complaints/:id/attachments/:attachmentId',
+  canViewComplaints,
+  validateObjectId('id'),
+  validateObjectId('attachmentId'),
+  adminController.downloadAttachment
+);
+
 /**
  * @route   GET /api/admin/reports
- * @desc    Generate and download complaint report
+ * @desc    Generate and download complaint report (CSV, XLSX, PDF or JSON)
+ * @access  Admin, or reports.export permission
+ */
+router.get('/reports', canExportReports, validateQuery(reportGenerationSchema), adminController.generateReport);
+
+/**
+ * @route   GET /api/admin/report-presets
+ * @desc    Get saved report presets
+ * @access  Admin, or reports.export permission
+ */
+router.get('/report-presets', canExportReports, adminController.getReportPresets);
+
+/**
+ * @route   POST /api/admin/report-presets
+ * @desc    Save a named report preset
+ * @access  Admin, or reports.export permission
+ */
+router.post('/report-presets', canExportReports, validateBody(reportPresetSchema), adminController.saveReportPresetHandler);
+
+/**
+ * @route   DELETE /api/admin/report-presets/:id
+ * @desc    Delete a report preset
+ * @access  Admin, or reports.export permission
+ */
+router.delete('/report-presets/:id', canExportReports, validateObjectId('id'), adminController.deleteReportPresetHandler);
+
+// Everything below configures the portal and stays admin-only
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/admin/digest
+ * @desc    Get own complaint digest email settings
+ * @access  Admin only
+ */
+router.get('/digest', adminController.getDigestSettings);
+
+/**
+ * @route   PUT /api/admin/digest
+ * @desc    Update own complaint digest email settings
  * @access  Admin only
  */
-router.get('/reports', adminController.generateReport);
+router.put('/digest', validateBody(digestSubscriptionSchema), adminController.updateDigestSettings);
+
+/**
+ * @route   POST /api/admin/digest/send
+ * @desc    Send a copy of own digest now
+ * @access  Admin only
+ */
+router.post('/digest/send', adminController.sendDigestNow);
+
+/**
+ * @route   GET /api/admin/digest/runs
+ * @desc    Get recent digest runs for all recipients
+ * @access  Admin only
+ */
+router.get('/digest/runs', adminController.getDigestRuns);
+
+/**
+ * @route   GET /api/admin/workflow
+ * @desc    Get the complaint workflow configuration
+ * @access  Admin only
+ */
+router.get('/workflow', adminController.getWorkflowConfig);
+
+/**
+ * @route   PUT /api/admin/workflow
+ * @desc    Replace the complaint workflow configuration
+ * @access  Admin only
+ */
+router.put(
+  '/workflow',
+  validateBody(workflowSchema),
+  adminController.updateWorkflowConfig
+);
+
+/**
+ * @route   GET /api/admin/sla
+ * @desc    Get the SLA policy
+ * @access  Admin only
+ */
+router.get('/sla', adminController.getSlaConfig);
+
+/**
+ * @route   PUT /api/admin/sla
+ * @desc    Replace the SLA policy
+ * @access  Admin only
+ */
+router.put(
+  '/sla',
+  validateBody(slaPolicySchema),
+  adminController.updateSlaConfig
+);
+
+/**
+ * @route   GET /api/admin/closure
+ * @desc    Get the closure policy
+ * @access  Admin only
+ */
+router.get('/closure', adminController.getClosureConfig);
+
+/**
+ * @route   PUT /api/admin/closure
+ * @desc    Replace the closure policy
+ * @access  Admin only
+ */
+router.put(
+  '/closure',
+  validateBody(closurePolicySchema),
+  adminController.updateClosureConfig
+);
+
+/**
+ * @route   GET /api/admin/submission-limits
+ * @desc    Get the complaint submission limits and exemptions
+ * @access  Admin only
+ */
+router.get('/submission-limits', adminController.getSubmissionLimitsConfig);
+
+/**
+ * @route   PUT /api/admin/submission-limits
+ * @desc    Replace the submission limits and category overrides
+ * @access  Admin only
+ */
+router.put(
+  '/submission-limits',
+  validateBody(submissionLimitsSchema),
+  adminController.updateSubmissionLimitsConfig
+);
+
+/**
+ * @route   POST /api/admin/submission-limits/exemptions
+ * @desc    Exempt a student or employee from the submission limits
+ * @access  Admin only
+ */
+router.post(
+  '/submission-limits/exemptions',
+  validateBody(submissionExemptionSchema),
+  adminController.grantSubmissionExemption
+);
+
+/**
+ * @route   DELETE /api/admin/submission-limits/exemptions/:userId
+ * @desc    Remove a user's exemption from the submission limits
+ * @access  Admin only
+ */
+router.delete(
+  '/submission-limits/exemptions/:userId',
+  validateObjectId('userId'),
+  adminController.revokeSubmissionExemption
+);
+
+/**
+ * @route   GET /api/admin/two-factor
+ * @desc    Get the two-factor policy and staff two-factor status
+ * @access  Admin only
+ */
+router.get('/two-factor', adminController.getTwoFactorConfig);
+
+/**
+ * @route   PUT /api/admin/two-factor
+ * @desc    Choose the roles that must use two-factor authentication
+ * @access  Admin only
+ */
+router.put(
+  '/two-factor',
+  validateBody(twoFactorPolicySchema),
+  adminController.updateTwoFactorConfig
+);
+
+/**
+ * @route   POST /api/admin/two-factor/users/:id/reset
+ * @desc    Reset two-factor authentication for a staff member who lost their device
+ * @access  Admin only
+ */
+router.post(
+  '/two-factor/users/:id/reset',
+  validateObjectId('id'),
+  validateBody(resetTwoFactorSchema),
+  adminController.resetUserTwoFactor
+);
+
+/**
+ * @route   GET /api/admin/security-events
+ * @desc    Page through account security events
+ * @access  Admin only
+ */
+router.get(
+  '/security-events',
+  validateQuery(securityEventQuerySchema),
+  adminController.getSecurityEvents
+);
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    Get accounts that are locked or have recent failed logins
+ * @access  Admin only
+ */
+router.get('/lockouts', adminController.getLockedAccounts);
+
+/**
+ * @route   POST /api/admin/lockouts/:id/unlock
+ * @desc    Unlock an account locked after failed logins
+ * @access  Admin only
+ */
+router.post(
+  '/lockouts/:id/unlock',
+  validateObjectId('id'),
+  adminController.unlockUserAccount
+);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Get custom roles, available permissions and who holds each role
+ * @access  Admin only
+ */
+router.get('/roles', adminController.getCustomRoles);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a custom role
+ * @access  Admin only
+ */
+router.post('/roles', validateBody(customRoleSchema), adminController.createCustomRoleHandler);
+
+/**
+ * @route   PUT /api/admin/roles/:id
+ * @desc    Update a custom role
+ * @access  Admin only
+ */
+router.put(
+  '/roles/:id',
+  validateObjectId('id'),
+  validateBody(customRoleSchema),
+  adminController.updateCustomRoleHandler
+);
+
+/**
+ * @route   DELETE /api/admin/roles/:id
+ * @desc    Delete a custom role
+ * @access  Admin only
+ */
+router.delete('/roles/:id', validateObjectId('id'), adminController.deleteCustomRoleHandler);
+
+/**
+ * @route   PUT /api/admin/users/:id/roles
+ * @desc    Set the custom roles of a sub-admin or employee
+ * @access  Admin only
+ */
+router.put(
+  '/users/:id/roles',
+  validateObjectId('id'),
+  validateBody(assignCustomRolesSchema),
+  adminController.assignUserCustomRoles
+);
+
+/**
+ * @route   GET /api/admin/categories
+ * @desc    Get all complaint categories with routing
+ * @access  Admin only
+ */
+router.get('/categories', adminController.getCategories);
+
+/**
+ * @route   POST /api/admin/categories
+ * @desc    Create a complaint category or sub-category
+ * @access  Admin only
+ */
+router.post(
+  '/categories',
+  validateBody(createCategorySchema),
+  adminController.createComplaintCategory
+);
+
+/**
+ * @route   PUT /api/admin/categories/:id
+ * @desc    Update a complaint category
+ * @access  Admin only
+ */
+router.put(
+  '/categories/:id',
+  validateObjectId('id'),
+  validateBody(updateCategorySchema),
+  adminController.updateComplaintCategory
+);
+
+/**
+ * @route   DELETE /api/admin/categories/:id
+ * @desc    Delete an unused complaint category
+ * @access  Admin only
+ */
+router.delete(
+  '/categories/:id',
+  validateObjectId('id'),
+  adminController.deleteComplaintCategory
+);
 
 export default router;
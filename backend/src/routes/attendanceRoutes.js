@@ -1,13 +1,14 @@
 import express from 'express';
 import uploadAttendance from '../middlewares/uploadAttendance.js';
 import auth from '../middlewares/auth.js';
+import { PERMISSIONS } from '../models/CustomRole.js';
 import { processAttendanceFile, sendReports } from '../services/attendanceService.js';
 import fs from 'fs';
 
 const router = express.Router();
 
 // Upload and process attendance file
-router.post('/upload', auth.authenticate, uploadAttendance.single('file'), async (req, res) => {
+router.post('/upload', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.UPLOAD_ATTENDANCE), uploadAttendance.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -36,7 +37,7 @@ router.post('/upload', auth.authenticate, uploadAttendance.single('file'), async
 });
 
 // Send attendance reports
-router.post('/send-reports', auth.authenticate, uploadAttendance.single('file'), async (req, res) => {
+router.post('/send-reports', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.UPLOAD_ATTENDANCE), uploadAttendance.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
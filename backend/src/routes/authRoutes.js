@@ -7,15 +7,24 @@
  * Security:
  * - Rate limiting on login endpoint
  * - Input validation
- * - JWT token for protected routes
+ * - JWT access token for protected routes
+ * - Refresh token in an httpOnly cookie, rotated on every refresh
  */
 
 import express from 'express';
 import authController from '../controllers/authController.js';
 import { authenticate } from '../middlewares/auth.js';
 import { loginLimiter, passwordResetLimiter, forgotPasswordLimiter } from '../middlewares/rateLimiter.js';
-import { validateBody } from '../middlewares/validate.js';
-import { loginSchema, changePasswordSchema, forgotPasswordSchema, resetPasswordSchema } from '../validators/schemas.js';
+import { validateBody, validateObjectId } from '../middlewares/validate.js';
+import {
+  loginSchema,
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+} from '../validators/schemas.js';
 
 const router = express.Router();
 
@@ -31,6 +40,18 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: authenticator or backup code
+ * @access  Public (login challenge, rate limited)
+ */
+router.post(
+  '/login/2fa',
+  loginLimiter,
+  validateBody(twoFactorLoginSchema),
+  authController.loginTwoFactor
+);
+
 /**
  * @route   POST /api/auth/change-password
  * @desc    Change user password
@@ -90,17 +111,121 @@ router.get(
   authController.getMe
 );
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Get a new access token with the refresh token (rotated)
+ * @access  Public (refresh token cookie)
+ */
+router.post(
+  '/refresh',
+  authController.refresh
+);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
- * @access  Private
+ * @desc    Logout user, ending the session of the refresh token
+ * @access  Public (refresh token cookie), so an expired access token does not prevent it
  */
 router.post(
   '/logout',
-  authenticate,
   authController.logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout of all devices
+ * @access  Private
+ */
+router.post(
+  '/logout-all',
+  authenticate,
+  authController.logoutAll
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the user is signed in on
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one of the user's other devices
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  validateObjectId('id'),
+  authController.revokeOtherSession
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the user's two-factor status
+ * @access  Private
+ */
+router.get(
+  '/2fa',
+  authenticate,
+  authController.getTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start setting up two-factor authentication (QR code)
+ * @access  Private (admin and sub-admin)
+ */
+router.post(
+  '/2fa/setup',
+  authenticate,
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm the setup with a code; returns backup codes
+ * @access  Private (rate limited)
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  loginLimiter,
+  validateBody(twoFactorCodeSchema),
+  authController.enableTwoFactorAuth
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (password and code)
+ * @access  Private (rate limited)
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  loginLimiter,
+  validateBody(disableTwoFactorSchema),
+  authController.disableTwoFactorAuth
+);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the backup codes
+ * @access  Private (rate limited)
+ */
+router.post(
+  '/2fa/backup-codes',
+  authenticate,
+  loginLimiter,
+  validateBody(twoFactorCodeSchema),
+  authController.regenerateTwoFactorBackupCodes
+);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify token validity
@@ -1,11 +1,12 @@
 import express from 'express';
 import EmailConfig from '../models/EmailConfig.js';
 import auth from '../middlewares/auth.js';
+import { PERMISSIONS } from '../models/CustomRole.js';
 
 const router = express.Router();
 
 // Get all email configurations
-router.get('/', auth.authenticate, async (req, res) => {
+router.get('/', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.MANAGE_EMAIL_CONFIG), async (req, res) => {
   try {
     const configs = await EmailConfig.find({ isActive: true });
     res.json({ success: true, data: configs });
@@ -16,7 +17,7 @@ router.get('/', auth.authenticate, async (req, res) => {
 });
 
 // Get email config by role and department
-router.get('/:role', auth.authenticate, async (req, res) => {
+router.get('/:role', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.MANAGE_EMAIL_CONFIG), async (req, res) => {
   try {
     const { role } = req.params;
     const { department } = req.query;
@@ -35,7 +36,7 @@ router.get('/:role', auth.authenticate, async (req, res) => {
 });
 
 // Create new email configuration
-router.post('/', auth.authenticate, async (req, res) => {
+router.post('/', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.MANAGE_EMAIL_CONFIG), async (req, res) => {
   try {
     const { role, department, emails } = req.body;
 
@@ -63,7 +64,7 @@ router.post('/', auth.authenticate, async (req, res) => {
 });
 
 // Update email configuration
-router.put('/:id', auth.authenticate, async (req, res) => {
+router.put('/:id', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.MANAGE_EMAIL_CONFIG), async (req, res) => {
   try {
     const { id } = req.params;
     const { emails, isActive } = req.body;
@@ -90,7 +91,7 @@ router.put('/:id', auth.authenticate, async (req, res) => {
 });
 
 // Delete email configuration
-router.delete('/:id', auth.authenticate, async (req, res) => {
+router.delete('/:id', auth.authenticate, auth.checkPasswordChange, auth.checkTwoFactorSetup, auth.requirePermission(PERMISSIONS.MANAGE_EMAIL_CONFIG), async (req, res) => {
   try {
     const { id } = req.params;
     
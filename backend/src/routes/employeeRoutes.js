@@ -8,18 +8,26 @@
  * - Authentication required
  * - Employee role required
  * - Input validation
+ * - File upload validation for attachments (images and PDFs)
  */
 
 import express from 'express';
 import employeeController from '../controllers/employeeController.js';
-import { authenticate, requireEmployee, checkPasswordChange } from '../middlewares/auth.js';
-import { apiLimiter } from '../middlewares/rateLimiter.js';
-import { validateBody, validateObjectId } from '../middlewares/validate.js';
+import { authenticate, requireEmployee, checkPasswordChange, checkTwoFactorSetup } from '../middlewares/auth.js';
+import { apiLimiter, complaintSubmissionLimiter } from '../middlewares/rateLimiter.js';
+import { validateBody, validateObjectId, validateQuery } from '../middlewares/validate.js';
+import { uploadAttachments } from '../middlewares/upload.js';
 import { 
   createComplaintSchema, 
+  similarComplaintsSchema,
+  boardQuerySchema,
   reopenComplaintSchema, 
   rateComplaintSchema, 
-  acknowledgeComplaintSchema 
+  acknowledgeComplaintSchema,
+  createCommentSchema,
+  complaintDraftSchema,
+  editComplaintSchema,
+  withdrawComplaintSchema
 } from '../validators/schemas.js';
 
 const router = express.Router();
@@ -28,6 +36,8 @@ const router = express.Router();
 router.use(authenticate);
 router.use(requireEmployee);
 router.use(checkPasswordChange);
+// Employees with admin permissions from custom roles may have to use 2FA
+router.use(checkTwoFactorSetup);
 router.use(apiLimiter);
 
 /**
@@ -37,6 +47,67 @@ router.use(apiLimiter);
  */
 router.get('/dashboard', employeeController.getDashboardStats);
 
+/**
+ * @route   GET /api/employee/categories
+ * @desc    Get active complaint categories
+ * @access  Employee only
+ */
+router.get('/categories', employeeController.getCategories);
+
+/**
+ * @route   GET /api/employee/board
+ * @desc    List complaints on the board of the employee's college or department
+ * @access  Employee only
+ */
+router.get('/board', validateQuery(boardQuerySchema), employeeController.getBoard);
+
+/**
+ * @route   POST /api/employee/board/:id/upvote
+ * @desc    Add a "me too" vote to a complaint on the board
+ * @access  Employee only
+ */
+router.post('/board/:id/upvote', validateObjectId('id'), employeeController.upvoteBoardComplaint);
+
+/**
+ * @route   DELETE /api/employee/board/:id/upvote
+ * @desc    Withdraw a "me too" vote
+ * @access  Employee only
+ */
+router.delete('/board/:id/upvote', validateObjectId('id'), employeeController.removeBoardUpvote);
+
+/**
+ * @route   GET /api/employee/drafts
+ * @desc    List complaint drafts
+ * @access  Employee only (own drafts)
+ */
+router.get('/drafts', employeeController.getDrafts);
+
+/**
+ * @route   POST /api/employee/drafts
+ * @desc    Start a complaint draft
+ * @access  Employee only
+ */
+router.post('/drafts', validateBody(complaintDraftSchema), employeeController.createComplaintDraft);
+
+/**
+ * @route   PUT /api/employee/drafts/:id
+ * @desc    Save changes to a complaint draft
+ * @access  Employee only (own drafts)
+ */
+router.put(
+  '/drafts/:id',
+  validateObjectId('id'),
+  validateBody(complaintDraftSchema),
+  employeeController.updateComplaintDraft
+);
+
+/**
+ * @route   DELETE /api/employee/drafts/:id
+ * @desc    Delete a complaint draft
+ * @access  Employee only (own drafts)
+ */
+router.delete('/drafts/:id', validateObjectId('id'), employeeController.deleteComplaintDraft);
+
 /**
  * @route   GET /api/employee/complaints
  * @desc    Get employee's own complaints
@@ -46,15 +117,29 @@ router.get('/complaints', employeeController.getMyComplaints);
 
 /**
  * @route   POST /api/employee/complaints
- * @desc    Submit a new complaint
+ * @desc    Submit a new complaint with optional image/PDF attachments
  * @access  Employee only
+ * @limit   Admin-configured daily limit, cooldown and duplicate window
  */
 router.post(
   '/complaints',
+  uploadAttachments(),
   validateBody(createComplaintSchema),
+  complaintSubmissionLimiter,
   employeeController.submitComplaint
 );
 
+/**
+ * @route   POST /api/employee/complaints/similar
+ * @desc    Find open complaints similar to one being written
+ * @access  Employee only
+ */
+router.post(
+  '/complaints/similar',
+  validateBody(similarComplaintsSchema),
+  employeeController.getSimilarComplaints
+);
+
 /**
  * @route   GET /api/employee/complaints/:id
  * @desc    Get single complaint details
@@ -66,21 +151,46 @@ router.get(
   employeeController.getComplaintById
 );
 
+/**
+ * @route   PUT /api/employee/complaints/:id
+ * @desc    Edit the subject and content of a complaint staff have not responded to
+ * @access  Employee only (own complaints)
+ */
+router.put(
+  '/complaints/:id',
+  validateObjectId('id'),
+  validateBody(editComplaintSchema),
+  employeeController.updateComplaint
+);
+
+/**
+ * @route   POST /api/employee/complaints/:id/withdraw
+ * @desc    Withdraw an open complaint
+ * @access  Employee only (own complaints)
+ */
+router.post(
+  '/complaints/:id/withdraw',
+  validateObjectId('id'),
+  validateBody(withdrawComplaintSchema),
+  employeeController.withdrawMyComplaint
+);
+
 /**
  * @route   POST /api/employee/complaints/:id/reopen
- * @desc    Reopen a resolved complaint
+ * @desc    Reopen a resolved complaint with optional image/PDF attachments
  * @access  Employee only
  */
 router.post(
   '/complaints/:id/reopen',
   validateObjectId('id'),
+  uploadAttachments(),
   validateBody(reopenComplaintSchema),
   employeeController.reopenComplaint
 );
 
 /**
  * @route   POST /api/employee/complaints/:id/rate
- * @desc    Rate a resolved complaint
+ * @desc    Rate a resolved complaint and leave feedback
  * @access  Employee only
  */
 router.post(
@@ -102,4 +212,39 @@ router.post(
   employeeController.acknowledgeComplaint
 );
 
+/**
+ * @route   GET /api/employee/complaints/:id/comments
+ * @desc    Get the comment thread of a complaint
+ * @access  Employee only (own complaints)
+ */
+router.get(
+  '/complaints/:id/comments',
+  validateObjectId('id'),
+  employeeController.getComments
+);
+
+/**
+ * @route   POST /api/employee/complaints/:id/comments
+ * @desc    Add a comment to a complaint
+ * @access  Employee only (own complaints)
+ */
+router.post(
+  '/complaints/:id/comments',
+  validateObjectId('id'),
+  validateBody(createCommentSchema),
+  employeeController.addComment
+);
+
+/**
+ * @route   GET /api/employee/complaints/:id/attachments/:attachmentId
+ * @desc    Download an attachment of an own complaint
+ * @access  Employee only (own complaints)
+ */
+router.get(
+  '/complaints/:id/attachments/:attachmentId',
+  validateObjectId('id'),
+  validateObjectId('attachmentId'),
+  employeeController.downloadAttachment
+);
+
 export default router;
@@ -8,19 +8,26 @@
  * - Authentication required
  * - Student role required
  * - Input validation
- * - File upload validation for images
+ * - File upload validation for attachments (images and PDFs)
  */
 
 import express from 'express';
 import studentController from '../controllers/studentController.js';
 import { authenticate, requireStudent, checkPasswordChange } from '../middlewares/auth.js';
-import { apiLimiter, complaintLimiter, complaintCooldownLimiter } from '../middlewares/rateLimiter.js';
-import { validateBody, validateObjectId } from '../middlewares/validate.js';
+import { apiLimiter, complaintLimiter, complaintSubmissionLimiter } from '../middlewares/rateLimiter.js';
+import { validateBody, validateObjectId, validateQuery } from '../middlewares/validate.js';
+import { uploadAttachments } from '../middlewares/upload.js';
 import { 
   createComplaintSchema, 
+  similarComplaintsSchema,
+  boardQuerySchema,
   reopenComplaintSchema, 
   rateComplaintSchema, 
-  acknowledgeComplaintSchema 
+  acknowledgeComplaintSchema,
+  createCommentSchema,
+  complaintDraftSchema,
+  editComplaintSchema,
+  withdrawComplaintSchema
 } from '../validators/schemas.js';
 
 const router = express.Router();
@@ -45,6 +52,67 @@ router.get('/profile', studentController.getProfile);
  */
 router.get('/stats', studentController.getMyStats);
 
+/**
+ * @route   GET /api/student/categories
+ * @desc    Get active complaint categories
+ * @access  Student only
+ */
+router.get('/categories', studentController.getCategories);
+
+/**
+ * @route   GET /api/student/board
+ * @desc    List complaints on the board of the student's college or department
+ * @access  Student only
+ */
+router.get('/board', validateQuery(boardQuerySchema), studentController.getBoard);
+
+/**
+ * @route   POST /api/student/board/:id/upvote
+ * @desc    Add a "me too" vote to a complaint on the board
+ * @access  Student only
+ */
+router.post('/board/:id/upvote', validateObjectId('id'), studentController.upvoteBoardComplaint);
+
+/**
+ * @route   DELETE /api/student/board/:id/upvote
+ * @desc    Withdraw a "me too" vote
+ * @access  Student only
+ */
+router.delete('/board/:id/upvote', validateObjectId('id'), studentController.removeBoardUpvote);
+
+/**
+ * @route   GET /api/student/drafts
+ * @desc    List complaint drafts
+ * @access  Student only (own drafts)
+ */
+router.get('/drafts', studentController.getDrafts);
+
+/**
+ * @route   POST /api/student/drafts
+ * @desc    Start a complaint draft
+ * @access  Student only
+ */
+router.post('/drafts', validateBody(complaintDraftSchema), studentController.createComplaintDraft);
+
+/**
+ * @route   PUT /api/student/drafts/:id
+ * @desc    Save changes to a complaint draft
+ * @access  Student only (own drafts)
+ */
+router.put(
+  '/drafts/:id',
+  validateObjectId('id'),
+  validateBody(complaintDraftSchema),
+  studentController.updateComplaintDraft
+);
+
+/**
+ * @route   DELETE /api/student/drafts/:id
+ * @desc    Delete a complaint draft
+ * @access  Student only (own drafts)
+ */
+router.delete('/drafts/:id', validateObjectId('id'), studentController.deleteComplaintDraft);
+
 /**
  * @route   GET /api/student/complaints
  * @desc    Get student's complaints
@@ -52,6 +120,17 @@ router.get('/stats', studentController.getMyStats);
  */
 router.get('/complaints', studentController.getMyComplaints);
 
+/**
+ * @route   POST /api/student/complaints/similar
+ * @desc    Find open complaints similar to one being written
+ * @access  Student only
+ */
+router.post(
+  '/complaints/similar',
+  validateBody(similarComplaintsSchema),
+  studentController.getSimilarComplaints
+);
+
 /**
  * @route   GET /api/student/complaints/:id
  * @desc    Get single complaint
@@ -63,35 +142,61 @@ router.get(
   studentController.getComplaint
 );
 
+/**
+ * @route   PUT /api/student/complaints/:id
+ * @desc    Edit the subject and content of a complaint staff have not responded to
+ * @access  Student only (own complaints)
+ */
+router.put(
+  '/complaints/:id',
+  validateObjectId('id'),
+  validateBody(editComplaintSchema),
+  studentController.updateComplaint
+);
+
+/**
+ * @route   POST /api/student/complaints/:id/withdraw
+ * @desc    Withdraw an open complaint
+ * @access  Student only (own complaints)
+ */
+router.post(
+  '/complaints/:id/withdraw',
+  validateObjectId('id'),
+  validateBody(withdrawComplaintSchema),
+  studentController.withdrawMyComplaint
+);
+
 /**
  * @route   POST /api/student/complaints
- * @desc    Submit a new complaint
+ * @desc    Submit a new complaint with optional image/PDF attachments
  * @access  Student only
- * @limit   5 complaints per day per user, 5 min cooldown between complaints
+ * @limit   Admin-configured daily limit, cooldown and duplicate window
  */
 router.post(
   '/complaints',
-  complaintCooldownLimiter,
   complaintLimiter,
+  uploadAttachments(),
   validateBody(createComplaintSchema),
+  complaintSubmissionLimiter,
   studentController.submitComplaint
 );
 
 /**
  * @route   POST /api/student/complaints/:id/reopen
- * @desc    Reopen a resolved complaint
+ * @desc    Reopen a resolved complaint with optional image/PDF attachments
  * @access  Student only
  */
 router.post(
   '/complaints/:id/reopen',
   validateObjectId('id'),
+  uploadAttachments(),
   validateBody(reopenComplaintSchema),
   studentController.reopenComplaint
 );
 
 /**
  * @route   POST /api/student/complaints/:id/rate
- * @desc    Rate a resolved complaint
+ * @desc    Rate a resolved complaint and leave feedback
  * @access  Student only
  */
 router.post(
@@ -113,4 +218,39 @@ router.post(
   studentController.acknowledgeComplaint
 );
 
+/**
+ * @route   GET /api/student/complaints/:id/comments
+ * @desc    Get the comment thread of a complaint
+ * @access  Student only (own complaints)
+ */
+router.get(
+  '/complaints/:id/comments',
+  validateObjectId('id'),
+  studentController.getComments
+);
+
+/**
+ * @route   POST /api/student/complaints/:id/comments
+ * @desc    Add a comment to a complaint
+ * @access  Student only (own complaints)
+ */
+router.post(
+  '/complaints/:id/comments',
+  validateObjectId('id'),
+  validateBody(createCommentSchema),
+  studentController.addComment
+);
+
+/**
+ * @route   GET /api/student/complaints/:id/attachments/:attachmentId
+ * @desc    Download an attachment of an own complaint
+ * @access  Student only (own complaints)
+ */
+router.get(
+  '/complaints/:id/attachments/:attachmentId',
+  validateObjectId('id'),
+  validateObjectId('attachmentId'),
+  studentController.downloadAttachment
+);
+
 export default router;
@@ -12,10 +12,22 @@
 
 import express from 'express';
 import subAdminController from '../controllers/subAdminController.js';
-import { authenticate, requireAdminOrSubAdmin, checkPasswordChange } from '../middlewares/auth.js';
+import { authenticate, requireAdminOrSubAdmin, checkPasswordChange, checkTwoFactorSetup } from '../middlewares/auth.js';
 import { apiLimiter } from '../middlewares/rateLimiter.js';
-import { validateBody, validateObjectId } from '../middlewares/validate.js';
-import { updateComplaintStatusSchema } from '../validators/schemas.js';
+import { validateBody, validateObjectId, validateQuery } from '../middlewares/validate.js';
+import {
+  updateComplaintStatusSchema,
+  updateComplaintPrioritySchema,
+  feedbackFollowUpSchema,
+  mergeComplaintSchema,
+  complaintListQuerySchema,
+  analyticsQuerySchema,
+  reportGenerationSchema,
+  reportPresetSchema,
+  digestSubscriptionSchema,
+  createStaffCommentSchema,
+  assignComplaintSchema,
+} from '../validators/schemas.js';
 
 const router = express.Router();
 
@@ -23,6 +35,7 @@ const router = express.Router();
 router.use(authenticate);
 router.use(requireAdminOrSubAdmin);
 router.use(checkPasswordChange);
+router.use(checkTwoFactorSetup);
 router.use(apiLimiter);
 
 /**
@@ -32,12 +45,23 @@ router.use(apiLimiter);
  */
 router.get('/stats', subAdminController.getStats);
 
+/**
+ * @route   GET /api/sub-admin/analytics
+ * @desc    Get complaint analytics for sub-admin's department
+ * @access  Sub-Admin only
+ */
+router.get('/analytics', validateQuery(analyticsQuerySchema), subAdminController.getAnalytics);
+
 /**
  * @route   GET /api/sub-admin/complaints
- * @desc    Get complaints for sub-admin's department
+ * @desc    Search, filter, sort and page through the sub-admin's complaints (cursor pagination)
  * @access  Sub-Admin only
  */
-router.get('/complaints', subAdminController.getComplaintsForDepartment);
+router.get(
+  '/complaints',
+  validateQuery(complaintListQuerySchema),
+  subAdminController.getComplaintsForDepartment
+);
 
 /**
  * @route   PATCH /api/sub-admin/complaints/:id/status
@@ -51,12 +75,210 @@ router.patch(
   subAdminController.updateComplaintStatus
 );
 
+/**
+ * @route   PATCH /api/sub-admin/complaints/:id/priority
+ * @desc    Override complaint priority
+ * @access  Sub-Admin only (department complaints)
+ */
+router.patch(
+  '/complaints/:id/priority',
+  validateObjectId('id'),
+  validateBody(updateComplaintPrioritySchema),
+  subAdminController.updateDepartmentComplaintPriority
+);
+
+/**
+ * @route   PATCH /api/sub-admin/complaints/:id/feedback-follow-up
+ * @desc    Close the follow-up opened by negative feedback
+ * @access  Sub-Admin only (department complaints)
+ */
+router.patch(
+  '/complaints/:id/feedback-follow-up',
+  validateObjectId('id'),
+  validateBody(feedbackFollowUpSchema),
+  subAdminController.completeFeedbackFollowUpHandler
+);
+
+/**
+ * @route   GET /api/sub-admin/complaints/:id/similar
+ * @desc    Get open complaints similar to a complaint and the duplicates merged into it
+ * @access  Sub-Admin only (department complaints)
+ */
+router.get(
+  '/complaints/:id/similar',
+  validateObjectId('id'),
+  subAdminController.getSimilarComplaintsHandler
+);
+
+/**
+ * @route   POST /api/sub-admin/complaints/:id/merge
+ * @desc    Merge a duplicate complaint into a parent complaint
+ * @access  Sub-Admin only (department complaints)
+ */
+router.post(
+  '/complaints/:id/merge',
+  validateObjectId('id'),
+  validateBody(mergeComplaintSchema),
+  subAdminController.mergeComplaintHandler
+);
+
+/**
+ * @route   DELETE /api/sub-admin/complaints/:id/merge
+ * @desc    Detach a merged complaint from its parent
+ * @access  Sub-Admin only (department complaints)
+ */
+router.delete(
+  '/complaints/:id/merge',
+  validateObjectId('id'),
+  subAdminController.unmergeComplaintHandler
+);
+
+/**
+ * @route   GET /api/sub-admin/complaints/:id/timeline
+ * @desc    Get the status transition history of a complaint
+ * @access  Sub-Admin only (department complaints)
+ */
+router.get(
+  '/complaints/:id/timeline',
+  validateObjectId('id'),
+  subAdminController.getComplaintTimeline
+);
+
+/**
+ * @route   GET /api/sub-admin/complaints/:id/transitions
+ * @desc    Get the status changes allowed by the workflow for a complaint
+ * @access  Sub-Admin only (department complaints)
+ */
+router.get(
+  '/complaints/:id/transitions',
+  validateObjectId('id'),
+  subAdminController.getComplaintTransitions
+);
+
+/**
+ * @route   GET /api/sub-admin/complaints/:id/assignees
+ * @desc    Get the sub-admins a complaint can be handed to
+ * @access  Sub-Admin only (department complaints)
+ */
+router.get(
+  '/complaints/:id/assignees',
+  validateObjectId('id'),
+  subAdminController.getComplaintAssignees
+);
+
+/**
+ * @route   POST /api/sub-admin/complaints/:id/claim
+ * @desc    Take ownership of an unassigned complaint
+ * @access  Sub-Admin only (department complaints)
+ */
+router.post(
+  '/complaints/:id/claim',
+  validateObjectId('id'),
+  subAdminController.claimDepartmentComplaint
+);
+
+/**
+ * @route   PUT /api/sub-admin/complaints/:id/assign
+ * @desc    Hand a complaint to another handler
+ * @access  Sub-Admin only (current assignee or unassigned complaints)
+ */
+router.put(
+  '/complaints/:id/assign',
+  validateObjectId('id'),
+  validateBody(assignComplaintSchema),
+  subAdminController.assignDepartmentComplaint
+);
+
+/**
+ * @route   GET /api/sub-admin/complaints/:id/comments
+ * @desc    Get the comment thread of a complaint
+ * @access  Sub-Admin only (department complaints)
+ */
+router.get(
+  '/complaints/:id/comments',
+  validateObjectId('id'),
+  subAdminController.getComments
+);
+
+/**
+ * @route   POST /api/sub-admin/complaints/:id/comments
+ * @desc    Add a comment or internal note to a complaint
+ * @access  Sub-Admin only (department complaints)
+ */
+router.post(
+  '/complaints/:id/comments',
+  validateObjectId('id'),
+  validateBody(createStaffCommentSchema),
+  subAdminController.addComment
+);
+
+/**
+ * @route   GET /api/sub-admin/complaints/:id/attachments/:attachmentId
+ * @desc    Download a complaint attachment
+ * @access  Sub-Admin only (department complaints)
+ */
+router.get(
+  '/complaints/:id/attachments/:attachmentId',
+  validateObjectId('id'),
+  validateObjectId('attachmentId'),
+  subAdminController.downloadAttachment
+);
+
 /**
  * @route   GET /api/sub-admin/reports
- * @desc    Generate and download complaint report for department
+ * @desc    Generate and download complaint report for department (CSV, XLSX, PDF or JSON)
+ * @access  Sub-Admin only
+ */
+router.get('/reports', validateQuery(reportGenerationSchema), subAdminController.generateReport);
+
+/**
+ * @route   GET /api/sub-admin/report-presets
+ * @desc    Get saved report presets
+ * @access  Sub-Admin only
+ */
+router.get('/report-presets', subAdminController.getReportPresets);
+
+/**
+ * @route   POST /api/sub-admin/report-presets
+ * @desc    Save a named report preset
+ * @access  Sub-Admin only
+ */
+router.post('/report-presets', validateBody(reportPresetSchema), subAdminController.saveReportPresetHandler);
+
+/**
+ * @route   DELETE /api/sub-admin/report-presets/:id
+ * @desc    Delete a report preset
+ * @access  Sub-Admin only
+ */
+router.delete('/report-presets/:id', validateObjectId('id'), subAdminController.deleteReportPresetHandler);
+
+/**
+ * @route   GET /api/sub-admin/digest
+ * @desc    Get own complaint digest email settings
+ * @access  Sub-Admin only
+ */
+router.get('/digest', subAdminController.getDigestSettings);
+
+/**
+ * @route   PUT /api/sub-admin/digest
+ * @desc    Update own complaint digest email settings
+ * @access  Sub-Admin only
+ */
+router.put('/digest', validateBody(digestSubscriptionSchema), subAdminController.updateDigestSettings);
+
+/**
+ * @route   POST /api/sub-admin/digest/send
+ * @desc    Send a copy of own digest now
+ * @access  Sub-Admin only
+ */
+router.post('/digest/send', subAdminController.sendDigestNow);
+
+/**
+ * @route   GET /api/sub-admin/digest/runs
+ * @desc    Get own recent digest runs
  * @access  Sub-Admin only
  */
-router.get('/reports', subAdminController.generateReport);
+router.get('/digest/runs', subAdminController.getDigestRuns);
 
 /**
  * @route   GET /api/sub-admin/students
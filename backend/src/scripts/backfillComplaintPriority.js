@@ -0,0 +1,53 @@
+/**
+ * One-time migration: set priority and priorityRank on complaints created
+ * before priorities existed, so the triage ordering sorts them correctly.
+ *
+ * - Complaints without a priority become NORMAL
+ * - priorityRank is derived from the priority where it is missing
+ *
+ * Usage:
+ *   cd backend
+ *   node src/scripts/backfillComplaintPriority.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import Complaint, { COMPLAINT_PRIORITY, PRIORITY_RANK } from '../models/Complaint.js';
+
+dotenv.config();
+
+const main = async () => {
+  await connectDB();
+
+  const defaulted = await Complaint.updateMany(
+    { priority: { $exists: false } },
+    { $set: { priority: COMPLAINT_PRIORITY.NORMAL } },
+    { timestamps: false }
+  );
+  console.log(`Set default priority on ${defaulted.modifiedCount} complaint(s).`);
+
+  let ranked = 0;
+  for (const priority of Object.values(COMPLAINT_PRIORITY)) {
+    const result = await Complaint.updateMany(
+      { priority, priorityRank: { $exists: false } },
+      { $set: { priorityRank: PRIORITY_RANK[priority] } },
+      { timestamps: false }
+    );
+    ranked += result.modifiedCount;
+  }
+
+  console.log(`Done. Ranked ${ranked} complaint(s).`);
+  await mongoose.connection.close();
+};
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore
+  }
+  process.exit(1);
+});
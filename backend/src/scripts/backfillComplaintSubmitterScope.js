@@ -0,0 +1,65 @@
+/**
+ * One-time migration: copy each submitter's department and college onto
+ * complaints filed before the snapshot existed, so sub-admin scopes (which
+ * filter on the complaint's own fields) keep covering them.
+ *
+ * Usage:
+ *   cd backend
+ *   node src/scripts/backfillComplaintSubmitterScope.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import Complaint from '../models/Complaint.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const main = async () => {
+  await connectDB();
+
+  const missing = { submitterDepartment: { $exists: false } };
+  const pending = await Complaint.countDocuments(missing);
+
+  await Complaint.aggregate([
+    { $match: missing },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'submitter',
+        pipeline: [{ $project: { department: 1, college: 1 } }],
+      },
+    },
+    {
+      $project: {
+        submitterDepartment: { $ifNull: [{ $first: '$submitter.department' }, null] },
+        submitterCollege: { $ifNull: [{ $first: '$submitter.college' }, null] },
+      },
+    },
+    {
+      $merge: {
+        into: Complaint.collection.name,
+        on: '_id',
+        whenMatched: 'merge',
+        whenNotMatched: 'discard',
+      },
+    },
+  ]);
+
+  console.log(`Done. Set the submitter department and college on ${pending} complaint(s).`);
+  await mongoose.connection.close();
+};
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore
+  }
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+/**
+ * One-time migration: set upvoteCount on complaints created before the
+ * complainants' board existed, so the triage ordering (which ranks by it
+ * within a priority) pages through them correctly.
+ *
+ * Usage:
+ *   cd backend
+ *   node src/scripts/backfillComplaintUpvotes.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import Complaint from '../models/Complaint.js';
+
+dotenv.config();
+
+const main = async () => {
+  await connectDB();
+
+  const result = await Complaint.updateMany(
+    { upvoteCount: { $exists: false } },
+    { $set: { upvoteCount: 0, upvotes: [] } },
+    { timestamps: false }
+  );
+
+  console.log(`Done. Set upvoteCount on ${result.modifiedCount} complaint(s).`);
+  await mongoose.connection.close();
+};
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore
+  }
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * One-time migration: stamp SLA targets on complaints created before SLAs existed.
+ *
+ * - Only touches complaints without a resolution due date
+ * - Due dates are computed from createdAt with the current SLA policy
+ * - The first staff status change in statusHistory counts as the first response
+ * - Targets that are already past are recorded as breached at their due date,
+ *   so the escalation job does not email admins about old complaints
+ *
+ * Run backfillStatusHistory.js first so first responses can be recovered.
+ *
+ * Usage:
+ *   cd backend
+ *   node src/scripts/backfillSlaTargets.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import Complaint from '../models/Complaint.js';
+import { applySlaTargets } from '../services/slaService.js';
+
+dotenv.config();
+
+const findFirstResponse = (complaint) => {
+  const entry = (complaint.statusHistory || []).find(
+    (h) => h.changedBy && String(h.changedBy) !== String(complaint.userId)
+  );
+  return entry ? entry.changedAt : null;
+};
+
+const main = async () => {
+  await connectDB();
+
+  const filter = { 'sla.resolutionDueAt': null };
+
+  const total = await Complaint.countDocuments(filter);
+  console.log(`Found ${total} complaint(s) without SLA targets.`);
+
+  if (total === 0) {
+    await mongoose.connection.close();
+    return;
+  }
+
+  const cursor = Complaint.find(filter).cursor();
+  const now = new Date();
+
+  let updated = 0;
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const complaint of cursor) {
+    await applySlaTargets(complaint, complaint.createdAt);
+
+    const sla = complaint.sla;
+    sla.firstRespondedAt = findFirstResponse(complaint);
+    if (!sla.firstRespondedAt && sla.firstResponseDueAt <= now) {
+      sla.firstResponseBreachedAt = sla.firstResponseDueAt;
+    }
+    if (sla.resolutionDueAt <= (complaint.resolvedAt || now)) {
+      sla.resolutionBreachedAt = sla.resolutionDueAt;
+    }
+
+    await Complaint.updateOne(
+      { _id: complaint._id },
+      { $set: { sla: sla.toObject(), priority: complaint.priority } },
+      { timestamps: false }
+    );
+    updated += 1;
+
+    if (updated % 50 === 0) {
+      console.log(`Progress: ${updated}/${total}`);
+    }
+  }
+
+  console.log(`Done. Backfilled ${updated} complaint(s).`);
+  await mongoose.connection.close();
+};
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore
+  }
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+/**
+ * One-time migration: seed statusHistory for complaints created before it existed.
+ *
+ * - Only touches complaints whose statusHistory is missing or empty
+ * - Adds the submission entry (null -> SUBMITTED) at createdAt
+ * - Adds one RESOLVED -> SUBMITTED entry per reopenHistory item
+ * - Adds a final transition to the current status when it is not SUBMITTED,
+ *   dated resolvedAt (or updatedAt) and attributed to resolvedBy when known
+ *
+ * Intermediate transitions were never stored, so they cannot be recovered.
+ * Run migrateWorkflowStatuses.js first so legacy statuses are renamed.
+ *
+ * Usage:
+ *   cd backend
+ *   node src/scripts/backfillStatusHistory.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import Complaint, { COMPLAINT_STATUS } from '../models/Complaint.js';
+
+dotenv.config();
+
+const BACKFILL_NOTE = 'Reconstructed from existing complaint data';
+
+const buildHistory = (complaint) => {
+  const history = [
+    {
+      from: null,
+      to: COMPLAINT_STATUS.SUBMITTED,
+      changedBy: complaint.userId,
+      changedAt: complaint.createdAt,
+      note: BACKFILL_NOTE,
+    },
+  ];
+
+  (complaint.reopenHistory || []).forEach((reopen) => {
+    history.push({
+      from: reopen.previousStatus || COMPLAINT_STATUS.RESOLVED,
+      to: COMPLAINT_STATUS.SUBMITTED,
+      changedBy: reopen.reopenedBy,
+      changedAt: reopen.reopenedAt,
+      note: reopen.reopenRemarks,
+    });
+  });
+
+  if (complaint.status !== COMPLAINT_STATUS.SUBMITTED) {
+    history.push({
+      from: COMPLAINT_STATUS.SUBMITTED,
+      to: complaint.status,
+      changedBy: complaint.resolvedBy || null,
+      changedAt: complaint.resolvedAt || complaint.updatedAt,
+      note: complaint.status === COMPLAINT_STATUS.RESOLVED ? complaint.acknowledgment : BACKFILL_NOTE,
+    });
+  }
+
+  return history;
+};
+
+const main = async () => {
+  await connectDB();
+
+  const filter = {
+    $or: [{ statusHistory: { $exists: false } }, { statusHistory: { $size: 0 } }],
+  };
+
+  const total = await Complaint.countDocuments(filter);
+  console.log(`Found ${total} complaint(s) without status history.`);
+
+  if (total === 0) {
+    await mongoose.connection.close();
+    return;
+  }
+
+  const cursor = Complaint.find(filter).lean().cursor();
+
+  let updated = 0;
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const complaint of cursor) {
+    await Complaint.updateOne(
+      { _id: complaint._id },
+      { $set: { statusHistory: buildHistory(complaint) } },
+      { timestamps: false }
+    );
+    updated += 1;
+
+    if (updated % 50 === 0) {
+      console.log(`Progress: ${updated}/${total}`);
+    }
+  }
+
+  console.log(`Done. Backfilled ${updated} complaint(s).`);
+  await mongoose.connection.close();
+};
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore
+  }
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+/**
+ * One-time migration: rename legacy complaint statuses to the workflow statuses.
+ *
+ * - READ -> SUBMITTED
+ * - UNDER_REVIEW -> IN_PROGRESS
+ *
+ * Applies to the current status, every statusHistory entry (from/to) and
+ * reopenHistory.previousStatus. Safe to run more than once.
+ *
+ * Usage:
+ *   cd backend
+ *   node src/scripts/migrateWorkflowStatuses.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import Complaint, { COMPLAINT_STATUS } from '../models/Complaint.js';
+
+dotenv.config();
+
+const LEGACY_STATUS_MAP = {
+  READ: COMPLAINT_STATUS.SUBMITTED,
+  UNDER_REVIEW: COMPLAINT_STATUS.IN_PROGRESS,
+};
+
+const migrateStatus = async (legacy, current) => {
+  const status = await Complaint.collection.updateMany(
+    { status: legacy },
+    { $set: { status: current } }
+  );
+
+  const historyFrom = await Complaint.collection.updateMany(
+    { 'statusHistory.from': legacy },
+    { $set: { 'statusHistory.$[entry].from': current } },
+    { arrayFilters: [{ 'entry.from': legacy }] }
+  );
+
+  const historyTo = await Complaint.collection.updateMany(
+    { 'statusHistory.to': legacy },
+    { $set: { 'statusHistory.$[entry].to': current } },
+    { arrayFilters: [{ 'entry.to': legacy }] }
+  );
+
+  const reopens = await Complaint.collection.updateMany(
+    { 'reopenHistory.previousStatus': legacy },
+    { $set: { 'reopenHistory.$[entry].previousStatus': current } },
+    { arrayFilters: [{ 'entry.previousStatus': legacy }] }
+  );
+
+  console.log(
+    `${legacy} -> ${current}: ${status.modifiedCount} status, ` +
+      `${historyFrom.modifiedCount + historyTo.modifiedCount} history, ` +
+      `${reopens.modifiedCount} reopen update(s)`
+  );
+};
+
+const main = async () => {
+  await connectDB();
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [legacy, current] of Object.entries(LEGACY_STATUS_MAP)) {
+    await migrateStatus(legacy, current);
+  }
+
+  console.log('Done.');
+  await mongoose.connection.close();
+};
+
+main().catch(async (err) => {
+  console.error('Migration failed:', err);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore
+  }
+  process.exit(1);
+});
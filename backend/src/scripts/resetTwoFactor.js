@@ -0,0 +1,69 @@
+/**
+ * Recovery: turn off two-factor authentication for an account from the
+ * server, for when no other admin can reset it from the portal (e.g. the
+ * only admin lost their device and backup codes). The account is signed
+ * out everywhere and the reset is recorded as a security event.
+ *
+ * Usage:
+ *   cd backend
+ *   node src/scripts/resetTwoFactor.js admin@example.com "Lost phone"
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import { recordSecurityEvent } from '../services/securityEventService.js';
+import { revokeUserSessions, SESSION_REVOKE_REASONS } from '../services/sessionService.js';
+
+dotenv.config();
+
+const main = async () => {
+  const [email, reason = 'Reset from the server'] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: node src/scripts/resetTwoFactor.js <email> [reason]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    {
+      $set: { twoFactorEnabled: false, twoFactorEnabledAt: null },
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorBackupCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    }
+  );
+  if (!user) {
+    console.error(`No account found for ${email}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+
+  await revokeUserSessions(user._id, { reason: SESSION_REVOKE_REASONS.TWO_FACTOR_RESET });
+  await recordSecurityEvent({
+    type: SECURITY_EVENT_TYPES.TWO_FACTOR_RESET,
+    user: user._id,
+    details: `${reason} (server script)`,
+  });
+
+  console.log(`Done. Two-factor authentication reset for ${user.email}.`);
+  await mongoose.connection.close();
+};
+
+main().catch(async (err) => {
+  console.error('Reset failed:', err);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore
+  }
+  process.exit(1);
+});
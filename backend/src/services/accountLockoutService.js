@@ -0,0 +1,250 @@
+/**
+ * Account Lockout Service
+ *
+ * Per-account protection against password guessing, stored on the user so it
+ * holds across restarts and against attempts from many IPs (the login rate
+ * limiter only counts per IP, in memory). Repeated failed logins lock the
+ * account for a while, and each lockout before the next successful login
+ * lasts longer. Owners are emailed when their account is locked and when it
+ * is logged in to from a device they have not used before.
+ *
+ * Defaults (overridable with environment variables):
+ * - LOGIN_MAX_FAILED_ATTEMPTS=5 failures within
+ * - LOGIN_FAILURE_WINDOW_MINUTES=15 lock the account for
+ * - LOGIN_LOCKOUT_MINUTES=15, doubling per lockout up to
+ * - LOGIN_LOCKOUT_MAX_MINUTES=1440
+ */
+
+import User from '../models/User.js';
+import { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import { APIError, NotFoundError, ValidationError } from '../middlewares/errorHandler.js';
+import { recordSecurityEvent } from './securityEventService.js';
+import { describeDevice } from './sessionService.js';
+import { sendAccountLockedEmail, sendNewDeviceLoginEmail } from './emailService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const numberFromEnv = (name, fallback, min = 1) => {
+  const raw = process.env[name];
+  const value = Number(raw);
+  return raw && Number.isFinite(value) ? Math.max(min, value) : fallback;
+};
+
+export const LOCKOUT_SETTINGS = {
+  maxFailedAttempts: numberFromEnv('LOGIN_MAX_FAILED_ATTEMPTS', 5),
+  failureWindowMinutes: numberFromEnv('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+  lockoutMinutes: numberFromEnv('LOGIN_LOCKOUT_MINUTES', 15),
+  maxLockoutMinutes: numberFromEnv('LOGIN_LOCKOUT_MAX_MINUTES', 24 * 60),
+};
+
+// Oldest devices are forgotten first
+const MAX_KNOWN_DEVICES = 10;
+
+export const LOCKOUT_FIELDS = '+failedLoginCount +lastFailedLoginAt +lockedUntil +lockoutCount';
+
+/**
+ * How long the next lockout lasts
+ * @param {number} lockoutCount - Lockouts since the last successful login
+ * @returns {number} Minutes
+ */
+export const lockoutDurationMinutes = (lockoutCount = 0) =>
+  Math.min(LOCKOUT_SETTINGS.lockoutMinutes * 2 ** lockoutCount, LOCKOUT_SETTINGS.maxLockoutMinutes);
+
+const isLocked = (user, now = new Date()) => Boolean(user?.lockedUntil && user.lockedUntil > now);
+
+/**
+ * Refuse to log in to a locked account
+ * Checked before the password so a locked account gives nothing away.
+ * @param {Object} user - User loaded with LOCKOUT_FIELDS
+ * @throws {APIError} 423 while the account is locked
+ */
+export const assertNotLocked = (user) => {
+  if (!isLocked(user)) return;
+
+  const minutes = Math.ceil((user.lockedUntil.getTime() - Date.now()) / MINUTE_MS);
+  throw new APIError(
+    `Too many failed login attempts. Your account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}. ` +
+      'Try again later or reset your password.',
+    423
+  );
+};
+
+/**
+ * Count a failed login (wrong password or code) and lock the account once
+ * there are too many in the failure window
+ * @param {Object} user - User who failed to log in
+ * @param {Request} req
+ * @returns {Promise<Object>} The user's lockout state after this failure
+ */
+export const recordFailedLogin = async (user, req) => {
+  const now = new Date();
+  const current = await User.findById(user._id).select(LOCKOUT_FIELDS).lean();
+  if (!current) return {};
+
+  const lastFailure = current.lastFailedLoginAt?.getTime() || 0;
+  const inWindow = now.getTime() - lastFailure <= LOCKOUT_SETTINGS.failureWindowMinutes * MINUTE_MS;
+  // Lockouts are forgiven once the longest one would have run out
+  const forgiven = now.getTime() - lastFailure > LOCKOUT_SETTINGS.maxLockoutMinutes * MINUTE_MS;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    inWindow
+      ? { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } }
+      : { $set: { failedLoginCount: 1, lastFailedLoginAt: now, ...(forgiven ? { lockoutCount: 0 } : {}) } },
+    { new: true }
+  ).select(LOCKOUT_FIELDS);
+
+  if (updated.failedLoginCount < LOCKOUT_SETTINGS.maxFailedAttempts) {
+    return updated;
+  }
+
+  const minutes = lockoutDurationMinutes(updated.lockoutCount);
+  const lockedUntil = new Date(now.getTime() + minutes * MINUTE_MS);
+
+  // Only one of several simultaneous failures gets to lock (and email)
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil, failedLoginCount: 0 }, $inc: { lockoutCount: 1 } },
+    { new: true }
+  ).select(`${LOCKOUT_FIELDS} name email`);
+
+  if (!locked) return updated;
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+    user: user._id,
+    req,
+    details: `Locked for ${minutes} minutes after ${updated.failedLoginCount} failed attempts (lockout ${locked.lockoutCount})`,
+  });
+
+  sendAccountLockedEmail({
+    email: locked.email,
+    name: locked.name,
+    lockedUntil,
+    failedAttempts: updated.failedLoginCount,
+    ip: req?.ip,
+  }).catch((err) => console.error('Failed to send account locked email:', err));
+
+  return locked;
+};
+
+/**
+ * Clear failed logins after a successful one and remember the device,
+ * alerting the owner when it is one they have not used before
+ * @param {Object} user - User who just logged in
+ * @param {Request} req
+ * @returns {Promise<void>}
+ */
+export const recordSuccessfulLogin = async (user, req) => {
+  const now = new Date();
+  const device = describeDevice(req.get('user-agent') || '');
+
+  const current = await User.findById(user._id).select('+knownDevices').lean();
+  const knownDevices = current?.knownDevices || [];
+  // The first device on record is not news
+  const isNewDevice = knownDevices.length > 0 && !knownDevices.some((known) => known.device === device);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        failedLoginCount: 0,
+        lockoutCount: 0,
+        lockedUntil: null,
+        knownDevices: [
+          { device, lastSeenAt: now },
+          ...knownDevices.filter((known) => known.device !== device),
+        ].slice(0, MAX_KNOWN_DEVICES),
+      },
+      $unset: { lastFailedLoginAt: 1 },
+    }
+  );
+
+  if (!isNewDevice) return;
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENT_TYPES.NEW_DEVICE_LOGIN,
+    user: user._id,
+    req,
+    details: device,
+  });
+
+  sendNewDeviceLoginEmail({
+    email: user.email,
+    name: user.name,
+    device,
+    ip: req.ip,
+  }).catch((err) => console.error('Failed to send new device login email:', err));
+};
+
+/**
+ * Clear lockout state on a user document (saved by the caller)
+ * @param {Document} user
+ */
+export const clearLockout = (user) => {
+  user.failedLoginCount = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockedUntil = null;
+  user.lockoutCount = 0;
+};
+
+/**
+ * Accounts that are locked or have recent failed logins, for admins
+ * @returns {Promise<Object[]>}
+ */
+export const listLockedAccounts = () => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOCKOUT_SETTINGS.failureWindowMinutes * MINUTE_MS);
+
+  return User.find({
+    $or: [
+      { lockedUntil: { $gt: now } },
+      { failedLoginCount: { $gt: 0 }, lastFailedLoginAt: { $gte: windowStart } },
+    ],
+  })
+    .select('name email role department isActive failedLoginCount lastFailedLoginAt lockedUntil lockoutCount')
+    .sort({ lockedUntil: -1, lastFailedLoginAt: -1 })
+    .lean();
+};
+
+/**
+ * Unlock an account before its lockout runs out
+ * @param {Object} params
+ * @param {string} params.userId - Account to unlock
+ * @param {Object} params.actor - Admin unlocking it (req.user)
+ * @param {Request} params.req
+ * @returns {Promise<Document>} The user
+ */
+export const unlockAccount = async ({ userId, actor, req }) => {
+  const user = await User.findById(userId).select(LOCKOUT_FIELDS);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (!isLocked(user) && !user.failedLoginCount) {
+    throw new ValidationError('This account is not locked');
+  }
+
+  clearLockout(user);
+  await user.save();
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENT_TYPES.ACCOUNT_UNLOCKED,
+    user: user._id,
+    actor: actor._id,
+    req,
+  });
+
+  return user;
+};
+
+export default {
+  LOCKOUT_SETTINGS,
+  LOCKOUT_FIELDS,
+  lockoutDurationMinutes,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearLockout,
+  listLockedAccounts,
+  unlockAccount,
+};
@@ -0,0 +1,283 @@
+/**
+ * Analytics Service
+ *
+ * Complaint metrics for the admin and sub-admin dashboards over a date range:
+ * submission volume per day/week/month, first-response and resolution times,
+ * reopen rate, average rating, satisfaction feedback, and breakdowns by
+ * department, college, submitter role and category.
+ *
+ * Periods are bucketed in UTC. Anonymous complaints are counted everywhere
+ * but grouped under ANONYMOUS_LABEL in the college breakdown, and never
+ * contribute their submitter's own department, so small groups cannot be
+ * used to narrow down who filed them.
+ */
+
+import Complaint, { FEEDBACK_FOLLOW_UP_STATUS } from '../models/Complaint.js';
+import Category from '../models/Category.js';
+import User from '../models/User.js';
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+export const DEFAULT_RANGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const UNSPECIFIED_LABEL = 'Unspecified';
+const ANONYMOUS_LABEL = 'Anonymous';
+
+// $dateToString formats; week uses ISO year and week number (e.g. 2026-W07)
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// JS counterpart of PERIOD_FORMATS, used to fill periods with no complaints
+const getPeriodKey = (date, interval) => {
+  if (interval === 'month') {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+  }
+  if (interval === 'week') {
+    // The Thursday of a week decides its ISO year
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+  }
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+const listPeriods = (from, to, interval) => {
+  const periods = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    const key = getPeriodKey(new Date(time), interval);
+    if (periods[periods.length - 1] !== key) periods.push(key);
+  }
+  const last = getPeriodKey(to, interval);
+  if (periods[periods.length - 1] !== last) periods.push(last);
+  return periods;
+};
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+const toHours = (ms) => (ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+// Mean and median of sorted durations, in hours
+export const summarizeDurations = (durations = []) => {
+  if (durations.length === 0) {
+    return { count: 0, meanHours: null, medianHours: null };
+  }
+  const middle = Math.floor(durations.length / 2);
+  const median = durations.length % 2 === 0
+    ? (durations[middle - 1] + durations[middle]) / 2
+    : durations[middle];
+  const mean = durations.reduce((sum, value) => sum + value, 0) / durations.length;
+  return { count: durations.length, meanHours: toHours(mean), medianHours: toHours(median) };
+};
+
+// Sorted array of (end - createdAt) in ms for complaints where `field` is set
+const durationFacet = (field) => [
+  { $match: { [field]: { $ne: null } } },
+  { $project: { duration: { $subtract: [`$${field}`, '$createdAt'] } } },
+  { $match: { duration: { $gte: 0 } } },
+  { $sort: { duration: 1 } },
+  { $group: { _id: null, durations: { $push: '$duration' } } },
+];
+
+const countBy = (expression) => [
+  { $group: { _id: expression, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+];
+
+// Label grouped rows, merging groups that share a label (e.g. null and '')
+const toBreakdown = (rows, getLabel = (id) => id) => {
+  const counts = new Map();
+  rows.forEach((row) => {
+    const key = getLabel(row._id) || UNSPECIFIED_LABEL;
+    counts.set(key, (counts.get(key) || 0) + row.count);
+  });
+  return [...counts]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Resolve the date range for an analytics query
+ * @param {Object} params - { from, to, interval }
+ * @returns {Object} { from: Date, to: Date, interval }
+ */
+export const resolveAnalyticsRange = ({ from, to, interval } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  return {
+    from: start,
+    to: end,
+    interval: ANALYTICS_INTERVALS.includes(interval) ? interval : 'day',
+  };
+};
+
+/**
+ * Compute complaint analytics for complaints submitted within a range
+ * @param {Object} params
+ * @param {Object} [params.scope] - Access scope the complaints must stay within
+ * @param {Date|string} [params.from] - Range start (default 30 days before `to`)
+ * @param {Date|string} [params.to] - Range end (default now)
+ * @param {string} [params.interval] - day | week | month
+ * @returns {Promise<Object>} { range, totals, satisfaction, responseTimes, timeSeries, breakdowns }
+ */
+export const getComplaintAnalytics = async ({ scope = null, ...params } = {}) => {
+  const { from, to, interval } = resolveAnalyticsRange(params);
+  const match = { createdAt: { $gte: from, $lte: to } };
+
+  const [result] = await Complaint.aggregate([
+    { $match: scope ? { $and: [scope, match] } : match },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'submitter',
+      },
+    },
+    {
+      $project: {
+        createdAt: 1,
+        resolvedAt: 1,
+        rating: 1,
+        category: 1,
+        firstRespondedAt: '$sla.firstRespondedAt',
+        issueFixed: '$feedback.issueFixed',
+        responsiveness: '$feedback.responsiveness',
+        negativeFeedback: { $eq: ['$feedback.isNegative', true] },
+        followUpOpen: { $eq: ['$feedback.followUp.status', FEEDBACK_FOLLOW_UP_STATUS.OPEN] },
+        reopened: { $gt: [{ $size: { $ifNull: ['$reopenHistory', []] } }, 0] },
+        role: { $arrayElemAt: ['$submitter.role', 0] },
+        department: {
+          $ifNull: [
+            '$routedDepartment',
+            { $cond: ['$isAnonymous', null, { $arrayElemAt: ['$submitter.department', 0] }] },
+          ],
+        },
+        college: {
+          $cond: ['$isAnonymous', ANONYMOUS_LABEL, { $arrayElemAt: ['$submitter.college', 0] }],
+        },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              complaints: { $sum: 1 },
+              resolved: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$resolvedAt', null] }, null] }, 1, 0] } },
+              reopened: { $sum: { $cond: ['$reopened', 1, 0] } },
+              rated: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$rating', null] }, null] }, 1, 0] } },
+              averageRating: { $avg: '$rating' },
+            },
+          },
+        ],
+        timeSeries: [
+          {
+            $group: {
+              _id: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$createdAt' } },
+              submitted: { $sum: 1 },
+              resolved: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$resolvedAt', null] }, null] }, 1, 0] } },
+            },
+          },
+        ],
+        satisfaction: [
+          { $match: { rating: { $ne: null } } },
+          {
+            $group: {
+              _id: null,
+              satisfied: { $sum: { $cond: [{ $gte: ['$rating', 4] }, 1, 0] } },
+              promoters: { $sum: { $cond: [{ $eq: ['$rating', 5] }, 1, 0] } },
+              detractors: { $sum: { $cond: [{ $lte: ['$rating', 3] }, 1, 0] } },
+              fixedAnswered: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$issueFixed', null] }, null] }, 1, 0] } },
+              fixed: { $sum: { $cond: [{ $eq: ['$issueFixed', true] }, 1, 0] } },
+              averageResponsiveness: { $avg: '$responsiveness' },
+              negative: { $sum: { $cond: ['$negativeFeedback', 1, 0] } },
+              openFollowUps: { $sum: { $cond: ['$followUpOpen', 1, 0] } },
+            },
+          },
+        ],
+        ratings: [
+          { $match: { rating: { $ne: null } } },
+          ...countBy('$rating'),
+        ],
+        firstResponse: durationFacet('firstRespondedAt'),
+        resolution: durationFacet('resolvedAt'),
+        byDepartment: countBy('$department'),
+        byCollege: countBy('$college'),
+        byRole: countBy('$role'),
+        byCategory: countBy('$category'),
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || { complaints: 0, resolved: 0, reopened: 0, rated: 0, averageRating: null };
+
+  const satisfaction = result.satisfaction[0];
+  const ratingCounts = new Map(result.ratings.map((row) => [row._id, row.count]));
+
+  const periodCounts = new Map(result.timeSeries.map((row) => [row._id, row]));
+  const timeSeries = listPeriods(from, to, interval).map((period) => ({
+    period,
+    submitted: periodCounts.get(period)?.submitted || 0,
+    resolved: periodCounts.get(period)?.resolved || 0,
+  }));
+
+  const categoryIds = result.byCategory.map((row) => row._id).filter(Boolean);
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select('name').lean();
+  const categoryNames = new Map(categories.map((category) => [category._id.toString(), category.name]));
+
+  return {
+    range: { from, to, interval },
+    totals: {
+      complaints: totals.complaints,
+      resolved: totals.resolved,
+      reopened: totals.reopened,
+      reopenRate: percent(totals.reopened, totals.complaints),
+      rated: totals.rated,
+      averageRating: totals.averageRating === null ? null : Math.round(totals.averageRating * 100) / 100,
+    },
+    // CSAT: share of ratings that are 4 or 5. Net score: share of 5s minus
+    // share of 1-3s, NPS-style on the five-star scale (-100 to 100).
+    satisfaction: {
+      responses: totals.rated,
+      csat: satisfaction ? percent(satisfaction.satisfied, totals.rated) : null,
+      netScore: satisfaction
+        ? Math.round(percent(satisfaction.promoters, totals.rated) - percent(satisfaction.detractors, totals.rated))
+        : null,
+      fixedRate: satisfaction?.fixedAnswered ? percent(satisfaction.fixed, satisfaction.fixedAnswered) : null,
+      averageResponsiveness: satisfaction?.averageResponsiveness
+        ? Math.round(satisfaction.averageResponsiveness * 100) / 100
+        : null,
+      negative: satisfaction?.negative || 0,
+      openFollowUps: satisfaction?.openFollowUps || 0,
+      ratings: [1, 2, 3, 4, 5].map((stars) => ({ key: stars, count: ratingCounts.get(stars) || 0 })),
+    },
+    responseTimes: {
+      firstResponse: summarizeDurations(result.firstResponse[0]?.durations),
+      resolution: summarizeDurations(result.resolution[0]?.durations),
+    },
+    timeSeries,
+    breakdowns: {
+      department: toBreakdown(result.byDepartment),
+      college: toBreakdown(result.byCollege),
+      role: toBreakdown(result.byRole),
+      category: toBreakdown(result.byCategory, (id) => id && categoryNames.get(id.toString())),
+    },
+  };
+};
+
+export default {
+  ANALYTICS_INTERVALS,
+  DEFAULT_RANGE_DAYS,
+  resolveAnalyticsRange,
+  summarizeDurations,
+  getComplaintAnalytics,
+};
@@ -0,0 +1,122 @@
+/**
+ * Anonymity Service
+ *
+ * Complaints submitted anonymously keep their userId, so replies and
+ * notifications still reach the submitter, but handlers only ever see the
+ * complaint's pseudonymous reference. Staff-facing responses pass through
+ * the masking helpers here; only an ADMIN can unseal the identity, and each
+ * reveal is recorded on the complaint with its justification.
+ *
+ * Security Considerations:
+ * - Every reference to the submitter (including history entries) is replaced
+ * - The reveal log itself is never included in masked responses
+ */
+
+import User from '../models/User.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+
+const toPlain = (doc) => (typeof doc?.toJSON === 'function' ? doc.toJSON() : doc);
+
+const refersTo = (ref, userId) => !!ref && String(ref._id || ref) === String(userId);
+
+/**
+ * Submitter as handlers may see it
+ * @param {Object} complaint - Complaint with userId (populated or not)
+ * @returns {Object} The populated userId, or a pseudonym for anonymous complaints
+ */
+export const getVisibleSubmitter = (complaint) => {
+  if (!complaint.isAnonymous) return complaint.userId;
+
+  return {
+    name: complaint.anonymousRef,
+    email: null,
+    role: complaint.userId?.role,
+    isAnonymous: true,
+  };
+};
+
+/**
+ * Strip the submitter's identity from an anonymous complaint
+ * Non-anonymous complaints are returned untouched.
+ * @param {Document|Object} complaint - Complaint document or lean object
+ * @returns {Document|Object}
+ */
+export const maskComplaintIdentity = (complaint) => {
+  if (!complaint?.isAnonymous) return complaint;
+
+  const masked = toPlain(complaint);
+  const submitterId = masked.userId?._id || masked.userId;
+  const pseudonym = getVisibleSubmitter(masked);
+  const seal = (ref) => (refersTo(ref, submitterId) ? pseudonym : ref);
+
+  masked.userId = pseudonym;
+  if (masked.statusHistory) {
+    masked.statusHistory = masked.statusHistory.map((entry) => ({ ...entry, changedBy: seal(entry.changedBy) }));
+  }
+  if (masked.reopenHistory) {
+    masked.reopenHistory = masked.reopenHistory.map((entry) => ({ ...entry, reopenedBy: seal(entry.reopenedBy) }));
+  }
+  if (masked.reopenRequest) {
+    masked.reopenRequest = { ...masked.reopenRequest, requestedBy: seal(masked.reopenRequest.requestedBy) };
+  }
+  if (masked.attachments) {
+    masked.attachments = masked.attachments.map((file) => ({ ...file, uploadedBy: refersTo(file.uploadedBy, submitterId) ? null : file.uploadedBy }));
+  }
+  delete masked.identityReveals;
+  // The submitter's department and college narrow down who sent it
+  delete masked.submitterDepartment;
+  delete masked.submitterCollege;
+
+  return masked;
+};
+
+/**
+ * Replace the submitter's name on their own comments of an anonymous complaint
+ * @param {Document[]} comments - Comments with author populated
+ * @param {Object} complaint - Complaint with isAnonymous, anonymousRef and userId
+ * @returns {Array}
+ */
+export const maskCommentAuthors = (comments, complaint) => {
+  if (!complaint.isAnonymous) return comments;
+
+  const submitterId = complaint.userId?._id || complaint.userId;
+  return comments.map((comment) => {
+    const plain = toPlain(comment);
+    if (!refersTo(plain.author, submitterId)) return plain;
+    return { ...plain, author: { name: complaint.anonymousRef, role: plain.author.role } };
+  });
+};
+
+/**
+ * Reveal the submitter of an anonymous complaint and record why
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Anonymous complaint
+ * @param {Object} params.actor - Admin requesting the reveal
+ * @param {string} params.reason - Justification kept in the reveal log
+ * @returns {Promise<Object>} The submitter's identity and the reveal log
+ */
+export const revealComplaintIdentity = async ({ complaint, actor, reason }) => {
+  if (!complaint.isAnonymous) {
+    throw new ValidationError('Complaint was not submitted anonymously');
+  }
+
+  const identity = await User.findById(complaint.userId)
+    .select('name email role studentId department college');
+
+  complaint.identityReveals.push({ revealedBy: actor._id, reason });
+  await complaint.save();
+  await complaint.populate('identityReveals.revealedBy', 'name email');
+
+  return {
+    identity,
+    reveals: complaint.identityReveals,
+  };
+};
+
+export default {
+  getVisibleSubmitter,
+  maskComplaintIdentity,
+  maskCommentAuthors,
+  revealComplaintIdentity,
+};
@@ -0,0 +1,103 @@
+/**
+ * Assignment Service
+ *
+ * Ownership of complaints by individual handlers. Sub-admins may claim
+ * unassigned complaints and hand their own complaints to other handlers of
+ * the same routing; admins, and staff holding the complaints.resolve
+ * permission, may assign anyone, including sub-admins of a different
+ * department (escalation).
+ */
+
+import User, { USER_ROLES } from '../models/User.js';
+import { PERMISSIONS } from '../models/CustomRole.js';
+import { ValidationError, AuthorizationError, NotFoundError } from '../middlewares/errorHandler.js';
+import { canSubAdminAccessComplaint } from './routingService.js';
+import { sendComplaintAssignedEmail } from './emailService.js';
+import { hasPermissions } from './permissionService.js';
+
+/**
+ * Assign or reassign a complaint to a sub-admin and notify them
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {string} params.assigneeId - ID of the new handler
+ * @param {Object} params.actor - User making the assignment (req.user)
+ * @param {string} [params.note] - Optional handover note
+ * @returns {Promise<Document>} The saved complaint
+ */
+export const assignComplaint = async ({ complaint, assigneeId, actor, note = null }) => {
+  const assignee = await User.findOne({
+    _id: assigneeId,
+    role: USER_ROLES.SUB_ADMIN,
+    isActive: true,
+  });
+
+  if (!assignee) {
+    throw new NotFoundError('Assignee must be an active sub-admin');
+  }
+
+  if (complaint.assignedTo && String(complaint.assignedTo) === String(assignee._id)) {
+    throw new ValidationError(`This complaint is already assigned to ${assignee.name}`);
+  }
+
+  const canAssignAnyone = await hasPermissions(actor, [PERMISSIONS.RESOLVE_COMPLAINTS]);
+  const isSelf = String(actor._id) === String(assignee._id);
+  // Whether the assignee would see this complaint through routing alone
+  const withinRouting = canSubAdminAccessComplaint(assignee, {
+    routedDepartment: complaint.routedDepartment,
+    routedTo: complaint.routedTo,
+    submitterDepartment: complaint.submitterDepartment,
+    submitterCollege: complaint.submitterCollege,
+  });
+
+  if (!canAssignAnyone) {
+    if (complaint.assignedTo && String(complaint.assignedTo) !== String(actor._id)) {
+      throw new AuthorizationError('Only the current assignee or an admin can reassign this complaint');
+    }
+    if (!withinRouting) {
+      throw new AuthorizationError('Only admins can escalate a complaint to another department');
+    }
+  }
+
+  const escalated = !withinRouting;
+  complaint.recordAssignment({ assignee: assignee._id, actor: actor._id, note, escalated });
+  await complaint.save();
+
+  if (!isSelf) {
+    sendComplaintAssignedEmail({
+      email: assignee.email,
+      name: assignee.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      assignedByName: actor.name,
+      note,
+      escalated,
+    }).catch(err => console.error('Failed to send assignment email:', err));
+  }
+
+  return complaint;
+};
+
+/**
+ * Let a sub-admin take ownership of an unassigned complaint
+ * @param {Object} params
+ * @param {Document} params.complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {Object} params.actor - Claiming sub-admin
+ * @returns {Promise<Document>} The saved complaint
+ */
+export const claimComplaint = async ({ complaint, actor }) => {
+  if (complaint.assignedTo) {
+    throw new ValidationError(
+      String(complaint.assignedTo) === String(actor._id)
+        ? 'You are already assigned to this complaint'
+        : 'This complaint is already assigned to another handler'
+    );
+  }
+
+  return assignComplaint({ complaint, assigneeId: actor._id, actor });
+};
+
+export default {
+  assignComplaint,
+  claimComplaint,
+};
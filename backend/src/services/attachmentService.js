@@ -0,0 +1,77 @@
+/**
+ * Attachment Service
+ *
+ * Builds attachment metadata for complaints and streams stored files
+ * back to authorized users.
+ *
+ * Security Considerations:
+ * - Files are never served from a public static mount
+ * - Callers must load the complaint through their own access-scoped query
+ * - Stored filenames are reduced to their base name before hitting the disk
+ * - Downloads always use Content-Disposition: attachment
+ */
+
+import fs from 'fs/promises';
+import { ATTACHMENT_CONTEXT } from '../models/Complaint.js';
+import { getFilePath } from '../middlewares/upload.js';
+import { NotFoundError } from '../middlewares/errorHandler.js';
+
+/**
+ * Convert uploaded Multer files into complaint attachment entries
+ * @param {Object[]} files - Multer file objects (req.files)
+ * @param {string} uploadedBy - ID of the uploading user
+ * @param {string} context - ATTACHMENT_CONTEXT value
+ * @returns {Object[]} Attachment subdocuments
+ */
+export const buildAttachments = (files = [], uploadedBy, context = ATTACHMENT_CONTEXT.SUBMISSION) => {
+  const uploadedAt = new Date();
+
+  return files.map((file) => ({
+    filename: file.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy,
+    uploadedAt,
+    context,
+  }));
+};
+
+/**
+ * Send an attachment of an already-authorized complaint as a download
+ * @param {Response} res - Express response
+ * @param {Document} complaint - Complaint the requester may access
+ * @param {string} attachmentId - Attachment subdocument ID
+ * @returns {Promise<void>}
+ */
+export const sendAttachment = async (res, complaint, attachmentId) => {
+  const attachment = complaint.attachments.id(attachmentId);
+
+  if (!attachment) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  const filePath = getFilePath(attachment.filename);
+
+  try {
+    await fs.access(filePath);
+  } catch {
+    throw new NotFoundError('Attachment file not found');
+  }
+
+  res.setHeader('Content-Type', attachment.mimeType);
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  await new Promise((resolve, reject) => {
+    res.download(filePath, attachment.originalName, (err) => {
+      if (err && !res.headersSent) return reject(err);
+      if (err) console.error('Attachment stream error:', err.message);
+      resolve();
+    });
+  });
+};
+
+export default {
+  buildAttachments,
+  sendAttachment,
+};
@@ -0,0 +1,230 @@
+/**
+ * Board Service
+ *
+ * The complainants' board: complaints their submitters chose to list for
+ * everyone in the same college, or the same department, to see and back
+ * with a "me too" upvote. Entries never show who submitted them, and
+ * anonymous complaints cannot be listed.
+ *
+ * Upvote counts feed the staff queues, which rank complaints with more
+ * votes higher within the same priority (see complaintQueryService.js).
+ */
+
+import Complaint, { BOARD_VISIBILITY } from '../models/Complaint.js';
+import { ValidationError, NotFoundError } from '../middlewares/errorHandler.js';
+import { SLA_STOPPED_STATUSES } from './slaService.js';
+
+const BOARD_SORTS = {
+  top: { upvoteCount: -1, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+};
+
+/**
+ * Board listing for a new complaint
+ * @param {Object} params
+ * @param {string} [params.visibility] - BOARD_VISIBILITY value; omit to keep the complaint off the board
+ * @param {boolean} [params.isAnonymous]
+ * @param {Object} params.user - Submitter (college, department)
+ * @returns {Object|null} Value for complaint.board
+ */
+export const buildBoardListing = ({ visibility, isAnonymous = false, user }) => {
+  if (!visibility) return null;
+
+  if (isAnonymous) {
+    throw new ValidationError('Anonymous complaints cannot be listed on the board');
+  }
+
+  return {
+    visibility,
+    college: user.college || null,
+    department: user.department || null,
+    listedAt: new Date(),
+  };
+};
+
+/**
+ * Complaints on a user's board
+ * College-wide listings are shown across the college; department listings
+ * only within the submitter's department.
+ * @param {Object} user - Viewer (college, department)
+ * @param {string} [scope] - 'department' to show only the viewer's department
+ * @returns {Object} Mongo filter
+ */
+const getBoardFilter = (user, scope) => {
+  const filter = {
+    // A missing board would otherwise match viewers without a college or department
+    board: { $ne: null },
+    'board.college': user.college || null,
+    mergedInto: null,
+  };
+
+  if (scope === 'department') {
+    filter['board.department'] = user.department || null;
+  } else {
+    filter.$or = [
+      { 'board.visibility': BOARD_VISIBILITY.COLLEGE },
+      { 'board.department': user.department || null },
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Other people's complaints a complainant may be shown (e.g. as similar to
+ * one they are writing): only what their board lists, never anonymous ones
+ * @param {Object} user - Complainant (_id, college, department)
+ * @returns {Object} Mongo filter
+ */
+export const getComplainantVisibleFilter = (user) => ({
+  isAnonymous: { $ne: true },
+  $or: [{ userId: user._id }, getBoardFilter(user)],
+});
+
+const isOpen = (complaint) => !SLA_STOPPED_STATUSES.includes(complaint.status);
+
+/**
+ * What a board viewer sees of a complaint
+ * @param {Object} complaint - Lean complaint with category populated
+ * @param {Object} viewer
+ * @param {Set<string>} viewer.upvotedIds - Complaints the viewer has upvoted
+ * @param {string} viewer.userId
+ * @returns {Object}
+ */
+const toBoardEntry = (complaint, { upvotedIds, userId }) => ({
+  _id: complaint._id,
+  complaintId: complaint.complaintId,
+  subject: complaint.subject,
+  content: complaint.content,
+  category: complaint.category?.name || null,
+  status: complaint.status,
+  visibility: complaint.board.visibility,
+  department: complaint.board.department,
+  createdAt: complaint.createdAt,
+  upvoteCount: complaint.upvoteCount || 0,
+  hasUpvoted: upvotedIds.has(complaint._id.toString()),
+  isOwn: complaint.userId.toString() === userId.toString(),
+});
+
+/**
+ * List one page of a user's board
+ * @param {Object} params
+ * @param {Object} params.user - Viewer
+ * @param {string} [params.scope] - 'college' (default) or 'department'
+ * @param {string} [params.status] - 'open' (default) or 'all'
+ * @param {string} [params.sort] - 'top' (default) or 'newest'
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<Object>} { complaints, pagination }
+ */
+export const listBoardComplaints = async ({ user, scope, status = 'open', sort = 'top', page = 1, limit = 20 }) => {
+  const filter = getBoardFilter(user, scope);
+  if (status === 'open') {
+    filter.status = { $nin: SLA_STOPPED_STATUSES };
+  }
+
+  const [complaints, total] = await Promise.all([
+    Complaint.find(filter)
+      .select('complaintId subject content category status board createdAt upvoteCount userId')
+      .populate('category', 'name')
+      .sort(BOARD_SORTS[sort] || BOARD_SORTS.top)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Complaint.countDocuments(filter),
+  ]);
+
+  const upvoted = await Complaint.find({
+    _id: { $in: complaints.map((complaint) => complaint._id) },
+    upvotes: user._id,
+  }).distinct('_id');
+  const upvotedIds = new Set(upvoted.map((id) => id.toString()));
+
+  return {
+    complaints: complaints.map((complaint) => toBoardEntry(complaint, { upvotedIds, userId: user._id })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Load a complaint the user can vote on
+ * @param {string} complaintId
+ * @param {Object} user
+ * @returns {Promise<Object>} Lean complaint
+ */
+const findVotableComplaint = async (complaintId, user) => {
+  const complaint = await Complaint.findOne({ _id: complaintId, ...getBoardFilter(user) })
+    .select('status userId')
+    .lean();
+
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found on your board');
+  }
+  if (complaint.userId.equals(user._id)) {
+    throw new ValidationError('You cannot upvote your own complaint');
+  }
+  if (!isOpen(complaint)) {
+    throw new ValidationError('Only open complaints can be upvoted');
+  }
+
+  return complaint;
+};
+
+const getUpvoteCount = async (complaintId) => {
+  const complaint = await Complaint.findById(complaintId).select('upvoteCount').lean();
+  return complaint?.upvoteCount || 0;
+};
+
+/**
+ * Add the user's "me too" vote to a board complaint
+ * Voting twice is a no-op. Votes do not touch updatedAt, so they do not
+ * move complaints in the "recently updated" ordering.
+ * @param {string} complaintId
+ * @param {Object} user
+ * @returns {Promise<Object>} { upvoteCount, hasUpvoted }
+ */
+export const upvoteComplaint = async (complaintId, user) => {
+  await findVotableComplaint(complaintId, user);
+
+  await Complaint.updateOne(
+    { _id: complaintId, upvotes: { $ne: user._id } },
+    { $push: { upvotes: user._id }, $inc: { upvoteCount: 1 } },
+    { timestamps: false }
+  );
+
+  return { upvoteCount: await getUpvoteCount(complaintId), hasUpvoted: true };
+};
+
+/**
+ * Withdraw the user's vote from a board complaint
+ * @param {string} complaintId
+ * @param {Object} user
+ * @returns {Promise<Object>} { upvoteCount, hasUpvoted }
+ */
+export const removeUpvote = async (complaintId, user) => {
+  const complaint = await Complaint.exists({ _id: complaintId, ...getBoardFilter(user) });
+  if (!complaint) {
+    throw new NotFoundError('Complaint not found on your board');
+  }
+
+  await Complaint.updateOne(
+    { _id: complaintId, upvotes: user._id },
+    { $pull: { upvotes: user._id }, $inc: { upvoteCount: -1 } },
+    { timestamps: false }
+  );
+
+  return { upvoteCount: await getUpvoteCount(complaintId), hasUpvoted: false };
+};
+
+export default {
+  buildBoardListing,
+  getComplainantVisibleFilter,
+  listBoardComplaints,
+  upvoteComplaint,
+  removeUpvote,
+};
@@ -0,0 +1,152 @@
+/**
+ * Category Service
+ *
+ * Admin management of complaint categories and the category tree shown to
+ * complainants. Routing of individual complaints lives in routingService.
+ */
+
+import Category from '../models/Category.js';
+import Complaint from '../models/Complaint.js';
+import User, { USER_ROLES } from '../models/User.js';
+import { ValidationError, NotFoundError } from '../middlewares/errorHandler.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get categories as a tree of top-level categories with their sub-categories
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false] - Include deactivated categories
+ * @param {boolean} [options.includeRouting=false] - Include routing with handler details
+ * @returns {Promise<Object[]>}
+ */
+export const getCategoryTree = async ({ includeInactive = false, includeRouting = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+
+  let query = Category.find(filter).sort({ name: 1 });
+  query = includeRouting
+    ? query.populate('routing.handlers', 'name email department isActive')
+    : query.select('-routing -createdBy');
+
+  const categories = await query.lean();
+
+  const topLevel = categories.filter((c) => !c.parent);
+  return topLevel.map((category) => ({
+    ...category,
+    children: categories.filter((c) => String(c.parent) === String(category._id)),
+  }));
+};
+
+/**
+ * Check parent, name uniqueness and handlers before saving a category
+ * @param {Object} data - Validated category fields
+ * @param {Object} [existing] - Category being updated
+ */
+const validateCategory = async (data, existing = null) => {
+  const parentId = existing ? existing.parent : data.parent || null;
+
+  if (!existing && parentId) {
+    const parent = await Category.findOne({ _id: parentId, parent: null });
+    if (!parent) {
+      throw new ValidationError('Parent must be an existing top-level category');
+    }
+  }
+
+  if (data.name !== undefined) {
+    const duplicate = await Category.findOne({
+      parent: parentId,
+      name: new RegExp(`^${escapeRegex(data.name)}$`, 'i'),
+      ...(existing && { _id: { $ne: existing._id } }),
+    });
+    if (duplicate) {
+      throw new ValidationError(`A category named "${data.name}" already exists here`);
+    }
+  }
+
+  const handlers = data.routing?.handlers || [];
+  if (handlers.length > 0) {
+    const count = await User.countDocuments({
+      _id: { $in: handlers },
+      role: USER_ROLES.SUB_ADMIN,
+      isActive: true,
+    });
+    if (count !== new Set(handlers.map(String)).size) {
+      throw new ValidationError('Handlers must be active sub-admins');
+    }
+  }
+};
+
+/**
+ * Create a category or sub-category
+ * @param {Object} data - Validated category fields
+ * @param {ObjectId} userId - Admin creating the category
+ * @returns {Promise<Document>}
+ */
+export const createCategory = async (data, userId) => {
+  await validateCategory(data);
+
+  return Category.create({
+    ...data,
+    parent: data.parent || null,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Update a category. The parent cannot be changed.
+ * @param {string} id - Category ID
+ * @param {Object} data - Validated category fields
+ * @returns {Promise<Document>}
+ */
+export const updateCategory = async (id, data) => {
+  const category = await Category.findById(id);
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  await validateCategory(data, category);
+
+  const { routing, ...fields } = data;
+  Object.assign(category, fields);
+  if (routing) {
+    category.routing = {
+      department: routing.department,
+      handlers: routing.handlers,
+    };
+  }
+
+  await category.save();
+  return category;
+};
+
+/**
+ * Delete a category that has never been used
+ * Categories referenced by complaints or with sub-categories must be deactivated instead
+ * @param {string} id - Category ID
+ */
+export const deleteCategory = async (id) => {
+  const category = await Category.findById(id);
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const [children, complaints] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Complaint.countDocuments({ $or: [{ category: category._id }, { subCategory: category._id }] }),
+  ]);
+
+  if (children > 0) {
+    throw new ValidationError('Delete its sub-categories first, or deactivate this category instead');
+  }
+  if (complaints > 0) {
+    throw new ValidationError('This category is used by existing complaints. Deactivate it instead.');
+  }
+
+  await category.deleteOne();
+};
+
+export default {
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,421 @@
+/**
+ * Closure Service
+ *
+ * Resolved complaints wait for the complainant to acknowledge them. Once the
+ * admin-configured acknowledgement window has passed without an
+ * acknowledgement, a background job closes them, after first reminding the
+ * complainant. The window is measured from resolvedAt, so policy edits also
+ * apply to complaints that are already waiting.
+ *
+ * Closed complaints cannot be reopened directly (unless the workflow allows
+ * it); depending on the policy the complainant can ask an admin to reopen
+ * them instead.
+ */
+
+import Complaint, { COMPLAINT_STATUS, REOPEN_REQUEST_STATUS } from '../models/Complaint.js';
+import ClosurePolicy, { CLOSED_REOPEN_MODE } from '../models/ClosurePolicy.js';
+import User, { USER_ROLES } from '../models/User.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { reopenClosedComplaint, closeUnacknowledgedComplaint } from './workflowService.js';
+import { syncMergedComplaints } from './duplicateService.js';
+import {
+  sendAutoCloseReminderEmail,
+  sendReopenRequestEmail,
+  sendReopenRequestDecisionEmail,
+  sendStatusUpdateEmail,
+} from './emailService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Re-read the policy periodically so edits made on another instance apply
+const CACHE_TTL_MS = 60 * 1000;
+
+// How often the auto-close job runs
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.AUTO_CLOSE_CHECK_INTERVAL_MINUTES, 10) || 60;
+
+// Upper bound of complaints reminded or closed per run
+const BATCH_SIZE = 200;
+
+// The auto-close job changes status as an admin would, without a user behind it
+const SYSTEM_ACTOR = { _id: null, role: USER_ROLES.ADMIN };
+
+/**
+ * Policy used until an admin saves their own
+ */
+export const DEFAULT_CLOSURE_POLICY = {
+  autoClose: {
+    enabled: true,
+    windowDays: 7,
+    reminderDaysBefore: 2,
+  },
+  reopenAfterClose: CLOSED_REOPEN_MODE.ADMIN_APPROVAL,
+};
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Get the active closure policy, seeding the default on first use
+ * @returns {Promise<Object>}
+ */
+export const getClosurePolicy = async () => {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  let policy = await ClosurePolicy.findOne({ key: 'default' }).lean();
+
+  if (!policy) {
+    try {
+      policy = (await ClosurePolicy.create({ key: 'default', ...DEFAULT_CLOSURE_POLICY })).toObject();
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) throw error;
+      policy = await ClosurePolicy.findOne({ key: 'default' }).lean();
+    }
+  }
+
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+  return policy;
+};
+
+/**
+ * Replace the active closure policy
+ * @param {Object} definition - { autoClose, reopenAfterClose }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} Saved policy
+ */
+export const updateClosurePolicy = async (definition, userId) => {
+  if (definition.autoClose.reminderDaysBefore >= definition.autoClose.windowDays) {
+    throw new ValidationError('The reminder must go out before the acknowledgement window ends');
+  }
+
+  const policy = await ClosurePolicy.findOneAndUpdate(
+    { key: 'default' },
+    { ...definition, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+  return policy;
+};
+
+/**
+ * When a resolved complaint will be closed automatically
+ * The complainant always gets the full reminder lead time, so a complaint
+ * whose reminder has not gone out yet closes no earlier than that.
+ * @param {Object} complaint
+ * @param {Object} policy - Closure policy
+ * @param {Date} [now]
+ * @returns {Date|null} Null when the complaint will not be closed automatically
+ */
+export const getAutoCloseAt = (complaint, policy, now = new Date()) => {
+  const { enabled, windowDays, reminderDaysBefore } = policy.autoClose;
+  if (
+    !enabled ||
+    complaint.status !== COMPLAINT_STATUS.RESOLVED ||
+    complaint.acknowledgedByStudent ||
+    !complaint.resolvedAt
+  ) {
+    return null;
+  }
+
+  const dueAt = new Date(complaint.resolvedAt).getTime() + windowDays * DAY_MS;
+  if (reminderDaysBefore === 0) return new Date(dueAt);
+
+  const reminderSentAt = complaint.autoClose?.reminderSentAt;
+  const noticeEndsAt = (reminderSentAt ? new Date(reminderSentAt).getTime() : now.getTime()) + reminderDaysBefore * DAY_MS;
+  if (!reminderSentAt && dueAt - reminderDaysBefore * DAY_MS > now.getTime()) {
+    return new Date(dueAt);
+  }
+  return new Date(Math.max(dueAt, noticeEndsAt));
+};
+
+/**
+ * Serialize complaints for their complainant with the auto-close date added
+ * @param {Document[]} complaints
+ * @returns {Promise<Object[]>}
+ */
+export const withAutoCloseDates = async (complaints) => {
+  const policy = await getClosurePolicy();
+  const now = new Date();
+
+  return complaints.map((complaint) => ({
+    ...complaint.toJSON(),
+    autoCloseAt: getAutoCloseAt(complaint, policy, now),
+  }));
+};
+
+/**
+ * Email complainants whose resolved complaint will be closed soon
+ * @param {Object} policy
+ * @param {Date} now
+ * @returns {Promise<number>} Reminders sent
+ */
+const sendAutoCloseReminders = async (policy, now) => {
+  const { windowDays, reminderDaysBefore } = policy.autoClose;
+  if (reminderDaysBefore === 0) return 0;
+
+  const complaints = await Complaint.find({
+    status: COMPLAINT_STATUS.RESOLVED,
+    acknowledgedByStudent: false,
+    resolvedAt: { $ne: null, $lte: new Date(now.getTime() - (windowDays - reminderDaysBefore) * DAY_MS) },
+    'autoClose.reminderSentAt': null,
+  })
+    .populate('userId', 'name email')
+    .sort({ resolvedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let reminded = 0;
+  for (const complaint of complaints) {
+    try {
+      // Stamped before sending so a failing mailbox cannot hold the complaint open
+      complaint.autoClose.reminderSentAt = now;
+      await complaint.save();
+      reminded += 1;
+
+      if (complaint.userId?.email) {
+        sendAutoCloseReminderEmail({
+          email: complaint.userId.email,
+          name: complaint.userId.name,
+          complaintId: complaint.complaintId || complaint._id.toString(),
+          subject: complaint.subject,
+          closesAt: getAutoCloseAt(complaint, policy, now),
+        }).catch(err => console.error('Failed to send auto-close reminder email:', err));
+      }
+    } catch (error) {
+      console.error(`Failed to remind complainant of complaint ${complaint.complaintId}:`, error.message);
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Close resolved complaints whose acknowledgement window has passed
+ * @param {Object} policy
+ * @param {Date} now
+ * @returns {Promise<number>} Complaints closed
+ */
+const closeExpiredComplaints = async (policy, now) => {
+  const { windowDays, reminderDaysBefore } = policy.autoClose;
+
+  const expired = {
+    status: COMPLAINT_STATUS.RESOLVED,
+    acknowledgedByStudent: false,
+    resolvedAt: { $ne: null, $lte: new Date(now.getTime() - windowDays * DAY_MS) },
+    ...(reminderDaysBefore > 0 && {
+      'autoClose.reminderSentAt': { $ne: null, $lte: new Date(now.getTime() - reminderDaysBefore * DAY_MS) },
+    }),
+  };
+
+  const remark = `Closed automatically: the resolution was not acknowledged within ${windowDays} day(s)`;
+
+  let closed = 0;
+  // Complaints that fail are skipped for the rest of the run, so they cannot
+  // hold back the ones resolved after them
+  const failed = [];
+  while (closed < BATCH_SIZE) {
+    const complaints = await Complaint.find({ ...expired, _id: { $nin: failed } })
+      .populate('userId', 'name email')
+      .sort({ resolvedAt: 1 })
+      .limit(BATCH_SIZE - closed);
+    if (complaints.length === 0) break;
+
+    for (const complaint of complaints) {
+      try {
+        await closeUnacknowledgedComplaint({ complaint, actor: SYSTEM_ACTOR, remark });
+        complaint.autoClose.closedAt = now;
+        await complaint.save();
+        closed += 1;
+        await syncMergedComplaints({ parent: complaint, actor: SYSTEM_ACTOR, remark });
+
+        if (complaint.userId?.email) {
+          sendStatusUpdateEmail({
+            email: complaint.userId.email,
+            name: complaint.userId.name,
+            complaintId: complaint.complaintId || complaint._id.toString(),
+            subject: complaint.subject,
+            status: COMPLAINT_STATUS.CLOSED,
+            remark,
+          }).catch(err => console.error('Failed to send status update email:', err));
+        }
+      } catch (error) {
+        failed.push(complaint._id);
+        console.error(`Failed to auto-close complaint ${complaint.complaintId}:`, error.message);
+      }
+    }
+  }
+
+  return closed;
+};
+
+/**
+ * Send due reminders and close complaints past their acknowledgement window
+ * @returns {Promise<Object>} { reminded, closed }
+ */
+export const runAutoClose = async () => {
+  const policy = await getClosurePolicy();
+  if (!policy.autoClose?.enabled) return { reminded: 0, closed: 0 };
+
+  const now = new Date();
+  const reminded = await sendAutoCloseReminders(policy, now);
+  const closed = await closeExpiredComplaints(policy, now);
+
+  return { reminded, closed };
+};
+
+/**
+ * Ask an admin to reopen a closed complaint
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - The complainant's own closed complaint
+ * @param {Object} params.actor - Complainant (req.user)
+ * @param {string} params.remarks - Why it should be reopened
+ * @returns {Promise<Document>} The saved complaint
+ */
+export const requestClosedComplaintReopen = async ({ complaint, actor, remarks }) => {
+  if (complaint.status !== COMPLAINT_STATUS.CLOSED) {
+    throw new ValidationError('Only closed complaints need a reopen request');
+  }
+
+  const policy = await getClosurePolicy();
+  if (policy.reopenAfterClose !== CLOSED_REOPEN_MODE.ADMIN_APPROVAL) {
+    throw new ValidationError('This complaint is closed and can no longer be reopened');
+  }
+  if (complaint.reopenRequest?.status === REOPEN_REQUEST_STATUS.PENDING) {
+    throw new ValidationError('A reopen request for this complaint is already waiting for approval');
+  }
+
+  complaint.reopenRequest = {
+    status: REOPEN_REQUEST_STATUS.PENDING,
+    remarks,
+    requestedBy: actor._id,
+    requestedAt: new Date(),
+  };
+  await complaint.save();
+
+  User.find({ role: USER_ROLES.ADMIN, isActive: true })
+    .select('name email')
+    .then((admins) => {
+      admins.forEach((admin) => {
+        sendReopenRequestEmail({
+          email: admin.email,
+          name: admin.name,
+          complaintId: complaint.complaintId || complaint._id.toString(),
+          subject: complaint.subject,
+          remarks,
+        }).catch(err => console.error('Failed to send reopen request email:', err));
+      });
+    })
+    .catch(err => console.error('Failed to notify admins of reopen request:', err));
+
+  return complaint;
+};
+
+/**
+ * Approve or reject the pending reopen request of a closed complaint
+ * Approval sends the complaint back to the workflow's initial status.
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint
+ * @param {Object} params.actor - Admin deciding (req.user)
+ * @param {boolean} params.approve
+ * @param {string} [params.note] - Shown to the complainant
+ * @returns {Promise<Document>} The saved complaint
+ */
+export const decideReopenRequest = async ({ complaint, actor, approve, note = null }) => {
+  const request = complaint.reopenRequest;
+  if (request?.status !== REOPEN_REQUEST_STATUS.PENDING) {
+    throw new ValidationError('This complaint has no pending reopen request');
+  }
+
+  if (approve) {
+    if (complaint.status !== COMPLAINT_STATUS.CLOSED) {
+      throw new ValidationError('The complaint is no longer closed');
+    }
+
+    // A merged duplicate that is reopened is handled on its own again
+    complaint.mergedInto = null;
+    complaint.mergedAt = null;
+    complaint.mergedBy = null;
+
+    complaint.reopenHistory.push({
+      reopenedBy: request.requestedBy,
+      reopenedAt: new Date(),
+      reopenRemarks: request.remarks,
+      previousStatus: complaint.status,
+    });
+    await reopenClosedComplaint({ complaint, actor, remark: request.remarks });
+  }
+
+  request.status = approve ? REOPEN_REQUEST_STATUS.APPROVED : REOPEN_REQUEST_STATUS.REJECTED;
+  request.decidedBy = actor._id;
+  request.decidedAt = new Date();
+  request.decisionNote = note || null;
+  await complaint.save();
+
+  if (approve) {
+    // Duplicates merged into this complaint are reopened with it
+    syncMergedComplaints({ parent: complaint, actor })
+      .catch(err => console.error('Failed to update merged complaints:', err));
+  }
+
+  const complainant = await User.findById(request.requestedBy).select('name email');
+  if (complainant) {
+    sendReopenRequestDecisionEmail({
+      email: complainant.email,
+      name: complainant.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      approved: approve,
+      note,
+    }).catch(err => console.error('Failed to send reopen decision email:', err));
+  }
+
+  return complaint;
+};
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Run the auto-close job periodically
+ * Overlapping runs are skipped so a slow run cannot pile up.
+ */
+export const startAutoCloseScheduler = () => {
+  if (schedulerTimer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { reminded, closed } = await runAutoClose();
+      if (reminded > 0 || closed > 0) {
+        console.log(`🔒 Sent ${reminded} auto-close reminder(s) and closed ${closed} complaint(s)`);
+      }
+    } catch (error) {
+      console.error('Auto-close run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  schedulerTimer.unref();
+  tick();
+};
+
+export default {
+  DEFAULT_CLOSURE_POLICY,
+  getClosurePolicy,
+  updateClosurePolicy,
+  getAutoCloseAt,
+  withAutoCloseDates,
+  runAutoClose,
+  requestClosedComplaintReopen,
+  decideReopenRequest,
+  startAutoCloseScheduler,
+};
@@ -0,0 +1,109 @@
+/**
+ * Comment Service
+ *
+ * Shared logic for complaint comment threads used by every role's controller.
+ * Controllers are responsible for loading the complaint through their own
+ * access-scoped query before calling into this service.
+ *
+ * Security Considerations:
+ * - Internal notes are filtered out for complainants
+ * - Notifications never include internal notes
+ */
+
+import ComplaintComment from '../models/ComplaintComment.js';
+import User from '../models/User.js';
+import { sendComplaintCommentEmail } from './emailService.js';
+import { getComplaintHandlers } from './routingService.js';
+import { markFirstResponse } from './slaService.js';
+
+/**
+ * Get the comment thread for a complaint, oldest first
+ * @param {string} complaintId - Complaint _id
+ * @param {Object} options
+ * @param {boolean} options.includeInternal - Include staff-only notes
+ * @returns {Promise<Object[]>}
+ */
+export const getComplaintComments = (complaintId, { includeInternal = false } = {}) => {
+  const query = { complaint: complaintId };
+  if (!includeInternal) {
+    query.isInternal = false;
+  }
+
+  return ComplaintComment.find(query)
+    .populate('author', 'name role')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Email everyone who should hear about a new comment (non-blocking)
+ * - Staff comments notify the complainant
+ * - Complainant comments notify the assignee, or the sub-admins handling the complaint
+ * @param {Document} complaint - Complaint with userId populated, loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {Document} comment - Saved comment
+ * @param {Object} author - Comment author
+ */
+const notifyCommentRecipients = async (complaint, comment, author) => {
+  const complainant = complaint.userId;
+  const recipients = [];
+  const fromComplainant = String(author._id) === String(complainant._id);
+
+  if (fromComplainant) {
+    // Once assigned, only the owner hears about complainant replies
+    const assignee = complaint.assignedTo
+      ? await User.findOne({ _id: complaint.assignedTo, isActive: true }).select('name email')
+      : null;
+    recipients.push(...(assignee ? [assignee] : await getComplaintHandlers(complaint)));
+  } else {
+    recipients.push(complainant);
+  }
+
+  recipients.forEach((recipient) => {
+    sendComplaintCommentEmail({
+      email: recipient.email,
+      name: recipient.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      // Handlers only ever see the reference of an anonymous complainant
+      authorName: fromComplainant && complaint.isAnonymous ? complaint.anonymousRef : author.name,
+      comment: comment.body,
+    }).catch(err => console.error('Failed to send comment email:', err));
+  });
+};
+
+/**
+ * Add a comment to a complaint and notify the other side
+ * @param {Object} params
+ * @param {Document} params.complaint - Complaint with userId populated (name, email), loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {Object} params.author - Authenticated user (req.user)
+ * @param {string} params.body - Comment text
+ * @param {boolean} params.isInternal - Staff-only note
+ * @returns {Promise<Document>} Saved comment with author populated
+ */
+export const addComplaintComment = async ({ complaint, author, body, isInternal = false }) => {
+  const comment = await ComplaintComment.create({
+    complaint: complaint._id,
+    author: author._id,
+    body,
+    isInternal,
+  });
+
+  // A visible staff reply counts as the first response; only staff reach
+  // complaints they did not file
+  const fromComplainant = String(author._id) === String(complaint.userId?._id);
+  if (!isInternal && !fromComplainant) {
+    await markFirstResponse(complaint._id);
+  }
+
+  if (!isInternal) {
+    notifyCommentRecipients(complaint, comment, author)
+      .catch(err => console.error('Failed to notify comment recipients:', err));
+  }
+
+  await comment.populate('author', 'name role');
+  return comment;
+};
+
+export default {
+  getComplaintComments,
+  addComplaintComment,
+};
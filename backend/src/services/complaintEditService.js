@@ -0,0 +1,145 @@
+/**
+ * Complaint Edit Service
+ *
+ * Changes complainants can make to their own complaints after submitting:
+ * - Editing the subject and content until staff first respond, while the
+ *   complaint is still in the workflow's initial status. Every edit keeps
+ *   the replaced version in the complaint's revisions.
+ * - Withdrawing an open complaint with a reason; whoever is handling it is
+ *   notified.
+ */
+
+import Complaint from '../models/Complaint.js';
+import User from '../models/User.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { withdrawFromWorkflow } from './workflowService.js';
+import { getComplaintHandlers } from './routingService.js';
+import { SLA_STOPPED_STATUSES } from './slaService.js';
+import { sendComplaintWithdrawnEmail } from './emailService.js';
+
+// Upper bound of edits per complaint
+export const MAX_COMPLAINT_REVISIONS = 10;
+
+/**
+ * Why the complainant can no longer edit a complaint
+ * @param {Object} complaint - Complaint document or plain object
+ * @param {Object} workflow - Active workflow
+ * @returns {string|null} Reason, or null when it can be edited
+ */
+export const getEditBlocker = (complaint, workflow) => {
+  if (complaint.mergedInto) {
+    return 'This complaint was merged into another complaint and can no longer be edited';
+  }
+  if (complaint.status !== workflow.initialStatus || complaint.sla?.firstRespondedAt) {
+    return 'Complaints can only be edited until staff respond to them';
+  }
+  if ((complaint.revisions || []).length >= MAX_COMPLAINT_REVISIONS) {
+    return `A complaint can be edited at most ${MAX_COMPLAINT_REVISIONS} times`;
+  }
+  return null;
+};
+
+/**
+ * Add what the complainant can still do to serialized complaints
+ * @param {Object[]} complaints - Serialized complaints (see withAutoCloseDates)
+ * @param {Object} workflow - Active workflow
+ * @returns {Object[]} The complaints with canEdit and canWithdraw set
+ */
+export const withAuthorActions = (complaints, workflow) =>
+  complaints.map((complaint) => ({
+    ...complaint,
+    canEdit: !getEditBlocker(complaint, workflow),
+    canWithdraw: !complaint.mergedInto && !SLA_STOPPED_STATUSES.includes(complaint.status),
+  }));
+
+/**
+ * Replace the subject and content of a complaint, keeping the old version
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - The complainant's own complaint
+ * @param {Object} params.workflow - Active workflow
+ * @param {string} params.subject
+ * @param {string} params.content
+ * @returns {Promise<Document>}
+ */
+export const editComplaint = async ({ complaint, workflow, subject, content }) => {
+  const blocker = getEditBlocker(complaint, workflow);
+  if (blocker) {
+    throw new ValidationError(blocker);
+  }
+
+  if (subject === complaint.subject && content === complaint.content) {
+    throw new ValidationError('Nothing was changed');
+  }
+
+  complaint.revisions.push({
+    subject: complaint.subject,
+    content: complaint.content,
+    editedAt: new Date(),
+  });
+  complaint.subject = subject;
+  complaint.content = content;
+
+  await complaint.save();
+  return complaint;
+};
+
+/**
+ * Email the complaint's assignee, or its handlers, that it was withdrawn (non-blocking)
+ * @param {Document} complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ */
+const notifyWithdrawal = async (complaint) => {
+  const assignee = complaint.assignedTo
+    ? await User.findOne({ _id: complaint.assignedTo, isActive: true }).select('name email')
+    : null;
+  const recipients = assignee ? [assignee] : await getComplaintHandlers(complaint);
+
+  recipients.forEach((recipient) => {
+    sendComplaintWithdrawnEmail({
+      email: recipient.email,
+      name: recipient.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      reason: complaint.withdrawal.reason,
+    }).catch(err => console.error('Failed to send complaint withdrawn email:', err));
+  });
+};
+
+/**
+ * Withdraw an open complaint at its complainant's request
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - The complainant's own complaint, loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {Object} params.actor - Complainant (req.user)
+ * @param {string} params.reason
+ * @returns {Promise<Document>}
+ */
+export const withdrawComplaint = async ({ complaint, actor, reason }) => {
+  if (complaint.mergedInto) {
+    throw new ValidationError('This complaint was merged into another complaint and follows its status');
+  }
+
+  // Duplicates merged into the complaint follow its status, so their
+  // complainants would lose their complaint along with it
+  const hasDuplicates = await Complaint.exists({ mergedInto: complaint._id });
+  if (hasDuplicates) {
+    throw new ValidationError('Other complaints were merged into this one, so it can no longer be withdrawn');
+  }
+
+  await withdrawFromWorkflow({ complaint, actor, reason });
+  complaint.withdrawal = { reason: reason.trim(), withdrawnAt: new Date() };
+  await complaint.save();
+
+  notifyWithdrawal(complaint)
+    .catch(err => console.error('Failed to notify handlers of withdrawal:', err));
+
+  return complaint;
+};
+
+export default {
+  MAX_COMPLAINT_REVISIONS,
+  getEditBlocker,
+  withAuthorActions,
+  editComplaint,
+  withdrawComplaint,
+};
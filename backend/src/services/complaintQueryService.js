@@ -0,0 +1,220 @@
+/**
+ * Complaint Query Service
+ *
+ * Server-side search, filtering, sorting and cursor pagination for the admin
+ * and sub-admin complaint lists. Callers pass the validated query string
+ * (see complaintListQuerySchema) and, for sub-admins, their access scope.
+ *
+ * Cursors are opaque keyset positions (the sort values of the last item
+ * returned), so pages stay stable while new complaints arrive.
+ */
+
+import mongoose from 'mongoose';
+import Complaint, { FEEDBACK_FOLLOW_UP_STATUS, REOPEN_REQUEST_STATUS } from '../models/Complaint.js';
+import User from '../models/User.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { getDepartmentComplaintFilter } from './routingService.js';
+
+export const DEFAULT_PAGE_SIZE = 25;
+
+// Sort options; _id is appended as a tie-breaker so every position is unique
+export const COMPLAINT_SORTS = {
+  // Board upvotes break ties within a priority
+  priority: [['priorityRank', -1], ['upvoteCount', -1], ['createdAt', -1]],
+  upvotes: [['upvoteCount', -1], ['priorityRank', -1], ['createdAt', -1]],
+  newest: [['createdAt', -1]],
+  oldest: [['createdAt', 1]],
+  updated: [['updatedAt', -1]],
+};
+
+// Restore cursor values to the type stored in Mongo
+const CURSOR_CASTS = {
+  priorityRank: Number,
+  upvoteCount: Number,
+  createdAt: (value) => new Date(value),
+  updatedAt: (value) => new Date(value),
+  _id: (value) => new mongoose.Types.ObjectId(value),
+};
+
+// Complaint IDs are matched by prefix rather than full-text search
+const COMPLAINT_ID_PATTERN = /^GEIMS\d{0,6}$/i;
+
+const getSortFields = (sort) => {
+  const fields = COMPLAINT_SORTS[sort] || COMPLAINT_SORTS.priority;
+  return [...fields, ['_id', fields[fields.length - 1][1]]];
+};
+
+const encodeCursor = (complaint, fields) =>
+  Buffer.from(JSON.stringify(fields.map(([field]) => complaint[field]))).toString('base64url');
+
+const decodeCursor = (cursor, fields) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== fields.length) throw new Error('length');
+    return values.map((value, i) => {
+      const cast = CURSOR_CASTS[fields[i][0]](value);
+      if (cast instanceof Date && Number.isNaN(cast.getTime())) throw new Error('date');
+      if (typeof cast === 'number' && Number.isNaN(cast)) throw new Error('number');
+      return cast;
+    });
+  } catch (error) {
+    throw new ValidationError('Invalid or expired cursor; reload the list');
+  }
+};
+
+/**
+ * Filter matching everything after a cursor position
+ * e.g. (a < a0) OR (a = a0 AND b < b0) OR (a = a0 AND b = b0 AND _id < id0)
+ */
+const afterCursor = (fields, values) => ({
+  $or: fields.map(([field, direction], i) => ({
+    ...Object.fromEntries(fields.slice(0, i).map(([previous], j) => [previous, values[j]])),
+    [field]: { [direction === 1 ? '$gt' : '$lt']: values[i] },
+  })),
+});
+
+/**
+ * Build the Mongo filter for a complaint list query
+ * @param {Object} params - Validated list query (see complaintListQuerySchema)
+ * @param {Object} [options]
+ * @param {Object} [options.scope] - Access scope the results must stay within
+ * @param {string} [options.userId] - Requesting user, for assigned=me
+ * @returns {Promise<Object>}
+ */
+export const buildComplaintFilter = async (params, { scope = null, userId = null } = {}) => {
+  const conditions = scope ? [scope] : [];
+  const filter = {};
+
+  const search = params.q?.trim();
+  const searchesById = !!search && COMPLAINT_ID_PATTERN.test(search);
+  if (search) {
+    if (searchesById) {
+      conditions.push({ complaintId: new RegExp(`^${search.toUpperCase()}`) });
+    } else {
+      filter.$text = { $search: search };
+    }
+  }
+
+  if (params.status?.length) {
+    conditions.push({ status: { $in: params.status } });
+  }
+  if (params.priority) {
+    conditions.push({ priority: params.priority });
+  }
+  if (params.category) {
+    conditions.push({ $or: [{ category: params.category }, { subCategory: params.category }] });
+  }
+  if (params.department) {
+    conditions.push(getDepartmentComplaintFilter(params.department));
+  }
+  if (params.role) {
+    const submitters = await User.find({ role: params.role }).distinct('_id');
+    conditions.push({ userId: { $in: submitters } });
+  }
+
+  if (params.assigned === 'me') {
+    conditions.push({ assignedTo: userId });
+  } else if (params.assigned === 'unassigned') {
+    conditions.push({ assignedTo: null });
+  } else if (params.assigned) {
+    conditions.push({ assignedTo: params.assigned });
+  }
+
+  if (params.from || params.to) {
+    const createdAt = {};
+    if (params.from) createdAt.$gte = new Date(params.from);
+    if (params.to) createdAt.$lte = new Date(params.to);
+    conditions.push({ createdAt });
+  }
+
+  if (params.rating === 'unrated') {
+    conditions.push({ rating: null });
+  } else if (params.rating) {
+    conditions.push({ rating: Number(params.rating) });
+  }
+
+  if (params.reopened === 'true') {
+    conditions.push({ 'reopenHistory.0': { $exists: true } });
+  } else if (params.reopened === 'false') {
+    conditions.push({ 'reopenHistory.0': { $exists: false } });
+  } else if (params.reopened === 'requested') {
+    conditions.push({ 'reopenRequest.status': REOPEN_REQUEST_STATUS.PENDING });
+  }
+
+  if (params.merged === 'only') {
+    conditions.push({ mergedInto: { $ne: null } });
+  } else if (params.merged !== 'include' && !searchesById) {
+    // Looking a complaint up by its ID finds it even when merged
+    conditions.push({ mergedInto: null });
+  }
+
+  if (params.feedback === 'negative') {
+    conditions.push({ 'feedback.isNegative': true });
+  } else if (params.feedback === 'followUpOpen') {
+    conditions.push({ 'feedback.followUp.status': FEEDBACK_FOLLOW_UP_STATUS.OPEN });
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+  return filter;
+};
+
+/**
+ * Fetch one page of a complaint list
+ * @param {Object} params
+ * @param {Object} params.filter - Filter from buildComplaintFilter
+ * @param {string} [params.sort] - Key of COMPLAINT_SORTS (default priority)
+ * @param {string} [params.cursor] - nextCursor of the previous page
+ * @param {number} [params.limit] - Page size
+ * @param {Array} [params.populate] - Mongoose populate options
+ * @param {string} [params.select] - Fields to include/exclude
+ * @returns {Promise<Object>} { complaints, pagination: { total, limit, hasMore, nextCursor } }
+ */
+export const findComplaintPage = async ({
+  filter,
+  sort,
+  cursor,
+  limit = DEFAULT_PAGE_SIZE,
+  populate = [],
+  select = null,
+}) => {
+  const fields = getSortFields(sort);
+  const pageFilter = cursor
+    ? { ...filter, $and: [...(filter.$and || []), afterCursor(fields, decodeCursor(cursor, fields))] }
+    : filter;
+
+  let query = Complaint.find(pageFilter)
+    .sort(Object.fromEntries(fields))
+    .limit(limit + 1)
+    .populate(populate)
+    .lean();
+  if (select) {
+    query = query.select(select);
+  }
+
+  const [complaints, total] = await Promise.all([
+    query,
+    Complaint.countDocuments(filter),
+  ]);
+
+  const hasMore = complaints.length > limit;
+  const page = hasMore ? complaints.slice(0, limit) : complaints;
+
+  return {
+    complaints: page,
+    pagination: {
+      total,
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], fields) : null,
+    },
+  };
+};
+
+export default {
+  COMPLAINT_SORTS,
+  DEFAULT_PAGE_SIZE,
+  buildComplaintFilter,
+  findComplaintPage,
+};
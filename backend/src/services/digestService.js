@@ -0,0 +1,317 @@
+/**
+ * Digest Service
+ *
+ * Scheduled complaint digest emails for admins and sub-admins. Each digest
+ * lists the new, overdue, reopened and low-rated complaints in the
+ * recipient's scope since their previous digest, attaches the matching
+ * report, and is recorded as a DigestRun whether or not it was delivered.
+ */
+
+import Complaint from '../models/Complaint.js';
+import User, { USER_ROLES } from '../models/User.js';
+import DigestSubscription from '../models/DigestSubscription.js';
+import DigestRun, { DIGEST_RUN_STATUS } from '../models/DigestRun.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { getSubAdminComplaintScope, describeSubAdminScopes } from './routingService.js';
+import { getSlaBreachFilter } from './slaService.js';
+import { generateComplaintReport } from './reportService.js';
+import { sendComplaintDigestEmail } from './emailService.js';
+
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.DIGEST_CHECK_INTERVAL_MINUTES, 10) || 15;
+const BATCH_SIZE = 50;
+// Complaints listed per section in the email body; the attachment has them all
+const LISTED_PER_SECTION = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const ALL_COMPLAINTS_SCOPE = 'All complaints';
+
+/**
+ * Next time a subscription is due after a given moment (server time)
+ * @param {Object} subscription - { frequency, weekday, hour }
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+export const getNextDigestRunAt = (subscription, after = new Date()) => {
+  const next = new Date(after);
+  next.setHours(subscription.hour, 0, 0, 0);
+  if (subscription.frequency === 'weekly') {
+    next.setDate(next.getDate() + ((subscription.weekday - next.getDay() + 7) % 7));
+  }
+  if (next <= after) {
+    next.setDate(next.getDate() + (subscription.frequency === 'weekly' ? 7 : 1));
+  }
+  return next;
+};
+
+/**
+ * Get a user's digest settings (disabled defaults if never configured)
+ * @param {string} userId
+ * @returns {Promise<Document>}
+ */
+export const getDigestSubscription = async (userId) =>
+  (await DigestSubscription.findOne({ user: userId })) || new DigestSubscription({ user: userId, enabled: false });
+
+/**
+ * Create or update a user's digest settings and reschedule it
+ * @param {string} userId
+ * @param {Object} data - Validated settings (see digestSubscriptionSchema)
+ * @returns {Promise<Document>}
+ */
+export const updateDigestSubscription = async (userId, data) => {
+  const subscription = await getDigestSubscription(userId);
+  subscription.set(data);
+  subscription.nextRunAt = subscription.enabled ? getNextDigestRunAt(subscription) : null;
+  await subscription.save();
+  return subscription;
+};
+
+const getDigestScope = async (user) => {
+  if (user.role === USER_ROLES.ADMIN) {
+    return { filter: null, label: ALL_COMPLAINTS_SCOPE };
+  }
+  if (user.role !== USER_ROLES.SUB_ADMIN || !user.department) {
+    throw new ValidationError('Digests are only available to admins and sub-admins with a department');
+  }
+  return { filter: getSubAdminComplaintScope(user), label: describeSubAdminScopes(user) };
+};
+
+const SECTIONS = [
+  {
+    key: 'new',
+    title: 'New complaints',
+    filter: ({ from, to }) => ({ createdAt: { $gte: from, $lte: to } }),
+    sort: { priorityRank: -1, upvoteCount: -1, createdAt: -1 },
+  },
+  {
+    key: 'overdue',
+    title: 'Overdue complaints',
+    filter: ({ to }) => getSlaBreachFilter(to),
+    sort: { 'sla.resolutionDueAt': 1 },
+    detail: (c) => (c.sla?.resolutionDueAt ? `due ${new Date(c.sla.resolutionDueAt).toLocaleString()}` : null),
+  },
+  {
+    key: 'reopened',
+    title: 'Reopened complaints',
+    filter: ({ from, to }) => ({ reopenHistory: { $elemMatch: { reopenedAt: { $gte: from, $lte: to } } } }),
+    sort: { updatedAt: -1 },
+    detail: (c) => `reopened ${c.reopenHistory.length}x`,
+  },
+  {
+    key: 'lowRated',
+    title: 'Low-rated complaints',
+    filter: ({ from, to, lowRatingThreshold }) => ({
+      rating: { $lte: lowRatingThreshold },
+      ratedAt: { $gte: from, $lte: to },
+    }),
+    sort: { rating: 1, ratedAt: -1 },
+    detail: (c) => `rated ${c.rating}/5`,
+  },
+];
+
+const withinScope = (scope, filter) => (scope ? { $and: [scope, filter] } : filter);
+
+/**
+ * Build the digest sections for a scope and period
+ * @param {Object} params
+ * @param {Object|null} params.scope - Complaint scope filter (null for all)
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {number} params.lowRatingThreshold
+ * @returns {Promise<Object>} { sections, counts, filter } - filter matches every listed complaint
+ */
+export const buildDigest = async ({ scope, from, to, lowRatingThreshold }) => {
+  const params = { from, to, lowRatingThreshold };
+
+  const sections = await Promise.all(SECTIONS.map(async (section) => {
+    const filter = withinScope(scope, section.filter(params));
+    const [total, complaints] = await Promise.all([
+      Complaint.countDocuments(filter),
+      Complaint.find(filter)
+        .select('complaintId subject status priority rating sla reopenHistory.reopenedAt')
+        .sort(section.sort)
+        .limit(LISTED_PER_SECTION)
+        .lean(),
+    ]);
+
+    return {
+      key: section.key,
+      title: section.title,
+      total,
+      complaints: complaints.map((c) => ({
+        complaintId: c.complaintId || c._id.toString(),
+        subject: c.subject,
+        status: c.status,
+        priority: c.priority,
+        detail: section.detail ? section.detail(c) : null,
+      })),
+    };
+  }));
+
+  return {
+    sections,
+    counts: Object.fromEntries(sections.map((section) => [section.key, section.total])),
+    filter: withinScope(scope, { $or: SECTIONS.map((section) => section.filter(params)) }),
+  };
+};
+
+/**
+ * Build and send one digest and record the run
+ * Scheduled runs advance the subscription; manual runs only send a copy
+ * covering the last day or week and leave the schedule untouched.
+ * @param {Document} subscription
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - scheduled | manual
+ * @param {Date} [options.now]
+ * @returns {Promise<Document>} The DigestRun record
+ */
+export const runDigest = async (subscription, { trigger = 'scheduled', now = new Date() } = {}) => {
+  const windowStart = new Date(now.getTime() - PERIOD_DAYS[subscription.frequency] * DAY_MS);
+  const from = trigger === 'scheduled' && subscription.lastSentAt ? subscription.lastSentAt : windowStart;
+
+  const user = await User.findById(subscription.user).select('name email role department scopes isActive');
+  const run = new DigestRun({
+    user: subscription.user,
+    email: user?.email || 'unknown',
+    scope: user?.role === USER_ROLES.ADMIN ? ALL_COMPLAINTS_SCOPE : (user?.department && describeSubAdminScopes(user)) || 'unknown',
+    frequency: subscription.frequency,
+    trigger,
+    periodStart: from,
+    periodEnd: now,
+    status: DIGEST_RUN_STATUS.FAILED,
+  });
+
+  try {
+    if (!user || !user.isActive) {
+      throw new ValidationError('Recipient account is inactive');
+    }
+
+    const scope = await getDigestScope(user);
+    const digest = await buildDigest({
+      scope: scope.filter,
+      from,
+      to: now,
+      lowRatingThreshold: subscription.lowRatingThreshold,
+    });
+    run.counts = digest.counts;
+
+    let attachment = null;
+    if (Object.values(digest.counts).some((count) => count > 0)) {
+      const report = await generateComplaintReport({
+        query: { format: subscription.attachmentFormat, predefinedRange: 'all' },
+        scope: digest.filter,
+        title: `Complaint Digest - ${scope.label}`,
+        label: `digest-${scope.label}`,
+      });
+      attachment = { filename: report.filename, content: report.body, contentType: report.contentType };
+      run.attachment = report.filename;
+    }
+
+    const result = await sendComplaintDigestEmail({
+      email: user.email,
+      name: user.name,
+      scope: scope.label,
+      frequency: subscription.frequency,
+      periodStart: from,
+      periodEnd: now,
+      sections: digest.sections,
+      attachment,
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    run.status = DIGEST_RUN_STATUS.SENT;
+  } catch (error) {
+    run.error = error.message;
+  }
+
+  await run.save();
+
+  if (trigger === 'scheduled') {
+    if (run.status === DIGEST_RUN_STATUS.SENT) {
+      subscription.lastSentAt = now;
+    }
+    subscription.nextRunAt = getNextDigestRunAt(subscription, now);
+    await subscription.save();
+  }
+
+  return run;
+};
+
+/**
+ * Send every digest that is due
+ * @returns {Promise<Object>} { sent, failed }
+ */
+export const runDueDigests = async () => {
+  const now = new Date();
+  const subscriptions = await DigestSubscription.find({ enabled: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+  let failed = 0;
+  for (const subscription of subscriptions) {
+    const run = await runDigest(subscription, { now });
+    if (run.status === DIGEST_RUN_STATUS.SENT) {
+      sent += 1;
+    } else {
+      failed += 1;
+      console.error(`Digest for user ${subscription.user} failed:`, run.error);
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Recent digest runs, newest first
+ * @param {Object} [params]
+ * @param {string} [params.userId] - Only this recipient's runs
+ * @param {number} [params.limit]
+ * @returns {Promise<Document[]>}
+ */
+export const listDigestRuns = ({ userId = null, limit = 50 } = {}) =>
+  DigestRun.find(userId ? { user: userId } : {})
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('user', 'name email role department');
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Send due digests periodically
+ * Overlapping runs are skipped so a slow run cannot pile up.
+ */
+export const startDigestScheduler = () => {
+  if (schedulerTimer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed } = await runDueDigests();
+      if (sent + failed > 0) {
+        console.log(`📬 Sent ${sent} complaint digest(s)${failed ? `, ${failed} failed` : ''}`);
+      }
+    } catch (error) {
+      console.error('Digest run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  schedulerTimer.unref();
+  tick();
+};
+
+export default {
+  getNextDigestRunAt,
+  getDigestSubscription,
+  updateDigestSubscription,
+  buildDigest,
+  runDigest,
+  runDueDigests,
+  listDigestRuns,
+  startDigestScheduler,
+};
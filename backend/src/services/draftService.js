@@ -0,0 +1,108 @@
+/**
+ * Draft Service
+ *
+ * Server-side drafts of complaints a student or employee has not submitted
+ * yet. The submission form saves as the complainant types and resumes from
+ * a draft later; submitting a complaint from a draft removes the draft.
+ *
+ * Security Considerations:
+ * - Drafts are always looked up by owner, never by id alone
+ */
+
+import ComplaintDraft from '../models/ComplaintDraft.js';
+import { ValidationError, NotFoundError } from '../middlewares/errorHandler.js';
+
+// Upper bound of drafts kept per complainant
+export const MAX_DRAFTS_PER_USER = 10;
+
+/**
+ * Map validated draft input (see complaintDraftSchema) to draft fields
+ * Fields left out of the input are left as they are.
+ * @param {Object} data
+ * @returns {Object}
+ */
+const toDraftFields = ({ categoryId, subCategoryId, ...fields }) => {
+  const draft = { ...fields };
+  if (categoryId !== undefined) draft.category = categoryId;
+  if (subCategoryId !== undefined) draft.subCategory = subCategoryId;
+  return draft;
+};
+
+/**
+ * List a complainant's drafts, most recently edited first
+ * @param {string} ownerId
+ * @returns {Promise<Document[]>}
+ */
+export const listDrafts = (ownerId) =>
+  ComplaintDraft.find({ owner: ownerId }).sort({ updatedAt: -1 });
+
+/**
+ * Start a new draft
+ * @param {string} ownerId
+ * @param {Object} data - Validated draft (see complaintDraftSchema)
+ * @returns {Promise<Document>}
+ */
+export const createDraft = async (ownerId, data) => {
+  const count = await ComplaintDraft.countDocuments({ owner: ownerId });
+  if (count >= MAX_DRAFTS_PER_USER) {
+    throw new ValidationError(
+      `You can keep at most ${MAX_DRAFTS_PER_USER} drafts. Submit or delete one before starting another.`
+    );
+  }
+
+  return ComplaintDraft.create({ owner: ownerId, ...toDraftFields(data) });
+};
+
+/**
+ * Save changes to a draft
+ * @param {string} ownerId
+ * @param {string} draftId
+ * @param {Object} data - Validated draft (see complaintDraftSchema)
+ * @returns {Promise<Document>}
+ */
+export const updateDraft = async (ownerId, draftId, data) => {
+  const draft = await ComplaintDraft.findOneAndUpdate(
+    { _id: draftId, owner: ownerId },
+    toDraftFields(data),
+    { new: true, runValidators: true }
+  );
+
+  if (!draft) {
+    throw new NotFoundError('Draft not found');
+  }
+
+  return draft;
+};
+
+/**
+ * Delete a draft
+ * @param {string} ownerId
+ * @param {string} draftId
+ */
+export const deleteDraft = async (ownerId, draftId) => {
+  const draft = await ComplaintDraft.findOneAndDelete({ _id: draftId, owner: ownerId });
+
+  if (!draft) {
+    throw new NotFoundError('Draft not found');
+  }
+};
+
+/**
+ * Remove the draft a complaint was submitted from, if it still exists
+ * @param {string} ownerId
+ * @param {string} [draftId]
+ * @returns {Promise<void>}
+ */
+export const discardSubmittedDraft = async (ownerId, draftId) => {
+  if (!draftId) return;
+  await ComplaintDraft.deleteOne({ _id: draftId, owner: ownerId });
+};
+
+export default {
+  MAX_DRAFTS_PER_USER,
+  listDrafts,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  discardSubmittedDraft,
+};
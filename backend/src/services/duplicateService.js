@@ -0,0 +1,301 @@
+/**
+ * Duplicate Service
+ *
+ * Finds open complaints that describe the same problem, across users, by
+ * comparing their subject and content text, and lets staff merge duplicates
+ * into a parent complaint. Merged complaints stop being worked on their own:
+ * they follow the parent's status and their complainants get its updates.
+ *
+ * Candidates come from the complaint text index; each is then scored by the
+ * overlap of its normalized words with the new text (subject words count
+ * double).
+ */
+
+import Complaint, { COMPLAINT_STATUS } from '../models/Complaint.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { SLA_STOPPED_STATUSES } from './slaService.js';
+import { followParentStatus } from './workflowService.js';
+import { sendStatusUpdateEmail, sendComplaintResolvedEmail } from './emailService.js';
+
+// Minimum score (0-1) for a complaint to count as similar
+export const SIMILARITY_THRESHOLD = 0.35;
+
+// Text-search candidates scored per lookup
+const CANDIDATE_LIMIT = 50;
+
+// Same category makes a match more likely to be the same problem
+const SAME_CATEGORY_BONUS = 0.1;
+
+const SUBJECT_WEIGHT = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had',
+  'has', 'have', 'he', 'her', 'here', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+  'kindly', 'me', 'more', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'please', 'sir', 'madam', 'so',
+  'some', 'still', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'too', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your', 'complaint', 'issue', 'problem', 'regarding',
+]);
+
+/**
+ * Normalize text into comparable words
+ * Lowercases, drops punctuation and stop words, and strips a plural "s".
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text = '') =>
+  String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+/**
+ * Weighted word counts of a complaint's subject and content
+ * @param {Object} text - { subject, content }
+ * @returns {Map<string, number>}
+ */
+const toTermWeights = ({ subject, content }) => {
+  const weights = new Map();
+  const add = (words, weight) => {
+    new Set(words).forEach((word) => weights.set(word, (weights.get(word) || 0) + weight));
+  };
+  add(tokenize(subject), SUBJECT_WEIGHT);
+  add(tokenize(content), 1);
+  return weights;
+};
+
+/**
+ * Similarity of two complaints' text (weighted Jaccard of their words)
+ * @param {Object} a - { subject, content }
+ * @param {Object} b - { subject, content }
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+export const scoreSimilarity = (a, b) => {
+  const left = toTermWeights(a);
+  const right = toTermWeights(b);
+
+  let shared = 0;
+  let total = 0;
+  new Set([...left.keys(), ...right.keys()]).forEach((word) => {
+    const l = left.get(word) || 0;
+    const r = right.get(word) || 0;
+    shared += Math.min(l, r);
+    total += Math.max(l, r);
+  });
+
+  return total === 0 ? 0 : shared / total;
+};
+
+/**
+ * Find open complaints similar to some complaint text
+ * @param {Object} params
+ * @param {string} params.subject
+ * @param {string} params.content
+ * @param {string|Object} [params.category] - Category (or its ID) of the new complaint
+ * @param {string[]} [params.excludeIds] - Complaints to leave out
+ * @param {Object} [params.scope] - Extra filter (e.g. a sub-admin's scope)
+ * @param {number} [params.limit]
+ * @returns {Promise<Object[]>} [{ complaint, score }], best match first
+ */
+export const findSimilarComplaints = async ({ subject, content, category = null, excludeIds = [], scope = null, limit = 5 }) => {
+  const words = [...new Set([...tokenize(subject), ...tokenize(content)])];
+  if (words.length === 0) return [];
+
+  const categoryId = category?._id || category;
+
+  const filter = {
+    $text: { $search: words.join(' ') },
+    status: { $nin: SLA_STOPPED_STATUSES },
+    mergedInto: null,
+    ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } }),
+    ...(scope && { $and: [scope] }),
+  };
+
+  const candidates = await Complaint.find(filter, { score: { $meta: 'textScore' } })
+    .select('complaintId subject content status priority category createdAt isAnonymous anonymousRef userId')
+    .populate('category', 'name')
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return candidates
+    .map((candidate) => {
+      let score = scoreSimilarity({ subject, content }, candidate);
+      if (categoryId && candidate.category?._id?.toString() === categoryId.toString()) {
+        score = Math.min(1, score + SAME_CATEGORY_BONUS);
+      }
+      return { complaint: candidate, score };
+    })
+    .filter(({ score }) => score >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * What a complainant may see of someone else's similar complaint
+ * @param {Object} match - { complaint, score }
+ * @returns {Object}
+ */
+export const toSimilarSummary = ({ complaint, score }) => ({
+  _id: complaint._id,
+  complaintId: complaint.complaintId,
+  subject: complaint.subject,
+  status: complaint.status,
+  category: complaint.category?.name || null,
+  createdAt: complaint.createdAt,
+  similarity: Math.round(score * 100),
+});
+
+/**
+ * Email a merged complaint's complainant about its new status (non-blocking)
+ * @param {Document} complaint - With userId populated (name, email)
+ * @param {string} remark
+ */
+const notifyLinkedComplainant = (complaint, remark) => {
+  const user = complaint.userId;
+  if (!user?.email) return;
+
+  if (complaint.status === COMPLAINT_STATUS.RESOLVED) {
+    sendComplaintResolvedEmail({
+      email: user.email,
+      name: user.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      content: complaint.content,
+      acknowledgment: complaint.acknowledgment,
+      submittedAt: complaint.createdAt,
+    }).catch(err => console.error('Failed to send resolution email:', err));
+  } else {
+    sendStatusUpdateEmail({
+      email: user.email,
+      name: user.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      status: complaint.status,
+      remark,
+    }).catch(err => console.error('Failed to send status update email:', err));
+  }
+};
+
+/**
+ * Bring every complaint merged into a parent to the parent's status
+ * Call after the parent's status change is saved.
+ * @param {Object} params
+ * @param {Document} params.parent - Saved parent complaint
+ * @param {Object} params.actor - User behind the change (needs _id and role)
+ * @param {string} [params.remark] - Remark of the parent's change
+ * @returns {Promise<number>} Linked complaints updated
+ */
+export const syncMergedComplaints = async ({ parent, actor, remark }) => {
+  const linked = await Complaint.find({ mergedInto: parent._id, status: { $ne: parent.status } })
+    .populate('userId', 'name email');
+
+  let updated = 0;
+  for (const complaint of linked) {
+    try {
+      const note = `Updated with ${parent.complaintId}${remark ? `: ${remark}` : ''}`;
+      await followParentStatus({ complaint, parent, actor, remark: note });
+      await complaint.save();
+      updated += 1;
+      notifyLinkedComplainant(complaint, note);
+    } catch (error) {
+      console.error(`Failed to update merged complaint ${complaint.complaintId}:`, error.message);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Merge a duplicate complaint into a parent complaint
+ * Complaints already merged into the duplicate move to the parent as well.
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Duplicate (userId populated)
+ * @param {Document} params.parent - Complaint it duplicates
+ * @param {Object} params.actor - Staff member merging (needs _id and role)
+ * @param {string} [params.note]
+ * @returns {Promise<Document>} The saved duplicate
+ */
+export const mergeComplaint = async ({ complaint, parent, actor, note = null }) => {
+  if (complaint._id.equals(parent._id)) {
+    throw new ValidationError('A complaint cannot be merged into itself');
+  }
+  if (complaint.mergedInto) {
+    throw new ValidationError('This complaint is already merged into another complaint');
+  }
+  if (parent.mergedInto) {
+    throw new ValidationError('The target complaint is itself merged; merge into its parent instead');
+  }
+
+  const remark = `Merged into ${parent.complaintId}${note ? `: ${note}` : ''}`;
+
+  complaint.mergedInto = parent._id;
+  complaint.mergedAt = new Date();
+  complaint.mergedBy = actor._id;
+  await followParentStatus({ complaint, parent, actor, remark });
+  await complaint.save();
+
+  // Anything merged into the duplicate now hangs off the parent
+  await Complaint.updateMany({ mergedInto: complaint._id }, { mergedInto: parent._id });
+  await syncMergedComplaints({ parent, actor, remark: `Merged into ${parent.complaintId}` });
+
+  const user = complaint.userId;
+  if (user?.email) {
+    sendStatusUpdateEmail({
+      email: user.email,
+      name: user.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      status: complaint.status,
+      remark: `Your complaint reports the same problem as ${parent.complaintId} and was merged into it. You will receive its updates from now on.`,
+    }).catch(err => console.error('Failed to send status update email:', err));
+  }
+
+  return complaint;
+};
+
+/**
+ * Detach a merged complaint so it is handled on its own again
+ * Saves the complaint.
+ * @param {Document} complaint
+ * @returns {Promise<Document>}
+ */
+export const unmergeComplaint = async (complaint) => {
+  if (!complaint.mergedInto) {
+    throw new ValidationError('This complaint is not merged');
+  }
+
+  complaint.mergedInto = null;
+  complaint.mergedAt = null;
+  complaint.mergedBy = null;
+  await complaint.save();
+
+  return complaint;
+};
+
+/**
+ * Complaints merged into a parent
+ * @param {string} parentId
+ * @returns {Promise<Object[]>}
+ */
+export const getMergedComplaints = (parentId) =>
+  Complaint.find({ mergedInto: parentId })
+    .select('complaintId subject status createdAt mergedAt isAnonymous anonymousRef userId')
+    .populate('userId', 'name email department college role')
+    .sort({ mergedAt: -1 })
+    .lean();
+
+export default {
+  SIMILARITY_THRESHOLD,
+  tokenize,
+  scoreSimilarity,
+  findSimilarComplaints,
+  toSimilarSummary,
+  syncMergedComplaints,
+  mergeComplaint,
+  unmergeComplaint,
+  getMergedComplaints,
+};
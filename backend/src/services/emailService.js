@@ -224,7 +224,8 @@ const buildEmail = ({ subject, body, preheader, text }) => {
   };
 };
 
-const sendBrandedMail = async ({ to, subject, body, preheader, text }) => {
+// `attachments` are files the email is about (e.g. a report), never the logo
+const sendBrandedMail = async ({ to, subject, body, preheader, text, attachments = [] }) => {
   const email = buildEmail({ subject, body, preheader, text });
 
   return transporter.sendMail({
@@ -233,7 +234,7 @@ const sendBrandedMail = async ({ to, subject, body, preheader, text }) => {
     subject,
     html: email.html,
     text: email.text,
-    attachments: [],
+    attachments,
   });
 };
 
@@ -357,6 +358,192 @@ export const sendPasswordChangedEmail = async ({ email, name }) => {
   }
 };
 
+/**
+ * Send notice that two-factor authentication was turned on, off or reset
+ * @param {Object} params
+ * @param {string} params.email - User email
+ * @param {string} params.name - User name
+ * @param {string} params.change - 'enabled', 'disabled' or 'reset'
+ * @param {string} [params.reason] - Why an admin reset it
+ * @returns {Promise<Object>}
+ */
+export const sendTwoFactorChangedEmail = async ({ email, name, change, reason }) => {
+  const summaries = {
+    enabled: 'Two-factor authentication was turned on for your account.',
+    disabled: 'Two-factor authentication was turned off for your account.',
+    reset: 'An administrator reset two-factor authentication for your account and signed you out everywhere. Set it up again the next time you log in.',
+  };
+  const summary = summaries[change];
+  const subject = 'Two-Factor Authentication Updated - GEIMS Complaint Portal';
+
+  const body = `
+    <h2 class="title">Two-Factor Authentication Updated</h2>
+    <p class="subtitle">A security setting on your account changed.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)}</p>
+
+    <div class="info">
+      <div><strong>Date:</strong> ${escapeHtml(new Date().toLocaleString())}</div>
+      ${reason ? `<div><strong>Reason:</strong> ${escapeHtml(reason)}</div>` : ''}
+    </div>
+
+    <p class="warning">⚠️ If you did not expect this change, please contact your administrator immediately.</p>
+  `;
+
+  const text = [
+    'Two-Factor Authentication Updated',
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Date: ${new Date().toLocaleString()}`,
+    ...(reason ? [`Reason: ${reason}`] : []),
+    '',
+    'If you did not expect this change, please contact your administrator immediately.',
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ Two-factor change email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send two-factor change email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send alert that an account was locked after repeated failed logins
+ * @param {Object} params
+ * @param {string} params.email - User email
+ * @param {string} params.name - User name
+ * @param {Date} params.lockedUntil - When login is allowed again
+ * @param {number} params.failedAttempts - Failed attempts that caused the lock
+ * @param {string} [params.ip] - IP address of the last failed attempt
+ * @returns {Promise<Object>}
+ */
+export const sendAccountLockedEmail = async ({ email, name, lockedUntil, failedAttempts, ip }) => {
+  const subject = 'Account Temporarily Locked - GEIMS Complaint Portal';
+  const summary = `Your account was locked after ${failedAttempts} failed login attempts.`;
+
+  const body = `
+    <h2 class="title">Account Temporarily Locked</h2>
+    <p class="subtitle">Someone tried to log in to your account and failed repeatedly.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)} You can log in again after the time below.</p>
+
+    <div class="info">
+      <div><strong>Locked until:</strong> ${escapeHtml(new Date(lockedUntil).toLocaleString())}</div>
+      ${ip ? `<div><strong>Last attempt from:</strong> ${escapeHtml(ip)}</div>` : ''}
+    </div>
+
+    <p>If this was you, wait until then or use "Forgot password" on the login page. Resetting your password also unlocks your account.</p>
+    <p class="warning">⚠️ If this was not you, reset your password and tell your administrator.</p>
+  `;
+
+  const text = [
+    'Account Temporarily Locked',
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Locked until: ${new Date(lockedUntil).toLocaleString()}`,
+    ...(ip ? [`Last attempt from: ${ip}`] : []),
+    '',
+    'If this was you, wait until then or use "Forgot password" on the login page. Resetting your password also unlocks your account.',
+    'If this was not you, reset your password and tell your administrator.',
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ Account locked email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send account locked email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send alert that the account was logged in to from a new device
+ * @param {Object} params
+ * @param {string} params.email - User email
+ * @param {string} params.name - User name
+ * @param {string} params.device - Browser and platform, e.g. "Chrome on Windows"
+ * @param {string} [params.ip] - IP address of the login
+ * @returns {Promise<Object>}
+ */
+export const sendNewDeviceLoginEmail = async ({ email, name, device, ip }) => {
+  const subject = 'New Login to Your Account - GEIMS Complaint Portal';
+  const summary = `Your account was just logged in to from ${device}.`;
+
+  const body = `
+    <h2 class="title">New Device Login</h2>
+    <p class="subtitle">We noticed a login from a device you have not used before.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)}</p>
+
+    <div class="info">
+      <div><strong>Device:</strong> ${escapeHtml(device)}</div>
+      ${ip ? `<div><strong>IP address:</strong> ${escapeHtml(ip)}</div>` : ''}
+      <div><strong>Date:</strong> ${escapeHtml(new Date().toLocaleString())}</div>
+    </div>
+
+    <p>If this was you, no action is needed.</p>
+    <p class="warning">⚠️ If this was not you, change your password and sign out of all devices from Active Sessions right away.</p>
+  `;
+
+  const text = [
+    'New Device Login',
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Device: ${device}`,
+    ...(ip ? [`IP address: ${ip}`] : []),
+    `Date: ${new Date().toLocaleString()}`,
+    '',
+    'If this was you, no action is needed.',
+    'If this was not you, change your password and sign out of all devices from Active Sessions right away.',
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ New device login email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send new device login email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Send password reset email with secure reset link
  * @param {Object} params
@@ -448,7 +635,7 @@ export const sendComplaintSubmittedEmail = async ({ email, name, complaintId, su
     <div class="info">
       <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
       <div><strong>Submitted:</strong> ${escapeHtml(new Date().toLocaleString())}</div>
-      <div><strong>Status:</strong> <span style="color: #17a2b8;">READ</span></div>
+      <div><strong>Status:</strong> <span style="color: #17a2b8;">SUBMITTED</span></div>
     </div>
 
     <div class="divider"></div>
@@ -479,7 +666,7 @@ export const sendComplaintSubmittedEmail = async ({ email, name, complaintId, su
     '',
     `Complaint ID: ${complaintId}`,
     `Submitted: ${new Date().toLocaleString()}`,
-    'Status: READ',
+    'Status: SUBMITTED',
     '',
     `Subject: ${subject}`,
     '',
@@ -600,21 +787,30 @@ export const sendComplaintResolvedEmail = async ({ email, name, complaintId, sub
  * @param {string} params.complaintId - Complaint ID
  * @param {string} params.subject - Complaint subject
  * @param {string} params.status - New status
+ * @param {string} [params.remark] - Staff remark for the change
  * @returns {Promise<Object>}
  */
-export const sendStatusUpdateEmail = async ({ email, name, complaintId, subject: complaintSubject, status }) => {
+export const sendStatusUpdateEmail = async ({ email, name, complaintId, subject: complaintSubject, status, remark }) => {
   const emailSubject = `Complaint Status Updated - ${complaintId} - ${status.replace('_', ' ')}`;
   
   const statusColors = {
-    READ: '#17a2b8',
-    UNDER_REVIEW: '#ffc107',
+    SUBMITTED: '#17a2b8',
+    ACKNOWLEDGED: '#6f42c1',
+    IN_PROGRESS: '#ffc107',
+    ON_HOLD: '#fd7e14',
+    REJECTED: '#dc3545',
     RESOLVED: '#28a745',
+    CLOSED: '#6c757d',
   };
   
   const statusMessages = {
-    READ: 'Your complaint has been read by the administration.',
-    UNDER_REVIEW: 'Your complaint is currently under review.',
+    SUBMITTED: 'Your complaint is awaiting review by the administration.',
+    ACKNOWLEDGED: 'Your complaint has been acknowledged by the administration.',
+    IN_PROGRESS: 'Your complaint is currently being worked on.',
+    ON_HOLD: 'Work on your complaint has been put on hold.',
+    REJECTED: 'Your complaint has been rejected.',
     RESOLVED: 'Your complaint has been resolved.',
+    CLOSED: 'Your complaint has been closed.',
   };
   
   const body = `
@@ -632,6 +828,11 @@ export const sendStatusUpdateEmail = async ({ email, name, complaintId, subject:
 
     <div class="divider"></div>
     <p style="margin: 0;">${escapeHtml(statusMessages[status] || 'Your complaint status has been updated.')}</p>
+    ${remark ? `
+    <div class="info" style="margin-top: 12px;">
+      <div><strong>Remark:</strong></div>
+      <div style="margin-top: 6px; white-space: pre-wrap;">${escapeHtml(remark)}</div>
+    </div>` : ''}
 
     <p class="muted" style="margin: 12px 0 0 0;">Log in to the portal to view more details.</p>
   `;
@@ -647,6 +848,7 @@ export const sendStatusUpdateEmail = async ({ email, name, complaintId, subject:
     `Updated: ${new Date().toLocaleString()}`,
     '',
     statusMessages[status] || 'Your complaint status has been updated.',
+    ...(remark ? ['', 'Remark:', remark] : []),
   ].join('\n');
   
   try {
@@ -666,6 +868,685 @@ export const sendStatusUpdateEmail = async ({ email, name, complaintId, subject:
   }
 };
 
+/**
+ * Send new comment notification email
+ * @param {Object} params
+ * @param {string} params.email - Recipient email
+ * @param {string} params.name - Recipient name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {string} params.authorName - Name of the comment author
+ * @param {string} params.comment - Comment text
+ * @returns {Promise<Object>}
+ */
+export const sendComplaintCommentEmail = async ({ email, name, complaintId, subject: complaintSubject, authorName, comment }) => {
+  const emailSubject = `New Comment on Complaint ${complaintId} - GEIMS Complaint Portal`;
+
+  // Truncate comment for preview if too long
+  const commentPreview = comment.length > 1000 ? comment.substring(0, 1000) + '...' : comment;
+
+  const body = `
+    <h2 class="title">New Comment</h2>
+    <p class="subtitle">A new message was added to a complaint.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p><strong>${escapeHtml(authorName)}</strong> commented on complaint <strong>${escapeHtml(complaintId)}</strong>.</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+      <div><strong>Posted:</strong> ${escapeHtml(new Date().toLocaleString())}</div>
+    </div>
+
+    <div class="divider"></div>
+
+    <div class="info">
+      <div><strong>Comment:</strong></div>
+      <div style="margin-top: 6px; white-space: pre-wrap;">${escapeHtml(commentPreview)}</div>
+    </div>
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">Log in to the portal to reply.</p>
+  `;
+
+  const text = [
+    'New Comment',
+    '',
+    `Hello ${name},`,
+    '',
+    `${authorName} commented on complaint ${complaintId}.`,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    `Posted: ${new Date().toLocaleString()}`,
+    '',
+    'Comment:',
+    commentPreview,
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: `${authorName} commented on complaint ${complaintId}.`,
+      text,
+    });
+
+    console.log(`✅ Comment notification email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send comment notification email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send notification email when a complaint is assigned to a handler
+ * @param {Object} params
+ * @param {string} params.email - Assignee email
+ * @param {string} params.name - Assignee name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {string} params.assignedByName - Name of the user who made the assignment
+ * @param {string} [params.note] - Optional handover note
+ * @param {boolean} [params.escalated] - Whether this is a cross-department escalation
+ * @returns {Promise<Object>}
+ */
+export const sendComplaintAssignedEmail = async ({ email, name, complaintId, subject: complaintSubject, assignedByName, note, escalated = false }) => {
+  const title = escalated ? 'Complaint Escalated to You' : 'Complaint Assigned to You';
+  const emailSubject = `${title}: ${complaintId} - GEIMS Complaint Portal`;
+
+  const body = `
+    <h2 class="title">${title}</h2>
+    <p class="subtitle">You are now the handler for this complaint.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p><strong>${escapeHtml(assignedByName)}</strong> ${escalated ? 'escalated' : 'assigned'} complaint <strong>${escapeHtml(complaintId)}</strong> to you.</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+      <div><strong>Assigned:</strong> ${escapeHtml(new Date().toLocaleString())}</div>
+    </div>
+    ${note ? `
+    <div class="divider"></div>
+
+    <div class="info">
+      <div><strong>Note:</strong></div>
+      <div style="margin-top: 6px; white-space: pre-wrap;">${escapeHtml(note)}</div>
+    </div>` : ''}
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">Log in to the portal to review and update the complaint.</p>
+  `;
+
+  const text = [
+    title,
+    '',
+    `Hello ${name},`,
+    '',
+    `${assignedByName} ${escalated ? 'escalated' : 'assigned'} complaint ${complaintId} to you.`,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    `Assigned: ${new Date().toLocaleString()}`,
+    ...(note ? ['', 'Note:', note] : []),
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: `Complaint ${complaintId} was ${escalated ? 'escalated' : 'assigned'} to you.`,
+      text,
+    });
+
+    console.log(`✅ Assignment email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send assignment email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send alert email to a department head about an urgent complaint
+ * @param {Object} params
+ * @param {string} params.email - Department head email
+ * @param {string} params.name - Department head name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {string} params.department - Department handling the complaint
+ * @param {string} [params.raisedByName] - Staff member who raised the priority (omitted for new complaints)
+ * @returns {Promise<Object>}
+ */
+export const sendUrgentComplaintEmail = async ({ email, name, complaintId, subject: complaintSubject, department, raisedByName }) => {
+  const emailSubject = `Urgent Complaint: ${complaintId} - GEIMS Complaint Portal`;
+  const reason = raisedByName
+    ? `${raisedByName} marked complaint ${complaintId} as urgent.`
+    : `Complaint ${complaintId} was submitted as urgent.`;
+
+  const body = `
+    <h2 class="title">Urgent Complaint</h2>
+    <p class="subtitle">An urgent complaint needs attention from your department.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(reason)}</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+      <div><strong>Department:</strong> ${escapeHtml(department || 'N/A')}</div>
+    </div>
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">Log in to the portal to make sure it is being handled.</p>
+  `;
+
+  const text = [
+    'Urgent Complaint',
+    '',
+    `Hello ${name},`,
+    '',
+    reason,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    `Department: ${department || 'N/A'}`,
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: reason,
+      text,
+    });
+
+    console.log(`✅ Urgent complaint email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send urgent complaint email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send notification email when a complainant leaves negative feedback
+ * @param {Object} params
+ * @param {string} params.email - Handler email
+ * @param {string} params.name - Handler name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {number} params.rating - Star rating (1-5)
+ * @param {boolean|null} params.issueFixed - Whether the complainant says the issue was fixed
+ * @param {string} [params.comment] - Feedback comment
+ * @returns {Promise<Object>}
+ */
+export const sendNegativeFeedbackEmail = async ({ email, name, complaintId, subject: complaintSubject, rating, issueFixed, comment }) => {
+  const emailSubject = `Negative Feedback: ${complaintId} - GEIMS Complaint Portal`;
+  const summary = `The complainant rated the resolution of complaint ${complaintId} ${rating}/5.`;
+  const fixedLabel = issueFixed === null || issueFixed === undefined ? 'Not answered' : issueFixed ? 'Yes' : 'No';
+
+  const body = `
+    <h2 class="title">Negative Feedback</h2>
+    <p class="subtitle">A follow-up has been opened for this complaint.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)}</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+      <div><strong>Issue fixed:</strong> ${escapeHtml(fixedLabel)}</div>
+    </div>
+
+    ${comment ? `
+    <div class="info">
+      <div><strong>Feedback:</strong></div>
+      <div style="margin-top: 6px; white-space: pre-wrap;">${escapeHtml(comment)}</div>
+    </div>
+    ` : ''}
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">Log in to the portal to follow up with the complainant or reopen the complaint.</p>
+  `;
+
+  const text = [
+    'Negative Feedback',
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    `Issue fixed: ${fixedLabel}`,
+    ...(comment ? ['', 'Feedback:', comment] : []),
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ Negative feedback email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send negative feedback email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send notification email when a complainant withdraws a complaint
+ * @param {Object} params
+ * @param {string} params.email - Handler email
+ * @param {string} params.name - Handler name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {string} params.reason - Why the complaint was withdrawn
+ * @returns {Promise<Object>}
+ */
+export const sendComplaintWithdrawnEmail = async ({ email, name, complaintId, subject: complaintSubject, reason }) => {
+  const emailSubject = `Complaint Withdrawn: ${complaintId} - GEIMS Complaint Portal`;
+  const summary = `The complainant withdrew complaint ${complaintId}.`;
+
+  const body = `
+    <h2 class="title">Complaint Withdrawn</h2>
+    <p class="subtitle">No further action is needed on this complaint.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)}</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+    </div>
+
+    <div class="info">
+      <div><strong>Reason:</strong></div>
+      <div style="margin-top: 6px; white-space: pre-wrap;">${escapeHtml(reason)}</div>
+    </div>
+  `;
+
+  const text = [
+    'Complaint Withdrawn',
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    '',
+    'Reason:',
+    reason,
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ Complaint withdrawn email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send complaint withdrawn email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send reminder email before an unacknowledged resolved complaint is closed automatically
+ * @param {Object} params
+ * @param {string} params.email - Complainant email
+ * @param {string} params.name - Complainant name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {Date} params.closesAt - When the complaint will be closed
+ * @returns {Promise<Object>}
+ */
+export const sendAutoCloseReminderEmail = async ({ email, name, complaintId, subject: complaintSubject, closesAt }) => {
+  const emailSubject = `Complaint Closing Soon: ${complaintId} - GEIMS Complaint Portal`;
+  const closesLabel = new Date(closesAt).toLocaleString();
+  const summary = `Complaint ${complaintId} was resolved and will be closed automatically on ${closesLabel}.`;
+
+  const body = `
+    <h2 class="title">Your Complaint Will Close Soon</h2>
+    <p class="subtitle">Please confirm the resolution or reopen the complaint.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)}</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+      <div><strong>Closes on:</strong> ${escapeHtml(closesLabel)}</div>
+    </div>
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">Log in to the portal to acknowledge the resolution, or reopen the complaint if the issue is not fixed. Once closed, it can no longer be reopened directly.</p>
+  `;
+
+  const text = [
+    'Your Complaint Will Close Soon',
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    `Closes on: ${closesLabel}`,
+    '',
+    'Log in to the portal to acknowledge the resolution, or reopen the complaint if the issue is not fixed.',
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ Auto-close reminder email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send auto-close reminder email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send notification email when a complainant asks to reopen a closed complaint
+ * @param {Object} params
+ * @param {string} params.email - Admin email
+ * @param {string} params.name - Admin name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {string} params.remarks - Why the complainant wants it reopened
+ * @returns {Promise<Object>}
+ */
+export const sendReopenRequestEmail = async ({ email, name, complaintId, subject: complaintSubject, remarks }) => {
+  const emailSubject = `Reopen Request: ${complaintId} - GEIMS Complaint Portal`;
+  const summary = `The complainant asked to reopen closed complaint ${complaintId}.`;
+
+  const body = `
+    <h2 class="title">Reopen Request</h2>
+    <p class="subtitle">A closed complaint is waiting for your approval.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)}</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+    </div>
+
+    <div class="info">
+      <div><strong>Reason:</strong></div>
+      <div style="margin-top: 6px; white-space: pre-wrap;">${escapeHtml(remarks)}</div>
+    </div>
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">Log in to the portal to approve or reject the request.</p>
+  `;
+
+  const text = [
+    'Reopen Request',
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    '',
+    'Reason:',
+    remarks,
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ Reopen request email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send reopen request email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send notification email when an admin decides a reopen request
+ * @param {Object} params
+ * @param {string} params.email - Complainant email
+ * @param {string} params.name - Complainant name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {boolean} params.approved - Whether the complaint was reopened
+ * @param {string} [params.note] - Admin's note
+ * @returns {Promise<Object>}
+ */
+export const sendReopenRequestDecisionEmail = async ({ email, name, complaintId, subject: complaintSubject, approved, note }) => {
+  const emailSubject = `Reopen Request ${approved ? 'Approved' : 'Declined'}: ${complaintId} - GEIMS Complaint Portal`;
+  const summary = approved
+    ? `Your request to reopen complaint ${complaintId} was approved and the complaint is open again.`
+    : `Your request to reopen complaint ${complaintId} was declined. The complaint stays closed.`;
+
+  const body = `
+    <h2 class="title">Reopen Request ${approved ? 'Approved' : 'Declined'}</h2>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(summary)}</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+    </div>
+
+    ${note ? `
+    <div class="info">
+      <div><strong>Note:</strong></div>
+      <div style="margin-top: 6px; white-space: pre-wrap;">${escapeHtml(note)}</div>
+    </div>
+    ` : ''}
+  `;
+
+  const text = [
+    `Reopen Request ${approved ? 'Approved' : 'Declined'}`,
+    '',
+    `Hello ${name},`,
+    '',
+    summary,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    ...(note ? ['', 'Note:', note] : []),
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: summary,
+      text,
+    });
+
+    console.log(`✅ Reopen decision email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send reopen decision email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send notification email when a complaint misses an SLA target
+ * @param {Object} params
+ * @param {string} params.email - Admin email
+ * @param {string} params.name - Admin name
+ * @param {string} params.complaintId - Complaint ID
+ * @param {string} params.subject - Complaint subject
+ * @param {Array<{type: string, dueAt: Date}>} params.breaches - Targets that were missed
+ * @param {string} params.priority - Complaint priority after escalation
+ * @param {number} params.escalationLevel - Number of escalations so far
+ * @returns {Promise<Object>}
+ */
+export const sendSlaBreachEmail = async ({ email, name, complaintId, subject: complaintSubject, breaches, priority, escalationLevel }) => {
+  const missed = breaches.map((b) => b.type).join(' and ');
+  const emailSubject = `SLA Breached: ${complaintId} - GEIMS Complaint Portal`;
+
+  const body = `
+    <h2 class="title">SLA Breached</h2>
+    <p class="subtitle">A complaint has missed its ${escapeHtml(missed)} target.</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>Complaint <strong>${escapeHtml(complaintId)}</strong> has been escalated automatically.</p>
+
+    <div class="info">
+      <div><strong>Complaint ID:</strong> ${escapeHtml(complaintId)}</div>
+      <div><strong>Subject:</strong> ${escapeHtml(complaintSubject || 'N/A')}</div>
+      ${breaches.map((b) => `<div><strong>${escapeHtml(b.type.charAt(0).toUpperCase() + b.type.slice(1))} due:</strong> ${escapeHtml(new Date(b.dueAt).toLocaleString())}</div>`).join('\n      ')}
+      <div><strong>Priority:</strong> ${escapeHtml(priority)}</div>
+      <div><strong>Escalation level:</strong> ${escalationLevel}</div>
+    </div>
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">Log in to the portal to follow up on the complaint.</p>
+  `;
+
+  const text = [
+    'SLA Breached',
+    '',
+    `Hello ${name},`,
+    '',
+    `Complaint ${complaintId} missed its ${missed} target and has been escalated automatically.`,
+    '',
+    `Complaint ID: ${complaintId}`,
+    `Subject: ${complaintSubject || 'N/A'}`,
+    ...breaches.map((b) => `${b.type.charAt(0).toUpperCase() + b.type.slice(1)} due: ${new Date(b.dueAt).toLocaleString()}`),
+    `Priority: ${priority}`,
+    `Escalation level: ${escalationLevel}`,
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: `Complaint ${complaintId} missed its ${missed} target.`,
+      text,
+    });
+
+    console.log(`✅ SLA breach email sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send SLA breach email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a scheduled complaint digest with the matching report attached
+ * @param {Object} params
+ * @param {string} params.email - Recipient email
+ * @param {string} params.name - Recipient name
+ * @param {string} params.scope - "All complaints" or the recipient's department
+ * @param {string} params.frequency - daily | weekly
+ * @param {Date} params.periodStart - Start of the period covered
+ * @param {Date} params.periodEnd - End of the period covered
+ * @param {Array<{title: string, total: number, complaints: Array}>} params.sections - Listed complaints per section
+ * @param {Object} [params.attachment] - { filename, content, contentType }
+ * @returns {Promise<Object>}
+ */
+export const sendComplaintDigestEmail = async ({ email, name, scope, frequency, periodStart, periodEnd, sections, attachment = null }) => {
+  const label = frequency === 'weekly' ? 'Weekly' : 'Daily';
+  const period = `${new Date(periodStart).toLocaleString()} - ${new Date(periodEnd).toLocaleString()}`;
+  const emailSubject = `${label} Complaint Digest: ${scope} - GEIMS Complaint Portal`;
+
+  const renderSection = ({ title, total, complaints }) => `
+    <h3>${escapeHtml(title)} (${total})</h3>
+    ${complaints.length === 0
+      ? '<p class="muted">None in this period.</p>'
+      : `<ul>
+      ${complaints.map((c) => `<li><strong>${escapeHtml(c.complaintId)}</strong> - ${escapeHtml(c.subject)} <span class="muted">(${escapeHtml(c.status)}, ${escapeHtml(c.priority)}${c.detail ? `, ${escapeHtml(c.detail)}` : ''})</span></li>`).join('\n      ')}
+    </ul>
+    ${total > complaints.length ? `<p class="muted">And ${total - complaints.length} more in the attached report.</p>` : ''}`}`;
+
+  const body = `
+    <h2 class="title">${label} Complaint Digest</h2>
+    <p class="subtitle">${escapeHtml(scope)} &middot; ${escapeHtml(period)}</p>
+
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>Here is what needs your attention in the complaint portal.</p>
+
+    <div class="info">
+      ${sections.map((section) => `<div><strong>${escapeHtml(section.title)}:</strong> ${section.total}</div>`).join('\n      ')}
+    </div>
+    ${sections.map(renderSection).join('\n')}
+
+    <div class="divider"></div>
+    <p class="muted" style="margin: 0;">${attachment ? 'The complaints above are in the attached report. ' : ''}You can change or turn off this digest from the Reports page of the portal.</p>
+  `;
+
+  const text = [
+    `${label} Complaint Digest`,
+    '',
+    `Hello ${name},`,
+    '',
+    `Scope: ${scope}`,
+    `Period: ${period}`,
+    '',
+    ...sections.flatMap((section) => [
+      `${section.title} (${section.total})`,
+      ...(section.complaints.length === 0
+        ? ['  None in this period.']
+        : section.complaints.map((c) => `  - ${c.complaintId}: ${c.subject} (${c.status}, ${c.priority}${c.detail ? `, ${c.detail}` : ''})`)),
+      ...(section.total > section.complaints.length ? [`  And ${section.total - section.complaints.length} more in the attached report.`] : []),
+      '',
+    ]),
+  ].join('\n');
+
+  try {
+    const info = await sendBrandedMail({
+      to: email,
+      subject: emailSubject,
+      body,
+      preheader: sections.map((section) => `${section.total} ${section.title.toLowerCase()}`).join(', '),
+      text,
+      attachments: attachment ? [attachment] : [],
+    });
+
+    console.log(`✅ Complaint digest sent to ${email}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send complaint digest to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Send account updated email
  * @param {Object} params
@@ -782,9 +1663,22 @@ export const sendAccountDeletedEmail = async ({ email, name, role }) => {
 export default {
   sendAccountCreatedEmail,
   sendPasswordChangedEmail,
+  sendTwoFactorChangedEmail,
+  sendAccountLockedEmail,
+  sendNewDeviceLoginEmail,
   sendComplaintSubmittedEmail,
   sendComplaintResolvedEmail,
   sendStatusUpdateEmail,
+  sendComplaintCommentEmail,
+  sendComplaintAssignedEmail,
+  sendUrgentComplaintEmail,
+  sendNegativeFeedbackEmail,
+  sendComplaintWithdrawnEmail,
+  sendAutoCloseReminderEmail,
+  sendReopenRequestEmail,
+  sendReopenRequestDecisionEmail,
+  sendSlaBreachEmail,
+  sendComplaintDigestEmail,
   sendAccountUpdatedEmail,
   sendAccountDeletedEmail,
 };
@@ -0,0 +1,137 @@
+/**
+ * Feedback Service
+ *
+ * Complainants rate a resolved complaint with a short structured form: star
+ * rating, comment, whether the issue was actually fixed, and how responsive
+ * the handlers were. Negative feedback (a low rating or "not fixed") opens a
+ * follow-up for staff, emails the people handling the complaint, and offers
+ * the complainant a reopen when the workflow allows it.
+ */
+
+import User from '../models/User.js';
+import { COMPLAINT_STATUS, FEEDBACK_FOLLOW_UP_STATUS } from '../models/Complaint.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { getWorkflow, canTransition } from './workflowService.js';
+import { getComplaintHandlers } from './routingService.js';
+import { sendNegativeFeedbackEmail } from './emailService.js';
+
+// Ratings at or below this count as negative feedback
+export const NEGATIVE_RATING_MAX = 2;
+
+/**
+ * Whether feedback should trigger a follow-up
+ * @param {Object} feedback - { rating, issueFixed }
+ * @returns {boolean}
+ */
+export const isNegativeFeedback = ({ rating, issueFixed }) =>
+  rating <= NEGATIVE_RATING_MAX || issueFixed === false;
+
+/**
+ * Email the complaint's owner, or its handlers, about negative feedback (non-blocking)
+ * @param {Document} complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ */
+const notifyNegativeFeedback = async (complaint) => {
+  const assignee = complaint.assignedTo
+    ? await User.findOne({ _id: complaint.assignedTo, isActive: true }).select('name email')
+    : null;
+  const recipients = assignee ? [assignee] : await getComplaintHandlers(complaint);
+
+  recipients.forEach((recipient) => {
+    sendNegativeFeedbackEmail({
+      email: recipient.email,
+      name: recipient.name,
+      complaintId: complaint.complaintId || complaint._id.toString(),
+      subject: complaint.subject,
+      rating: complaint.rating,
+      issueFixed: complaint.feedback.issueFixed,
+      comment: complaint.feedback.comment,
+    }).catch(err => console.error('Failed to send negative feedback email:', err));
+  });
+};
+
+/**
+ * Record the complainant's rating and feedback on a resolved complaint
+ * Negative feedback opens a follow-up unless one is already open.
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - The complainant's own complaint, loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {Object} params.actor - Complainant (req.user)
+ * @param {Object} params.feedback - Validated feedback (see rateComplaintSchema)
+ * @returns {Promise<Object>} { complaint, suggestReopen }
+ */
+export const submitComplaintFeedback = async ({ complaint, actor, feedback }) => {
+  // Can only rate resolved (or since closed) complaints
+  if (![COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(complaint.status)) {
+    throw new ValidationError('Only resolved or closed complaints can be rated');
+  }
+
+  const isNegative = isNegativeFeedback(feedback);
+
+  complaint.rating = feedback.rating;
+  if (!complaint.feedback) {
+    complaint.feedback = {};
+  }
+  complaint.feedback.set({
+    comment: feedback.comment || null,
+    issueFixed: feedback.issueFixed ?? null,
+    responsiveness: feedback.responsiveness ?? null,
+    submittedAt: new Date(),
+    isNegative,
+  });
+
+  const opensFollowUp = isNegative && complaint.feedback.followUp?.status !== FEEDBACK_FOLLOW_UP_STATUS.OPEN;
+  if (opensFollowUp) {
+    complaint.feedback.followUp = {
+      status: FEEDBACK_FOLLOW_UP_STATUS.OPEN,
+      openedAt: new Date(),
+      completedBy: null,
+      completedAt: null,
+      note: null,
+    };
+  }
+
+  await complaint.save();
+
+  if (opensFollowUp) {
+    notifyNegativeFeedback(complaint)
+      .catch(err => console.error('Failed to notify handlers of negative feedback:', err));
+  }
+
+  let suggestReopen = false;
+  if (isNegative) {
+    const workflow = await getWorkflow();
+    suggestReopen = canTransition(workflow, complaint.status, workflow.initialStatus, actor.role);
+  }
+
+  return { complaint, suggestReopen };
+};
+
+/**
+ * Close the open feedback follow-up of a complaint
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint
+ * @param {Object} params.actor - Staff member (needs _id)
+ * @param {string} [params.note] - What was done
+ * @returns {Promise<Document>} The saved complaint
+ */
+export const completeFeedbackFollowUp = async ({ complaint, actor, note = null }) => {
+  if (complaint.feedback?.followUp?.status !== FEEDBACK_FOLLOW_UP_STATUS.OPEN) {
+    throw new ValidationError('This complaint has no open feedback follow-up');
+  }
+
+  complaint.feedback.followUp.status = FEEDBACK_FOLLOW_UP_STATUS.DONE;
+  complaint.feedback.followUp.completedBy = actor._id;
+  complaint.feedback.followUp.completedAt = new Date();
+  complaint.feedback.followUp.note = note || null;
+  await complaint.save();
+
+  return complaint;
+};
+
+export default {
+  NEGATIVE_RATING_MAX,
+  isNegativeFeedback,
+  submitComplaintFeedback,
+  completeFeedbackFollowUp,
+};
@@ -0,0 +1,301 @@
+/**
+ * Leaderboard Service
+ *
+ * Ranks departments and individual handlers by the complaints they resolved
+ * within a date range: volume handled, median resolution time, reopen rate
+ * and average satisfaction rating. Each row can be drilled into to list or
+ * export the complaints behind it.
+ *
+ * A complaint counts towards the department it was routed to (legacy
+ * complaints fall back to the submitter's department at submission, matching
+ * routingService) and towards the user recorded in resolvedBy.
+ */
+
+import mongoose from 'mongoose';
+import XLSX from 'xlsx';
+import { Parser } from 'json2csv';
+import Complaint from '../models/Complaint.js';
+import User from '../models/User.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { resolveAnalyticsRange, summarizeDurations } from './analyticsService.js';
+import { getDepartmentComplaintFilter } from './routingService.js';
+import { generateComplaintReport } from './reportService.js';
+import { maskComplaintIdentity } from './anonymityService.js';
+
+export const LEADERBOARD_GROUPS = ['department', 'handler'];
+export const LEADERBOARD_SORTS = ['handled', 'resolutionTime', 'reopenRate', 'rating'];
+export const LEADERBOARD_EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const UNSPECIFIED_LABEL = 'Unspecified';
+
+// Metric each sort ranks by; 1 ranks lower values first
+const SORT_METRICS = {
+  handled: { field: 'handled', direction: -1 },
+  resolutionTime: { field: 'medianResolutionHours', direction: 1 },
+  reopenRate: { field: 'reopenRate', direction: 1 },
+  rating: { field: 'averageRating', direction: -1 },
+};
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json',
+};
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+const resolvedWithin = ({ from, to }) => ({ resolvedAt: { $gte: from, $lte: to } });
+
+// Handling department: the routed one, else the submitter's for legacy complaints
+const departmentExpression = {
+  $let: {
+    vars: {
+      department: {
+        $ifNull: [
+          '$routedDepartment',
+          {
+            $cond: [
+              { $eq: [{ $size: { $ifNull: ['$routedTo', []] } }, 0] },
+              '$submitterDepartment',
+              null,
+            ],
+          },
+        ],
+      },
+    },
+    in: { $trim: { input: { $ifNull: ['$$department', ''] } } },
+  },
+};
+
+// Lowest values first, missing values always last
+const compareMetric = (a, b, { field, direction }) => {
+  if (a[field] === b[field]) return 0;
+  if (a[field] === null) return 1;
+  if (b[field] === null) return -1;
+  return (a[field] - b[field]) * direction;
+};
+
+const rankRows = (rows, sortBy) => {
+  const metric = SORT_METRICS[sortBy] || SORT_METRICS.handled;
+  return rows
+    .sort((a, b) =>
+      compareMetric(a, b, metric) ||
+      compareMetric(a, b, SORT_METRICS.handled) ||
+      a.label.localeCompare(b.label))
+    .map((row, index) => ({ rank: index + 1, ...row }));
+};
+
+const toScorecard = (row) => {
+  const resolution = summarizeDurations([...row.durations].sort((a, b) => a - b));
+  return {
+    handled: row.handled,
+    medianResolutionHours: resolution.medianHours,
+    meanResolutionHours: resolution.meanHours,
+    reopened: row.reopened,
+    reopenRate: percent(row.reopened, row.handled),
+    rated: row.rated,
+    averageRating: row.averageRating === null ? null : Math.round(row.averageRating * 100) / 100,
+  };
+};
+
+/**
+ * Rank departments or handlers by the complaints they resolved in a range
+ * @param {Object} params
+ * @param {string} [params.groupBy] - department | handler
+ * @param {string} [params.sortBy] - handled | resolutionTime | reopenRate | rating
+ * @param {Date|string} [params.from] - Range start (default 30 days before `to`)
+ * @param {Date|string} [params.to] - Range end (default now)
+ * @param {Object} [params.scope] - Access scope the complaints must stay within
+ * @returns {Promise<Object>} { range, groupBy, sortBy, rows }
+ */
+export const getLeaderboard = async ({ groupBy = 'department', sortBy = 'handled', scope = null, ...params } = {}) => {
+  const { from, to } = resolveAnalyticsRange(params);
+  const byHandler = groupBy === 'handler';
+
+  const match = resolvedWithin({ from, to });
+  if (byHandler) {
+    match.resolvedBy = { $ne: null };
+  }
+
+  const rows = await Complaint.aggregate([
+    { $match: scope ? { $and: [scope, match] } : match },
+    {
+      $project: {
+        key: byHandler ? '$resolvedBy' : { $toLower: departmentExpression },
+        label: byHandler ? null : departmentExpression,
+        rating: 1,
+        duration: { $max: [{ $subtract: ['$resolvedAt', '$createdAt'] }, 0] },
+        reopened: { $gt: [{ $size: { $ifNull: ['$reopenHistory', []] } }, 0] },
+      },
+    },
+    {
+      $group: {
+        _id: '$key',
+        label: { $first: '$label' },
+        handled: { $sum: 1 },
+        durations: { $push: '$duration' },
+        reopened: { $sum: { $cond: ['$reopened', 1, 0] } },
+        rated: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$rating', null] }, null] }, 1, 0] } },
+        averageRating: { $avg: '$rating' },
+      },
+    },
+  ]);
+
+  let handlers = new Map();
+  if (byHandler) {
+    const users = await User.find({ _id: { $in: rows.map((row) => row._id) } })
+      .select('name email role department')
+      .lean();
+    handlers = new Map(users.map((user) => [user._id.toString(), user]));
+  }
+
+  const entries = rows.map((row) => {
+    if (byHandler) {
+      const handler = handlers.get(row._id.toString());
+      return {
+        key: row._id.toString(),
+        label: handler?.name || 'Deleted user',
+        handler: handler
+          ? { name: handler.name, email: handler.email, role: handler.role, department: handler.department || null }
+          : null,
+        ...toScorecard(row),
+      };
+    }
+    // Unrouted complaints cannot be drilled into, so they have no key
+    return {
+      key: row._id || null,
+      label: row.label || UNSPECIFIED_LABEL,
+      ...toScorecard(row),
+    };
+  });
+
+  return {
+    range: { from, to },
+    groupBy: byHandler ? 'handler' : 'department',
+    sortBy: SORT_METRICS[sortBy] ? sortBy : 'handled',
+    rows: rankRows(entries, sortBy),
+  };
+};
+
+const getGroupFilter = async ({ groupBy, key }) => {
+  if (groupBy === 'handler') {
+    if (!mongoose.Types.ObjectId.isValid(key)) {
+      throw new ValidationError('Invalid handler');
+    }
+    return { resolvedBy: new mongoose.Types.ObjectId(key) };
+  }
+  return getDepartmentComplaintFilter(key);
+};
+
+const getDrillDownFilter = async ({ groupBy, key, scope = null, ...params }) => {
+  const range = resolveAnalyticsRange(params);
+  return { $and: [await getGroupFilter({ groupBy, key }), resolvedWithin(range), ...(scope ? [scope] : [])] };
+};
+
+/**
+ * Complaints behind one leaderboard row
+ * @param {Object} params
+ * @param {string} params.groupBy - department | handler
+ * @param {string} params.key - Department name or handler ID
+ * @param {Date|string} [params.from]
+ * @param {Date|string} [params.to]
+ * @param {Object} [params.scope] - Access scope the complaints must stay within
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<Object>} { complaints, pagination }
+ */
+export const getLeaderboardComplaints = async ({ page = 1, limit = 20, ...params }) => {
+  const filter = await getDrillDownFilter(params);
+
+  const [complaints, total] = await Promise.all([
+    Complaint.find(filter)
+      .select('complaintId subject status priority createdAt resolvedAt resolvedBy routedDepartment rating reopenHistory.reopenedAt isAnonymous anonymousRef userId')
+      .populate('userId', 'name role')
+      .populate('resolvedBy', 'name')
+      .sort({ resolvedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Complaint.countDocuments(filter),
+  ]);
+
+  return {
+    complaints: complaints.map(maskComplaintIdentity),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Export the complaints behind one leaderboard row as a complaint report
+ * @param {Object} params - Drill-down parameters plus `format`
+ * @returns {Promise<Object>} { body, contentType, filename }
+ */
+export const exportLeaderboardComplaints = async ({ format, ...params }) => {
+  const filter = await getDrillDownFilter(params);
+  const label = params.groupBy === 'handler'
+    ? (await User.findById(params.key).select('name').lean())?.name || params.key
+    : params.key;
+
+  return generateComplaintReport({
+    query: { format, predefinedRange: 'all' },
+    scope: filter,
+    title: `Resolved Complaints - ${label}`,
+    label: `resolved-${label}`,
+  });
+};
+
+const toExportRow = (row, groupBy) => ({
+  Rank: row.rank,
+  [groupBy === 'handler' ? 'Handler' : 'Department']: row.label,
+  ...(groupBy === 'handler' ? { 'Handler Department': row.handler?.department || '' } : {}),
+  Handled: row.handled,
+  'Median Resolution (hours)': row.medianResolutionHours ?? '',
+  'Mean Resolution (hours)': row.meanResolutionHours ?? '',
+  Reopened: row.reopened,
+  'Reopen Rate (%)': row.reopenRate,
+  Rated: row.rated,
+  'Average Rating': row.averageRating ?? '',
+});
+
+/**
+ * Export the leaderboard table
+ * @param {Object} params - Leaderboard parameters plus `format` (csv | xlsx | json)
+ * @returns {Promise<Object>} { body, contentType, filename }
+ */
+export const exportLeaderboard = async ({ format, ...params }) => {
+  const leaderboard = await getLeaderboard(params);
+  const type = EXPORT_CONTENT_TYPES[format] ? format : 'csv';
+  const rows = leaderboard.rows.map((row) => toExportRow(row, leaderboard.groupBy));
+
+  let body;
+  if (type === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Leaderboard');
+    body = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  } else if (type === 'json') {
+    body = JSON.stringify(leaderboard, null, 2);
+  } else {
+    body = new Parser({ fields: Object.keys(toExportRow({}, leaderboard.groupBy)) }).parse(rows);
+  }
+
+  return {
+    body,
+    contentType: EXPORT_CONTENT_TYPES[type],
+    filename: `leaderboard-${leaderboard.groupBy}-${new Date().toISOString().split('T')[0]}.${type}`,
+  };
+};
+
+export default {
+  LEADERBOARD_GROUPS,
+  LEADERBOARD_SORTS,
+  LEADERBOARD_EXPORT_FORMATS,
+  getLeaderboard,
+  getLeaderboardComplaints,
+  exportLeaderboardComplaints,
+  exportLeaderboard,
+};
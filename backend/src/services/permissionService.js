@@ -0,0 +1,230 @@
+/**
+ * Permission Service
+ *
+ * Resolves what a user may do from their built-in role and the custom roles
+ * assigned to them, and lets admins manage custom roles. Admins hold every
+ * permission. Other built-in roles hold none: sub-admins, employees and
+ * students keep the access of their own role routes, and custom roles add
+ * portal-wide permissions on top.
+ */
+
+import User from '../models/User.js';
+import CustomRole, {
+  PERMISSIONS,
+  PRIVILEGED_PERMISSIONS,
+  FULL_ACCESS_ROLES,
+  CUSTOM_ROLE_ASSIGNABLE_ROLES,
+} from '../models/CustomRole.js';
+import { NotFoundError, ValidationError } from '../middlewares/errorHandler.js';
+
+// Re-read custom roles periodically so edits made on another instance apply
+const CACHE_TTL_MS = 60 * 1000;
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+let cachedRoles = null;
+let cachedAt = 0;
+
+const clearRoleCache = () => {
+  cachedRoles = null;
+};
+
+/**
+ * Custom roles by ID (cached)
+ * @returns {Promise<Map<string, Object>>}
+ */
+const getRoleMap = async () => {
+  if (cachedRoles && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedRoles;
+  }
+
+  const roles = await CustomRole.find().select('name permissions').lean();
+  cachedRoles = new Map(roles.map((role) => [String(role._id), role]));
+  cachedAt = Date.now();
+  return cachedRoles;
+};
+
+/**
+ * Everything a user is allowed to do
+ * @param {Object} user - User document (req.user)
+ * @returns {Promise<string[]>} Permission names
+ */
+export const getUserPermissions = async (user) => {
+  if (FULL_ACCESS_ROLES.includes(user.role)) {
+    return [...ALL_PERMISSIONS];
+  }
+  if (!CUSTOM_ROLE_ASSIGNABLE_ROLES.includes(user.role) || !user.customRoles?.length) {
+    return [];
+  }
+
+  const roles = await getRoleMap();
+  const granted = new Set(
+    user.customRoles.flatMap((roleId) => roles.get(String(roleId))?.permissions || [])
+  );
+  return ALL_PERMISSIONS.filter((permission) => granted.has(permission));
+};
+
+/**
+ * Check that a user has every one of the given permissions
+ * @param {Object} user
+ * @param {string[]} permissions
+ * @returns {Promise<boolean>}
+ */
+export const hasPermissions = async (user, permissions) => {
+  const granted = await getUserPermissions(user);
+  return permissions.every((permission) => granted.includes(permission));
+};
+
+/**
+ * Whether a user holds any permission that opens admin functionality
+ * @param {Object} user
+ * @returns {Promise<boolean>}
+ */
+export const hasPrivilegedPermission = async (user) => {
+  const granted = await getUserPermissions(user);
+  return granted.some((permission) => PRIVILEGED_PERMISSIONS.includes(permission));
+};
+
+/**
+ * Custom roles that grant a privileged permission
+ * @returns {Promise<string[]>} Role IDs
+ */
+export const listPrivilegedRoleIds = async () => {
+  const roles = await getRoleMap();
+  return [...roles.values()]
+    .filter((role) => role.permissions.some((permission) => PRIVILEGED_PERMISSIONS.includes(permission)))
+    .map((role) => role._id);
+};
+
+/**
+ * Custom roles with how many users hold each
+ * @returns {Promise<Object[]>}
+ */
+export const listCustomRoles = async () => {
+  const [roles, counts] = await Promise.all([
+    CustomRole.find().sort({ name: 1 }).lean(),
+    User.aggregate([
+      { $match: { customRoles: { $exists: true, $ne: [] } } },
+      { $unwind: '$customRoles' },
+      { $group: { _id: '$customRoles', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countById = new Map(counts.map((entry) => [String(entry._id), entry.count]));
+  return roles.map((role) => ({ ...role, userCount: countById.get(String(role._id)) || 0 }));
+};
+
+const assertNameAvailable = async (name, exceptId = null) => {
+  const duplicate = await CustomRole.findOne({
+    key: name.trim().toLowerCase(),
+    ...(exceptId && { _id: { $ne: exceptId } }),
+  });
+  if (duplicate) {
+    throw new ValidationError(`A role named "${name}" already exists`);
+  }
+};
+
+/**
+ * Create a custom role
+ * @param {Object} data - Validated role fields (name, description, permissions)
+ * @param {Object} actor - Admin creating it (req.user)
+ * @returns {Promise<Document>}
+ */
+export const createCustomRole = async (data, actor) => {
+  await assertNameAvailable(data.name);
+
+  const role = await CustomRole.create({
+    ...data,
+    createdBy: actor._id,
+    updatedBy: actor._id,
+  });
+  clearRoleCache();
+  return role;
+};
+
+/**
+ * Update a custom role; users holding it get the new permissions at once
+ * @param {string} id
+ * @param {Object} data - Validated role fields
+ * @param {Object} actor - Admin updating it (req.user)
+ * @returns {Promise<Document>}
+ */
+export const updateCustomRole = async (id, data, actor) => {
+  const role = await CustomRole.findById(id);
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+  if (data.name !== undefined) {
+    await assertNameAvailable(data.name, role._id);
+  }
+
+  Object.assign(role, data, { updatedBy: actor._id });
+  await role.save();
+  clearRoleCache();
+  return role;
+};
+
+/**
+ * Delete a custom role and take it away from everyone holding it
+ * @param {string} id
+ */
+export const deleteCustomRole = async (id) => {
+  const role = await CustomRole.findById(id);
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+
+  await User.updateMany({ customRoles: role._id }, { $pull: { customRoles: role._id } });
+  await role.deleteOne();
+  clearRoleCache();
+};
+
+/**
+ * Staff holding custom roles
+ * @returns {Promise<Object[]>}
+ */
+export const listCustomRoleUsers = () =>
+  User.find({ customRoles: { $exists: true, $ne: [] } })
+    .select('name email role department isActive customRoles')
+    .populate('customRoles', 'name')
+    .sort({ name: 1 })
+    .lean();
+
+/**
+ * Replace the custom roles assigned to a user
+ * @param {string} userId
+ * @param {string[]} roleIds - Custom roles the user should hold (may be empty)
+ * @returns {Promise<Document>} The user with roles populated
+ */
+export const assignCustomRoles = async (userId, roleIds) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (!CUSTOM_ROLE_ASSIGNABLE_ROLES.includes(user.role)) {
+    throw new ValidationError('Custom roles can only be given to sub-admins and employees');
+  }
+
+  const uniqueIds = [...new Set(roleIds.map(String))];
+  const found = await CustomRole.countDocuments({ _id: { $in: uniqueIds } });
+  if (found !== uniqueIds.length) {
+    throw new ValidationError('One or more roles no longer exist');
+  }
+
+  user.customRoles = uniqueIds;
+  await user.save();
+  return user.populate('customRoles', 'name');
+};
+
+export default {
+  getUserPermissions,
+  hasPermissions,
+  hasPrivilegedPermission,
+  listPrivilegedRoleIds,
+  listCustomRoles,
+  createCustomRole,
+  updateCustomRole,
+  deleteCustomRole,
+  listCustomRoleUsers,
+  assignCustomRoles,
+};
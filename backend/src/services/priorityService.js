@@ -0,0 +1,70 @@
+/**
+ * Priority Service
+ *
+ * Complainants suggest a priority at submission; staff may override it.
+ * Complaints that become urgent are reported straight to the head of the
+ * handling department (or its handlers when no head is set).
+ */
+
+import { COMPLAINT_PRIORITY } from '../models/Complaint.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { getDepartmentHeads, getComplaintHandlers } from './routingService.js';
+import { retargetSla } from './slaService.js';
+import { sendUrgentComplaintEmail } from './emailService.js';
+
+/**
+ * Email the department heads about an urgent complaint (non-blocking)
+ * @param {Document} complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {Object} [raisedBy] - Staff member who raised the priority
+ */
+export const notifyUrgentComplaint = async (complaint, raisedBy = null) => {
+  const heads = await getDepartmentHeads(complaint);
+  const recipients = heads.length > 0 ? heads : await getComplaintHandlers(complaint);
+
+  recipients
+    .filter((recipient) => !raisedBy || String(recipient._id) !== String(raisedBy._id))
+    .forEach((recipient) => {
+      sendUrgentComplaintEmail({
+        email: recipient.email,
+        name: recipient.name,
+        complaintId: complaint.complaintId || complaint._id.toString(),
+        subject: complaint.subject,
+        department: complaint.routedDepartment || complaint.submitterDepartment,
+        raisedByName: raisedBy?.name,
+      }).catch(err => console.error('Failed to send urgent complaint email:', err));
+    });
+};
+
+/**
+ * Override the priority of a complaint
+ * Recomputes SLA due dates and alerts department heads when raised to urgent.
+ * Saves the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ * @param {string} params.priority - New priority
+ * @param {Object} params.actor - Staff member making the change (needs _id, name)
+ * @returns {Promise<Document>} The saved complaint
+ */
+export const setComplaintPriority = async ({ complaint, priority, actor }) => {
+  if (complaint.priority === priority) {
+    throw new ValidationError(`Complaint priority is already ${priority}`);
+  }
+
+  complaint.priority = priority;
+  complaint.priorityChangedBy = actor._id;
+  complaint.priorityChangedAt = new Date();
+  await retargetSla(complaint);
+  await complaint.save();
+
+  if (priority === COMPLAINT_PRIORITY.URGENT) {
+    notifyUrgentComplaint(complaint, actor)
+      .catch(err => console.error('Failed to notify department heads:', err));
+  }
+
+  return complaint;
+};
+
+export default {
+  notifyUrgentComplaint,
+  setComplaintPriority,
+};
@@ -0,0 +1,370 @@
+/**
+ * Report Service
+ *
+ * Complaint report exports for admins and sub-admins in CSV, XLSX, PDF and
+ * JSON, with a choice of columns, plus the named presets users save for
+ * reports they run often.
+ *
+ * Security Considerations:
+ * - Anonymous complaints are masked before any column is read
+ * - Presets are always looked up by owner, never by id alone
+ */
+
+import PDFDocument from 'pdfkit';
+import XLSX from 'xlsx';
+import { Parser } from 'json2csv';
+import Complaint, { COMPLAINT_STATUS, COMPLAINT_PRIORITY } from '../models/Complaint.js';
+import ReportPreset, { REPORT_COLUMNS, DEFAULT_REPORT_COLUMNS } from '../models/ReportPreset.js';
+import { NotFoundError } from '../middlewares/errorHandler.js';
+import { getSlaState } from './slaService.js';
+import { maskComplaintIdentity } from './anonymityService.js';
+
+const EXCERPT_LENGTH = 200;
+const EMPTY_CELL = 'N/A';
+const UNSPECIFIED_DEPARTMENT = 'Unspecified';
+
+const REPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+  json: 'application/json',
+};
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+
+const excerpt = (text, full) =>
+  full || text.length <= EXCERPT_LENGTH ? text : `${text.substring(0, EXCERPT_LENGTH)}...`;
+
+/**
+ * Column labels and values. `value` receives the masked complaint and the
+ * report options; `flatten` turns list values into text for tabular formats.
+ */
+const COLUMN_DEFINITIONS = {
+  complaintId: { label: 'Complaint ID', value: (c) => c.complaintId || c._id.toString() },
+  submittedBy: { label: 'Submitted By', value: (c) => c.userId?.name },
+  email: { label: 'Email', value: (c) => c.userId?.email },
+  userType: { label: 'User Type', value: (c) => c.userId?.role },
+  studentId: { label: 'Student ID', value: (c) => c.userId?.studentId },
+  department: { label: 'Department', value: (c) => c.userId?.department },
+  college: { label: 'College', value: (c) => c.userId?.college },
+  category: { label: 'Category', value: (c) => c.category?.name },
+  subCategory: { label: 'Sub-Category', value: (c) => c.subCategory?.name },
+  routedDepartment: { label: 'Routed Department', value: (c) => c.routedDepartment },
+  subject: { label: 'Subject', value: (c) => c.subject },
+  content: { label: 'Content', value: (c, options) => excerpt(c.content, options.includeFullText) },
+  status: { label: 'Status', value: (c) => c.status },
+  priority: { label: 'Priority', value: (c) => c.priority },
+  suggestedPriority: { label: 'Suggested Priority', value: (c) => c.suggestedPriority },
+  submittedAt: { label: 'Submitted At', value: (c) => iso(c.createdAt) },
+  firstResponseDue: { label: 'First Response Due', value: (c) => iso(c.sla?.firstResponseDueAt) },
+  resolutionDue: { label: 'Resolution Due', value: (c) => iso(c.sla?.resolutionDueAt) },
+  slaStatus: { label: 'SLA Status', value: (c) => getSlaState(c) },
+  resolvedAt: { label: 'Resolved At', value: (c) => iso(c.resolvedAt) },
+  assignedTo: { label: 'Assigned To', value: (c) => c.assignedTo?.name },
+  resolvedBy: { label: 'Resolved By', value: (c) => c.resolvedBy?.name },
+  acknowledgment: { label: 'Acknowledgment', value: (c) => c.acknowledgment },
+  rating: { label: 'Rating', value: (c) => c.rating },
+  acknowledgedBySubmitter: {
+    label: 'Acknowledged By Student/Employee',
+    value: (c) => (c.acknowledgedByStudent ? 'Yes' : 'No'),
+  },
+  reopenCount: { label: 'Reopen Count', value: (c) => c.reopenHistory?.length || 0 },
+  reopenRemarks: {
+    label: 'Reopen Remarks',
+    value: (c) => (c.reopenHistory || []).map((entry) => ({
+      reopenedAt: iso(entry.reopenedAt),
+      previousStatus: entry.previousStatus,
+      remarks: entry.reopenRemarks,
+    })),
+    flatten: (entries) => entries.map((entry) => `${entry.reopenedAt}: ${entry.remarks}`).join('\n'),
+  },
+  statusHistory: {
+    label: 'Status History',
+    value: (c) => (c.statusHistory || []).map((entry) => ({
+      from: entry.from,
+      to: entry.to,
+      changedBy: entry.changedBy?.name || null,
+      changedAt: iso(entry.changedAt),
+      note: entry.note,
+    })),
+    flatten: (entries) =>
+      entries
+        .map((entry) =>
+          `${entry.changedAt}: ${entry.from || 'NEW'} -> ${entry.to}` +
+          (entry.changedBy ? ` by ${entry.changedBy}` : '') +
+          (entry.note ? ` (${entry.note})` : ''))
+        .join('\n'),
+  },
+};
+
+/**
+ * Date and priority filter for a report query
+ * Date-only end dates include the whole day.
+ * @param {Object} query - Validated report query (see reportGenerationSchema)
+ * @returns {Object}
+ */
+export const getReportFilter = ({ predefinedRange, startDate, endDate, priority } = {}) => {
+  const filter = {};
+
+  if (predefinedRange === 'last7days' || predefinedRange === 'last30days') {
+    const from = new Date();
+    from.setDate(from.getDate() - (predefinedRange === 'last7days' ? 7 : 30));
+    filter.createdAt = { $gte: from };
+  } else if (predefinedRange !== 'all' && startDate && endDate) {
+    const to = new Date(endDate);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    filter.createdAt = { $gte: new Date(startDate), $lte: to };
+  }
+
+  if (priority) {
+    filter.priority = priority;
+  }
+  return filter;
+};
+
+const getColumns = (columns) =>
+  columns?.length ? REPORT_COLUMNS.filter((column) => columns.includes(column)) : DEFAULT_REPORT_COLUMNS;
+
+const toTableRow = (complaint, columns, options) =>
+  Object.fromEntries(columns.map((column) => {
+    const { label, value, flatten } = COLUMN_DEFINITIONS[column];
+    const cell = value(complaint, options);
+    if (Array.isArray(cell)) return [label, cell.length ? flatten(cell) : EMPTY_CELL];
+    return [label, cell === null || cell === undefined || cell === '' ? EMPTY_CELL : cell];
+  }));
+
+const toJsonRecord = (complaint, columns, options) =>
+  Object.fromEntries(columns.map((column) => [column, COLUMN_DEFINITIONS[column].value(complaint, options) ?? null]));
+
+/**
+ * Totals per status, priority and handling department
+ * @param {Object[]} complaints - Masked complaints
+ * @returns {Object} { total, byStatus, byPriority, byDepartment }
+ */
+const summarize = (complaints) => {
+  const byStatus = Object.fromEntries(Object.values(COMPLAINT_STATUS).map((status) => [status, 0]));
+  const byPriority = Object.fromEntries(Object.values(COMPLAINT_PRIORITY).map((priority) => [priority, 0]));
+  const byDepartment = {};
+
+  complaints.forEach((complaint) => {
+    byStatus[complaint.status] = (byStatus[complaint.status] || 0) + 1;
+    byPriority[complaint.priority] = (byPriority[complaint.priority] || 0) + 1;
+    const department = complaint.routedDepartment || complaint.userId?.department || UNSPECIFIED_DEPARTMENT;
+    byDepartment[department] = (byDepartment[department] || 0) + 1;
+  });
+
+  return {
+    total: complaints.length,
+    byStatus,
+    byPriority,
+    byDepartment: Object.fromEntries(Object.entries(byDepartment).sort((a, b) => b[1] - a[1])),
+  };
+};
+
+const describeRange = ({ predefinedRange, startDate, endDate }) => {
+  if (predefinedRange === 'last7days') return 'Last 7 days';
+  if (predefinedRange === 'last30days') return 'Last 30 days';
+  if (predefinedRange !== 'all' && startDate && endDate) return `${startDate} to ${endDate}`;
+  return 'All time';
+};
+
+const renderCsv = ({ complaints, columns, options }) => {
+  const parser = new Parser({ fields: columns.map((column) => COLUMN_DEFINITIONS[column].label) });
+  return parser.parse(complaints.map((complaint) => toTableRow(complaint, columns, options)));
+};
+
+const renderXlsx = ({ complaints, columns, options, summary, meta }) => {
+  const workbook = XLSX.utils.book_new();
+  const rows = complaints.map((complaint) => toTableRow(complaint, columns, options));
+  const sheet = XLSX.utils.json_to_sheet(rows, {
+    header: columns.map((column) => COLUMN_DEFINITIONS[column].label),
+  });
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Complaints');
+
+  const summaryRows = [
+    [meta.title],
+    ['Period', meta.range],
+    ['Generated At', meta.generatedAt],
+    ['Total Complaints', summary.total],
+    [],
+    ['Status', 'Complaints'],
+    ...Object.entries(summary.byStatus),
+    [],
+    ['Priority', 'Complaints'],
+    ...Object.entries(summary.byPriority),
+    [],
+    ['Department', 'Complaints'],
+    ...Object.entries(summary.byDepartment),
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), 'Summary');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+const renderJson = ({ complaints, columns, options, summary, meta }) =>
+  JSON.stringify(
+    {
+      title: meta.title,
+      period: meta.range,
+      generatedAt: meta.generatedAt,
+      summary,
+      complaints: complaints.map((complaint) => toJsonRecord(complaint, columns, options)),
+    },
+    null,
+    2
+  );
+
+// Two-column count table (label, count) at the current position
+const drawCountTable = (doc, heading, counts) => {
+  const left = doc.page.margins.left;
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(11).text(heading, left);
+  doc.moveDown(0.3).font('Helvetica').fontSize(9);
+  Object.entries(counts).forEach(([label, count]) => {
+    const y = doc.y;
+    doc.text(label, left, y, { width: 300 });
+    doc.text(String(count), left + 300, y, { width: 60, align: 'right' });
+  });
+  doc.x = left;
+};
+
+const renderPdf = ({ complaints, columns, options, summary, meta }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: meta.title } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(meta.title);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`Period: ${meta.range}`)
+      .text(`Generated: ${meta.generatedAt}`)
+      .fillColor('#000000');
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).text(`Total complaints: ${summary.total}`);
+
+    drawCountTable(doc, 'By Status', summary.byStatus);
+    drawCountTable(doc, 'By Priority', summary.byPriority);
+    drawCountTable(doc, 'By Department', summary.byDepartment);
+
+    // One block per complaint with the selected columns
+    const detailColumns = columns.filter((column) => column !== 'complaintId' && column !== 'subject');
+    if (complaints.length > 0) {
+      doc.addPage().font('Helvetica-Bold').fontSize(13).text('Complaints');
+    }
+    complaints.forEach((complaint) => {
+      const row = toTableRow(complaint, detailColumns, options);
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(10)
+        .text(`${COLUMN_DEFINITIONS.complaintId.value(complaint)}  ${complaint.subject}`);
+      doc.font('Helvetica').fontSize(8);
+      Object.entries(row).forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+      });
+    });
+
+    doc.end();
+  });
+
+const RENDERERS = {
+  csv: renderCsv,
+  xlsx: renderXlsx,
+  pdf: renderPdf,
+  json: renderJson,
+};
+
+/**
+ * Build a complaint report file
+ * @param {Object} params
+ * @param {Object} params.query - Validated report query (see reportGenerationSchema)
+ * @param {Object} [params.scope] - Access scope the complaints must stay within
+ * @param {string} params.title - Report title (PDF, XLSX and JSON)
+ * @param {string} params.label - Filename label, e.g. "all" or the department
+ * @returns {Promise<Object>} { body, contentType, filename }
+ */
+export const generateComplaintReport = async ({ query = {}, scope = null, title, label }) => {
+  const format = RENDERERS[query.format] ? query.format : 'csv';
+  const columns = getColumns(query.columns);
+  const options = { includeFullText: !!query.includeFullText };
+  const filter = getReportFilter(query);
+
+  let complaintQuery = Complaint.find(scope ? { $and: [scope, filter] } : filter)
+    .populate('userId', 'name email college studentId course department role')
+    .populate('resolvedBy', 'name email')
+    .populate('assignedTo', 'name')
+    .populate('category subCategory', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+  if (columns.includes('statusHistory')) {
+    complaintQuery = complaintQuery.populate('statusHistory.changedBy', 'name');
+  }
+
+  const complaints = (await complaintQuery).map(maskComplaintIdentity);
+  const meta = {
+    title,
+    range: describeRange(query),
+    generatedAt: new Date().toISOString(),
+  };
+
+  const body = await RENDERERS[format]({
+    complaints,
+    columns,
+    options,
+    summary: summarize(complaints),
+    meta,
+  });
+  const safeLabel = String(label).replace(/[^a-z0-9-]+/gi, '-').replace(/^-+|-+$/g, '') || 'all';
+
+  return {
+    body,
+    contentType: REPORT_CONTENT_TYPES[format],
+    filename: `complaints-report-${safeLabel}-${meta.generatedAt.split('T')[0]}.${format}`,
+  };
+};
+
+/**
+ * List a user's report presets
+ * @param {string} ownerId
+ * @returns {Promise<Document[]>}
+ */
+export const listReportPresets = (ownerId) =>
+  ReportPreset.find({ owner: ownerId }).collation({ locale: 'en', strength: 2 }).sort({ name: 1 });
+
+/**
+ * Save a report preset, replacing the owner's preset of the same name
+ * @param {string} ownerId
+ * @param {Object} data - Validated preset (see reportPresetSchema)
+ * @returns {Promise<Document>}
+ */
+export const saveReportPreset = (ownerId, data) =>
+  ReportPreset.findOneAndUpdate(
+    { owner: ownerId, name: data.name },
+    { ...data, owner: ownerId },
+    {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true,
+      collation: { locale: 'en', strength: 2 },
+    }
+  );
+
+/**
+ * Delete one of a user's report presets
+ * @param {string} ownerId
+ * @param {string} presetId
+ */
+export const deleteReportPreset = async (ownerId, presetId) => {
+  const preset = await ReportPreset.findOneAndDelete({ _id: presetId, owner: ownerId });
+  if (!preset) {
+    throw new NotFoundError('Report preset not found');
+  }
+};
+
+export default {
+  getReportFilter,
+  generateComplaintReport,
+  listReportPresets,
+  saveReportPreset,
+  deleteReportPreset,
+};
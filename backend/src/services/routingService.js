@@ -0,0 +1,329 @@
+/**
+ * Routing Service
+ *
+ * Decides which sub-admins handle a complaint. Category routing is resolved
+ * once at submission and stored on the complaint (routedDepartment/routedTo)
+ * so later category edits do not move existing complaints around.
+ *
+ * Resolution order: sub-category routing, then category routing, then the
+ * submitter's own department.
+ *
+ * A sub-admin covers a list of scopes (a department, optionally limited to
+ * one college); without any they cover their own department. Department and
+ * college names match exactly once normalized: case, surrounding spaces and
+ * repeated inner spaces are ignored.
+ */
+
+import Category from '../models/Category.js';
+import User, { USER_ROLES } from '../models/User.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize a department or college name for comparison
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeScopeValue = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Exact match on the normalized name, for stored values that were never normalized
+const scopeMatcher = (value) => {
+  const words = normalizeScopeValue(value).split(' ').map(escapeRegex);
+  return new RegExp(`^\\s*${words.join('\\s+')}\\s*$`, 'i');
+};
+
+const matchesScopeValue = (expected, actual) =>
+  !!actual && normalizeScopeValue(expected) === normalizeScopeValue(actual);
+
+const hasHandler = (complaint, userId) =>
+  (complaint.routedTo || []).some((handler) => String(handler._id || handler) === String(userId));
+
+const isAssignedTo = (complaint, userId) =>
+  !!complaint.assignedTo && String(complaint.assignedTo._id || complaint.assignedTo) === String(userId);
+
+const isLegacyComplaint = (complaint) =>
+  !complaint.routedDepartment && (complaint.routedTo || []).length === 0;
+
+/**
+ * Projection that loads a complaint's submitter snapshot (hidden by default)
+ * Use it wherever a complaint is loaded for the access and handler helpers here.
+ */
+export const SUBMITTER_SCOPE_FIELDS = '+submitterDepartment +submitterCollege';
+
+/**
+ * Departments (and colleges) a sub-admin covers, without duplicates
+ * @param {Object} subAdmin - Sub-admin user (department, scopes)
+ * @returns {Object[]} { department, college } pairs; college null for any college
+ */
+export const getSubAdminScopes = (subAdmin) => {
+  const scopes = subAdmin?.scopes?.length
+    ? subAdmin.scopes
+    : [{ department: subAdmin?.department, college: null }];
+
+  const seen = new Set();
+  return scopes
+    .filter((scope) => normalizeScopeValue(scope.department))
+    .map((scope) => ({
+      department: scope.department.trim().replace(/\s+/g, ' '),
+      college: scope.college?.trim().replace(/\s+/g, ' ') || null,
+    }))
+    .filter((scope) => {
+      const key = `${normalizeScopeValue(scope.department)}|${normalizeScopeValue(scope.college)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Short description of a sub-admin's scopes, for report titles and digests
+ * @param {Object} subAdmin
+ * @returns {string}
+ */
+export const describeSubAdminScopes = (subAdmin) =>
+  getSubAdminScopes(subAdmin)
+    .map((scope) => (scope.college ? `${scope.department} (${scope.college})` : scope.department))
+    .join(', ');
+
+// Matches no document; $or cannot be empty
+const MATCH_NOTHING = { _id: null };
+
+/**
+ * Mongo filter for the students or employees inside a sub-admin's scopes
+ * @param {Object} subAdmin
+ * @returns {Object}
+ */
+export const getSubAdminUserFilter = (subAdmin) => {
+  const scopes = getSubAdminScopes(subAdmin);
+  if (scopes.length === 0) return MATCH_NOTHING;
+
+  return {
+    $or: scopes.map((scope) => ({
+      department: scopeMatcher(scope.department),
+      ...(scope.college && { college: scopeMatcher(scope.college) }),
+    })),
+  };
+};
+
+/**
+ * Load and check the category/sub-category picked by a complainant
+ * @param {Object} params
+ * @param {string} [params.categoryId]
+ * @param {string} [params.subCategoryId]
+ * @returns {Promise<Object>} { category, subCategory } documents (or null)
+ */
+export const resolveCategorySelection = async ({ categoryId, subCategoryId }) => {
+  if (!categoryId) {
+    if (subCategoryId) {
+      throw new ValidationError('Select a category before choosing a sub-category');
+    }
+    return { category: null, subCategory: null };
+  }
+
+  const category = await Category.findOne({ _id: categoryId, parent: null, isActive: true });
+  if (!category) {
+    throw new ValidationError('The selected category is not available');
+  }
+
+  let subCategory = null;
+  if (subCategoryId) {
+    subCategory = await Category.findOne({ _id: subCategoryId, parent: category._id, isActive: true });
+    if (!subCategory) {
+      throw new ValidationError('The selected sub-category is not available');
+    }
+  }
+
+  return { category, subCategory };
+};
+
+/**
+ * Build the category and routing fields for a new complaint
+ * @param {Object} params
+ * @param {string} [params.categoryId]
+ * @param {string} [params.subCategoryId]
+ * @param {Object} params.complainant - Submitting user (needs department and college)
+ * @returns {Promise<Object>} { category, subCategory, routedDepartment, routedTo, submitterDepartment, submitterCollege }
+ */
+export const buildComplaintRouting = async ({ categoryId, subCategoryId, complainant }) => {
+  const { category, subCategory } = await resolveCategorySelection({ categoryId, subCategoryId });
+  const source = [subCategory, category].find((c) => c?.hasRouting());
+
+  return {
+    category: category?._id || null,
+    subCategory: subCategory?._id || null,
+    routedDepartment: source ? source.routing.department || null : complainant.department || null,
+    routedTo: source ? source.routing.handlers : [],
+    submitterDepartment: complainant.department || null,
+    submitterCollege: complainant.college || null,
+  };
+};
+
+/**
+ * Mongo filter for the complaints routed to any of a list of scopes
+ * Matched on the complaint's own routing and submitter fields, so no users
+ * are looked up.
+ * @param {Object[]} scopes - { department, college } pairs (college optional)
+ * @returns {Object}
+ */
+export const getScopeComplaintFilter = (scopes) => {
+  if (scopes.length === 0) return MATCH_NOTHING;
+
+  return {
+    $or: scopes.flatMap((scope) => {
+      const college = scope.college ? { submitterCollege: scopeMatcher(scope.college) } : {};
+      return [
+        { routedDepartment: scopeMatcher(scope.department), ...college },
+        // Complaints from before categories existed follow the submitter's department
+        {
+          routedDepartment: null,
+          'routedTo.0': { $exists: false },
+          submitterDepartment: scopeMatcher(scope.department),
+          ...college,
+        },
+      ];
+    }),
+  };
+};
+
+/**
+ * Mongo filter for the complaints routed to a department
+ * @param {string} department - Department name (matched normalized)
+ * @returns {Object}
+ */
+export const getDepartmentComplaintFilter = (department) =>
+  getScopeComplaintFilter([{ department, college: null }]);
+
+/**
+ * Mongo filter for the complaints a sub-admin handles
+ * @param {Object} subAdmin - Sub-admin user document
+ * @returns {Object}
+ */
+export const getSubAdminComplaintScope = (subAdmin) => {
+  const scopeFilter = getScopeComplaintFilter(getSubAdminScopes(subAdmin));
+
+  return {
+    $or: [
+      { assignedTo: subAdmin._id },
+      { routedTo: subAdmin._id },
+      ...(scopeFilter.$or || []),
+    ],
+  };
+};
+
+/**
+ * Mongo filter for the complaints a user reaches through the admin routes
+ * Admins reach every complaint; staff let in by a custom role permission
+ * only reach the departments (and colleges) they cover.
+ * @param {Object} user - req.user
+ * @returns {Object} Empty for admins
+ */
+export const getComplaintAccessScope = (user) =>
+  (user.role === USER_ROLES.ADMIN ? {} : getSubAdminComplaintScope(user));
+
+/**
+ * Check whether a sub-admin handles a complaint
+ * Agrees with getSubAdminComplaintScope, so a complaint opens exactly when it is listed.
+ * @param {Object} subAdmin - Sub-admin user document
+ * @param {Object} complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ * @returns {boolean}
+ */
+export const canSubAdminAccessComplaint = (subAdmin, complaint) => {
+  // Assigned handlers keep access even outside the routing (admin escalation)
+  if (isAssignedTo(complaint, subAdmin._id) || hasHandler(complaint, subAdmin._id)) return true;
+
+  const scopes = getSubAdminScopes(subAdmin);
+  const inCollege = (scope) => !scope.college || matchesScopeValue(scope.college, complaint.submitterCollege);
+
+  if (complaint.routedDepartment) {
+    return scopes.some((scope) => matchesScopeValue(scope.department, complaint.routedDepartment) && inCollege(scope));
+  }
+
+  if (!isLegacyComplaint(complaint)) return false;
+
+  return scopes.some((scope) => matchesScopeValue(scope.department, complaint.submitterDepartment) && inCollege(scope));
+};
+
+/**
+ * Mongo filter for the sub-admins whose scopes cover a department and college
+ * @param {string} department
+ * @param {string} [college] - Submitter's college; only scopes for any college match without it
+ * @returns {Object}
+ */
+const coveringSubAdminsFilter = (department, college) => {
+  const matcher = scopeMatcher(department);
+  const colleges = [{ college: null }, ...(college ? [{ college: scopeMatcher(college) }] : [])];
+
+  return {
+    $or: [
+      { 'scopes.0': { $exists: false }, department: matcher },
+      { scopes: { $elemMatch: { department: matcher, $or: colleges } } },
+    ],
+  };
+};
+
+/**
+ * Active sub-admins who handle a complaint through its routing
+ * @param {Object} complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ * @returns {Promise<Document[]>} Sub-admins (name, email, department)
+ */
+export const getComplaintHandlers = async (complaint) => {
+  const department = isLegacyComplaint(complaint)
+    ? complaint.submitterDepartment
+    : complaint.routedDepartment;
+
+  const conditions = [];
+  if ((complaint.routedTo || []).length > 0) {
+    conditions.push({ _id: { $in: complaint.routedTo.map((h) => h._id || h) } });
+  }
+  if (department) {
+    conditions.push(coveringSubAdminsFilter(department, complaint.submitterCollege));
+  }
+
+  if (conditions.length === 0) return [];
+
+  return User.find({
+    role: USER_ROLES.SUB_ADMIN,
+    isActive: true,
+    $or: conditions,
+  })
+    .select('name email department scopes')
+    .sort({ name: 1 });
+};
+
+/**
+ * Active department heads for the department handling a complaint
+ * Handler-pool complaints without a department use the submitter's department.
+ * @param {Object} complaint - Complaint loaded with SUBMITTER_SCOPE_FIELDS
+ * @returns {Promise<Document[]>} Sub-admins (name, email, department)
+ */
+export const getDepartmentHeads = async (complaint) => {
+  const department = complaint.routedDepartment || complaint.submitterDepartment;
+  if (!department) return [];
+
+  return User.find({
+    role: USER_ROLES.SUB_ADMIN,
+    isActive: true,
+    isDepartmentHead: true,
+    ...coveringSubAdminsFilter(department, complaint.submitterCollege),
+  })
+    .select('name email department scopes')
+    .sort({ name: 1 });
+};
+
+export default {
+  SUBMITTER_SCOPE_FIELDS,
+  normalizeScopeValue,
+  getSubAdminScopes,
+  describeSubAdminScopes,
+  getSubAdminUserFilter,
+  resolveCategorySelection,
+  buildComplaintRouting,
+  getScopeComplaintFilter,
+  getDepartmentComplaintFilter,
+  getSubAdminComplaintScope,
+  getComplaintAccessScope,
+  canSubAdminAccessComplaint,
+  getComplaintHandlers,
+  getDepartmentHeads,
+};
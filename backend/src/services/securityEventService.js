@@ -0,0 +1,70 @@
+/**
+ * Security Event Service
+ *
+ * Records account security events (see models/SecurityEvent.js) and lists
+ * them for admins. Recording never fails the request it belongs to.
+ */
+
+import SecurityEvent from '../models/SecurityEvent.js';
+
+/**
+ * Record a security event (errors are logged, not thrown)
+ * @param {Object} params
+ * @param {string} params.type - One of SECURITY_EVENT_TYPES
+ * @param {string} [params.user] - Account the event concerns
+ * @param {string} [params.actor] - Who caused it, when not the user
+ * @param {Request} [params.req] - Request it happened in (IP and device are recorded)
+ * @param {string} [params.details]
+ * @returns {Promise<void>}
+ */
+export const recordSecurityEvent = async ({ type, user = null, actor = null, req = null, details = '' }) => {
+  try {
+    await SecurityEvent.create({
+      type,
+      user,
+      actor,
+      ip: req?.ip || '',
+      userAgent: (req?.get('user-agent') || '').slice(0, 500),
+      details: details.slice(0, 1000),
+    });
+  } catch (error) {
+    console.error(`Failed to record security event ${type}:`, error.message);
+  }
+};
+
+/**
+ * Page through security events, newest first
+ * @param {Object} query - Validated query (see securityEventQuerySchema)
+ * @returns {Promise<{events: Object[], pagination: Object}>}
+ */
+export const listSecurityEvents = async ({ page = 1, limit = 20, userId, type }) => {
+  const filter = {};
+  if (userId) filter.$or = [{ user: userId }, { actor: userId }];
+  if (type) filter.type = type;
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name email role')
+      .populate('actor', 'name email role')
+      .lean(),
+    SecurityEvent.countDocuments(filter),
+  ]);
+
+  return {
+    events,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit,
+    },
+  };
+};
+
+export default {
+  recordSecurityEvent,
+  listSecurityEvents,
+};
@@ -0,0 +1,296 @@
+/**
+ * Session Service
+ *
+ * Server-tracked sign-ins. Logging in opens a session and hands out a
+ * short-lived access token naming it plus a refresh token, which is rotated
+ * on every use. Authentication checks the session on every request, so
+ * logging out, "log out all devices" and password changes take effect
+ * immediately instead of when the access token expires.
+ *
+ * Security Considerations:
+ * - Refresh tokens are stored only as SHA-256 hashes
+ * - Reusing a rotated refresh token revokes its session (token theft)
+ * - Sessions are always looked up by user, never by id alone
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { AuthenticationError, NotFoundError } from '../middlewares/errorHandler.js';
+
+const refreshTtlDaysRaw = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+export const REFRESH_TOKEN_TTL_DAYS = Number.isFinite(refreshTtlDaysRaw) && refreshTtlDaysRaw > 0
+  ? refreshTtlDaysRaw
+  : 7;
+
+export const REFRESH_COOKIE_NAME = 'refreshToken';
+
+// Refresh token cookie; only sent to the auth routes
+export const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth',
+};
+
+// Two tabs refreshing at once both present the same token; the second
+// within this window is not treated as reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// How stale lastUsedAt may get before a request updates it
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+export const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'Logged out',
+  LOGOUT_ALL: 'Logged out of all devices',
+  REVOKED: 'Signed out from another device',
+  PASSWORD_CHANGED: 'Password changed',
+  TWO_FACTOR_RESET: 'Two-factor authentication reset',
+  TOKEN_REUSED: 'Refresh token reused',
+  ACCOUNT_INACTIVE: 'Account deactivated',
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Short device label for a User-Agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+/**
+ * Device details of a request
+ * @param {Request} req
+ * @returns {Object}
+ */
+const clientDetails = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || '',
+  };
+};
+
+/**
+ * Open a session for a user who just logged in
+ * @param {Object} user - User document
+ * @param {Request} req - Login request (device and IP are recorded)
+ * @returns {Promise<{session: Document, refreshToken: string}>}
+ */
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...clientDetails(req),
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one, keeping the session
+ * @param {string} refreshToken
+ * @param {Request} req - Refresh request (device and IP are updated)
+ * @returns {Promise<{session: Document, user: Document, refreshToken: string|null}>}
+ *   refreshToken is null when the previous token was replayed within the grace window
+ */
+export const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw new AuthenticationError('Session expired. Please login again.');
+  }
+
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+
+  const withHashes = '+refreshTokenHash +previousRefreshTokenHash';
+
+  let session = await Session.findOne({ refreshTokenHash: tokenHash }).select(withHashes);
+  if (!session) {
+    // A rotated token presented again: tolerated right after rotation,
+    // otherwise it was copied and nobody can be trusted with the session
+    session = await Session.findOne({ previousRefreshTokenHash: tokenHash }).select(withHashes);
+    if (!session) {
+      throw new AuthenticationError('Session expired. Please login again.');
+    }
+    if (!session.revokedAt && now - session.rotatedAt > ROTATION_GRACE_MS) {
+      session.revokedAt = now;
+      session.revokedReason = SESSION_REVOKE_REASONS.TOKEN_REUSED;
+      await session.save();
+    }
+  }
+
+  if (session.revokedAt || session.expiresAt <= now) {
+    throw new AuthenticationError('Session expired. Please login again.');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    session.revokedAt = now;
+    session.revokedReason = SESSION_REVOKE_REASONS.ACCOUNT_INACTIVE;
+    await session.save();
+    throw new AuthenticationError('Session expired. Please login again.');
+  }
+
+  // The previous token inside the grace window: the concurrent request that
+  // rotated it already holds the current token, so rotating again would
+  // invalidate that one. Only a new access token is issued.
+  if (session.refreshTokenHash !== tokenHash) {
+    session.lastUsedAt = now;
+    await session.save();
+    return { session, user, refreshToken: null };
+  }
+
+  const nextRefreshToken = newRefreshToken();
+  session.previousRefreshTokenHash = tokenHash;
+  session.rotatedAt = now;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  Object.assign(session, clientDetails(req));
+  session.lastUsedAt = now;
+  await session.save();
+
+  return { session, user, refreshToken: nextRefreshToken };
+};
+
+/**
+ * Active session an access token belongs to, if it was not revoked
+ * Used by the authenticate middleware on every request.
+ * @param {string} sessionId
+ * @param {string} userId
+ * @returns {Promise<Document|null>}
+ */
+export const findActiveSession = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const now = new Date();
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  }).select('lastUsedAt');
+
+  if (session && now - session.lastUsedAt > TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: now })
+      .catch(err => console.error('Failed to update session activity:', err));
+  }
+
+  return session;
+};
+
+/**
+ * A user's signed-in sessions, most recently used first
+ * @param {string} userId
+ * @param {string} currentSessionId - Session of the request, flagged as current
+ * @returns {Promise<Object[]>}
+ */
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .select('device userAgent ip lastUsedAt createdAt expiresAt')
+    .lean();
+
+  return sessions.map((session) => ({
+    ...session,
+    isCurrent: String(session._id) === String(currentSessionId),
+  }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.sessionId
+ * @param {string} params.reason - One of SESSION_REVOKE_REASONS
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async ({ userId, sessionId, reason }) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  if (result.matchedCount === 0) {
+    throw new NotFoundError('Session not found');
+  }
+};
+
+/**
+ * Revoke the session a refresh token belongs to, if any (logout)
+ * @param {string} refreshToken
+ * @returns {Promise<void>}
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  if (!refreshToken) return;
+  await Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: SESSION_REVOKE_REASONS.LOGOUT }
+  );
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep signed in
+ * @param {string} options.reason - One of SESSION_REVOKE_REASONS
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, { exceptSessionId, reason }) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+export default {
+  REFRESH_TOKEN_TTL_DAYS,
+  REFRESH_COOKIE_NAME,
+  REFRESH_COOKIE_OPTIONS,
+  SESSION_REVOKE_REASONS,
+  describeDevice,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  listSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+};
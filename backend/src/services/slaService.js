@@ -0,0 +1,483 @@
+/**
+ * SLA Service
+ *
+ * Response/resolution targets for complaints and the background job that
+ * escalates complaints which miss them. Due dates are stamped on each
+ * complaint at submission so policy edits only affect new complaints.
+ *
+ * Target resolution order: category override, then the priority target.
+ */
+
+import Complaint, { COMPLAINT_STATUS, COMPLAINT_PRIORITY } from '../models/Complaint.js';
+import Category from '../models/Category.js';
+import SlaPolicy from '../models/SlaPolicy.js';
+import User, { USER_ROLES } from '../models/User.js';
+import { ValidationError } from '../middlewares/errorHandler.js';
+import { sendSlaBreachEmail, sendComplaintAssignedEmail } from './emailService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Re-read the policy periodically so edits made on another instance apply
+const CACHE_TTL_MS = 60 * 1000;
+
+// How often the escalation job runs
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES, 10) || 15;
+
+// Upper bound of complaints escalated per run
+const BATCH_SIZE = 200;
+
+// The SLA clock stops once a complaint reaches one of these statuses
+export const SLA_STOPPED_STATUSES = [
+  COMPLAINT_STATUS.RESOLVED,
+  COMPLAINT_STATUS.CLOSED,
+  COMPLAINT_STATUS.REJECTED,
+  COMPLAINT_STATUS.WITHDRAWN,
+];
+
+export const SLA_STATE = {
+  ON_TRACK: 'ON_TRACK',
+  FIRST_RESPONSE_BREACHED: 'FIRST_RESPONSE_BREACHED',
+  RESOLUTION_BREACHED: 'RESOLUTION_BREACHED',
+  MET: 'MET',
+  MISSED: 'MISSED',
+  NONE: 'NONE',
+};
+
+const PRIORITY_ORDER = [
+  COMPLAINT_PRIORITY.LOW,
+  COMPLAINT_PRIORITY.NORMAL,
+  COMPLAINT_PRIORITY.HIGH,
+  COMPLAINT_PRIORITY.URGENT,
+];
+
+/**
+ * Policy used until an admin saves their own
+ */
+export const DEFAULT_SLA_POLICY = {
+  targets: {
+    LOW: { firstResponseHours: 72, resolutionHours: 336 },
+    NORMAL: { firstResponseHours: 48, resolutionHours: 168 },
+    HIGH: { firstResponseHours: 24, resolutionHours: 72 },
+    URGENT: { firstResponseHours: 4, resolutionHours: 24 },
+  },
+  escalation: {
+    enabled: true,
+    notifyAdmins: true,
+    bumpPriority: true,
+    reassignTo: null,
+  },
+};
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Get the active SLA policy, seeding the default on first use
+ * @returns {Promise<Object>}
+ */
+export const getSlaPolicy = async () => {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  let policy = await SlaPolicy.findOne({ key: 'default' }).lean();
+
+  if (!policy) {
+    try {
+      policy = (await SlaPolicy.create({ key: 'default', ...DEFAULT_SLA_POLICY })).toObject();
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) throw error;
+      policy = await SlaPolicy.findOne({ key: 'default' }).lean();
+    }
+  }
+
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+  return policy;
+};
+
+/**
+ * Replace the active SLA policy
+ * @param {Object} definition - { targets, escalation }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} Saved policy
+ */
+export const updateSlaPolicy = async (definition, userId) => {
+  const reassignTo = definition.escalation?.reassignTo || null;
+
+  if (reassignTo) {
+    const handler = await User.exists({ _id: reassignTo, role: USER_ROLES.SUB_ADMIN, isActive: true });
+    if (!handler) {
+      throw new ValidationError('Escalation handler must be an active sub-admin');
+    }
+  }
+
+  Object.entries(definition.targets).forEach(([priority, target]) => {
+    if (target.resolutionHours < target.firstResponseHours) {
+      throw new ValidationError(`${priority} resolution target cannot be shorter than its first response target`);
+    }
+  });
+
+  const policy = await SlaPolicy.findOneAndUpdate(
+    { key: 'default' },
+    {
+      targets: definition.targets,
+      escalation: { ...definition.escalation, reassignTo },
+      updatedBy: userId,
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+  return policy;
+};
+
+/**
+ * Targets (in hours) that apply to a complaint
+ * @param {Object} policy - SLA policy
+ * @param {string} priority - Complaint priority
+ * @param {Document[]} [categories] - Sub-category then category
+ * @returns {Object} { firstResponseHours, resolutionHours }
+ */
+const resolveTargets = (policy, priority, categories = []) => {
+  const base = policy.targets[priority] || policy.targets[COMPLAINT_PRIORITY.NORMAL];
+  const override = (field) =>
+    categories.map((c) => c?.sla?.[field]).find((hours) => hours) || base[field];
+
+  return {
+    firstResponseHours: override('firstResponseHours'),
+    resolutionHours: override('resolutionHours'),
+  };
+};
+
+/**
+ * Load the category targets that apply to a complaint
+ * @param {Document} complaint
+ * @returns {Promise<Document[]>} Sub-category then category (missing ones skipped)
+ */
+const loadCategories = async (complaint) => {
+  const ids = [complaint.subCategory, complaint.category].filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const categories = await Category.find({ _id: { $in: ids } }).select('sla');
+  return ids
+    .map((id) => categories.find((c) => String(c._id) === String(id._id || id)))
+    .filter(Boolean);
+};
+
+/**
+ * Stamp SLA due dates on a new complaint
+ * Does not save; callers save the complaint.
+ * @param {Document} complaint - Complaint with priority and category set
+ * @param {Date} [from] - Start of the SLA clock
+ */
+export const applySlaTargets = async (complaint, from = new Date()) => {
+  const [policy, categories] = await Promise.all([getSlaPolicy(), loadCategories(complaint)]);
+  const targets = resolveTargets(policy, complaint.priority, categories);
+
+  complaint.sla = {
+    ...(complaint.sla?.toObject?.() || complaint.sla || {}),
+    firstResponseDueAt: new Date(from.getTime() + targets.firstResponseHours * HOUR_MS),
+    resolutionDueAt: new Date(from.getTime() + targets.resolutionHours * HOUR_MS),
+  };
+};
+
+/**
+ * Restart the resolution clock when a complaint is reopened
+ * Does not save; callers save the complaint.
+ * @param {Document} complaint
+ */
+export const restartResolutionClock = async (complaint) => {
+  const [policy, categories] = await Promise.all([getSlaPolicy(), loadCategories(complaint)]);
+  const { resolutionHours } = resolveTargets(policy, complaint.priority, categories);
+
+  complaint.sla.resolutionDueAt = new Date(Date.now() + resolutionHours * HOUR_MS);
+  complaint.sla.resolutionBreachedAt = null;
+};
+
+/**
+ * Recompute due dates after a priority change
+ * Clocks keep their original start (submission, or the latest reopen for
+ * resolution); breaches are cleared when the new target is still ahead.
+ * Does not save; callers save the complaint.
+ * @param {Document} complaint
+ */
+export const retargetSla = async (complaint) => {
+  if (!complaint.sla?.resolutionDueAt || SLA_STOPPED_STATUSES.includes(complaint.status)) return;
+
+  const [policy, categories] = await Promise.all([getSlaPolicy(), loadCategories(complaint)]);
+  const targets = resolveTargets(policy, complaint.priority, categories);
+  const now = new Date();
+
+  const lastReopen = complaint.reopenHistory?.[complaint.reopenHistory.length - 1];
+  const resolutionStart = lastReopen?.reopenedAt || complaint.createdAt;
+
+  const sla = complaint.sla;
+  sla.firstResponseDueAt = new Date(complaint.createdAt.getTime() + targets.firstResponseHours * HOUR_MS);
+  sla.resolutionDueAt = new Date(resolutionStart.getTime() + targets.resolutionHours * HOUR_MS);
+
+  if (sla.firstResponseBreachedAt && !sla.firstRespondedAt && sla.firstResponseDueAt > now) {
+    sla.firstResponseBreachedAt = null;
+  }
+  if (sla.resolutionBreachedAt && sla.resolutionDueAt > now) {
+    sla.resolutionBreachedAt = null;
+  }
+};
+
+/**
+ * Record the first staff response on a complaint document
+ * Does not save; callers save the complaint.
+ * @param {Document} complaint
+ */
+export const recordFirstResponse = (complaint) => {
+  if (!complaint.sla.firstRespondedAt) {
+    complaint.sla.firstRespondedAt = new Date();
+  }
+};
+
+/**
+ * Record the first staff response without loading the complaint
+ * @param {string} complaintId
+ * @returns {Promise<void>}
+ */
+export const markFirstResponse = async (complaintId) => {
+  await Complaint.updateOne(
+    { _id: complaintId, 'sla.firstRespondedAt': null },
+    { $set: { 'sla.firstRespondedAt': new Date() } }
+  );
+};
+
+/**
+ * Current SLA state of a complaint, for reports and detail views
+ * @param {Object} complaint
+ * @param {Date} [now]
+ * @returns {string} One of SLA_STATE
+ */
+export const getSlaState = (complaint, now = new Date()) => {
+  const sla = complaint.sla || {};
+  if (!sla.resolutionDueAt) return SLA_STATE.NONE;
+
+  if (SLA_STOPPED_STATUSES.includes(complaint.status)) {
+    const finishedAt = complaint.resolvedAt || complaint.updatedAt || now;
+    return sla.resolutionBreachedAt || new Date(finishedAt) > new Date(sla.resolutionDueAt)
+      ? SLA_STATE.MISSED
+      : SLA_STATE.MET;
+  }
+
+  if (new Date(sla.resolutionDueAt) <= now) return SLA_STATE.RESOLUTION_BREACHED;
+  if (!sla.firstRespondedAt && sla.firstResponseDueAt && new Date(sla.firstResponseDueAt) <= now) {
+    return SLA_STATE.FIRST_RESPONSE_BREACHED;
+  }
+  return SLA_STATE.ON_TRACK;
+};
+
+/**
+ * Mongo filters for open complaints currently past their SLA targets
+ * @param {Date} [now]
+ * @returns {Object} { firstResponse, resolution }
+ */
+// Merged duplicates are left out: their parent complaint carries the SLA
+const breachFilters = (now = new Date()) => ({
+  firstResponse: {
+    status: { $nin: SLA_STOPPED_STATUSES },
+    mergedInto: null,
+    'sla.firstRespondedAt': null,
+    'sla.firstResponseDueAt': { $lte: now },
+  },
+  resolution: {
+    status: { $nin: SLA_STOPPED_STATUSES },
+    mergedInto: null,
+    'sla.resolutionDueAt': { $lte: now },
+  },
+});
+
+/**
+ * Filter for open complaints past either of their SLA targets
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export const getSlaBreachFilter = (now = new Date()) => {
+  const filters = breachFilters(now);
+  return { $or: [filters.firstResponse, filters.resolution] };
+};
+
+/**
+ * Count open complaints past their SLA targets
+ * @param {Object} [match] - Optional scope filter
+ * @returns {Promise<Object>} { firstResponse, resolution, total }
+ */
+export const countSlaBreaches = async (match = {}) => {
+  const filters = breachFilters();
+
+  const [firstResponse, resolution, total] = await Promise.all([
+    Complaint.countDocuments({ $and: [match, filters.firstResponse] }),
+    Complaint.countDocuments({ $and: [match, filters.resolution] }),
+    Complaint.countDocuments({ $and: [match, { $or: [filters.firstResponse, filters.resolution] }] }),
+  ]);
+
+  return { firstResponse, resolution, total };
+};
+
+/**
+ * Escalate one breached complaint according to the policy
+ * @param {Document} complaint - Complaint with userId populated
+ * @param {Object} policy
+ * @param {Document[]} admins - Admins to notify
+ * @param {Document|null} handler - Sub-admin taking over breached complaints
+ * @param {Date} now
+ */
+const escalateComplaint = async (complaint, policy, admins, handler, now) => {
+  const sla = complaint.sla;
+  const breaches = [];
+
+  if (!sla.firstRespondedAt && !sla.firstResponseBreachedAt && sla.firstResponseDueAt && sla.firstResponseDueAt <= now) {
+    sla.firstResponseBreachedAt = now;
+    breaches.push({ type: 'first response', dueAt: sla.firstResponseDueAt });
+  }
+  if (!sla.resolutionBreachedAt && sla.resolutionDueAt && sla.resolutionDueAt <= now) {
+    sla.resolutionBreachedAt = now;
+    breaches.push({ type: 'resolution', dueAt: sla.resolutionDueAt });
+  }
+  if (breaches.length === 0) return;
+
+  sla.escalationLevel += 1;
+
+  const { escalation } = policy;
+  if (escalation.bumpPriority) {
+    const index = PRIORITY_ORDER.indexOf(complaint.priority);
+    complaint.priority = PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)];
+  }
+
+  const reassign = handler && String(complaint.assignedTo) !== String(handler._id);
+  if (reassign) {
+    complaint.recordAssignment({
+      assignee: handler._id,
+      actor: null,
+      note: `Escalated automatically after missing the ${breaches.map((b) => b.type).join(' and ')} target`,
+      escalated: true,
+    });
+  }
+
+  await complaint.save();
+
+  const complaintId = complaint.complaintId || complaint._id.toString();
+
+  if (reassign) {
+    sendComplaintAssignedEmail({
+      email: handler.email,
+      name: handler.name,
+      complaintId,
+      subject: complaint.subject,
+      assignedByName: 'SLA escalation',
+      escalated: true,
+    }).catch(err => console.error('Failed to send assignment email:', err));
+  }
+
+  if (escalation.notifyAdmins) {
+    admins.forEach((admin) => {
+      sendSlaBreachEmail({
+        email: admin.email,
+        name: admin.name,
+        complaintId,
+        subject: complaint.subject,
+        breaches,
+        priority: complaint.priority,
+        escalationLevel: sla.escalationLevel,
+      }).catch(err => console.error('Failed to send SLA breach email:', err));
+    });
+  }
+};
+
+/**
+ * Find complaints that newly breached their SLA and escalate them
+ * @returns {Promise<Object>} { escalated }
+ */
+export const runSlaEscalations = async () => {
+  const policy = await getSlaPolicy();
+  if (!policy.escalation?.enabled) return { escalated: 0 };
+
+  const now = new Date();
+  const filters = breachFilters(now);
+
+  const complaints = await Complaint.find({
+    $or: [
+      { ...filters.firstResponse, 'sla.firstResponseBreachedAt': null },
+      { ...filters.resolution, 'sla.resolutionBreachedAt': null },
+    ],
+  })
+    .sort({ 'sla.resolutionDueAt': 1 })
+    .limit(BATCH_SIZE);
+
+  if (complaints.length === 0) return { escalated: 0 };
+
+  const [admins, handler] = await Promise.all([
+    policy.escalation.notifyAdmins
+      ? User.find({ role: USER_ROLES.ADMIN, isActive: true }).select('name email')
+      : [],
+    policy.escalation.reassignTo
+      ? User.findOne({ _id: policy.escalation.reassignTo, role: USER_ROLES.SUB_ADMIN, isActive: true }).select('name email')
+      : null,
+  ]);
+
+  let escalated = 0;
+  for (const complaint of complaints) {
+    try {
+      await escalateComplaint(complaint, policy, admins, handler, now);
+      escalated += 1;
+    } catch (error) {
+      console.error(`Failed to escalate complaint ${complaint.complaintId}:`, error.message);
+    }
+  }
+
+  return { escalated };
+};
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Run the escalation job periodically
+ * Overlapping runs are skipped so a slow run cannot pile up.
+ */
+export const startSlaScheduler = () => {
+  if (schedulerTimer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { escalated } = await runSlaEscalations();
+      if (escalated > 0) {
+        console.log(`⏰ Escalated ${escalated} complaint(s) past their SLA`);
+      }
+    } catch (error) {
+      console.error('SLA escalation run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  schedulerTimer.unref();
+  tick();
+};
+
+export default {
+  SLA_STOPPED_STATUSES,
+  SLA_STATE,
+  DEFAULT_SLA_POLICY,
+  getSlaPolicy,
+  updateSlaPolicy,
+  applySlaTargets,
+  restartResolutionClock,
+  retargetSla,
+  recordFirstResponse,
+  markFirstResponse,
+  getSlaState,
+  getSlaBreachFilter,
+  countSlaBreaches,
+  runSlaEscalations,
+  startSlaScheduler,
+};
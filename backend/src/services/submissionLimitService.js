@@ -0,0 +1,323 @@
+/**
+ * Submission Limit Service
+ *
+ * Limits how often students and employees can submit complaints: a daily
+ * limit, a cooldown between complaints and a window in which the same
+ * content cannot be submitted twice. Admins set the limits per role and may
+ * override them for individual categories or exempt individual users.
+ *
+ * Category overrides replace the role limits for complaints in that
+ * category, field by field (sub-category first, then category; an override
+ * for the submitter's role wins over one for every role). A daily limit that
+ * comes from an override counts only the complaints in that category.
+ */
+
+import mongoose from 'mongoose';
+import Complaint from '../models/Complaint.js';
+import Category from '../models/Category.js';
+import User from '../models/User.js';
+import SubmissionPolicy, { LIMITED_ROLES } from '../models/SubmissionPolicy.js';
+import { APIError, ValidationError, NotFoundError } from '../middlewares/errorHandler.js';
+
+// Re-read the policy periodically so edits made on another instance apply
+const CACHE_TTL_MS = 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+const LIMIT_FIELDS = ['dailyLimit', 'cooldownMinutes', 'duplicateWindowMinutes'];
+
+/**
+ * Limits used until an admin saves their own
+ */
+export const DEFAULT_SUBMISSION_POLICY = {
+  limits: {
+    STUDENT: { dailyLimit: 5, cooldownMinutes: 5, duplicateWindowMinutes: 60 },
+    EMPLOYEE: { dailyLimit: 3, cooldownMinutes: 0, duplicateWindowMinutes: 0 },
+  },
+  categoryOverrides: [],
+  exemptions: [],
+};
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+const cachePolicy = (policy) => {
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+  return policy;
+};
+
+/**
+ * Get the active submission policy, seeding the default on first use
+ * @returns {Promise<Object>}
+ */
+export const getSubmissionPolicy = async () => {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  let policy = await SubmissionPolicy.findOne({ key: 'default' }).lean();
+
+  if (!policy) {
+    try {
+      policy = (await SubmissionPolicy.create({ key: 'default', ...DEFAULT_SUBMISSION_POLICY })).toObject();
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) throw error;
+      policy = await SubmissionPolicy.findOne({ key: 'default' }).lean();
+    }
+  }
+
+  return cachePolicy(policy);
+};
+
+/**
+ * The active policy with exempted users and override categories filled in,
+ * for the admin settings page
+ * @returns {Promise<Object>}
+ */
+export const getSubmissionPolicyDetails = async () => {
+  await getSubmissionPolicy();
+  return SubmissionPolicy.findOne({ key: 'default' })
+    .populate('categoryOverrides.category', 'name parent')
+    .populate('exemptions.user', 'name email role studentId department')
+    .populate('exemptions.grantedBy', 'name')
+    .lean();
+};
+
+/**
+ * Replace the role limits and category overrides
+ * Exemptions are managed separately and left as they are.
+ * @param {Object} definition - { limits, categoryOverrides }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} Saved policy
+ */
+export const updateSubmissionLimits = async (definition, userId) => {
+  const overrides = definition.categoryOverrides || [];
+
+  const seen = new Set();
+  overrides.forEach((override) => {
+    const key = `${override.category}:${override.role || 'ALL'}`;
+    if (seen.has(key)) {
+      throw new ValidationError('Each category can only be overridden once per role');
+    }
+    seen.add(key);
+  });
+
+  const categoryIds = [...new Set(overrides.map((override) => String(override.category)))];
+  const found = await Category.countDocuments({ _id: { $in: categoryIds } });
+  if (found !== categoryIds.length) {
+    throw new ValidationError('Category not found');
+  }
+
+  await getSubmissionPolicy();
+  const policy = await SubmissionPolicy.findOneAndUpdate(
+    { key: 'default' },
+    {
+      limits: definition.limits,
+      categoryOverrides: overrides,
+      updatedBy: userId,
+    },
+    { new: true, runValidators: true }
+  ).lean();
+
+  return cachePolicy(policy);
+};
+
+/**
+ * Exempt a student or employee from the submission limits
+ * Replaces any exemption the user already has.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.reason
+ * @param {Date|string|null} [params.expiresAt]
+ * @param {string} params.grantedBy - Admin granting it
+ * @returns {Promise<Object>} Saved policy
+ */
+export const grantExemption = async ({ userId, reason, expiresAt = null, grantedBy }) => {
+  const user = await User.findById(userId).select('role');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (!LIMITED_ROLES.includes(user.role)) {
+    throw new ValidationError('Only students and employees have submission limits');
+  }
+
+  await getSubmissionPolicy();
+  await SubmissionPolicy.updateOne({ key: 'default' }, { $pull: { exemptions: { user: user._id } } });
+  const policy = await SubmissionPolicy.findOneAndUpdate(
+    { key: 'default' },
+    {
+      $push: {
+        exemptions: {
+          user: user._id,
+          reason,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          grantedBy,
+          grantedAt: new Date(),
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  ).lean();
+
+  return cachePolicy(policy);
+};
+
+/**
+ * Remove a user's exemption
+ * @param {string} userId
+ * @returns {Promise<Object>} Saved policy
+ */
+export const revokeExemption = async (userId) => {
+  await getSubmissionPolicy();
+  const policy = await SubmissionPolicy.findOneAndUpdate(
+    { key: 'default', 'exemptions.user': userId },
+    { $pull: { exemptions: { user: userId } } },
+    { new: true }
+  ).lean();
+
+  if (!policy) {
+    throw new NotFoundError('This user has no exemption');
+  }
+
+  return cachePolicy(policy);
+};
+
+/**
+ * Whether a user is currently exempt from the limits
+ * @param {Object} policy
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isExempt = (policy, userId, now = new Date()) =>
+  (policy.exemptions || []).some(
+    (exemption) =>
+      String(exemption.user) === String(userId) &&
+      (!exemption.expiresAt || new Date(exemption.expiresAt) > now)
+  );
+
+/**
+ * Limits that apply to a submission
+ * @param {Object} policy
+ * @param {string} role - Submitter role
+ * @param {string[]} [categoryIds] - Sub-category then category
+ * @returns {Object} { dailyLimit, cooldownMinutes, duplicateWindowMinutes, dailyScope }
+ *   dailyScope is the category the daily limit counts in, or null for all complaints
+ */
+export const resolveSubmissionLimits = (policy, role, categoryIds = []) => {
+  const base = policy.limits[role];
+
+  // Most specific first: sub-category before category, own role before all roles
+  const overrides = categoryIds.filter(Boolean).flatMap((categoryId) =>
+    [role, null]
+      .map((overrideRole) =>
+        (policy.categoryOverrides || []).find(
+          (override) => String(override.category) === String(categoryId) && (override.role || null) === overrideRole
+        )
+      )
+      .filter(Boolean)
+  );
+
+  const limits = { dailyScope: null };
+  LIMIT_FIELDS.forEach((field) => {
+    const override = overrides.find((candidate) => candidate[field] !== null && candidate[field] !== undefined);
+    limits[field] = override ? override[field] : base[field];
+    if (field === 'dailyLimit' && override) {
+      limits.dailyScope = override.category;
+    }
+  });
+
+  return limits;
+};
+
+/**
+ * Reject a submission that breaks the limits
+ * Called for every student and employee submission before it is created.
+ * @param {Object} params
+ * @param {Object} params.user - Submitter (_id, role)
+ * @param {string} [params.categoryId]
+ * @param {string} [params.subCategoryId]
+ * @param {string} params.content
+ * @throws {APIError} 429 when the daily limit is reached, 400 for cooldown or duplicates
+ */
+export const checkSubmissionLimits = async ({ user, categoryId, subCategoryId, content }) => {
+  if (!LIMITED_ROLES.includes(user.role)) return;
+
+  const policy = await getSubmissionPolicy();
+  const now = new Date();
+  if (isExempt(policy, user._id, now)) return;
+
+  const { dailyLimit, cooldownMinutes, duplicateWindowMinutes, dailyScope } =
+    resolveSubmissionLimits(policy, user.role, [subCategoryId, categoryId]);
+
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+  const cooldownStart = new Date(now.getTime() - cooldownMinutes * MINUTE_MS);
+  const duplicateStart = new Date(now.getTime() - duplicateWindowMinutes * MINUTE_MS);
+  const earliest = new Date(Math.min(startOfDay, cooldownStart, duplicateStart));
+
+  const scopeId = dailyScope ? new mongoose.Types.ObjectId(String(dailyScope)) : null;
+  const inDailyScope = scopeId
+    ? { $or: [{ $eq: ['$category', scopeId] }, { $eq: ['$subCategory', scopeId] }] }
+    : true;
+
+  // Everything is checked in one query over the user's recent complaints
+  const [checks] = await Complaint.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(user._id)),
+        createdAt: { $gte: earliest },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        dailyCount: {
+          $sum: { $cond: [{ $and: [{ $gte: ['$createdAt', startOfDay] }, inDailyScope] }, 1, 0] },
+        },
+        lastSubmittedAt: { $max: '$createdAt' },
+        duplicates: {
+          $sum: {
+            $cond: [{ $and: [{ $gte: ['$createdAt', duplicateStart] }, { $eq: ['$content', content.trim()] }] }, 1, 0],
+          },
+        },
+      },
+    },
+  ]);
+
+  if (!checks) return;
+
+  if (checks.dailyCount >= dailyLimit) {
+    throw new APIError(
+      dailyScope
+        ? `You have reached the daily limit for this category (${dailyLimit} per day). Please try again tomorrow.`
+        : `You have reached your daily complaint limit (${dailyLimit} per day). Please try again tomorrow.`,
+      429
+    );
+  }
+
+  if (cooldownMinutes > 0 && checks.lastSubmittedAt >= cooldownStart) {
+    const waitMinutes = Math.ceil((checks.lastSubmittedAt.getTime() + cooldownMinutes * MINUTE_MS - now.getTime()) / MINUTE_MS);
+    throw new ValidationError(
+      `Please wait at least ${cooldownMinutes} minute${cooldownMinutes === 1 ? '' : 's'} between complaints (${waitMinutes} more).`
+    );
+  }
+
+  if (duplicateWindowMinutes > 0 && checks.duplicates > 0) {
+    throw new ValidationError('You have already submitted this complaint recently. Please wait before submitting again.');
+  }
+};
+
+export default {
+  DEFAULT_SUBMISSION_POLICY,
+  getSubmissionPolicy,
+  getSubmissionPolicyDetails,
+  updateSubmissionLimits,
+  grantExemption,
+  revokeExemption,
+  isExempt,
+  resolveSubmissionLimits,
+  checkSubmissionLimits,
+};
@@ -0,0 +1,602 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Optional TOTP (RFC 6238) second factor for admin and sub-admin accounts,
+ * which admins can make mandatory per role. Staff given admin permissions
+ * through custom roles can use it too, and are held to the admin setting.
+ * Users enroll by scanning a QR code into an authenticator app and
+ * confirming a code, and get one-time backup codes for when they do not
+ * have their device. Users who lose both are recovered by an admin
+ * resetting their two-factor authentication.
+ *
+ * Security Considerations:
+ * - Secrets are encrypted at rest (AES-256-GCM); backup codes are hashed
+ * - A code is accepted once (the last used time step is remembered)
+ * - Every enrollment, verification, failure and reset is recorded
+ * - Wrong codes at login count towards the account lockout
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import User, { USER_ROLES } from '../models/User.js';
+import SecurityPolicy, { TWO_FACTOR_ROLES } from '../models/SecurityPolicy.js';
+import { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import { AuthenticationError, AuthorizationError, NotFoundError, ValidationError } from '../middlewares/errorHandler.js';
+import { recordSecurityEvent } from './securityEventService.js';
+import { revokeUserSessions, SESSION_REVOKE_REASONS } from './sessionService.js';
+import { sendTwoFactorChangedEmail } from './emailService.js';
+import { LOCKOUT_FIELDS, assertNotLocked, recordFailedLogin } from './accountLockoutService.js';
+import { hasPrivilegedPermission, listPrivilegedRoleIds } from './permissionService.js';
+
+// Re-read the policy periodically so edits made on another instance apply
+const CACHE_TTL_MS = 60 * 1000;
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step before or after are accepted for clock drift
+const TOTP_DRIFT_STEPS = 1;
+
+export const BACKUP_CODE_COUNT = 10;
+
+// Time allowed between the password and the code at login
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+const LOGIN_CHALLENGE_AUDIENCE = 'two-factor-login';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'GEIMS Complaint Portal';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+
+// ===========================================
+// TOTP
+// ===========================================
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  const bits = value
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / period)
+ * @returns {string}
+ */
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Time step a code is valid for, if any
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ * @param {number} [lastUsedStep] - Steps up to this one were already used
+ * @returns {number|null}
+ */
+const matchTotpStep = (secret, code, lastUsedStep = -1) => {
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift += 1) {
+    const step = currentStep + drift;
+    const expected = totpCode(secret, step);
+    if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// ===========================================
+// SECRETS AND BACKUP CODES
+// ===========================================
+
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Backup codes are compared without dashes, spaces or case
+const normalizeBackupCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+/**
+ * Generate backup codes, e.g. "3f9a-c21e"
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const isTotpFormat = (code) => new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code);
+
+/**
+ * Check a code from the user's authenticator app or one of their backup codes
+ * Marks the code as used; the caller saves the user.
+ * @param {Document} user - User with the two-factor fields selected
+ * @param {string} code
+ * @returns {'totp'|'backup'|null} How the code matched
+ */
+const consumeCode = (user, code) => {
+  const trimmed = String(code || '').trim();
+
+  if (isTotpFormat(trimmed)) {
+    const step = matchTotpStep(decryptSecret(user.twoFactorSecret), trimmed, user.twoFactorLastUsedStep ?? -1);
+    if (step === null) return null;
+    user.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = hashBackupCode(trimmed);
+  const remaining = user.twoFactorBackupCodes || [];
+  if (!remaining.includes(hash)) return null;
+  user.twoFactorBackupCodes = remaining.filter((item) => item !== hash);
+  return 'backup';
+};
+
+const clearTwoFactor = (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = null;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorBackupCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+};
+
+const loadWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(`+passwordHash ${SECRET_FIELDS}`);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
+};
+
+// ===========================================
+// POLICY
+// ===========================================
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+const cachePolicy = (policy) => {
+  cachedPolicy = policy;
+  cachedAt = Date.now();
+  return policy;
+};
+
+/**
+ * Get the active security policy, seeding the default on first use
+ * @returns {Promise<Object>}
+ */
+export const getSecurityPolicy = async () => {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  let policy = await SecurityPolicy.findOne({ key: 'default' }).lean();
+
+  if (!policy) {
+    try {
+      policy = (await SecurityPolicy.create({ key: 'default' })).toObject();
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) throw error;
+      policy = await SecurityPolicy.findOne({ key: 'default' }).lean();
+    }
+  }
+
+  return cachePolicy(policy);
+};
+
+/**
+ * Choose the roles that must use two-factor authentication
+ * @param {string[]} requiredRoles
+ * @param {Object} actor - Admin making the change (req.user)
+ * @param {Request} req
+ * @returns {Promise<Object>} Saved policy
+ */
+export const updateTwoFactorPolicy = async (requiredRoles, actor, req) => {
+  await getSecurityPolicy();
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { 'twoFactor.requiredRoles': [...new Set(requiredRoles)], updatedBy: actor._id },
+    { new: true, runValidators: true }
+  ).lean();
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENT_TYPES.TWO_FACTOR_POLICY_UPDATED,
+    actor: actor._id,
+    req,
+    details: requiredRoles.length > 0 ? `Required for ${requiredRoles.join(', ')}` : 'Optional for all roles',
+  });
+
+  return cachePolicy(policy);
+};
+
+/**
+ * Policy roles that apply to a user: their own role, plus the admin role
+ * when custom roles give them admin permissions
+ * @param {Object} user
+ * @returns {Promise<string[]>} Empty when the user cannot use two-factor
+ */
+const getPolicyRoles = async (user) => {
+  const roles = TWO_FACTOR_ROLES.includes(user.role) ? [user.role] : [];
+  if (user.role !== USER_ROLES.ADMIN && await hasPrivilegedPermission(user)) {
+    roles.push(USER_ROLES.ADMIN);
+  }
+  return roles;
+};
+
+/**
+ * Whether the policy makes two-factor mandatory for a user
+ * @param {Object} user
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequiredFor = async (user) => {
+  const roles = await getPolicyRoles(user);
+  if (roles.length === 0) return false;
+  const policy = await getSecurityPolicy();
+  return roles.some((role) => policy.twoFactor.requiredRoles.includes(role));
+};
+
+/**
+ * Whether a user has to enroll before using the portal
+ * @param {Object} user
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorSetupRequired = async (user) => {
+  if (user.twoFactorEnabled) return false;
+  return isTwoFactorRequiredFor(user);
+};
+
+/**
+ * Staff who can use two-factor authentication, with whether they do
+ * For the admin security page.
+ * @returns {Promise<Object[]>}
+ */
+export const listTwoFactorUsers = async () =>
+  User.find({
+    $or: [
+      { role: { $in: TWO_FACTOR_ROLES } },
+      { customRoles: { $in: await listPrivilegedRoleIds() } },
+    ],
+  })
+    .select('name email role department isActive twoFactorEnabled twoFactorEnabledAt')
+    .sort({ role: 1, name: 1 })
+    .lean();
+
+// ===========================================
+// ENROLLMENT
+// ===========================================
+
+/**
+ * A user's two-factor status
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const user = await loadWithSecrets(userId);
+
+  return {
+    available: (await getPolicyRoles(user)).length > 0,
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    required: await isTwoFactorRequiredFor(user),
+    backupCodesRemaining: user.twoFactorEnabled ? (user.twoFactorBackupCodes || []).length : 0,
+  };
+};
+
+/**
+ * Start enrolling: create a secret for the user's authenticator app
+ * Replaces any enrollment that was started but not confirmed.
+ * @param {string} userId
+ * @param {Request} req
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+export const startTwoFactorSetup = async (userId, req) => {
+  const user = await loadWithSecrets(userId);
+
+  if ((await getPolicyRoles(user)).length === 0) {
+    throw new AuthorizationError('Two-factor authentication is only available to staff accounts');
+  }
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already on');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save();
+
+  await recordSecurityEvent({ type: SECURITY_EVENT_TYPES.TWO_FACTOR_SETUP_STARTED, user: user._id, req });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+};
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * @param {string} userId
+ * @param {string} code
+ * @param {Request} req
+ * @returns {Promise<string[]>} Backup codes, shown to the user once
+ */
+export const enableTwoFactor = async (userId, code, req) => {
+  const user = await loadWithSecrets(userId);
+
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already on');
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw new ValidationError('Start the setup again to get a new QR code');
+  }
+
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = isTotpFormat(code) ? matchTotpStep(secret, code) : null;
+  if (step === null) {
+    await recordSecurityEvent({
+      type: SECURITY_EVENT_TYPES.TWO_FACTOR_FAILED,
+      user: user._id,
+      req,
+      details: 'Wrong code while enabling',
+    });
+    throw new ValidationError('That code is not valid. Check the time on your device and try again.');
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorBackupCodes = hashes;
+  user.twoFactorLastUsedStep = step;
+  await user.save();
+
+  await recordSecurityEvent({ type: SECURITY_EVENT_TYPES.TWO_FACTOR_ENABLED, user: user._id, req });
+  sendTwoFactorChangedEmail({ email: user.email, name: user.name, change: 'enabled' })
+    .catch(err => console.error('Failed to send two-factor change email:', err));
+
+  return codes;
+};
+
+/**
+ * Turn two-factor authentication off, confirming with password and a code
+ * Not allowed while the user's role requires it.
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.password
+ * @param {string} params.code - Authenticator or backup code
+ * @param {Request} req
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (userId, { password, code }, req) => {
+  const user = await loadWithSecrets(userId);
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not on');
+  }
+  if (await isTwoFactorRequiredFor(user)) {
+    throw new ValidationError('Two-factor authentication is required for your role and cannot be turned off');
+  }
+
+  const passwordMatches = await user.comparePassword(password);
+  if (!passwordMatches || !consumeCode(user, code)) {
+    await recordSecurityEvent({
+      type: SECURITY_EVENT_TYPES.TWO_FACTOR_FAILED,
+      user: user._id,
+      req,
+      details: passwordMatches ? 'Wrong code while disabling' : 'Wrong password while disabling',
+    });
+    throw new ValidationError('Password or code is incorrect');
+  }
+
+  clearTwoFactor(user);
+  await user.save();
+
+  await recordSecurityEvent({ type: SECURITY_EVENT_TYPES.TWO_FACTOR_DISABLED, user: user._id, req });
+  sendTwoFactorChangedEmail({ email: user.email, name: user.name, change: 'disabled' })
+    .catch(err => console.error('Failed to send two-factor change email:', err));
+};
+
+/**
+ * Replace the user's backup codes, confirming with a code
+ * @param {string} userId
+ * @param {string} code - Authenticator or backup code
+ * @param {Request} req
+ * @returns {Promise<string[]>} New backup codes
+ */
+export const regenerateBackupCodes = async (userId, code, req) => {
+  const user = await loadWithSecrets(userId);
+
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not on');
+  }
+  if (!consumeCode(user, code)) {
+    await recordSecurityEvent({
+      type: SECURITY_EVENT_TYPES.TWO_FACTOR_FAILED,
+      user: user._id,
+      req,
+      details: 'Wrong code while regenerating backup codes',
+    });
+    throw new ValidationError('That code is not valid');
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorBackupCodes = hashes;
+  await user.save();
+
+  await recordSecurityEvent({ type: SECURITY_EVENT_TYPES.TWO_FACTOR_BACKUP_CODES_REGENERATED, user: user._id, req });
+
+  return codes;
+};
+
+// ===========================================
+// LOGIN
+// ===========================================
+
+/**
+ * Token proving the password step of a login passed
+ * It is not an access token (authentication rejects it).
+ * @param {Object} user
+ * @returns {string}
+ */
+export const createLoginChallenge = (user) =>
+  jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
+    expiresIn: LOGIN_CHALLENGE_EXPIRES_IN,
+    audience: LOGIN_CHALLENGE_AUDIENCE,
+  });
+
+/**
+ * Second login step: check the code for a login challenge
+ * @param {string} challengeToken - From createLoginChallenge
+ * @param {string} code - Authenticator or backup code
+ * @param {Request} req
+ * @returns {Promise<Document>} The user, to finish logging in
+ */
+export const verifyLoginChallenge = async (challengeToken, code, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: LOGIN_CHALLENGE_AUDIENCE });
+  } catch {
+    throw new AuthenticationError('Login expired. Please enter your password again.');
+  }
+
+  const user = await User.findById(decoded.userId).select(`${SECRET_FIELDS} ${LOCKOUT_FIELDS}`);
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    throw new AuthenticationError('Login expired. Please enter your password again.');
+  }
+  assertNotLocked(user);
+
+  const method = consumeCode(user, code);
+  if (!method) {
+    await recordSecurityEvent({
+      type: SECURITY_EVENT_TYPES.TWO_FACTOR_FAILED,
+      user: user._id,
+      req,
+      details: 'Wrong code at login',
+    });
+    // Wrong codes count towards the same lockout as wrong passwords
+    assertNotLocked(await recordFailedLogin(user, req));
+    throw new AuthenticationError('Invalid authentication code');
+  }
+  await user.save();
+
+  await recordSecurityEvent({
+    type: method === 'backup'
+      ? SECURITY_EVENT_TYPES.TWO_FACTOR_BACKUP_CODE_USED
+      : SECURITY_EVENT_TYPES.TWO_FACTOR_VERIFIED,
+    user: user._id,
+    req,
+    details: method === 'backup' ? `${user.twoFactorBackupCodes.length} backup codes left` : '',
+  });
+
+  return user;
+};
+
+// ===========================================
+// RECOVERY
+// ===========================================
+
+/**
+ * Turn off two-factor authentication for a user who lost their device
+ * The user is signed out everywhere; if their role requires two-factor
+ * authentication they set it up again at their next login.
+ * @param {Object} params
+ * @param {string} params.userId - Account to reset
+ * @param {Object} params.actor - Admin resetting it (req.user)
+ * @param {string} params.reason
+ * @param {Request} params.req
+ * @returns {Promise<Document>} The user
+ */
+export const resetTwoFactor = async ({ userId, actor, reason, req }) => {
+  if (String(userId) === String(actor._id)) {
+    throw new ValidationError('Use a backup code, or ask another admin, to recover your own account');
+  }
+
+  const user = await loadWithSecrets(userId);
+  // Not limited to staff roles: custom roles may have let others enroll
+  if (!user.twoFactorEnabled && !user.twoFactorPendingSecret) {
+    throw new ValidationError('Two-factor authentication is not set up for this user');
+  }
+
+  clearTwoFactor(user);
+  await user.save();
+  await revokeUserSessions(user._id, { reason: SESSION_REVOKE_REASONS.TWO_FACTOR_RESET });
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENT_TYPES.TWO_FACTOR_RESET,
+    user: user._id,
+    actor: actor._id,
+    req,
+    details: reason,
+  });
+  sendTwoFactorChangedEmail({ email: user.email, name: user.name, change: 'reset', reason })
+    .catch(err => console.error('Failed to send two-factor change email:', err));
+
+  return user;
+};
+
+export default {
+  BACKUP_CODE_COUNT,
+  getSecurityPolicy,
+  updateTwoFactorPolicy,
+  isTwoFactorSetupRequired,
+  listTwoFactorUsers,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  resetTwoFactor,
+};
@@ -0,0 +1,453 @@
+/**
+ * Workflow Service
+ *
+ * Central enforcement of the complaint state machine. Every status change
+ * (staff updates, resolve, reopen) goes through transitionComplaint so the
+ * admin-managed workflow is the single source of truth for which
+ * transitions exist, who may perform them and when a remark is required.
+ */
+
+import Workflow from '../models/Workflow.js';
+import { COMPLAINT_STATUS } from '../models/Complaint.js';
+import { USER_ROLES } from '../models/User.js';
+import { PERMISSIONS } from '../models/CustomRole.js';
+import { ValidationError, AuthorizationError } from '../middlewares/errorHandler.js';
+import { SLA_STOPPED_STATUSES, recordFirstResponse, restartResolutionClock } from './slaService.js';
+import { hasPermissions } from './permissionService.js';
+
+const STAFF = [USER_ROLES.ADMIN, USER_ROLES.SUB_ADMIN];
+const COMPLAINANTS = [USER_ROLES.STUDENT, USER_ROLES.EMPLOYEE];
+
+// Statuses in which the complaint's resolution stands
+const RESOLUTION_STATUSES = [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED];
+
+// Re-read the workflow periodically so edits made on another instance apply
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Workflow used until an admin saves their own definition
+ */
+export const DEFAULT_WORKFLOW = {
+  initialStatus: COMPLAINT_STATUS.SUBMITTED,
+  states: [
+    {
+      status: COMPLAINT_STATUS.SUBMITTED,
+      label: 'Submitted',
+      transitions: [
+        { to: COMPLAINT_STATUS.ACKNOWLEDGED, roles: STAFF, requiresRemark: false },
+        { to: COMPLAINT_STATUS.IN_PROGRESS, roles: STAFF, requiresRemark: false },
+        { to: COMPLAINT_STATUS.REJECTED, roles: STAFF, requiresRemark: true },
+        { to: COMPLAINT_STATUS.RESOLVED, roles: STAFF, requiresRemark: true },
+      ],
+    },
+    {
+      status: COMPLAINT_STATUS.ACKNOWLEDGED,
+      label: 'Acknowledged',
+      transitions: [
+        { to: COMPLAINT_STATUS.IN_PROGRESS, roles: STAFF, requiresRemark: false },
+        { to: COMPLAINT_STATUS.ON_HOLD, roles: STAFF, requiresRemark: true },
+        { to: COMPLAINT_STATUS.REJECTED, roles: STAFF, requiresRemark: true },
+        { to: COMPLAINT_STATUS.RESOLVED, roles: STAFF, requiresRemark: true },
+      ],
+    },
+    {
+      status: COMPLAINT_STATUS.IN_PROGRESS,
+      label: 'In Progress',
+      transitions: [
+        { to: COMPLAINT_STATUS.ON_HOLD, roles: STAFF, requiresRemark: true },
+        { to: COMPLAINT_STATUS.REJECTED, roles: STAFF, requiresRemark: true },
+        { to: COMPLAINT_STATUS.RESOLVED, roles: STAFF, requiresRemark: true },
+      ],
+    },
+    {
+      status: COMPLAINT_STATUS.ON_HOLD,
+      label: 'On Hold',
+      transitions: [
+        { to: COMPLAINT_STATUS.IN_PROGRESS, roles: STAFF, requiresRemark: false },
+        { to: COMPLAINT_STATUS.REJECTED, roles: STAFF, requiresRemark: true },
+        { to: COMPLAINT_STATUS.RESOLVED, roles: STAFF, requiresRemark: true },
+      ],
+    },
+    {
+      status: COMPLAINT_STATUS.REJECTED,
+      label: 'Rejected',
+      transitions: [
+        { to: COMPLAINT_STATUS.CLOSED, roles: STAFF, requiresRemark: false },
+        { to: COMPLAINT_STATUS.SUBMITTED, roles: COMPLAINANTS, requiresRemark: true },
+      ],
+    },
+    {
+      status: COMPLAINT_STATUS.RESOLVED,
+      label: 'Resolved',
+      transitions: [
+        { to: COMPLAINT_STATUS.CLOSED, roles: STAFF, requiresRemark: false },
+        { to: COMPLAINT_STATUS.SUBMITTED, roles: COMPLAINANTS, requiresRemark: true },
+      ],
+    },
+    {
+      status: COMPLAINT_STATUS.CLOSED,
+      label: 'Closed',
+      transitions: [],
+    },
+  ],
+};
+
+let cachedWorkflow = null;
+let cachedAt = 0;
+
+/**
+ * Get the active workflow, seeding the default one on first use
+ * @returns {Promise<Object>} Plain workflow object
+ */
+export const getWorkflow = async () => {
+  if (cachedWorkflow && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedWorkflow;
+  }
+
+  let workflow = await Workflow.findOne({ key: 'default' }).lean();
+
+  if (!workflow) {
+    try {
+      workflow = (await Workflow.create({ key: 'default', ...DEFAULT_WORKFLOW })).toObject();
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code !== 11000) throw error;
+      workflow = await Workflow.findOne({ key: 'default' }).lean();
+    }
+  }
+
+  cachedWorkflow = workflow;
+  cachedAt = Date.now();
+  return workflow;
+};
+
+/**
+ * Human-readable label of a status in the workflow
+ * @param {Object} workflow
+ * @param {string} status
+ * @returns {string}
+ */
+export const getStatusLabel = (workflow, status) => {
+  const state = workflow.states.find((s) => s.status === status);
+  return state?.label || String(status).replace(/_/g, ' ');
+};
+
+/**
+ * Find the configured transition between two statuses
+ * @param {Object} workflow
+ * @param {string} from
+ * @param {string} to
+ * @returns {Object|undefined}
+ */
+const findTransition = (workflow, from, to) => {
+  const state = workflow.states.find((s) => s.status === from);
+  return state?.transitions.find((t) => t.to === to);
+};
+
+const allowsAnyRole = (transition, roles) =>
+  [].concat(roles).some((role) => transition.roles.includes(role));
+
+/**
+ * Workflow roles a user acts under
+ * Holders of the complaints.resolve permission also get the admin
+ * transitions, while keeping their own role everywhere else.
+ * @param {Object} actor - Needs role (and customRoles for staff)
+ * @returns {Promise<string[]>}
+ */
+export const getActingRoles = async (actor) => {
+  if (actor.role !== USER_ROLES.ADMIN && await hasPermissions(actor, [PERMISSIONS.RESOLVE_COMPLAINTS])) {
+    return [actor.role, USER_ROLES.ADMIN];
+  }
+  return [actor.role];
+};
+
+/**
+ * Check whether a role may move a complaint between two statuses
+ * @param {Object} workflow
+ * @param {string} from
+ * @param {string} to
+ * @param {string|string[]} role - A role, or the roles from getActingRoles
+ * @returns {boolean}
+ */
+export const canTransition = (workflow, from, to, role) => {
+  const transition = findTransition(workflow, from, to);
+  return !!transition && allowsAnyRole(transition, role);
+};
+
+/**
+ * List the transitions a role may perform from a status
+ * @param {Object} workflow
+ * @param {string} from
+ * @param {string|string[]} role - A role, or the roles from getActingRoles
+ * @returns {Object[]} [{ to, label, requiresRemark }]
+ */
+export const getAllowedTransitions = (workflow, from, role) => {
+  const state = workflow.states.find((s) => s.status === from);
+  if (!state) return [];
+
+  return state.transitions
+    .filter((t) => allowsAnyRole(t, role))
+    .map((t) => ({
+      to: t.to,
+      label: getStatusLabel(workflow, t.to),
+      requiresRemark: t.requiresRemark,
+    }));
+};
+
+/**
+ * Record a status change and keep the resolution and SLA fields consistent
+ * @param {Object} params
+ * @param {Document} params.complaint
+ * @param {string} params.from
+ * @param {string} params.to
+ * @param {Object} params.actor - Needs _id and role
+ * @param {string} params.remark - Trimmed remark
+ */
+const applyTransition = async ({ complaint, from, to, actor, remark }) => {
+  complaint.recordStatusChange({ to, actor: actor._id, note: remark });
+
+  if (to === COMPLAINT_STATUS.RESOLVED) {
+    complaint.acknowledgment = remark;
+    complaint.resolvedBy = actor._id;
+    complaint.resolvedAt = new Date();
+    // A new resolution gets a new acknowledgement window
+    complaint.autoClose = { reminderSentAt: null, closedAt: null };
+  } else if (RESOLUTION_STATUSES.includes(from) && to !== COMPLAINT_STATUS.CLOSED) {
+    // Leaving RESOLVED (or CLOSED) for anything but CLOSED means the resolution no longer stands
+    complaint.resolvedAt = null;
+    complaint.resolvedBy = null;
+    complaint.acknowledgedByStudent = false;
+    complaint.acknowledgedAt = null;
+    complaint.autoClose = { reminderSentAt: null, closedAt: null };
+  }
+
+  // Any staff status change counts as the first response
+  const roles = await getActingRoles(actor);
+  if (roles.some((role) => STAFF.includes(role))) {
+    recordFirstResponse(complaint);
+  }
+
+  // A reopened complaint gets a fresh resolution target
+  if (SLA_STOPPED_STATUSES.includes(from) && !SLA_STOPPED_STATUSES.includes(to)) {
+    await restartResolutionClock(complaint);
+  }
+};
+
+/**
+ * Move a complaint to a new status, enforcing the workflow
+ * Records status history and keeps the resolution fields consistent.
+ * Does not save; callers save the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Complaint to update
+ * @param {string} params.to - Target status
+ * @param {Object} params.actor - User performing the change (needs _id and role)
+ * @param {string} [params.remark] - Remark (the resolution response when resolving)
+ * @returns {Promise<Object>} { from, to, workflow }
+ */
+export const transitionComplaint = async ({ complaint, to, actor, remark }) => {
+  const workflow = await getWorkflow();
+  const from = complaint.status;
+  const transition = findTransition(workflow, from, to);
+
+  if (!transition) {
+    throw new ValidationError(
+      `A complaint cannot move from ${getStatusLabel(workflow, from)} to ${getStatusLabel(workflow, to)}`
+    );
+  }
+
+  if (!allowsAnyRole(transition, await getActingRoles(actor))) {
+    throw new AuthorizationError(
+      `You are not allowed to move a complaint to ${getStatusLabel(workflow, to)}`
+    );
+  }
+
+  const trimmedRemark = typeof remark === 'string' ? remark.trim() : '';
+  if (transition.requiresRemark && !trimmedRemark) {
+    throw new ValidationError(`A remark is required to move a complaint to ${getStatusLabel(workflow, to)}`);
+  }
+
+  await applyTransition({ complaint, from, to, actor, remark: trimmedRemark });
+
+  return { from, to, workflow };
+};
+
+/**
+ * Send a closed complaint back to the workflow's initial status
+ * Used when an admin approves a reopen request, so it does not depend on the
+ * workflow having a transition out of CLOSED.
+ * Does not save; callers save the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Closed complaint
+ * @param {Object} params.actor - Admin approving the reopen (needs _id and role)
+ * @param {string} params.remark - Why the complaint was reopened
+ * @returns {Promise<Object>} { from, to, workflow }
+ */
+export const reopenClosedComplaint = async ({ complaint, actor, remark }) => {
+  const workflow = await getWorkflow();
+  const from = complaint.status;
+  const to = workflow.initialStatus;
+
+  if (from !== COMPLAINT_STATUS.CLOSED) {
+    throw new ValidationError('Only closed complaints can be reopened this way');
+  }
+
+  await applyTransition({ complaint, from, to, actor, remark: remark.trim() });
+
+  return { from, to, workflow };
+};
+
+/**
+ * Close a resolved complaint whose resolution was never acknowledged
+ * Used by the auto-close job, so it does not depend on the workflow having a
+ * transition from RESOLVED to CLOSED.
+ * Does not save; callers save the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Resolved complaint
+ * @param {Object} params.actor - Who closes it (needs _id and role)
+ * @param {string} params.remark - Why the complaint was closed
+ * @returns {Promise<Object>} { from, to }
+ */
+export const closeUnacknowledgedComplaint = async ({ complaint, actor, remark }) => {
+  const from = complaint.status;
+  const to = COMPLAINT_STATUS.CLOSED;
+
+  if (from !== COMPLAINT_STATUS.RESOLVED) {
+    throw new ValidationError('Only resolved complaints can be closed this way');
+  }
+
+  await applyTransition({ complaint, from, to, actor, remark: remark.trim() });
+
+  return { from, to };
+};
+
+/**
+ * Withdraw a complaint at its complainant's request
+ * Withdrawal is outside the admin-managed workflow, so it is available from
+ * every open status and WITHDRAWN has no way out.
+ * Does not save; callers save the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Open complaint
+ * @param {Object} params.actor - Complainant (needs _id and role)
+ * @param {string} params.reason - Why the complaint is withdrawn
+ * @returns {Promise<Object>} { from, to }
+ */
+export const withdrawFromWorkflow = async ({ complaint, actor, reason }) => {
+  const from = complaint.status;
+  const to = COMPLAINT_STATUS.WITHDRAWN;
+
+  if (SLA_STOPPED_STATUSES.includes(from)) {
+    throw new ValidationError('Only open complaints can be withdrawn');
+  }
+
+  await applyTransition({ complaint, from, to, actor, remark: reason.trim() });
+
+  return { from, to };
+};
+
+/**
+ * Move a merged duplicate to its parent complaint's status
+ * The parent's own transition was already checked against the workflow, so
+ * this only records the change and keeps the resolution fields consistent.
+ * Does not save; callers save the complaint.
+ * @param {Object} params
+ * @param {Document} params.complaint - Complaint merged into the parent
+ * @param {Document} params.parent
+ * @param {Object} params.actor - User behind the parent's change (needs _id and role)
+ * @param {string} [params.remark]
+ * @returns {Promise<Object|null>} { from, to }, or null when already in step
+ */
+export const followParentStatus = async ({ complaint, parent, actor, remark }) => {
+  const from = complaint.status;
+  const to = parent.status;
+  if (from === to) return null;
+
+  await applyTransition({ complaint, from, to, actor, remark: typeof remark === 'string' ? remark.trim() : '' });
+
+  if (to === COMPLAINT_STATUS.RESOLVED) {
+    // Share the parent's resolution rather than the fan-out remark
+    complaint.acknowledgment = parent.acknowledgment;
+    complaint.resolvedBy = parent.resolvedBy;
+  }
+
+  return { from, to };
+};
+
+/**
+ * Validate a workflow definition submitted by an admin
+ * @param {Object} definition - { initialStatus, states }
+ * @throws {ValidationError}
+ */
+export const validateWorkflowDefinition = ({ initialStatus, states }) => {
+  const statuses = states.map((s) => s.status);
+
+  if (new Set(statuses).size !== statuses.length) {
+    throw new ValidationError('Each status can only appear once in the workflow');
+  }
+  if (!statuses.includes(initialStatus)) {
+    throw new ValidationError('The initial status must be one of the workflow states');
+  }
+  if (!statuses.includes(COMPLAINT_STATUS.RESOLVED)) {
+    throw new ValidationError('The workflow must include the RESOLVED state');
+  }
+  if (statuses.includes(COMPLAINT_STATUS.WITHDRAWN)) {
+    throw new ValidationError('WITHDRAWN is set by complainants and cannot be part of the workflow');
+  }
+
+  states.forEach((state) => {
+    const targets = state.transitions.map((t) => t.to);
+    if (new Set(targets).size !== targets.length) {
+      throw new ValidationError(`${state.label} has duplicate transitions`);
+    }
+
+    state.transitions.forEach((transition) => {
+      if (transition.to === state.status) {
+        throw new ValidationError(`${state.label} cannot transition to itself`);
+      }
+      if (!statuses.includes(transition.to)) {
+        throw new ValidationError(`${state.label} transitions to ${transition.to}, which is not in the workflow`);
+      }
+      if (transition.roles.length === 0) {
+        throw new ValidationError(`${state.label} → ${transition.to} must allow at least one role`);
+      }
+      if (transition.to === COMPLAINT_STATUS.RESOLVED && !transition.requiresRemark) {
+        throw new ValidationError('Transitions to RESOLVED must require a remark (the resolution response)');
+      }
+    });
+  });
+};
+
+/**
+ * Replace the active workflow
+ * @param {Object} definition - { initialStatus, states }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} Saved workflow
+ */
+export const updateWorkflow = async (definition, userId) => {
+  validateWorkflowDefinition(definition);
+
+  const workflow = await Workflow.findOneAndUpdate(
+    { key: 'default' },
+    { ...definition, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  cachedWorkflow = workflow;
+  cachedAt = Date.now();
+  return workflow;
+};
+
+export default {
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  getStatusLabel,
+  getActingRoles,
+  canTransition,
+  getAllowedTransitions,
+  transitionComplaint,
+  reopenClosedComplaint,
+  closeUnacknowledgedComplaint,
+  withdrawFromWorkflow,
+  followParentStatus,
+  validateWorkflowDefinition,
+  updateWorkflow,
+};
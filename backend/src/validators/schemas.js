@@ -14,6 +14,18 @@
 
 import { z } from 'zod';
 import validator from 'validator';
+import { COMPLAINT_STATUS, COMPLAINT_PRIORITY, BOARD_VISIBILITY } from '../models/Complaint.js';
+import { USER_ROLES } from '../models/User.js';
+import { REPORT_FORMATS, REPORT_COLUMNS, REPORT_RANGES } from '../models/ReportPreset.js';
+import { DIGEST_FREQUENCIES, DIGEST_ATTACHMENT_FORMATS } from '../models/DigestSubscription.js';
+import { TWO_FACTOR_ROLES } from '../models/SecurityPolicy.js';
+import { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import { PERMISSIONS } from '../models/CustomRole.js';
+import { CLOSED_REOPEN_MODE } from '../models/ClosurePolicy.js';
+import { LIMITED_ROLES } from '../models/SubmissionPolicy.js';
+
+const complaintStatuses = Object.values(COMPLAINT_STATUS);
+const complaintPriorities = Object.values(COMPLAINT_PRIORITY);
 
 /**
  * Custom Zod refinement for email validation using validator.js
@@ -82,6 +94,36 @@ export const resetPasswordSchema = z.object({
   path: ['confirmPassword'],
 });
 
+/**
+ * Two-factor code schema
+ * An authenticator code (6 digits) or a backup code (e.g. 3f9a-c21e)
+ */
+const twoFactorCodeField = z
+  .string()
+  .trim()
+  .min(6, 'Code is required')
+  .max(20, 'Code is too long');
+
+export const twoFactorCodeSchema = z.object({
+  code: twoFactorCodeField,
+}).strict();
+
+/**
+ * Second login step schema
+ */
+export const twoFactorLoginSchema = z.object({
+  challengeToken: z.string().min(10, 'Login challenge is required'),
+  code: twoFactorCodeField,
+}).strict();
+
+/**
+ * Turning two-factor authentication off
+ */
+export const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  code: twoFactorCodeField,
+}).strict();
+
 /**
  * Single student creation schema
  */
@@ -140,6 +182,24 @@ export const csvStudentSchema = z.object({
     .trim(),
 });
 
+/**
+ * Department (optionally within one college) covered by a sub-admin
+ */
+export const subAdminScopeSchema = z.object({
+  department: z
+    .string()
+    .trim()
+    .min(2, 'Department name must be at least 2 characters')
+    .max(200, 'Department name cannot exceed 200 characters'),
+  college: z
+    .string()
+    .trim()
+    .max(200, 'College name cannot exceed 200 characters')
+    .nullable()
+    .optional()
+    .transform((val) => val || null),
+}).strict();
+
 /**
  * Single sub-admin creation schema
  */
@@ -159,6 +219,9 @@ export const createSubAdminSchema = z.object({
     .min(2, 'Department name must be at least 2 characters')
     .max(200, 'Department name cannot exceed 200 characters')
     .trim(),
+  isDepartmentHead: z.boolean().optional(),
+  // Replaces the department for access when not empty
+  scopes: z.array(subAdminScopeSchema).max(20, 'A sub-admin can cover at most 20 scopes').optional(),
 }).strict();
 
 /**
@@ -287,6 +350,17 @@ const isNotSpam = (text) => {
   return true;
 };
 
+/**
+ * MongoDB ObjectId validation schema
+ */
+export const objectIdSchema = z
+  .string()
+  .min(1, 'ID is required')
+  .refine(
+    (val) => /^[0-9a-fA-F]{24}$/.test(val),
+    'Invalid ID format'
+  );
+
 /**
  * Complaint creation schema with content moderation
  */
@@ -321,14 +395,94 @@ export const createComplaintSchema = z.object({
       (val) => isNotSpam(val),
       'Content appears to be spam or contains excessive repetition. Please submit a genuine complaint.'
     ),
+  categoryId: objectIdSchema.optional(),
+  subCategoryId: objectIdSchema.optional(),
+  // Suggested by the complainant; staff may override it
+  priority: z.enum(complaintPriorities, {
+    errorMap: () => ({ message: `Priority must be one of: ${complaintPriorities.join(', ')}` }),
+  }).optional(),
+  // Hide the submitter from handlers; multipart forms send it as a string
+  isAnonymous: z
+    .union([z.boolean(), z.enum(['true', 'false']).transform((val) => val === 'true')])
+    .optional(),
+  // List on the complainants' board for the submitter's college or department
+  boardVisibility: z.enum(Object.values(BOARD_VISIBILITY), {
+    errorMap: () => ({ message: `Board visibility must be one of: ${Object.values(BOARD_VISIBILITY).join(', ')}` }),
+  }).optional(),
+  // Draft the complaint was written in; removed once it is submitted
+  draftId: objectIdSchema.optional(),
+}).strict();
+
+/**
+ * Complaint draft schema
+ * Drafts are work in progress, so only lengths are checked; the full
+ * complaint rules apply when the draft is submitted
+ */
+export const complaintDraftSchema = z.object({
+  subject: z
+    .string()
+    .max(200, 'Subject cannot exceed 200 characters')
+    .trim()
+    .optional(),
+  content: z
+    .string()
+    .max(50000, 'Content cannot exceed 50000 characters')
+    .trim()
+    .optional(),
+  categoryId: objectIdSchema.nullable().optional(),
+  subCategoryId: objectIdSchema.nullable().optional(),
+  priority: z.enum(complaintPriorities, {
+    errorMap: () => ({ message: `Priority must be one of: ${complaintPriorities.join(', ')}` }),
+  }).nullable().optional(),
+  isAnonymous: z.boolean().optional(),
+  boardVisibility: z.enum(Object.values(BOARD_VISIBILITY), {
+    errorMap: () => ({ message: `Board visibility must be one of: ${Object.values(BOARD_VISIBILITY).join(', ')}` }),
+  }).nullable().optional(),
+}).strict();
+
+/**
+ * Complaint edit schema
+ * Edited text is held to the same rules as a new complaint
+ */
+export const editComplaintSchema = createComplaintSchema.pick({ subject: true, content: true });
+
+/**
+ * Complaint withdrawal schema
+ */
+export const withdrawComplaintSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(5, 'Please give a reason of at least 5 characters')
+    .max(1000, 'Reason cannot exceed 1000 characters'),
+}).strict();
+
+/**
+ * Similar complaint lookup schema
+ * Checked while the complainant is still writing, so nothing is required
+ * beyond some subject text
+ */
+export const similarComplaintsSchema = z.object({
+  subject: z
+    .string()
+    .trim()
+    .min(1, 'Subject is required')
+    .max(200, 'Subject cannot exceed 200 characters'),
+  content: z
+    .string()
+    .trim()
+    .max(50000, 'Content cannot exceed 50000 characters')
+    .optional()
+    .default(''),
+  categoryId: objectIdSchema.optional(),
 }).strict();
 
 /**
  * Complaint status update schema
  */
 export const updateComplaintStatusSchema = z.object({
-  status: z.enum(['READ', 'UNDER_REVIEW', 'RESOLVED'], {
-    errorMap: () => ({ message: 'Status must be READ, UNDER_REVIEW, or RESOLVED' }),
+  status: z.enum(complaintStatuses, {
+    errorMap: () => ({ message: `Status must be one of: ${complaintStatuses.join(', ')}` }),
   }),
   acknowledgment: z
     .string()
@@ -336,6 +490,11 @@ export const updateComplaintStatusSchema = z.object({
     .max(5000, 'Acknowledgment cannot exceed 5000 characters')
     .trim()
     .optional(),
+  note: z
+    .string()
+    .max(1000, 'Note cannot exceed 1000 characters')
+    .trim()
+    .optional(),
 }).strict().refine(
   (data) => {
     // If status is RESOLVED, acknowledgment is required
@@ -363,6 +522,7 @@ export const reopenComplaintSchema = z.object({
 
 /**
  * Complaint rating schema
+ * The rest of the feedback form is optional so a bare rating still works
  */
 export const rateComplaintSchema = z.object({
   rating: z
@@ -370,6 +530,53 @@ export const rateComplaintSchema = z.object({
     .min(1, 'Rating must be at least 1')
     .max(5, 'Rating cannot exceed 5')
     .int('Rating must be a whole number'),
+  comment: z
+    .string()
+    .trim()
+    .max(2000, 'Feedback comment cannot exceed 2000 characters')
+    .optional(),
+  issueFixed: z.boolean().optional(),
+  responsiveness: z
+    .number()
+    .min(1, 'Responsiveness must be at least 1')
+    .max(5, 'Responsiveness cannot exceed 5')
+    .int('Responsiveness must be a whole number')
+    .optional(),
+}).strict();
+
+/**
+ * Feedback follow-up completion schema
+ */
+export const feedbackFollowUpSchema = z.object({
+  note: z
+    .string()
+    .trim()
+    .max(1000, 'Follow-up note cannot exceed 1000 characters')
+    .optional(),
+}).strict();
+
+/**
+ * Merge a duplicate into a parent complaint schema
+ */
+export const mergeComplaintSchema = z.object({
+  parentId: objectIdSchema,
+  note: z
+    .string()
+    .trim()
+    .max(500, 'Merge note cannot exceed 500 characters')
+    .optional(),
+}).strict();
+
+/**
+ * Reopen request decision schema (closed complaints)
+ */
+export const reopenRequestDecisionSchema = z.object({
+  approve: z.boolean(),
+  note: z
+    .string()
+    .trim()
+    .max(1000, 'Decision note cannot exceed 1000 characters')
+    .optional(),
 }).strict();
 
 /**
@@ -379,6 +586,308 @@ export const acknowledgeComplaintSchema = z.object({
   acknowledged: z.boolean(),
 }).strict();
 
+/**
+ * Complaint comment text with content moderation
+ */
+const commentBodySchema = z
+  .string()
+  .min(1, 'Comment cannot be empty')
+  .max(5000, 'Comment cannot exceed 5000 characters')
+  .trim()
+  .refine(
+    (val) => val.length > 0,
+    'Comment cannot be empty'
+  )
+  .refine(
+    (val) => isContentAppropriate(val),
+    'Comment contains inappropriate language. Please use respectful language.'
+  );
+
+/**
+ * Complaint comment schema (complainant)
+ */
+export const createCommentSchema = z.object({
+  body: commentBodySchema,
+}).strict();
+
+/**
+ * Complaint comment schema (staff) - may be an internal note
+ */
+export const createStaffCommentSchema = z.object({
+  body: commentBodySchema,
+  isInternal: z.boolean().optional().default(false),
+}).strict();
+
+/**
+ * Complaint priority override schema (staff)
+ */
+export const updateComplaintPrioritySchema = z.object({
+  priority: z.enum(complaintPriorities, {
+    errorMap: () => ({ message: `Priority must be one of: ${complaintPriorities.join(', ')}` }),
+  }),
+}).strict();
+
+/**
+ * Anonymous complaint identity reveal schema (admin)
+ */
+export const revealComplaintIdentitySchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(20, 'Justification must be at least 20 characters')
+    .max(1000, 'Justification cannot exceed 1000 characters'),
+}).strict();
+
+/**
+ * Complaint assignment schema
+ */
+export const assignComplaintSchema = z.object({
+  assigneeId: objectIdSchema,
+  note: z
+    .string()
+    .trim()
+    .max(1000, 'Note cannot exceed 1000 characters')
+    .optional(),
+}).strict();
+
+/**
+ * Workflow configuration schema
+ * Structural checks only; cross-state rules live in workflowService
+ */
+const workflowTransitionSchema = z.object({
+  to: z.enum(complaintStatuses, {
+    errorMap: () => ({ message: 'Invalid transition target status' }),
+  }),
+  roles: z
+    .array(z.enum(Object.values(USER_ROLES)))
+    .min(1, 'Each transition must allow at least one role'),
+  requiresRemark: z.boolean().optional().default(false),
+}).strict();
+
+export const workflowSchema = z.object({
+  initialStatus: z.enum(complaintStatuses, {
+    errorMap: () => ({ message: 'Invalid initial status' }),
+  }),
+  states: z
+    .array(
+      z.object({
+        status: z.enum(complaintStatuses, {
+          errorMap: () => ({ message: 'Invalid workflow status' }),
+        }),
+        label: z
+          .string()
+          .trim()
+          .min(1, 'State label is required')
+          .max(50, 'State label cannot exceed 50 characters'),
+        transitions: z.array(workflowTransitionSchema).default([]),
+      }).strict()
+    )
+    .min(1, 'Workflow must have at least one state'),
+}).strict();
+
+/**
+ * Category schemas
+ * Routing may name a department, a pool of sub-admins, or neither (sub-categories
+ * without routing inherit the parent's)
+ */
+const categoryRoutingSchema = z.object({
+  department: z
+    .string()
+    .trim()
+    .max(100, 'Department cannot exceed 100 characters')
+    .nullable()
+    .optional()
+    .transform((val) => val || null),
+  handlers: z
+    .array(objectIdSchema)
+    .max(50, 'A category cannot have more than 50 handlers')
+    .optional()
+    .default([]),
+}).strict();
+
+const slaHoursSchema = z
+  .number()
+  .int('SLA target must be a whole number of hours')
+  .min(1, 'SLA target must be at least 1 hour')
+  .max(8760, 'SLA target cannot exceed one year');
+
+// Category SLA overrides; null falls back to the priority target
+const categorySlaSchema = z.object({
+  firstResponseHours: slaHoursSchema.nullable().optional().default(null),
+  resolutionHours: slaHoursSchema.nullable().optional().default(null),
+}).strict();
+
+export const createCategorySchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(2, 'Category name must be at least 2 characters')
+    .max(100, 'Category name cannot exceed 100 characters'),
+  description: z
+    .string()
+    .trim()
+    .max(500, 'Description cannot exceed 500 characters')
+    .nullable()
+    .optional(),
+  parent: objectIdSchema.nullable().optional(),
+  routing: categoryRoutingSchema.optional(),
+  sla: categorySlaSchema.optional(),
+  isActive: z.boolean().optional(),
+}).strict();
+
+export const updateCategorySchema = createCategorySchema
+  .omit({ parent: true })
+  .partial();
+
+/**
+ * SLA policy schema
+ * Targets are required for every priority
+ */
+const slaTargetSchema = z.object({
+  firstResponseHours: slaHoursSchema,
+  resolutionHours: slaHoursSchema,
+}).strict();
+
+export const slaPolicySchema = z.object({
+  targets: z.object(
+    Object.fromEntries(Object.values(COMPLAINT_PRIORITY).map((priority) => [priority, slaTargetSchema]))
+  ).strict(),
+  escalation: z.object({
+    enabled: z.boolean(),
+    notifyAdmins: z.boolean(),
+    bumpPriority: z.boolean(),
+    reassignTo: objectIdSchema.nullable().optional().default(null),
+  }).strict(),
+}).strict();
+
+/**
+ * Closure policy schema
+ */
+export const closurePolicySchema = z.object({
+  autoClose: z.object({
+    enabled: z.boolean(),
+    windowDays: z
+      .number()
+      .int('Acknowledgement window must be a whole number of days')
+      .min(1, 'Acknowledgement window must be at least 1 day')
+      .max(90, 'Acknowledgement window cannot exceed 90 days'),
+    reminderDaysBefore: z
+      .number()
+      .int('Reminder lead time must be a whole number of days')
+      .min(0, 'Reminder lead time cannot be negative')
+      .max(89, 'Reminder lead time cannot exceed 89 days'),
+  }).strict(),
+  reopenAfterClose: z.enum(Object.values(CLOSED_REOPEN_MODE)),
+}).strict();
+
+/**
+ * Submission limit schemas
+ * Cooldown and duplicate window are in minutes; 0 turns them off
+ */
+const dailyLimitSchema = z
+  .number()
+  .int('Daily limit must be a whole number')
+  .min(1, 'Daily limit must be at least 1')
+  .max(100, 'Daily limit cannot exceed 100');
+
+const cooldownMinutesSchema = z
+  .number()
+  .int('Cooldown must be a whole number of minutes')
+  .min(0, 'Cooldown cannot be negative')
+  .max(1440, 'Cooldown cannot exceed 24 hours');
+
+const duplicateWindowSchema = z
+  .number()
+  .int('Duplicate window must be a whole number of minutes')
+  .min(0, 'Duplicate window cannot be negative')
+  .max(10080, 'Duplicate window cannot exceed 7 days');
+
+const roleSubmissionLimitSchema = z.object({
+  dailyLimit: dailyLimitSchema,
+  cooldownMinutes: cooldownMinutesSchema,
+  duplicateWindowMinutes: duplicateWindowSchema,
+}).strict();
+
+export const submissionLimitsSchema = z.object({
+  limits: z.object(
+    Object.fromEntries(LIMITED_ROLES.map((role) => [role, roleSubmissionLimitSchema]))
+  ).strict(),
+  categoryOverrides: z
+    .array(
+      z.object({
+        category: objectIdSchema,
+        role: z.enum(LIMITED_ROLES).nullable().optional().default(null),
+        dailyLimit: dailyLimitSchema.nullable().optional().default(null),
+        cooldownMinutes: cooldownMinutesSchema.nullable().optional().default(null),
+        duplicateWindowMinutes: duplicateWindowSchema.nullable().optional().default(null),
+      }).strict()
+    )
+    .max(100, 'Too many category overrides')
+    .optional()
+    .default([]),
+}).strict();
+
+export const submissionExemptionSchema = z.object({
+  userId: objectIdSchema,
+  reason: z
+    .string()
+    .trim()
+    .min(3, 'Reason must be at least 3 characters')
+    .max(500, 'Reason cannot exceed 500 characters'),
+  expiresAt: z
+    .string()
+    .refine((val) => !isNaN(Date.parse(val)), 'Invalid date format')
+    .refine((val) => Date.parse(val) > Date.now(), 'Expiry must be in the future')
+    .nullable()
+    .optional()
+    .default(null),
+}).strict();
+
+/**
+ * Two-factor policy schema
+ */
+export const twoFactorPolicySchema = z.object({
+  requiredRoles: z.array(z.enum(TWO_FACTOR_ROLES)).max(TWO_FACTOR_ROLES.length),
+}).strict();
+
+/**
+ * Admin reset of a user's two-factor authentication
+ */
+export const resetTwoFactorSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(5, 'Reason must be at least 5 characters')
+    .max(500, 'Reason cannot exceed 500 characters'),
+}).strict();
+
+/**
+ * Custom role (a named set of permissions)
+ */
+export const customRoleSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(2, 'Role name must be at least 2 characters')
+    .max(60, 'Role name cannot exceed 60 characters'),
+  description: z
+    .string()
+    .trim()
+    .max(300, 'Description cannot exceed 300 characters')
+    .optional(),
+  permissions: z
+    .array(z.enum(Object.values(PERMISSIONS)))
+    .min(1, 'Choose at least one permission')
+    .transform((permissions) => [...new Set(permissions)]),
+}).strict();
+
+/**
+ * Custom roles held by a user (replaces the current ones)
+ */
+export const assignCustomRolesSchema = z.object({
+  roleIds: z.array(objectIdSchema).max(20, 'Too many roles'),
+}).strict();
+
 /**
  * Report generation schema with date range
  */
@@ -398,20 +907,58 @@ export const reportGenerationSchema = z.object({
       'Invalid end date format'
     ),
   predefinedRange: z
-    .enum(['last7days', 'last30days', 'custom'])
+    .enum([...REPORT_RANGES, 'custom'])
     .optional(),
+  priority: z
+    .enum([...complaintPriorities, 'all'])
+    .optional()
+    .transform((val) => (val === 'all' ? undefined : val)),
+  format: z.enum(REPORT_FORMATS).optional().default('csv'),
+  // Comma-separated column keys; empty uses the default columns
+  columns: z
+    .string()
+    .optional()
+    .transform((val) => (val ? val.split(',') : []))
+    .refine(
+      (values) => values.every((value) => REPORT_COLUMNS.includes(value)),
+      'Unknown report column'
+    ),
+  includeFullText: z
+    .enum(['true', 'false'])
+    .optional()
+    .transform((val) => val === 'true'),
 }).strict();
 
 /**
- * MongoDB ObjectId validation schema
+ * Saved report preset schema
  */
-export const objectIdSchema = z
-  .string()
-  .min(1, 'ID is required')
-  .refine(
-    (val) => /^[0-9a-fA-F]{24}$/.test(val),
-    'Invalid ID format'
-  );
+export const reportPresetSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'Preset name is required')
+    .max(100, 'Preset name cannot exceed 100 characters'),
+  format: z.enum(REPORT_FORMATS).default('csv'),
+  columns: z
+    .array(z.enum(REPORT_COLUMNS))
+    .min(1, 'Select at least one column')
+    .transform((values) => [...new Set(values)]),
+  includeFullText: z.boolean().default(false),
+  predefinedRange: z.enum(REPORT_RANGES).default('last30days'),
+  priority: z.enum(complaintPriorities).nullable().optional(),
+}).strict();
+
+/**
+ * Complaint digest settings schema
+ */
+export const digestSubscriptionSchema = z.object({
+  enabled: z.boolean(),
+  frequency: z.enum(DIGEST_FREQUENCIES),
+  weekday: z.number().int().min(0).max(6).optional(),
+  hour: z.number().int().min(0, 'Hour must be between 0 and 23').max(23, 'Hour must be between 0 and 23'),
+  attachmentFormat: z.enum(DIGEST_ATTACHMENT_FORMATS),
+  lowRatingThreshold: z.number().int().min(1).max(4).optional(),
+}).strict();
 
 /**
  * Pagination schema
@@ -428,11 +975,127 @@ export const paginationSchema = z.object({
     .transform((val) => parseInt(val || '10', 10))
     .refine((val) => val > 0 && val <= 100, 'Limit must be between 1 and 100'),
   status: z
-    .enum(['READ', 'UNDER_REVIEW', 'RESOLVED', 'all'])
+    .enum([...complaintStatuses, 'all'])
     .optional()
     .default('all'),
 });
 
+/**
+ * Complaint list query schema (admin and sub-admin lists)
+ * Query string values arrive as strings; status accepts a comma-separated list.
+ */
+const queryDateSchema = z
+  .string()
+  .refine((val) => !isNaN(Date.parse(val)), 'Invalid date format')
+  .optional();
+
+export const complaintListQuerySchema = z.object({
+  q: z.string().trim().max(200, 'Search cannot exceed 200 characters').optional(),
+  status: z
+    .string()
+    .optional()
+    .transform((val) => (!val || val === 'all' ? [] : val.split(',')))
+    .refine(
+      (values) => values.every((value) => complaintStatuses.includes(value)),
+      `Status must be one of: ${complaintStatuses.join(', ')}`
+    ),
+  priority: z
+    .enum([...complaintPriorities, 'all'])
+    .optional()
+    .transform((val) => (val === 'all' ? undefined : val)),
+  category: objectIdSchema.optional(),
+  department: z.string().trim().max(200, 'Department cannot exceed 200 characters').optional(),
+  role: z.enum([USER_ROLES.STUDENT, USER_ROLES.EMPLOYEE]).optional(),
+  assigned: z.union([z.enum(['me', 'unassigned']), objectIdSchema]).optional(),
+  from: queryDateSchema,
+  to: queryDateSchema,
+  rating: z.enum(['1', '2', '3', '4', '5', 'unrated']).optional(),
+  reopened: z.enum(['true', 'false', 'requested']).optional(),
+  feedback: z.enum(['negative', 'followUpOpen']).optional(),
+  // Merged duplicates are hidden unless asked for
+  merged: z.enum(['include', 'only']).optional(),
+  sort: z.enum(['priority', 'upvotes', 'newest', 'oldest', 'updated']).optional().default('priority'),
+  cursor: z.string().max(500, 'Invalid cursor').optional(),
+  limit: z
+    .string()
+    .optional()
+    .transform((val) => parseInt(val || '25', 10))
+    .refine((val) => val > 0 && val <= 100, 'Limit must be between 1 and 100'),
+}).strict();
+
+/**
+ * Complainants' board query schema
+ */
+export const boardQuerySchema = z.object({
+  scope: z.enum(['college', 'department']).optional().default('college'),
+  status: z.enum(['open', 'all']).optional().default('open'),
+  sort: z.enum(['top', 'newest']).optional().default('top'),
+  page: paginationSchema.shape.page,
+  limit: paginationSchema.shape.limit,
+}).strict();
+
+/**
+ * Security event log query schema
+ */
+export const securityEventQuerySchema = z.object({
+  page: paginationSchema.shape.page,
+  limit: paginationSchema.shape.limit,
+  userId: objectIdSchema.optional(),
+  type: z.enum(Object.values(SECURITY_EVENT_TYPES)).optional(),
+}).strict();
+
+/**
+ * Complaint analytics query schema
+ * Ranges are capped at two years to keep the per-period series bounded
+ */
+const MAX_ANALYTICS_RANGE_MS = 731 * 24 * 60 * 60 * 1000;
+
+const refineQueryRange = (schema) => schema
+  .refine(
+    (data) => !data.from || !data.to || Date.parse(data.from) <= Date.parse(data.to),
+    { message: 'Start date must be before end date', path: ['from'] }
+  )
+  .refine(
+    (data) => {
+      const to = data.to ? Date.parse(data.to) : Date.now();
+      return !data.from || to - Date.parse(data.from) <= MAX_ANALYTICS_RANGE_MS;
+    },
+    { message: 'Date range cannot exceed two years', path: ['from'] }
+  );
+
+export const analyticsQuerySchema = refineQueryRange(z.object({
+  from: queryDateSchema,
+  to: queryDateSchema,
+  interval: z.enum(['day', 'week', 'month']).optional().default('day'),
+}).strict());
+
+/**
+ * Leaderboard query schemas
+ * Drill-down and export requests name the row by `key`: a department name
+ * or, when grouping by handler, the handler's user ID
+ */
+const leaderboardFields = {
+  from: queryDateSchema,
+  to: queryDateSchema,
+  groupBy: z.enum(['department', 'handler']).optional().default('department'),
+};
+
+const leaderboardKeySchema = z.string().trim().min(1, 'Leaderboard row is required').max(200, 'Invalid leaderboard row');
+
+export const leaderboardQuerySchema = refineQueryRange(z.object({
+  ...leaderboardFields,
+  sortBy: z.enum(['handled', 'resolutionTime', 'reopenRate', 'rating']).optional().default('handled'),
+  format: z.enum(['csv', 'xlsx', 'json']).optional().default('csv'),
+}).strict());
+
+export const leaderboardComplaintsQuerySchema = refineQueryRange(z.object({
+  ...leaderboardFields,
+  key: leaderboardKeySchema,
+  page: paginationSchema.shape.page,
+  limit: paginationSchema.shape.limit,
+  format: z.enum(['csv', 'xlsx', 'pdf', 'json']).optional().default('csv'),
+}).strict());
+
 /**
  * Sanitize string to prevent XSS
  * @param {string} str
@@ -458,20 +1121,55 @@ export default {
   changePasswordSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  twoFactorPolicySchema,
+  resetTwoFactorSchema,
+  securityEventQuerySchema,
+  customRoleSchema,
+  assignCustomRolesSchema,
   createStudentSchema,
   csvStudentSchema,
+  subAdminScopeSchema,
   createSubAdminSchema,
   csvSubAdminSchema,
   createEmployeeSchema,
   csvEmployeeSchema,
   createComplaintSchema,
+  complaintDraftSchema,
+  editComplaintSchema,
+  withdrawComplaintSchema,
+  similarComplaintsSchema,
+  boardQuerySchema,
   updateComplaintStatusSchema,
   reopenComplaintSchema,
   rateComplaintSchema,
+  feedbackFollowUpSchema,
+  mergeComplaintSchema,
+  reopenRequestDecisionSchema,
   acknowledgeComplaintSchema,
+  createCommentSchema,
+  createStaffCommentSchema,
+  updateComplaintPrioritySchema,
+  revealComplaintIdentitySchema,
+  assignComplaintSchema,
+  workflowSchema,
+  createCategorySchema,
+  updateCategorySchema,
+  slaPolicySchema,
+  closurePolicySchema,
+  submissionLimitsSchema,
+  submissionExemptionSchema,
   reportGenerationSchema,
+  reportPresetSchema,
+  digestSubscriptionSchema,
   objectIdSchema,
   paginationSchema,
+  complaintListQuerySchema,
+  analyticsQuerySchema,
+  leaderboardQuerySchema,
+  leaderboardComplaintsQuerySchema,
   validateInput,
   sanitizeString,
 };
@@ -8,13 +8,13 @@ const nextConfig = {
     const backendUrl = process.env.BACKEND_URL || 'http://localhost:5000';
     return [
       { source: '/api/:path*', destination: `${backendUrl}/api/:path*` },
-      { source: '/uploads/:path*', destination: `${backendUrl}/uploads/:path*` },
 
       // Auth routes
       { source: '/login', destination: '/Login' },
       { source: '/forgot-password', destination: '/ForgotPassword' },
       { source: '/reset-password', destination: '/ResetPassword' },
       { source: '/change-password', destination: '/ChangePassword' },
+      { source: '/two-factor', destination: '/TwoFactor' },
 
       // Admin
       { source: '/admin', destination: '/admin/Dashboard' },
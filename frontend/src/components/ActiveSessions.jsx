@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiLogOut, FiMonitor, FiSmartphone } from 'react-icons/fi';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+// Badge colours per role accent
+const CURRENT_STYLES = {
+  green: 'bg-green-50 text-green-700',
+  teal: 'bg-teal-50 text-teal-700',
+  indigo: 'bg-indigo-50 text-indigo-700',
+  blue: 'bg-blue-50 text-blue-700',
+};
+
+const MOBILE_PLATFORMS = /Android|iOS/;
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Devices the user is signed in on, with the option to sign out any of
+// them or all at once (e.g. after a lost phone or a shared computer).
+const ActiveSessions = ({ accent = 'green' }) => {
+  const { logoutAll } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await api.get('/api/auth/sessions');
+        setSessions(response.data.data.sessions);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setRevoking(session._id);
+    try {
+      const response = await api.delete(`/api/auth/sessions/${session._id}`);
+      toast.success(response.data.message);
+      setSessions((current) => current.filter((item) => item._id !== session._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleLogoutAll = () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+    logoutAll();
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Active Sessions</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Devices signed in to your account. Sign out any you do not recognise and change your password.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleLogoutAll}
+          className="px-4 py-2 border border-red-200 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 flex items-center gap-2 self-start"
+        >
+          <FiLogOut className="w-4 h-4" />
+          Log out all devices
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl border border-gray-200 divide-y divide-gray-100">
+        {loading ? (
+          <p className="px-5 py-8 text-center text-sm text-gray-500">Loading sessions...</p>
+        ) : sessions.length === 0 ? (
+          <p className="px-5 py-8 text-center text-sm text-gray-500">No active sessions.</p>
+        ) : (
+          sessions.map((session) => {
+            const DeviceIcon = MOBILE_PLATFORMS.test(session.device) ? FiSmartphone : FiMonitor;
+            return (
+              <div key={session._id} className="px-5 py-4 flex flex-col sm:flex-row sm:items-center gap-3">
+                <DeviceIcon className="w-6 h-6 text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="flex items-center gap-2 text-sm font-medium text-gray-900">
+                    {session.device}
+                    {session.isCurrent && (
+                      <span className={`px-2 py-0.5 rounded-full text-[11px] font-medium ${CURRENT_STYLES[accent]}`}>
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="mt-0.5 text-xs text-gray-500">
+                    {session.ip || 'Unknown IP'} · Signed in {formatDateTime(session.createdAt)} · Last active{' '}
+                    {formatDateTime(session.lastUsedAt)}
+                  </p>
+                  {session.userAgent && (
+                    <p className="mt-0.5 text-[11px] text-gray-400 truncate" title={session.userAgent}>
+                      {session.userAgent}
+                    </p>
+                  )}
+                </div>
+                {!session.isCurrent && (
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(session)}
+                    disabled={revoking === session._id}
+                    className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 self-start sm:self-center"
+                  >
+                    {revoking === session._id ? 'Signing out...' : 'Sign out'}
+                  </button>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
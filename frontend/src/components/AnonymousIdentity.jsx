@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiEyeOff, FiUnlock } from 'react-icons/fi';
+import api from '../services/api';
+
+// Sealed submitter of an anonymous complaint; admins may reveal it with a justification.
+const AnonymousIdentity = ({ complaint, canReveal = false }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [reason, setReason] = useState('');
+  const [revealing, setRevealing] = useState(false);
+  const [revealed, setRevealed] = useState(null);
+
+  const handleReveal = async (e) => {
+    e.preventDefault();
+    setRevealing(true);
+    try {
+      const response = await api.post(`/api/admin/complaints/${complaint._id}/reveal-identity`, { reason });
+      setRevealed(response.data.data);
+      setShowForm(false);
+      setReason('');
+      toast.success(response.data.message || 'Identity revealed');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to reveal identity');
+    } finally {
+      setRevealing(false);
+    }
+  };
+
+  return (
+    <div className="rounded-md border border-purple-200 bg-purple-50 px-3 py-2">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="text-[11px] text-purple-700 flex items-center gap-1">
+            <FiEyeOff className="w-3 h-3" />
+            Anonymous submitter
+          </p>
+          <p className="text-sm text-gray-900 font-mono">{complaint.anonymousRef}</p>
+        </div>
+        {canReveal && !revealed && !showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="inline-flex items-center gap-1 rounded-md border border-purple-200 bg-white px-2 py-1 text-xs font-medium text-purple-700 hover:bg-purple-100"
+          >
+            <FiUnlock className="w-3 h-3" />
+            Reveal identity
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleReveal} className="mt-2 space-y-2">
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={3}
+            maxLength={1000}
+            placeholder="Why is the identity needed? This justification is recorded."
+            className="w-full rounded-md border border-gray-200 bg-white px-2 py-1.5 text-sm text-gray-900 focus:border-purple-500 focus:outline-none"
+            required
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              disabled={revealing}
+              className="px-3 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-200 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={revealing || reason.trim().length < 20}
+              className="px-3 py-1 text-xs font-medium text-white bg-purple-600 rounded-md hover:bg-purple-700 disabled:opacity-50"
+            >
+              {revealing ? 'Revealing...' : 'Reveal'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {revealed && (
+        <div className="mt-2 border-t border-purple-200 pt-2 text-sm text-gray-900 space-y-0.5">
+          <p>{revealed.identity?.name}</p>
+          <p className="text-xs text-gray-600 break-words">{revealed.identity?.email}</p>
+          <p className="text-xs text-gray-600">
+            {[revealed.identity?.studentId, revealed.identity?.department, revealed.identity?.college].filter(Boolean).join(' · ')}
+          </p>
+          <p className="text-[11px] text-purple-700 pt-1">
+            Revealed {revealed.reveals?.length === 1 ? 'once' : `${revealed.reveals?.length} times`}; every reveal is logged.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnonymousIdentity;
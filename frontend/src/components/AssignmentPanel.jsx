@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+
+// Current handler of a complaint plus claim / (re)assign controls.
+// Admins see every sub-admin; those outside the complaint's routing are
+// listed separately and assigning them escalates the complaint.
+const AssignmentPanel = ({ basePath, complaint, onAssigned, allowClaim = false, canReassign = true }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [assignees, setAssignees] = useState([]);
+  const [assigneeId, setAssigneeId] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const assignedTo = complaint.assignedTo;
+  const currentId = assignedTo?._id || assignedTo;
+
+  const openForm = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`${basePath}/complaints/${complaint._id}/assignees`);
+      const list = (response?.data?.data?.assignees || []).filter((a) => a._id !== currentId);
+      if (list.length === 0) {
+        toast.error('No other handlers are available for this complaint');
+        return;
+      }
+      setAssignees(list);
+      setAssigneeId(list[0]._id);
+      setNote('');
+      setShowForm(true);
+    } catch {
+      toast.error('Failed to load handlers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAssign = async () => {
+    if (!assigneeId) return;
+    setSaving(true);
+    try {
+      const response = await api.put(`${basePath}/complaints/${complaint._id}/assign`, {
+        assigneeId,
+        note: note.trim() || undefined,
+      });
+      toast.success(response?.data?.message || 'Complaint assigned');
+      setShowForm(false);
+      onAssigned?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to assign complaint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClaim = async () => {
+    setSaving(true);
+    try {
+      await api.post(`${basePath}/complaints/${complaint._id}/claim`);
+      toast.success('Complaint assigned to you');
+      onAssigned?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to claim complaint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const withinRouting = assignees.filter((a) => a.withinRouting !== false);
+  const otherDepartments = assignees.filter((a) => a.withinRouting === false);
+  const escalating = otherDepartments.some((a) => a._id === assigneeId);
+
+  const renderOption = (a) => (
+    <option key={a._id} value={a._id}>
+      {a.name}{a.department ? ` (${a.department})` : ''}
+    </option>
+  );
+
+  return (
+    <div className="rounded-md border border-gray-200 px-4 py-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-gray-900">
+          {assignedTo ? (
+            <>
+              <span className="font-medium">{assignedTo.name || 'Assigned'}</span>
+              {assignedTo.department && <span className="text-gray-500"> · {assignedTo.department}</span>}
+            </>
+          ) : (
+            <span className="text-gray-500">Unassigned</span>
+          )}
+        </p>
+        <div className="flex items-center gap-2">
+          {allowClaim && !assignedTo && (
+            <button
+              type="button"
+              onClick={handleClaim}
+              disabled={saving}
+              className="h-8 rounded-md border border-indigo-600 bg-indigo-600 px-3 text-xs font-semibold text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Claim
+            </button>
+          )}
+          {canReassign && !showForm && (
+            <button
+              type="button"
+              onClick={openForm}
+              disabled={loading || saving}
+              className="h-8 rounded-md border border-gray-200 bg-white px-3 text-xs font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {loading ? 'Loading…' : assignedTo ? 'Reassign' : 'Assign'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <div className="mt-3 space-y-2">
+          <select
+            value={assigneeId}
+            onChange={(e) => setAssigneeId(e.target.value)}
+            className="h-9 w-full rounded-md border border-gray-200 px-2 text-sm text-gray-800 focus:border-indigo-500 focus:outline-none"
+          >
+            {otherDepartments.length > 0 ? (
+              <>
+                {withinRouting.length > 0 && (
+                  <optgroup label="Handlers for this complaint">{withinRouting.map(renderOption)}</optgroup>
+                )}
+                <optgroup label="Escalate to another department">{otherDepartments.map(renderOption)}</optgroup>
+              </>
+            ) : (
+              withinRouting.map(renderOption)
+            )}
+          </select>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            maxLength={1000}
+            placeholder="Handover note (optional)"
+            className="w-full rounded-md border border-gray-200 px-2 py-2 text-sm text-gray-800 focus:border-indigo-500 focus:outline-none"
+          />
+          {escalating && (
+            <p className="text-xs text-amber-700">
+              This handler is outside the complaint&apos;s routing; the complaint will be escalated to them.
+            </p>
+          )}
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="h-8 rounded-md border border-gray-200 bg-white px-3 text-xs font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleAssign}
+              disabled={saving || !assigneeId}
+              className="h-8 rounded-md border border-indigo-600 bg-indigo-600 px-3 text-xs font-semibold text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving…' : escalating ? 'Escalate' : 'Assign'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssignmentPanel;
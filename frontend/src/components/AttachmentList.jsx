@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiDownload, FiImage, FiFileText } from 'react-icons/fi';
+import api from '../services/api';
+
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Attachments are served by authenticated API routes, so they are fetched
+// as blobs with the bearer token instead of linked directly.
+const AttachmentList = ({ attachments = [], basePath, complaintId }) => {
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  if (!attachments.length) return null;
+
+  const handleDownload = async (attachment) => {
+    try {
+      setDownloadingId(attachment._id);
+      const response = await api.get(
+        `${basePath}/complaints/${complaintId}/attachments/${attachment._id}`,
+        { responseType: 'blob' }
+      );
+
+      const url = window.URL.createObjectURL(
+        new Blob([response.data], { type: attachment.mimeType })
+      );
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', attachment.originalName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download attachment');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  return (
+    <ul className="space-y-2">
+      {attachments.map((attachment) => (
+        <li
+          key={attachment._id}
+          className="flex items-center gap-2 rounded-lg border border-gray-200 bg-white px-3 py-2"
+        >
+          {attachment.mimeType === 'application/pdf' ? (
+            <FiFileText className="w-4 h-4 text-red-500 flex-shrink-0" />
+          ) : (
+            <FiImage className="w-4 h-4 text-blue-500 flex-shrink-0" />
+          )}
+          <div className="min-w-0 flex-1">
+            <p className="text-sm text-gray-800 truncate">{attachment.originalName}</p>
+            <p className="text-xs text-gray-500">
+              {formatFileSize(attachment.size)}
+              {attachment.context === 'REOPEN' && ' • Added on reopen'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => handleDownload(attachment)}
+            disabled={downloadingId === attachment._id}
+            className="p-1.5 rounded hover:bg-gray-100 text-gray-600 disabled:opacity-50"
+            aria-label={`Download ${attachment.originalName}`}
+          >
+            <FiDownload className="w-4 h-4" />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default AttachmentList;
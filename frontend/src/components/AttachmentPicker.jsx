@@ -0,0 +1,94 @@
+import { useRef } from 'react';
+import toast from 'react-hot-toast';
+import { FiPaperclip, FiX, FiImage, FiFileText } from 'react-icons/fi';
+import { formatFileSize } from './AttachmentList';
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const AttachmentPicker = ({ files, onChange, disabled = false, maxFiles = 5 }) => {
+  const inputRef = useRef(null);
+
+  const handleSelect = (e) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    const valid = selected.filter((file) => {
+      if (!ACCEPTED_TYPES.includes(file.type)) {
+        toast.error(`${file.name}: only JPG, PNG and PDF files are allowed`);
+        return false;
+      }
+      if (file.size > MAX_FILE_SIZE) {
+        toast.error(`${file.name}: file is larger than 5MB`);
+        return false;
+      }
+      return true;
+    });
+
+    const next = [...files, ...valid];
+    if (next.length > maxFiles) {
+      toast.error(`You can attach up to ${maxFiles} files`);
+    }
+    onChange(next.slice(0, maxFiles));
+  };
+
+  const handleRemove = (index) => {
+    onChange(files.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2">
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled || files.length >= maxFiles}
+          className="inline-flex items-center gap-2 px-3 py-2 border border-gray-200 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <FiPaperclip className="w-4 h-4" />
+          Attach files
+        </button>
+        <span className="text-xs text-gray-500">{files.length}/{maxFiles}</span>
+      </div>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept=".jpg,.jpeg,.png,.pdf"
+        onChange={handleSelect}
+        className="hidden"
+      />
+      <p className="text-xs text-gray-500 mt-2">Images (JPG, PNG) or PDF, up to 5MB each.</p>
+
+      {files.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {files.map((file, index) => (
+            <li
+              key={`${file.name}-${index}`}
+              className="flex items-center gap-2 rounded-lg border border-gray-200 bg-white px-3 py-2"
+            >
+              {file.type === 'application/pdf' ? (
+                <FiFileText className="w-4 h-4 text-red-500 flex-shrink-0" />
+              ) : (
+                <FiImage className="w-4 h-4 text-blue-500 flex-shrink-0" />
+              )}
+              <span className="text-sm text-gray-800 truncate flex-1">{file.name}</span>
+              <span className="text-xs text-gray-500 flex-shrink-0">{formatFileSize(file.size)}</span>
+              <button
+                type="button"
+                onClick={() => handleRemove(index)}
+                disabled={disabled}
+                className="p-1 rounded hover:bg-gray-100 text-gray-500 disabled:opacity-50"
+                aria-label={`Remove ${file.name}`}
+              >
+                <FiX className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
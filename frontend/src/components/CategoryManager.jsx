@@ -0,0 +1,402 @@
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit2, FiTrash2, FiX } from 'react-icons/fi';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  parent: '',
+  department: '',
+  handlers: [],
+  firstResponseHours: '',
+  resolutionHours: '',
+  isActive: true,
+};
+
+const routingSummary = (category) => {
+  const parts = [];
+  if (category.routing?.department) parts.push(category.routing.department);
+  if (category.routing?.handlers?.length) {
+    parts.push(category.routing.handlers.map((h) => h.name).join(', '));
+  }
+  return parts.join(' · ');
+};
+
+// Empty SLA inputs fall back to the priority targets
+const toHours = (value) => (value === '' ? null : Number(value));
+
+const slaSummary = (category) => {
+  const parts = [];
+  if (category.sla?.firstResponseHours) parts.push(`Response ${category.sla.firstResponseHours}h`);
+  if (category.sla?.resolutionHours) parts.push(`Resolution ${category.sla.resolutionHours}h`);
+  return parts.join(' · ');
+};
+
+const CategoryManager = () => {
+  const [categories, setCategories] = useState([]);
+  const [subAdmins, setSubAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    fetchCategories();
+    fetchSubAdmins();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await api.get('/api/admin/categories');
+      setCategories(response.data.data.categories);
+    } catch (error) {
+      toast.error('Failed to load categories');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSubAdmins = async () => {
+    try {
+      const response = await api.get('/api/admin/sub-admins', { params: { limit: 100 } });
+      setSubAdmins(response.data.data.subAdmins.filter((s) => s.isActive !== false));
+    } catch (error) {
+      console.error('Failed to load sub-admins:', error);
+    }
+  };
+
+  const openCreate = (parentId = '') => {
+    setEditingId(null);
+    setForm({ ...EMPTY_FORM, parent: parentId });
+  };
+
+  const openEdit = (category) => {
+    setEditingId(category._id);
+    setForm({
+      name: category.name,
+      description: category.description || '',
+      parent: category.parent || '',
+      department: category.routing?.department || '',
+      handlers: (category.routing?.handlers || []).map((h) => h._id),
+      firstResponseHours: category.sla?.firstResponseHours ?? '',
+      resolutionHours: category.sla?.resolutionHours ?? '',
+      isActive: category.isActive,
+    });
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const toggleHandler = (id) => {
+    setForm((prev) => ({
+      ...prev,
+      handlers: prev.handlers.includes(id)
+        ? prev.handlers.filter((h) => h !== id)
+        : [...prev.handlers, id],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      routing: {
+        department: form.department.trim() || null,
+        handlers: form.handlers,
+      },
+      sla: {
+        firstResponseHours: toHours(form.firstResponseHours),
+        resolutionHours: toHours(form.resolutionHours),
+      },
+      isActive: form.isActive,
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await api.put(`/api/admin/categories/${editingId}`, payload);
+        toast.success('Category updated successfully');
+      } else {
+        await api.post('/api/admin/categories', { ...payload, parent: form.parent || null });
+        toast.success('Category created successfully');
+      }
+      closeForm();
+      fetchCategories();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (category) => {
+    try {
+      await api.put(`/api/admin/categories/${category._id}`, { isActive: !category.isActive });
+      toast.success(category.isActive ? 'Category deactivated' : 'Category activated');
+      fetchCategories();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update category');
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) return;
+    try {
+      await api.delete(`/api/admin/categories/${category._id}`);
+      toast.success('Category deleted successfully');
+      fetchCategories();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete category');
+    }
+  };
+
+  const renderRow = (category, isChild = false) => (
+    <div
+      key={category._id}
+      className={`flex flex-wrap items-center gap-3 px-4 py-3 ${isChild ? 'pl-10 bg-gray-50' : ''}`}
+    >
+      <div className="flex-1 min-w-[12rem]">
+        <div className="flex items-center gap-2">
+          <span className={`font-medium ${category.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+            {category.name}
+          </span>
+          {!category.isActive && (
+            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Inactive</span>
+          )}
+        </div>
+        {category.description && <p className="text-xs text-gray-500 mt-0.5">{category.description}</p>}
+      </div>
+      <div className="text-xs text-gray-600 min-w-[10rem]">
+        {routingSummary(category) || (
+          <span className="text-gray-400">
+            {isChild ? 'Inherits parent routing' : "Submitter's department"}
+          </span>
+        )}
+        {slaSummary(category) && <p className="text-gray-500 mt-0.5">SLA: {slaSummary(category)}</p>}
+      </div>
+      <div className="flex items-center gap-1">
+        {!isChild && (
+          <button
+            type="button"
+            onClick={() => openCreate(category._id)}
+            className="text-indigo-600 hover:text-indigo-800 p-2"
+            title="Add sub-category"
+          >
+            <FiPlus className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => openEdit(category)}
+          className="text-gray-600 hover:text-gray-900 p-2"
+          title="Edit"
+        >
+          <FiEdit2 className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={() => handleToggleActive(category)}
+          className="text-xs font-medium text-gray-600 hover:text-gray-900 px-2 py-1"
+        >
+          {category.isActive ? 'Deactivate' : 'Activate'}
+        </button>
+        <button
+          type="button"
+          onClick={() => handleDelete(category)}
+          className="text-red-600 hover:text-red-800 p-2"
+          title="Delete"
+        >
+          <FiTrash2 className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  const parentName = form?.parent ? categories.find((c) => c._id === form.parent)?.name : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Complaint Categories</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Categories shown on the complaint form and where their complaints are routed.
+            Without routing, complaints go to the submitter&apos;s department.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => openCreate()}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-2"
+        >
+          <FiPlus className="w-4 h-4" />
+          Add Category
+        </button>
+      </div>
+
+      {categories.length === 0 ? (
+        <p className="text-sm text-gray-500">No categories yet. Complainants will not be asked to pick one.</p>
+      ) : (
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {categories.map((category) => (
+            <div key={category._id} className="divide-y divide-gray-100">
+              {renderRow(category)}
+              {category.children.map((child) => renderRow(child, true))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {form && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-bold text-gray-900">
+                {editingId ? 'Edit Category' : parentName ? `New Sub-category of ${parentName}` : 'New Category'}
+              </h3>
+              <button type="button" onClick={closeForm} className="text-gray-500 hover:text-gray-700">
+                <FiX className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  maxLength={100}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  placeholder="e.g., Mess"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  maxLength={500}
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  placeholder="Shown to complainants when they pick this category"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Handling department</label>
+                <input
+                  type="text"
+                  value={form.department}
+                  onChange={(e) => setForm({ ...form, department: e.target.value })}
+                  maxLength={100}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  placeholder="e.g., Mess Committee"
+                />
+                <p className="text-xs text-gray-500 mt-1">Sub-admins of this department handle these complaints.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Handler pool</label>
+                {subAdmins.length === 0 ? (
+                  <p className="text-sm text-gray-500">No sub-admins available.</p>
+                ) : (
+                  <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                    {subAdmins.map((subAdmin) => (
+                      <label key={subAdmin._id} className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={form.handlers.includes(subAdmin._id)}
+                          onChange={() => toggleHandler(subAdmin._id)}
+                          className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        <span className="flex-1">{subAdmin.name}</span>
+                        <span className="text-xs text-gray-500">{subAdmin.department}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <p className="text-xs text-gray-500 mt-1">
+                  {form.parent
+                    ? 'Leave department and pool empty to use the parent category routing.'
+                    : "Leave department and pool empty to route to the submitter's department."}
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">SLA targets (hours)</label>
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="number"
+                    min={1}
+                    value={form.firstResponseHours}
+                    onChange={(e) => setForm({ ...form, firstResponseHours: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    placeholder="First response"
+                  />
+                  <input
+                    type="number"
+                    min={1}
+                    value={form.resolutionHours}
+                    onChange={(e) => setForm({ ...form, resolutionHours: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    placeholder="Resolution"
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {form.parent
+                    ? 'Leave empty to use the parent category or priority targets.'
+                    : 'Leave empty to use the targets of the complaint priority.'}
+                </p>
+              </div>
+
+              <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Active
+              </label>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+              <button
+                type="button"
+                onClick={closeForm}
+                className="flex-1 bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryManager;
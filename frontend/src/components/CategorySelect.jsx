@@ -0,0 +1,69 @@
+import { FiAlertCircle } from 'react-icons/fi';
+
+// Category + sub-category pickers for the complaint submission forms.
+// `categories` is the tree returned by the /categories endpoints.
+const CategorySelect = ({
+  categories = [],
+  categoryId,
+  subCategoryId,
+  onChange,
+  error,
+  disabled = false,
+  focusRing = 'focus:ring-primary-500',
+}) => {
+  const selected = categories.find((c) => c._id === categoryId);
+  const subCategories = selected?.children || [];
+
+  const selectClass = `w-full px-3 py-3 border rounded-lg bg-white focus:outline-none focus:ring-2 ${focusRing} disabled:bg-gray-50`;
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-800 mb-2">
+          Category <span className="text-red-500">*</span>
+        </label>
+        <select
+          value={categoryId}
+          onChange={(e) => onChange({ categoryId: e.target.value, subCategoryId: '' })}
+          disabled={disabled}
+          className={`${selectClass} ${error ? 'border-red-500' : 'border-gray-200'}`}
+          required
+        >
+          <option value="">Select a category</option>
+          {categories.map((category) => (
+            <option key={category._id} value={category._id}>
+              {category.name}
+            </option>
+          ))}
+        </select>
+        {error ? (
+          <span className="text-red-600 text-xs flex items-center gap-1 mt-1">
+            <FiAlertCircle />
+            {error}
+          </span>
+        ) : selected?.description ? (
+          <p className="text-xs text-gray-500 mt-1">{selected.description}</p>
+        ) : null}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-800 mb-2">Sub-category</label>
+        <select
+          value={subCategoryId}
+          onChange={(e) => onChange({ categoryId, subCategoryId: e.target.value })}
+          disabled={disabled || subCategories.length === 0}
+          className={`${selectClass} border-gray-200`}
+        >
+          <option value="">{subCategories.length === 0 ? 'None available' : 'Select a sub-category (optional)'}</option>
+          {subCategories.map((sub) => (
+            <option key={sub._id} value={sub._id}>
+              {sub.name}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default CategorySelect;
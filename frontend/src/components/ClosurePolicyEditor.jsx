@@ -0,0 +1,143 @@
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+// Strip server-only fields so the policy can be sent back as-is
+const toDefinition = (policy) => ({
+  autoClose: {
+    enabled: !!policy.autoClose?.enabled,
+    windowDays: policy.autoClose?.windowDays ?? 7,
+    reminderDaysBefore: policy.autoClose?.reminderDaysBefore ?? 2,
+  },
+  reopenAfterClose: policy.reopenAfterClose,
+});
+
+const REOPEN_OPTIONS = [
+  { key: 'ADMIN_APPROVAL', label: 'Complainants can request a reopen, which an admin approves' },
+  { key: 'BLOCKED', label: 'Closed complaints cannot be reopened' },
+];
+
+const ClosurePolicyEditor = () => {
+  const [definition, setDefinition] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, []);
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await api.get('/api/admin/closure');
+      setDefinition(toDefinition(response.data.data.policy));
+    } catch (error) {
+      toast.error('Failed to load closure policy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateAutoClose = (changes) => {
+    setDefinition((prev) => ({ ...prev, autoClose: { ...prev.autoClose, ...changes } }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.put('/api/admin/closure', definition);
+      setDefinition(toDefinition(response.data.data.policy));
+      toast.success('Closure policy saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save closure policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (!definition) {
+    return <p className="text-sm text-red-500">Closure policy could not be loaded.</p>;
+  }
+
+  const numberInput = (field, min, label) => (
+    <input
+      type="number"
+      min={min}
+      value={definition.autoClose[field]}
+      onChange={(e) => updateAutoClose({ [field]: e.target.value === '' ? '' : Number(e.target.value) })}
+      className="w-24 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      aria-label={label}
+    />
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Closure</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Resolved complaints the complainant does not acknowledge are closed automatically once the window has passed.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Policy'}
+        </button>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg p-4 space-y-3 mb-6">
+        <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-900">
+          <input
+            type="checkbox"
+            checked={definition.autoClose.enabled}
+            onChange={(e) => updateAutoClose({ enabled: e.target.checked })}
+            className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Close unacknowledged resolved complaints automatically
+        </label>
+
+        <div className={`space-y-3 pl-6 ${definition.autoClose.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            Close after
+            {numberInput('windowDays', 1, 'Acknowledgement window in days')}
+            days without an acknowledgement
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            Remind the complainant
+            {numberInput('reminderDaysBefore', 0, 'Reminder lead time in days')}
+            days before closing (0 for no reminder)
+          </div>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <p className="text-sm font-medium text-gray-900">After a complaint is closed</p>
+        {REOPEN_OPTIONS.map((option) => (
+          <label key={option.key} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name="reopenAfterClose"
+              checked={definition.reopenAfterClose === option.key}
+              onChange={() => setDefinition((prev) => ({ ...prev, reopenAfterClose: option.key }))}
+              className="h-4 w-4 border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ClosurePolicyEditor;
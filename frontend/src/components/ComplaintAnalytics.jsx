@@ -0,0 +1,272 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const RANGE_OPTIONS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' },
+];
+
+const INTERVAL_OPTIONS = [
+  { key: 'day', label: 'Daily' },
+  { key: 'week', label: 'Weekly' },
+  { key: 'month', label: 'Monthly' },
+];
+
+const BREAKDOWNS = [
+  { key: 'department', label: 'By Department' },
+  { key: 'category', label: 'By Category' },
+  { key: 'college', label: 'By College' },
+  { key: 'role', label: 'By Submitter Role' },
+];
+
+// Full class names so Tailwind keeps them in the build
+const ACCENTS = {
+  blue: { bar: 'bg-blue-500', soft: 'bg-blue-100', focus: 'focus:border-blue-500' },
+  indigo: { bar: 'bg-indigo-500', soft: 'bg-indigo-100', focus: 'focus:border-indigo-500' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BREAKDOWN_ROWS = 6;
+
+const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round((hours / 24) * 10) / 10}d`;
+};
+
+const formatRole = (role) => role.charAt(0) + role.slice(1).toLowerCase().replace('_', '-');
+
+const Metric = ({ label, value, hint }) => (
+  <div className="p-3 bg-gray-50 rounded-lg border border-gray-100">
+    <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</p>
+    <p className="text-xl font-bold text-gray-900 mt-0.5">{value}</p>
+    {hint && <p className="text-[11px] text-gray-500 mt-0.5">{hint}</p>}
+  </div>
+);
+
+// Submitted complaints per period; the darker part is how many of them are resolved
+const TimeSeriesChart = ({ series, accent }) => {
+  const max = Math.max(1, ...series.map((point) => point.submitted));
+  const labelIndexes = new Set([0, Math.floor((series.length - 1) / 2), series.length - 1]);
+
+  return (
+    <div>
+      <div className="flex items-end gap-px h-40 border-b border-gray-200">
+        {series.map((point) => (
+          <div
+            key={point.period}
+            className="flex-1 h-full flex flex-col justify-end"
+            title={`${point.period}: ${point.submitted} submitted, ${point.resolved} resolved`}
+          >
+            <div
+              className={`w-full rounded-t-sm ${accent.soft} flex flex-col justify-end overflow-hidden`}
+              style={{ height: `${(point.submitted / max) * 100}%` }}
+            >
+              <div
+                className={`w-full ${accent.bar}`}
+                style={{ height: point.submitted ? `${(point.resolved / point.submitted) * 100}%` : 0 }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-px mt-1">
+        {series.map((point, i) => (
+          <div key={point.period} className="flex-1 min-w-0 text-[10px] text-gray-400 text-center whitespace-nowrap">
+            {labelIndexes.has(i) ? point.period : ''}
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center gap-3 mt-2 text-[11px] text-gray-500">
+        <span className="flex items-center gap-1"><span className={`w-2.5 h-2.5 rounded-sm ${accent.soft}`} />Submitted</span>
+        <span className="flex items-center gap-1"><span className={`w-2.5 h-2.5 rounded-sm ${accent.bar}`} />Resolved</span>
+      </div>
+    </div>
+  );
+};
+
+const BreakdownBars = ({ title, rows, accent, formatKey = (key) => key }) => {
+  const max = Math.max(1, ...rows.map((row) => row.count));
+  const shown = rows.slice(0, MAX_BREAKDOWN_ROWS);
+  const others = rows.slice(MAX_BREAKDOWN_ROWS).reduce((sum, row) => sum + row.count, 0);
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">{title}</h3>
+      {shown.length === 0 ? (
+        <p className="text-xs text-gray-500">No complaints in this range</p>
+      ) : (
+        <div className="space-y-1.5">
+          {shown.map((row) => (
+            <div key={row.key}>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span className="truncate pr-2">{formatKey(row.key)}</span>
+                <span className="font-medium text-gray-900">{row.count}</span>
+              </div>
+              <div className="h-1.5 bg-gray-100 rounded-full">
+                <div className={`h-1.5 rounded-full ${accent.bar}`} style={{ width: `${(row.count / max) * 100}%` }} />
+              </div>
+            </div>
+          ))}
+          {others > 0 && <p className="text-[11px] text-gray-500">+{others} in other groups</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Complaint analytics card for the staff dashboards. `endpoint` is the
+// analytics API for the viewer (admin or sub-admin scope).
+const ComplaintAnalytics = ({ endpoint, accent = 'blue' }) => {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [groupBy, setGroupBy] = useState('day');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const colors = ACCENTS[accent] || ACCENTS.blue;
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const to = new Date();
+        const from = new Date(to.getTime() - rangeDays * DAY_MS);
+        const response = await api.get(endpoint, {
+          params: { from: from.toISOString(), to: to.toISOString(), interval: groupBy },
+        });
+        if (response.data.success) {
+          setAnalytics(response.data.data.analytics);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load analytics');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+  }, [endpoint, rangeDays, groupBy]);
+
+  const handleRangeChange = (e) => {
+    const days = Number(e.target.value);
+    setRangeDays(days);
+    // Keep the number of bars readable
+    if (days > 90 && groupBy === 'day') setGroupBy('week');
+  };
+
+  const selectClass = `h-8 rounded-md border border-gray-200 bg-white px-2 text-xs text-gray-700 focus:outline-none ${colors.focus}`;
+  const totals = analytics?.totals;
+  const responseTimes = analytics?.responseTimes;
+  const satisfaction = analytics?.satisfaction;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-3">
+        <h2 className="text-base font-semibold text-gray-900">Analytics</h2>
+        <div className="flex gap-2">
+          <select value={rangeDays} onChange={handleRangeChange} aria-label="Date range" className={selectClass}>
+            {RANGE_OPTIONS.map((option) => (
+              <option key={option.days} value={option.days}>{option.label}</option>
+            ))}
+          </select>
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} aria-label="Interval" className={selectClass}>
+            {INTERVAL_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && !analytics ? (
+        <div className="animate-pulse space-y-3">
+          <div className="grid grid-cols-2 lg:grid-cols-6 gap-3">
+            {[...Array(6)].map((_, i) => (
+              <div key={i} className="h-16 bg-gray-100 rounded-lg"></div>
+            ))}
+          </div>
+          <div className="h-40 bg-gray-100 rounded-lg"></div>
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : (
+        <div className={`space-y-4 ${loading ? 'opacity-60' : ''}`}>
+          <div className="grid grid-cols-2 lg:grid-cols-6 gap-3">
+            <Metric label="Submitted" value={totals.complaints} />
+            <Metric label="Resolved" value={totals.resolved} />
+            <Metric label="Reopen Rate" value={`${totals.reopenRate}%`} hint={`${totals.reopened} reopened`} />
+            <Metric
+              label="Avg Rating"
+              value={totals.averageRating === null ? '—' : `${totals.averageRating} / 5`}
+              hint={`${totals.rated} rated`}
+            />
+            <Metric
+              label="First Response"
+              value={formatDuration(responseTimes.firstResponse.medianHours)}
+              hint={`median · mean ${formatDuration(responseTimes.firstResponse.meanHours)}`}
+            />
+            <Metric
+              label="Time to Resolve"
+              value={formatDuration(responseTimes.resolution.medianHours)}
+              hint={`median · mean ${formatDuration(responseTimes.resolution.meanHours)}`}
+            />
+          </div>
+
+          <TimeSeriesChart series={analytics.timeSeries} accent={colors} />
+
+          {/* Satisfaction feedback on complaints in the range */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div className="lg:col-span-2">
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Satisfaction</h3>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                <Metric
+                  label="CSAT"
+                  value={satisfaction.csat === null ? '—' : `${satisfaction.csat}%`}
+                  hint={`4-5 stars · ${satisfaction.responses} responses`}
+                />
+                <Metric
+                  label="Net Score"
+                  value={satisfaction.netScore === null ? '—' : satisfaction.netScore}
+                  hint="% 5 stars minus % 1-3 stars"
+                />
+                <Metric
+                  label="Actually Fixed"
+                  value={satisfaction.fixedRate === null ? '—' : `${satisfaction.fixedRate}%`}
+                  hint="of those who answered"
+                />
+                <Metric
+                  label="Responsiveness"
+                  value={satisfaction.averageResponsiveness === null ? '—' : `${satisfaction.averageResponsiveness} / 5`}
+                />
+                <Metric label="Negative" value={satisfaction.negative} hint="low rating or not fixed" />
+                <Metric label="Open Follow-ups" value={satisfaction.openFollowUps} />
+              </div>
+            </div>
+            <BreakdownBars
+              title="Ratings"
+              rows={[...satisfaction.ratings].reverse()}
+              accent={colors}
+              formatKey={(stars) => `${stars} star${stars === 1 ? '' : 's'}`}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            {BREAKDOWNS.map((breakdown) => (
+              <BreakdownBars
+                key={breakdown.key}
+                title={breakdown.label}
+                rows={analytics.breakdowns[breakdown.key]}
+                accent={colors}
+                formatKey={breakdown.key === 'role' ? formatRole : undefined}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplaintAnalytics;
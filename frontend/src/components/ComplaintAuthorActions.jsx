@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiEdit2, FiSlash } from 'react-icons/fi';
+import api from '../services/api';
+
+// Save button colours per role accent
+const SAVE_STYLES = {
+  green: 'bg-green-600 hover:bg-green-700',
+  teal: 'bg-teal-600 hover:bg-teal-700',
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-gray-300';
+
+// Complainant actions on their own complaint: editing it until staff
+// respond (earlier versions are kept) and withdrawing it while it is open.
+const ComplaintAuthorActions = ({ basePath, complaint, onUpdated, accent = 'green' }) => {
+  const [mode, setMode] = useState(null);
+  const [subject, setSubject] = useState(complaint.subject);
+  const [content, setContent] = useState(complaint.content);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  if (!complaint.canEdit && !complaint.canWithdraw) return null;
+
+  const close = () => {
+    setMode(null);
+    setSubject(complaint.subject);
+    setContent(complaint.content);
+    setReason('');
+  };
+
+  const submit = async (request, fallbackMessage) => {
+    setSaving(true);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      setMode(null);
+      setReason('');
+      onUpdated(response.data.data.complaint);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallbackMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.put(`${basePath}/complaints/${complaint._id}`, { subject: subject.trim(), content: content.trim() }),
+      'Failed to update complaint'
+    );
+  };
+
+  const handleWithdraw = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post(`${basePath}/complaints/${complaint._id}/withdraw`, { reason: reason.trim() }),
+      'Failed to withdraw complaint'
+    );
+  };
+
+  if (mode === 'edit') {
+    return (
+      <form onSubmit={handleEdit} className="border-t border-gray-200 pt-5 space-y-3">
+        <h4 className="text-sm font-semibold text-gray-900">Edit Complaint</h4>
+        <input
+          type="text"
+          value={subject}
+          onChange={(e) => setSubject(e.target.value)}
+          maxLength={200}
+          className={inputClass}
+          aria-label="Subject"
+        />
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          rows={8}
+          className={`${inputClass} resize-none`}
+          aria-label="Complaint details"
+        />
+        <p className="text-xs text-gray-500">The current version stays visible to staff in the complaint&apos;s history.</p>
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={close} className="px-4 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className={`px-4 py-2 text-white text-sm font-medium rounded-lg disabled:opacity-50 ${SAVE_STYLES[accent]}`}
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (mode === 'withdraw') {
+    return (
+      <form onSubmit={handleWithdraw} className="border-t border-gray-200 pt-5 space-y-3">
+        <h4 className="text-sm font-semibold text-gray-900">Withdraw Complaint</h4>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={3}
+          maxLength={1000}
+          placeholder="Why are you withdrawing this complaint? (e.g. the issue was fixed)"
+          className={`${inputClass} resize-none`}
+        />
+        <p className="text-xs text-gray-500">Staff handling the complaint are notified. A withdrawn complaint cannot be reopened.</p>
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={close} className="px-4 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || reason.trim().length < 5}
+            className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            {saving ? 'Withdrawing...' : 'Withdraw'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="border-t border-gray-200 pt-5 flex flex-col sm:flex-row sm:items-center gap-3">
+      <p className="flex-1 text-xs text-gray-500">
+        {complaint.canEdit
+          ? 'Staff have not responded yet, so you can still correct this complaint.'
+          : 'No longer need this complaint handled? You can withdraw it.'}
+      </p>
+      <div className="flex gap-2">
+        {complaint.canEdit && (
+          <button
+            type="button"
+            onClick={() => setMode('edit')}
+            className="px-3 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+          >
+            <FiEdit2 className="w-4 h-4" />
+            Edit
+          </button>
+        )}
+        {complaint.canWithdraw && (
+          <button
+            type="button"
+            onClick={() => setMode('withdraw')}
+            className="px-3 py-2 border border-red-200 rounded-lg text-sm text-red-600 hover:bg-red-50 flex items-center gap-2"
+          >
+            <FiSlash className="w-4 h-4" />
+            Withdraw
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ComplaintAuthorActions;
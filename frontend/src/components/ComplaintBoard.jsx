@@ -0,0 +1,174 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiThumbsUp } from 'react-icons/fi';
+import api from '../services/api';
+import { STATUS_BADGE_STYLES, formatStatus } from '../utils/complaintStatus';
+
+const SCOPE_OPTIONS = [
+  { key: 'college', label: 'My college' },
+  { key: 'department', label: 'My department' },
+];
+
+const SORT_OPTIONS = [
+  { key: 'top', label: 'Most upvoted' },
+  { key: 'newest', label: 'Newest' },
+];
+
+const STATUS_OPTIONS = [
+  { key: 'open', label: 'Open' },
+  { key: 'all', label: 'All' },
+];
+
+// Voted button colours per role accent
+const VOTED_STYLES = {
+  green: 'border-green-600 bg-green-50 text-green-700',
+  teal: 'border-teal-600 bg-teal-50 text-teal-700',
+};
+
+const PAGE_SIZE = 20;
+
+const selectClass = 'px-2 py-1.5 border border-gray-200 rounded-lg bg-white text-xs text-gray-700 focus:outline-none';
+
+// Complaints others in the viewer's college or department chose to list,
+// with a "me too" vote that raises them in the staff queues.
+const ComplaintBoard = ({ basePath, accent = 'green' }) => {
+  const [filters, setFilters] = useState({ scope: 'college', sort: 'top', status: 'open' });
+  const [page, setPage] = useState(1);
+  const [complaints, setComplaints] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [voting, setVoting] = useState(null);
+
+  const fetchBoard = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`${basePath}/board`, { params: { ...filters, page, limit: PAGE_SIZE } });
+      setComplaints(response.data.data.complaints);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load the board');
+    } finally {
+      setLoading(false);
+    }
+  }, [basePath, filters, page]);
+
+  useEffect(() => {
+    fetchBoard();
+  }, [fetchBoard]);
+
+  const updateFilters = (changes) => {
+    setFilters((current) => ({ ...current, ...changes }));
+    setPage(1);
+  };
+
+  const handleVote = async (complaint) => {
+    setVoting(complaint._id);
+    try {
+      const url = `${basePath}/board/${complaint._id}/upvote`;
+      const response = complaint.hasUpvoted ? await api.delete(url) : await api.post(url);
+      setComplaints((current) =>
+        current.map((item) => (item._id === complaint._id ? { ...item, ...response.data.data } : item))
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update your vote');
+    } finally {
+      setVoting(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 pb-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold text-gray-900">Complaint Board</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Complaints others chose to share. Upvote the ones that affect you too; staff see the count.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {[['scope', SCOPE_OPTIONS], ['status', STATUS_OPTIONS], ['sort', SORT_OPTIONS]].map(([key, options]) => (
+            <select
+              key={key}
+              value={filters[key]}
+              onChange={(e) => updateFilters({ [key]: e.target.value })}
+              className={selectClass}
+            >
+              {options.map((option) => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : complaints.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-8 text-center text-sm text-gray-500">
+          Nothing has been shared here yet.
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {complaints.map((complaint) => (
+            <li key={complaint._id} className="bg-white border border-gray-200 rounded-xl p-4 flex gap-4">
+              <button
+                type="button"
+                onClick={() => handleVote(complaint)}
+                disabled={complaint.isOwn || voting === complaint._id}
+                title={complaint.isOwn ? 'Your complaint' : complaint.hasUpvoted ? 'Remove your vote' : 'Me too'}
+                className={`flex-none w-14 h-14 rounded-lg border flex flex-col items-center justify-center text-xs font-medium transition-colors disabled:cursor-not-allowed ${
+                  complaint.hasUpvoted
+                    ? VOTED_STYLES[accent]
+                    : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <FiThumbsUp className="w-4 h-4" />
+                {complaint.upvoteCount}
+              </button>
+              <div className="min-w-0 flex-1">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs font-medium text-gray-500">{complaint.complaintId}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-[10px] font-medium ${STATUS_BADGE_STYLES[complaint.status] || ''}`}>
+                    {formatStatus(complaint.status)}
+                  </span>
+                  {complaint.category && <span className="text-[11px] text-gray-500">{complaint.category}</span>}
+                  {complaint.isOwn && <span className="text-[11px] text-gray-500">· Yours</span>}
+                </div>
+                <p className="mt-1 text-sm font-medium text-gray-900">{complaint.subject}</p>
+                <p className="mt-1 text-sm text-gray-600 line-clamp-3 whitespace-pre-wrap break-words">{complaint.content}</p>
+                <p className="mt-2 text-[11px] text-gray-400">
+                  {new Date(complaint.createdAt).toLocaleDateString()}
+                  {complaint.visibility === 'DEPARTMENT' && complaint.department && ` · ${complaint.department} only`}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-end gap-2 mt-3 text-xs text-gray-600">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-2 py-1 border border-gray-300 rounded bg-white disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pagination.pages}</span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="px-2 py-1 border border-gray-300 rounded bg-white disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplaintBoard;
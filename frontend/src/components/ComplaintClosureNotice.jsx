@@ -0,0 +1,61 @@
+import { FiClock, FiRotateCw } from 'react-icons/fi';
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+// Complainant-facing closure state: when a resolved complaint will close
+// automatically, and on closed complaints the reopen request and its outcome.
+const ComplaintClosureNotice = ({ complaint, onRequestReopen }) => {
+  if (complaint.status === 'RESOLVED' && complaint.autoCloseAt) {
+    return (
+      <div className="flex items-start gap-2 rounded-lg border border-gray-200 bg-gray-50 px-3 py-2.5 text-xs text-gray-600">
+        <FiClock className="w-4 h-4 flex-none mt-0.5 text-gray-500" />
+        <p>
+          This complaint will close automatically on <span className="font-medium text-gray-800">{formatDate(complaint.autoCloseAt)}</span> unless
+          you acknowledge or reopen it. Closed complaints can no longer be reopened directly.
+        </p>
+      </div>
+    );
+  }
+
+  if (complaint.status !== 'CLOSED') return null;
+
+  const request = complaint.reopenRequest;
+
+  if (request?.status === 'PENDING') {
+    return (
+      <div className="rounded-lg border border-orange-200 bg-orange-50 px-3 py-2.5 text-xs text-orange-800">
+        Your request to reopen this complaint was sent on {formatDate(request.requestedAt)} and is waiting for an admin.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {request?.status === 'REJECTED' && (
+        <div className="rounded-lg border border-gray-200 bg-gray-50 px-3 py-2.5 text-xs text-gray-600">
+          Your reopen request was declined on {formatDate(request.decidedAt)}
+          {request.decisionNote && <>: <span className="text-gray-800">{request.decisionNote}</span></>}
+        </div>
+      )}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <p className="flex-1 text-xs text-gray-500">
+          {complaint.autoClose?.closedAt
+            ? `This complaint was closed automatically on ${formatDate(complaint.autoClose.closedAt)}.`
+            : 'This complaint is closed.'}{' '}
+          If the issue is back, you can ask an admin to reopen it.
+        </p>
+        <button
+          type="button"
+          onClick={onRequestReopen}
+          className="px-4 py-2.5 bg-white border-2 border-orange-600 text-orange-600 text-sm font-medium rounded-lg hover:bg-orange-50 transition-colors flex items-center justify-center gap-2"
+        >
+          <FiRotateCw className="w-4 h-4" />
+          Request Reopen
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ComplaintClosureNotice;
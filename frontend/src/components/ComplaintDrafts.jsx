@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiFileText, FiTrash2 } from 'react-icons/fi';
+import api from '../services/api';
+
+const AUTOSAVE_DELAY_MS = 1500;
+
+const isEmpty = (values) => !values.subject.trim() && !values.content.trim();
+
+// Saved drafts of the complaint form, plus autosave of the one being written
+// so nothing is lost when the complainant navigates away. The form keeps the
+// current draft's id and sends it with the submission, which removes the draft.
+const ComplaintDrafts = ({ basePath, values, draftId, onDraftIdChange, onResume, disabled = false }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [savedAt, setSavedAt] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const lastSaved = useRef(null);
+
+  useEffect(() => {
+    const fetchDrafts = async () => {
+      try {
+        const response = await api.get(`${basePath}/drafts`);
+        setDrafts(response.data.data.drafts);
+      } catch (error) {
+        console.error('Failed to load drafts:', error);
+      }
+    };
+    fetchDrafts();
+  }, [basePath]);
+
+  // values is a new object on every render; serialized only changes with its content
+  const serialized = JSON.stringify(values);
+  const empty = isEmpty(values);
+
+  const saveDraft = useCallback(async () => {
+    const draftValues = JSON.parse(serialized);
+    setSaving(true);
+    try {
+      const response = draftId
+        ? await api.put(`${basePath}/drafts/${draftId}`, draftValues)
+        : await api.post(`${basePath}/drafts`, draftValues);
+      const { draft } = response.data.data;
+      lastSaved.current = serialized;
+      setSavedAt(new Date(draft.updatedAt));
+      if (!draftId) onDraftIdChange(draft._id);
+    } catch (error) {
+      // The draft may have been deleted elsewhere; start a new one next time
+      if (error.response?.status === 404) onDraftIdChange(null);
+      console.error('Failed to save draft:', error);
+    } finally {
+      setSaving(false);
+    }
+  }, [basePath, serialized, draftId, onDraftIdChange]);
+
+  // Wait for typing to pause before saving
+  useEffect(() => {
+    if (disabled || empty || serialized === lastSaved.current) return undefined;
+
+    const timer = setTimeout(saveDraft, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [saveDraft, serialized, empty, disabled]);
+
+  const handleResume = (draft) => {
+    lastSaved.current = null;
+    setSavedAt(new Date(draft.updatedAt));
+    onDraftIdChange(draft._id);
+    onResume(draft);
+  };
+
+  const handleDelete = async (draft) => {
+    try {
+      await api.delete(`${basePath}/drafts/${draft._id}`);
+      setDrafts((current) => current.filter((item) => item._id !== draft._id));
+      if (draft._id === draftId) onDraftIdChange(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete draft');
+    }
+  };
+
+  // Drafts other than the one open in the form
+  const otherDrafts = drafts.filter((draft) => draft._id !== draftId);
+
+  return (
+    <div className="space-y-2">
+      {otherDrafts.length > 0 && (
+        <div className="rounded-lg border border-gray-200 bg-gray-50 px-3 py-3">
+          <p className="flex items-center gap-2 text-xs font-medium text-gray-700">
+            <FiFileText />
+            Saved drafts
+          </p>
+          <ul className="mt-2 space-y-1.5">
+            {otherDrafts.map((draft) => (
+              <li key={draft._id} className="flex items-center justify-between gap-2 rounded-md bg-white px-2 py-1.5 text-xs">
+                <button
+                  type="button"
+                  onClick={() => handleResume(draft)}
+                  disabled={disabled}
+                  className="min-w-0 flex-1 truncate text-left text-gray-800 hover:underline"
+                >
+                  <span className="font-medium">{draft.subject || 'Untitled draft'}</span>
+                  <span className="text-gray-500"> · {new Date(draft.updatedAt).toLocaleString()}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(draft)}
+                  disabled={disabled}
+                  className="flex-none p-1 text-gray-400 hover:text-red-600"
+                  aria-label="Delete draft"
+                >
+                  <FiTrash2 />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {(saving || savedAt) && (
+        <p className="text-xs text-gray-500">
+          {saving ? 'Saving draft...' : `Draft saved at ${savedAt.toLocaleTimeString()}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ComplaintDrafts;
@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { FiRotateCw } from 'react-icons/fi';
+import ComplaintRating from './ComplaintRating';
+
+const RESPONSIVENESS_LABELS = {
+  1: 'Very slow',
+  2: 'Slow',
+  3: 'Okay',
+  4: 'Quick',
+  5: 'Very quick',
+};
+
+const ChoiceButton = ({ selected, onClick, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`px-3 py-1.5 text-xs font-medium rounded-lg border transition-colors ${
+      selected
+        ? 'bg-amber-500 border-amber-500 text-white'
+        : 'bg-white border-amber-200 text-amber-900 hover:bg-amber-100'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+// Post-resolution feedback: star rating, "was it fixed?", responsiveness and a
+// comment. Once submitted it shows a read-only summary, and offers a reopen
+// when the feedback was negative and the complaint can still be reopened.
+const ComplaintFeedbackForm = ({ complaint, onSubmit, canReopen = false, onReopen }) => {
+  const [rating, setRating] = useState(0);
+  const [issueFixed, setIssueFixed] = useState(null);
+  const [responsiveness, setResponsiveness] = useState(null);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const feedback = complaint.feedback;
+
+  if (complaint.rating > 0) {
+    return (
+      <div className="space-y-3">
+        <ComplaintRating rating={complaint.rating} onRate={() => {}} disabled />
+        <div className="text-xs text-amber-900 space-y-1">
+          {feedback?.issueFixed !== null && feedback?.issueFixed !== undefined && (
+            <p>Issue fixed: <span className="font-medium">{feedback.issueFixed ? 'Yes' : 'No'}</span></p>
+          )}
+          {feedback?.responsiveness && (
+            <p>Responsiveness: <span className="font-medium">{RESPONSIVENESS_LABELS[feedback.responsiveness]}</span></p>
+          )}
+          {feedback?.comment && <p className="whitespace-pre-wrap text-amber-800">&ldquo;{feedback.comment}&rdquo;</p>}
+        </div>
+        {feedback?.isNegative && canReopen && (
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3 bg-white border border-orange-200 rounded-lg px-3 py-3">
+            <p className="flex-1 text-xs text-gray-700">
+              Sorry this didn&apos;t resolve your issue. The team has been asked to follow up, or you can reopen the complaint now.
+            </p>
+            <button
+              type="button"
+              onClick={onReopen}
+              className="px-3 py-2 bg-white border-2 border-orange-600 text-orange-600 text-xs font-medium rounded-lg hover:bg-orange-50 transition-colors flex items-center justify-center gap-1.5"
+            >
+              <FiRotateCw className="w-3.5 h-3.5" />
+              Reopen Complaint
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        rating,
+        ...(issueFixed !== null && { issueFixed }),
+        ...(responsiveness && { responsiveness }),
+        ...(comment.trim() && { comment: comment.trim() }),
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <ComplaintRating rating={rating} onRate={setRating} />
+
+      <div>
+        <p className="text-xs text-amber-900 font-medium mb-2">Was the issue actually fixed?</p>
+        <div className="flex gap-2">
+          <ChoiceButton selected={issueFixed === true} onClick={() => setIssueFixed(true)}>Yes</ChoiceButton>
+          <ChoiceButton selected={issueFixed === false} onClick={() => setIssueFixed(false)}>No</ChoiceButton>
+        </div>
+      </div>
+
+      <div>
+        <p className="text-xs text-amber-900 font-medium mb-2">How responsive was the team?</p>
+        <div className="flex flex-wrap gap-2">
+          {[1, 2, 3, 4, 5].map((score) => (
+            <ChoiceButton key={score} selected={responsiveness === score} onClick={() => setResponsiveness(score)}>
+              {RESPONSIVENESS_LABELS[score]}
+            </ChoiceButton>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="feedback-comment" className="block text-xs text-amber-900 font-medium mb-2">
+          Anything else? (optional)
+        </label>
+        <textarea
+          id="feedback-comment"
+          rows={3}
+          maxLength={2000}
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          className="w-full border border-amber-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-amber-400"
+          placeholder="Tell us how the resolution went"
+        />
+      </div>
+
+      <button
+        type="button"
+        onClick={handleSubmit}
+        disabled={!rating || submitting}
+        className="px-4 py-2 bg-amber-500 text-white text-sm font-medium rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitting ? 'Submitting...' : 'Submit Feedback'}
+      </button>
+    </div>
+  );
+};
+
+export default ComplaintFeedbackForm;
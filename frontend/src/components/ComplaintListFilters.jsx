@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { FiSliders } from 'react-icons/fi';
+import {
+  COMPLAINT_SORT_OPTIONS,
+  DEFAULT_LIST_FILTERS,
+  FEEDBACK_FILTER_OPTIONS,
+  MERGED_FILTER_OPTIONS,
+  RATING_FILTER_OPTIONS,
+  REOPENED_FILTER_OPTIONS,
+  ROLE_FILTER_OPTIONS,
+} from '../utils/complaintQuery';
+
+const selectClass =
+  'h-7 w-full rounded-md border border-gray-200 bg-white px-1 text-xs text-gray-700 focus:border-gray-400 focus:outline-none';
+
+// Sort picker plus the less common complaint list filters, collapsed by default
+const ComplaintListFilters = ({ value, onChange, showDepartment = false }) => {
+  const [open, setOpen] = useState(false);
+
+  const update = (changes) => onChange({ ...value, ...changes });
+  const activeCount = ['role', 'rating', 'reopened', 'feedback', 'merged', 'department'].filter((key) => value[key]).length;
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2">
+        <select
+          value={value.sort}
+          onChange={(e) => update({ sort: e.target.value })}
+          aria-label="Sort complaints"
+          className={selectClass}
+        >
+          {COMPLAINT_SORT_OPTIONS.map((option) => (
+            <option key={option.key} value={option.key}>
+              Sort: {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => setOpen((prev) => !prev)}
+          className={
+            'h-7 flex-none inline-flex items-center gap-1 rounded-md border px-2 text-xs font-medium ' +
+            (open || activeCount > 0
+              ? 'border-gray-300 bg-gray-100 text-gray-800'
+              : 'border-gray-200 bg-white text-gray-600 hover:bg-gray-50')
+          }
+        >
+          <FiSliders className="w-3 h-3" />
+          Filters{activeCount > 0 ? ` (${activeCount})` : ''}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-2 grid grid-cols-2 gap-2">
+          <select
+            value={value.role}
+            onChange={(e) => update({ role: e.target.value })}
+            aria-label="Submitted by"
+            className={selectClass}
+          >
+            {ROLE_FILTER_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={value.rating}
+            onChange={(e) => update({ rating: e.target.value })}
+            aria-label="Rating"
+            className={selectClass}
+          >
+            {RATING_FILTER_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={value.reopened}
+            onChange={(e) => update({ reopened: e.target.value })}
+            aria-label="Reopened"
+            className={selectClass}
+          >
+            {REOPENED_FILTER_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={value.feedback}
+            onChange={(e) => update({ feedback: e.target.value })}
+            aria-label="Feedback"
+            className={selectClass}
+          >
+            {FEEDBACK_FILTER_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={value.merged}
+            onChange={(e) => update({ merged: e.target.value })}
+            aria-label="Merged duplicates"
+            className={selectClass}
+          >
+            {MERGED_FILTER_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          {showDepartment ? (
+            <input
+              value={value.department}
+              onChange={(e) => update({ department: e.target.value })}
+              placeholder="Department"
+              className="h-7 w-full rounded-md border border-gray-200 bg-white px-2 text-xs text-gray-700 placeholder:text-gray-400 focus:border-gray-400 focus:outline-none"
+            />
+          ) : (
+            <span />
+          )}
+          {activeCount > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange({ ...DEFAULT_LIST_FILTERS, sort: value.sort })}
+              className="col-span-2 text-left text-[11px] text-gray-500 hover:text-gray-700"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplaintListFilters;
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { FiEdit2, FiSlash } from 'react-icons/fi';
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Complainant changes after submission: the withdrawal reason and the
+// earlier versions of an edited complaint. Shown to complainants and staff.
+const ComplaintRevisions = ({ complaint }) => {
+  const [showVersions, setShowVersions] = useState(false);
+  const revisions = complaint.revisions || [];
+
+  if (!complaint.withdrawal && revisions.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      {complaint.withdrawal && (
+        <div className="flex items-start gap-2 rounded-lg border border-slate-200 bg-slate-50 px-4 py-3">
+          <FiSlash className="w-4 h-4 text-slate-500 mt-0.5 flex-shrink-0" />
+          <div className="text-xs text-slate-700">
+            <p className="font-medium">Withdrawn on {formatDateTime(complaint.withdrawal.withdrawnAt)}</p>
+            <p className="mt-1 whitespace-pre-wrap">{complaint.withdrawal.reason}</p>
+          </div>
+        </div>
+      )}
+
+      {revisions.length > 0 && (
+        <div className="rounded-lg border border-gray-200 bg-gray-50 px-4 py-3">
+          <button
+            type="button"
+            onClick={() => setShowVersions(!showVersions)}
+            className="flex items-center gap-2 text-xs text-gray-700 hover:underline"
+          >
+            <FiEdit2 className="w-3.5 h-3.5 text-gray-500" />
+            Edited {revisions.length === 1 ? 'once' : `${revisions.length} times`}, last on{' '}
+            {formatDateTime(revisions[revisions.length - 1].editedAt)}
+            <span className="text-gray-500">· {showVersions ? 'Hide' : 'Show'} earlier versions</span>
+          </button>
+          {showVersions && (
+            <ol className="mt-3 space-y-3">
+              {[...revisions].reverse().map((revision, index) => (
+                <li key={revision.editedAt} className="rounded-md bg-white border border-gray-200 px-3 py-2">
+                  <p className="text-[11px] text-gray-500">
+                    Version {revisions.length - index} · replaced {formatDateTime(revision.editedAt)}
+                  </p>
+                  <p className="mt-1 text-xs font-medium text-gray-900">{revision.subject}</p>
+                  <p className="mt-1 text-xs text-gray-700 whitespace-pre-wrap line-clamp-6">{revision.content}</p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplaintRevisions;
@@ -0,0 +1,159 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiMessageSquare, FiLock, FiSend } from 'react-icons/fi';
+import api from '../services/api';
+
+const ROLE_LABELS = {
+  ADMIN: 'Admin',
+  SUB_ADMIN: 'Sub-Admin',
+  STUDENT: 'Student',
+  EMPLOYEE: 'Employee',
+};
+
+const formatCommentDate = (value) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Conversation timeline for a complaint. Staff (admin/sub-admin) can also
+// post internal notes, which the API never returns to the complainant.
+const ComplaintThread = ({ basePath, complaintId, isStaff = false }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [body, setBody] = useState('');
+  const [isInternal, setIsInternal] = useState(false);
+  const [posting, setPosting] = useState(false);
+
+  const fetchComments = useCallback(async () => {
+    if (!complaintId) return;
+    try {
+      setLoading(true);
+      const response = await api.get(`${basePath}/complaints/${complaintId}/comments`);
+      if (response.data.success) {
+        setComments(response.data.data.comments);
+      }
+    } catch (error) {
+      toast.error('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [basePath, complaintId]);
+
+  useEffect(() => {
+    setComments([]);
+    setBody('');
+    setIsInternal(false);
+    fetchComments();
+  }, [fetchComments]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    try {
+      setPosting(true);
+      const payload = isStaff ? { body: body.trim(), isInternal } : { body: body.trim() };
+      const response = await api.post(`${basePath}/complaints/${complaintId}/comments`, payload);
+      if (response.data.success) {
+        setComments((prev) => [...prev, response.data.data.comment]);
+        setBody('');
+        setIsInternal(false);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to post comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <div>
+      {loading ? (
+        <div className="space-y-3 animate-pulse">
+          {[...Array(2)].map((_, i) => (
+            <div key={i} className="h-14 bg-gray-100 rounded-lg"></div>
+          ))}
+        </div>
+      ) : comments.length === 0 ? (
+        <div className="rounded-lg border border-dashed border-gray-200 px-4 py-6 text-center">
+          <FiMessageSquare className="w-6 h-6 text-gray-300 mx-auto mb-1" />
+          <p className="text-xs text-gray-500">No comments yet</p>
+        </div>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+          {comments.map((comment) => (
+            <li key={comment._id} className="ml-4">
+              <span
+                className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ${
+                  comment.isInternal ? 'bg-amber-400' : 'bg-blue-500'
+                }`}
+              />
+              <div
+                className={`rounded-lg border px-3 py-2 ${
+                  comment.isInternal ? 'border-amber-200 bg-amber-50' : 'border-gray-200 bg-white'
+                }`}
+              >
+                <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+                  <span className="text-sm font-medium text-gray-900">{comment.author?.name || 'Unknown'}</span>
+                  {comment.author?.role && (
+                    <span className="text-[11px] text-gray-500">{ROLE_LABELS[comment.author.role] || comment.author.role}</span>
+                  )}
+                  {comment.isInternal && (
+                    <span className="inline-flex items-center gap-1 rounded-full bg-amber-100 px-2 py-0.5 text-[11px] font-medium text-amber-800">
+                      <FiLock className="w-3 h-3" />
+                      Internal
+                    </span>
+                  )}
+                  <span className="text-[11px] text-gray-400 ml-auto">{formatCommentDate(comment.createdAt)}</span>
+                </div>
+                <p className="text-sm text-gray-800 whitespace-pre-wrap break-words mt-1">{comment.body}</p>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <form onSubmit={handleSubmit} className="mt-4">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={3}
+          maxLength={5000}
+          disabled={posting}
+          placeholder={isStaff ? 'Write a reply or internal note...' : 'Write a message to the staff...'}
+          className="w-full px-3 py-2 border border-gray-200 rounded-lg bg-white resize-none text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 placeholder:text-gray-400"
+        />
+        <div className="flex items-center justify-between gap-3 mt-2">
+          {isStaff ? (
+            <label className="inline-flex items-center gap-2 text-xs text-gray-700">
+              <input
+                type="checkbox"
+                checked={isInternal}
+                onChange={(e) => setIsInternal(e.target.checked)}
+                disabled={posting}
+                className="h-4 w-4 rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+              />
+              Internal note (staff only)
+            </label>
+          ) : (
+            <span />
+          )}
+          <button
+            type="submit"
+            disabled={posting || !body.trim()}
+            className="inline-flex items-center gap-2 px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FiSend className="w-4 h-4" />
+            {posting ? 'Posting...' : isInternal ? 'Add Note' : 'Send'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ComplaintThread;
@@ -0,0 +1,279 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { FiMail, FiSend } from 'react-icons/fi';
+import api from '../services/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ATTACHMENT_FORMATS = [
+  { key: 'xlsx', label: 'Excel (XLSX)' },
+  { key: 'csv', label: 'CSV' },
+  { key: 'pdf', label: 'PDF' },
+];
+
+const RUN_STATUS_STYLES = {
+  SENT: 'bg-emerald-50 text-emerald-700',
+  FAILED: 'bg-red-50 text-red-700',
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  frequency: 'daily',
+  weekday: 1,
+  hour: 8,
+  attachmentFormat: 'xlsx',
+  lowRatingThreshold: 2,
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Scheduled digest email settings and the log of digests sent. `basePath`
+// is the viewer's API prefix; admins also see other recipients' runs.
+const DigestSettings = ({ basePath, accent = 'blue', showRecipient = false }) => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [nextRunAt, setNextRunAt] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const buttonClass = accent === 'indigo' ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-blue-600 hover:bg-blue-700';
+  const fieldClass = `mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none sm:text-sm ${
+    accent === 'indigo' ? 'focus:ring-indigo-500 focus:border-indigo-500' : 'focus:ring-blue-500 focus:border-blue-500'
+  }`;
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      const response = await api.get(`${basePath}/digest/runs`);
+      if (response.data.success) {
+        setRuns(response.data.data.runs);
+      }
+    } catch {
+    }
+  }, [basePath]);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await api.get(`${basePath}/digest`);
+        if (response.data.success) {
+          const { subscription } = response.data.data;
+          setSettings({
+            enabled: subscription.enabled,
+            frequency: subscription.frequency,
+            weekday: subscription.weekday,
+            hour: subscription.hour,
+            attachmentFormat: subscription.attachmentFormat,
+            lowRatingThreshold: subscription.lowRatingThreshold,
+          });
+          setNextRunAt(subscription.nextRunAt);
+        }
+      } catch {
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSettings();
+    fetchRuns();
+  }, [basePath, fetchRuns]);
+
+  const update = (changes) => setSettings((prev) => ({ ...prev, ...changes }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await api.put(`${basePath}/digest`, settings);
+      setNextRunAt(response.data.data.subscription.nextRunAt);
+      toast.success(response.data.message || 'Digest settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save digest settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendNow = async () => {
+    setSending(true);
+    try {
+      const response = await api.post(`${basePath}/digest/send`);
+      toast.success(response.data.message || 'Digest sent');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send digest');
+    } finally {
+      setSending(false);
+      fetchRuns();
+    }
+  };
+
+  if (loading) {
+    return <div className="bg-white shadow sm:rounded-lg h-48 animate-pulse" />;
+  }
+
+  return (
+    <div className="bg-white shadow sm:rounded-lg">
+      <div className="px-4 py-5 sm:p-6 space-y-6">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900 flex items-center gap-2">
+              <FiMail className="w-5 h-5 text-gray-500" />
+              Scheduled Digest
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              New, overdue, reopened and low-rated complaints emailed to you with the report attached.
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700 whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => update({ enabled: e.target.checked })}
+              className="h-4 w-4 rounded border-gray-300"
+            />
+            Enabled
+          </label>
+        </div>
+
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+          <div>
+            <label htmlFor="digest-frequency" className="block text-sm font-medium text-gray-700">Frequency</label>
+            <select
+              id="digest-frequency"
+              value={settings.frequency}
+              onChange={(e) => update({ frequency: e.target.value })}
+              className={fieldClass}
+            >
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+            </select>
+          </div>
+          {settings.frequency === 'weekly' && (
+            <div>
+              <label htmlFor="digest-weekday" className="block text-sm font-medium text-gray-700">Day</label>
+              <select
+                id="digest-weekday"
+                value={settings.weekday}
+                onChange={(e) => update({ weekday: Number(e.target.value) })}
+                className={fieldClass}
+              >
+                {WEEKDAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label htmlFor="digest-hour" className="block text-sm font-medium text-gray-700">Time</label>
+            <select
+              id="digest-hour"
+              value={settings.hour}
+              onChange={(e) => update({ hour: Number(e.target.value) })}
+              className={fieldClass}
+            >
+              {[...Array(24)].map((_, hour) => (
+                <option key={hour} value={hour}>{formatHour(hour)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="digest-format" className="block text-sm font-medium text-gray-700">Attachment</label>
+            <select
+              id="digest-format"
+              value={settings.attachmentFormat}
+              onChange={(e) => update({ attachmentFormat: e.target.value })}
+              className={fieldClass}
+            >
+              {ATTACHMENT_FORMATS.map((format) => (
+                <option key={format.key} value={format.key}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="digest-rating" className="block text-sm font-medium text-gray-700">Low rating</label>
+            <select
+              id="digest-rating"
+              value={settings.lowRatingThreshold}
+              onChange={(e) => update({ lowRatingThreshold: Number(e.target.value) })}
+              className={fieldClass}
+            >
+              {[1, 2, 3, 4].map((rating) => (
+                <option key={rating} value={rating}>{rating} star{rating === 1 ? '' : 's'} or less</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-xs text-gray-500">
+            {settings.enabled && nextRunAt
+              ? `Next digest: ${new Date(nextRunAt).toLocaleString()}`
+              : 'Digest is off'}
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleSendNow}
+              disabled={sending}
+              className="inline-flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <FiSend className="w-4 h-4" />
+              {sending ? 'Sending...' : 'Send me one now'}
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving}
+              className={`px-4 py-2 rounded-md text-sm font-medium text-white disabled:opacity-50 ${buttonClass}`}
+            >
+              {saving ? 'Saving...' : 'Save Settings'}
+            </button>
+          </div>
+        </div>
+
+        {/* Run log */}
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Recent Digests</h4>
+          {runs.length === 0 ? (
+            <p className="text-sm text-gray-500">No digests sent yet</p>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-xs">
+                <thead className="bg-gray-50 text-gray-500 uppercase tracking-wide">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium">Sent</th>
+                    {showRecipient && <th className="px-3 py-2 text-left font-medium">Recipient</th>}
+                    <th className="px-3 py-2 text-left font-medium">Scope</th>
+                    <th className="px-3 py-2 text-left font-medium">New / Overdue / Reopened / Low-rated</th>
+                    <th className="px-3 py-2 text-left font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 text-gray-700">
+                  {runs.map((run) => (
+                    <tr key={run._id}>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {new Date(run.createdAt).toLocaleString()}
+                        {run.trigger === 'manual' && <span className="ml-1 text-gray-400">(manual)</span>}
+                      </td>
+                      {showRecipient && <td className="px-3 py-2">{run.user?.name || run.email}</td>}
+                      <td className="px-3 py-2">{run.scope}</td>
+                      <td className="px-3 py-2">
+                        {run.counts.new} / {run.counts.overdue} / {run.counts.reopened} / {run.counts.lowRated}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 rounded-full font-medium ${RUN_STATUS_STYLES[run.status]}`} title={run.error || ''}>
+                          {run.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DigestSettings;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+
+const RESPONSIVENESS_LABELS = {
+  1: 'Very slow',
+  2: 'Slow',
+  3: 'Okay',
+  4: 'Quick',
+  5: 'Very quick',
+};
+
+const Stars = ({ rating }) => (
+  <div className="flex items-center gap-1">
+    {[1, 2, 3, 4, 5].map((star) => (
+      <svg
+        key={star}
+        className={`w-5 h-5 ${star <= rating ? 'text-amber-500 fill-amber-500' : 'text-gray-300 fill-gray-300'}`}
+        viewBox="0 0 20 20"
+      >
+        <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+      </svg>
+    ))}
+  </div>
+);
+
+// Complainant rating and feedback as staff see it, with the follow-up that
+// negative feedback opens and a way to close it.
+const FeedbackSummary = ({ basePath, complaint, onChanged }) => {
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  if (!complaint.rating) return null;
+
+  const feedback = complaint.feedback;
+  const followUp = feedback?.followUp;
+
+  const handleComplete = async () => {
+    setSaving(true);
+    try {
+      const response = await api.patch(`${basePath}/complaints/${complaint._id}/feedback-follow-up`, {
+        ...(note.trim() && { note: note.trim() }),
+      });
+      toast.success(response?.data?.message || 'Follow-up completed');
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to complete follow-up');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <p className="text-xs font-semibold text-gray-700">Resolution Feedback</p>
+        {feedback?.isNegative && (
+          <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-red-50 text-red-700 border border-red-200">
+            Negative
+          </span>
+        )}
+      </div>
+      <div className="mt-2 rounded-md border border-amber-200 bg-amber-50 px-4 py-3 space-y-2">
+        <div className="flex items-center gap-2">
+          <Stars rating={complaint.rating} />
+          <span className="text-sm font-medium text-amber-900 ml-1">{complaint.rating} out of 5 stars</span>
+        </div>
+        {feedback && (
+          <div className="text-xs text-amber-900 space-y-1">
+            <p>
+              Issue fixed:{' '}
+              <span className="font-medium">
+                {feedback.issueFixed === null || feedback.issueFixed === undefined ? 'Not answered' : feedback.issueFixed ? 'Yes' : 'No'}
+              </span>
+              {feedback.responsiveness && (
+                <>
+                  {' · '}Responsiveness: <span className="font-medium">{RESPONSIVENESS_LABELS[feedback.responsiveness]}</span>
+                </>
+              )}
+            </p>
+            {feedback.comment && (
+              <p className="text-sm text-amber-900 whitespace-pre-wrap break-words">&ldquo;{feedback.comment}&rdquo;</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {followUp?.status === 'OPEN' && (
+        <div className="mt-2 rounded-md border border-red-200 bg-red-50 px-4 py-3 space-y-2">
+          <p className="text-xs text-red-800">
+            Follow-up open since {new Date(followUp.openedAt).toLocaleString()}. Contact the complainant or reopen the complaint, then mark it done.
+          </p>
+          <textarea
+            rows={2}
+            maxLength={1000}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="What was done (optional)"
+            className="w-full rounded-md border border-red-200 bg-white px-2 py-1.5 text-xs text-gray-800 focus:border-red-400 focus:outline-none"
+          />
+          <button
+            type="button"
+            onClick={handleComplete}
+            disabled={saving}
+            className="px-3 py-1.5 rounded-md bg-red-600 text-white text-xs font-medium hover:bg-red-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Mark Follow-up Done'}
+          </button>
+        </div>
+      )}
+      {followUp?.status === 'DONE' && (
+        <p className="mt-2 text-[11px] text-gray-500">
+          Follow-up completed {new Date(followUp.completedAt).toLocaleString()}
+          {followUp.note && <>: {followUp.note}</>}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackSummary;
@@ -15,9 +15,19 @@ import {
   FiMail,
   FiCalendar,
   FiSettings,
-  FiActivity
+  FiActivity,
+  FiGitBranch,
+  FiTag,
+  FiClock,
+  FiSliders,
+  FiMonitor,
+  FiShield,
+  FiLock,
+  FiTool,
+  FiBarChart2
 } from 'react-icons/fi';
 import { useState, useRef, useEffect } from 'react';
+import { describeScopes } from './ScopeEditor';
 import Image from 'next/image';
 
 // Sub-Admins Dropdown Menu
@@ -160,7 +170,13 @@ const SystemManagementMenu = () => {
     const path = router.asPath.split('?')[0];
     return path.startsWith('/admin/email-config') || 
            path.startsWith('/admin/attendance-management') ||
-           path.startsWith('/admin/activity-log');
+           path.startsWith('/admin/activity-log') ||
+           path.startsWith('/admin/workflow') ||
+           path.startsWith('/admin/categories') ||
+           path.startsWith('/admin/sla') ||
+           path.startsWith('/admin/submission-limits') ||
+           path.startsWith('/admin/security') ||
+           path.startsWith('/admin/roles');
   };
 
   useEffect(() => {
@@ -220,6 +236,54 @@ const SystemManagementMenu = () => {
             <FiActivity size={16} />
             <span>Activity Log</span>
           </Link>
+          <Link
+            href="/admin/workflow"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <FiGitBranch size={16} />
+            <span>Complaint Workflow</span>
+          </Link>
+          <Link
+            href="/admin/categories"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <FiTag size={16} />
+            <span>Complaint Categories</span>
+          </Link>
+          <Link
+            href="/admin/sla"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <FiClock size={16} />
+            <span>Service Levels</span>
+          </Link>
+          <Link
+            href="/admin/submission-limits"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <FiSliders size={16} />
+            <span>Submission Limits</span>
+          </Link>
+          <Link
+            href="/admin/security"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <FiShield size={16} />
+            <span>Security</span>
+          </Link>
+          <Link
+            href="/admin/roles"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <FiLock size={16} />
+            <span>Roles & Permissions</span>
+          </Link>
         </div>
       )}
     </div>
@@ -291,8 +355,92 @@ const DatabaseMenu = () => {
   );
 };
 
+// Admin pages opened up to staff by custom role permissions
+const PERMISSION_NAV_ITEMS = [
+  { path: '/admin/complaints', label: 'All Complaints', permission: 'complaints.view', icon: FiMessageSquare },
+  { path: '/admin/reports', label: 'Reports', permission: 'reports.export', icon: FiBarChart2 },
+  { path: '/admin/students', label: 'Students', permission: 'users.manage', icon: FiUsers },
+  { path: '/admin/employees', label: 'Employees', permission: 'users.manage', icon: FiUsers },
+  { path: '/admin/attendance-management', label: 'Attendance Management', permission: 'attendance.upload', icon: FiCalendar },
+  { path: '/admin/email-config', label: 'Email Configuration', permission: 'email_config.manage', icon: FiMail },
+];
+
+const TOOLS_ACCENTS = {
+  indigo: 'bg-indigo-50 text-indigo-600',
+  teal: 'bg-teal-50 text-teal-600',
+};
+
+// Tools Dropdown Menu (for staff holding custom role permissions)
+const PermissionToolsMenu = ({ accent = 'indigo' }) => {
+  const router = useRouter();
+  const { hasPermission } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const items = PERMISSION_NAV_ITEMS.filter((item) => hasPermission(item.permission));
+
+  const isActive = () => {
+    const path = router.asPath.split('?')[0];
+    return items.some((item) => path.startsWith(item.path));
+  };
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  if (items.length === 0) return null;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors inline-flex items-center gap-1 ${
+          isActive()
+            ? TOOLS_ACCENTS[accent]
+            : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+        }`}
+      >
+        <FiTool size={16} />
+        <span>Tools</span>
+        <FiChevronDown
+          size={16}
+          className={`transition-transform ${isOpen ? 'rotate-180' : ''}`}
+        />
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 mt-2 w-56 bg-white border border-gray-200 rounded-lg shadow-sm py-1 z-50">
+          {items.map((item) => {
+            const Icon = item.icon;
+            return (
+              <Link
+                key={item.path}
+                href={item.path}
+                onClick={() => setIsOpen(false)}
+                className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <Icon size={16} />
+                <span>{item.label}</span>
+              </Link>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const Layout = ({ children }) => {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isAdmin, hasPermission } = useAuth();
   const router = useRouter();
   const [profileOpen, setProfileOpen] = useState(false);
   const [studentsMenuOpen, setStudentsMenuOpen] = useState(false);
@@ -332,27 +480,43 @@ const Layout = ({ children }) => {
     { path: '/admin', label: 'Dashboard' },
     { path: '/admin/students', label: 'Students' },
     { path: '/admin/complaints', label: 'Complaints' },
+    { path: '/admin/reports', label: 'Reports' },
+    { path: '/admin/leaderboard', label: 'Leaderboard' },
   ];
 
   const subAdminNavItems = [
     { path: '/sub-admin/dashboard', label: 'Dashboard' },
     { path: '/sub-admin/complaints', label: 'Complaints' },
+    { path: '/sub-admin/Reports', label: 'Reports' },
   ];
 
   const employeeNavItems = [
     { path: '/employee/dashboard', label: 'Dashboard' },
     { path: '/employee/submit-complaint', label: 'Submit Complaint' },
     { path: '/employee/complaints', label: 'My Complaints' },
+    { path: '/employee/board', label: 'Board' },
   ];
 
+  const employeeToolItems = PERMISSION_NAV_ITEMS.filter((item) => hasPermission(item.permission));
+
   const studentNavItems = [
     { path: '/student', label: 'Dashboard' },
     { path: '/student/complaints', label: 'My Complaints' },
     { path: '/student/submit', label: 'Submit Complaint' },
+    { path: '/student/board', label: 'Board' },
   ];
 
   const navItems = isAdmin ? adminNavItems : studentNavItems;
 
+  // Active sessions page of the signed-in role
+  const sessionsPath = isAdmin
+    ? '/admin/sessions'
+    : isSubAdmin
+      ? '/sub-admin/sessions'
+      : isEmployee
+        ? '/employee/sessions'
+        : '/student/sessions';
+
   const isActive = (path) => {
     const currentPath = (router.asPath || '').split('?')[0];
     if (path === '/admin' || path === '/student') {
@@ -484,6 +648,22 @@ const Layout = ({ children }) => {
                       <FiKey size={16} />
                       <span>Change Password</span>
                     </Link>
+                    <Link
+                      href={sessionsPath}
+                      onClick={() => setProfileOpen(false)}
+                      className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                    >
+                      <FiMonitor size={16} />
+                      <span>Active Sessions</span>
+                    </Link>
+                    <Link
+                      href="/two-factor"
+                      onClick={() => setProfileOpen(false)}
+                      className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                    >
+                      <FiShield size={16} />
+                      <span>Two-Factor Authentication</span>
+                    </Link>
                     <button
                       onClick={() => {
                         logout();
@@ -537,6 +717,9 @@ const Layout = ({ children }) => {
                   
                   {/* Database Dropdown Menu */}
                   <DatabaseMenu />
+
+                  {/* Custom role tools */}
+                  <PermissionToolsMenu accent="indigo" />
                 </div>
               </div>
               <div className="relative" ref={profileRef}>
@@ -560,8 +743,8 @@ const Layout = ({ children }) => {
                       <p className="text-xs text-gray-500 mt-1">{user?.email}</p>
                       {user?.department && (
                         <div className="mt-2 pt-2 border-t border-gray-100">
-                          <p className="text-[11px] text-gray-400 uppercase tracking-wide">Department</p>
-                          <p className="text-xs font-medium text-indigo-600">{user.department}</p>
+                          <p className="text-[11px] text-gray-400 uppercase tracking-wide">{user.scopes?.length > 1 ? 'Departments' : 'Department'}</p>
+                          <p className="text-xs font-medium text-indigo-600">{describeScopes(user)}</p>
                         </div>
                       )}
                     </div>
@@ -569,6 +752,14 @@ const Layout = ({ children }) => {
                       <FiKey size={16} />
                       <span>Change Password</span>
                     </Link>
+                    <Link href={sessionsPath} onClick={() => setProfileOpen(false)} className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors">
+                      <FiMonitor size={16} />
+                      <span>Active Sessions</span>
+                    </Link>
+                    <Link href="/two-factor" onClick={() => setProfileOpen(false)} className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors">
+                      <FiShield size={16} />
+                      <span>Two-Factor Authentication</span>
+                    </Link>
                     <button onClick={() => { logout(); setProfileOpen(false); }} className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 transition-colors">
                       <FiLogOut size={16} />
                       <span>Logout</span>
@@ -611,6 +802,9 @@ const Layout = ({ children }) => {
                       {item.label}
                     </Link>
                   ))}
+
+                  {/* Custom role tools */}
+                  <PermissionToolsMenu accent="teal" />
                 </div>
               </div>
 
@@ -629,7 +823,7 @@ const Layout = ({ children }) => {
 
                   {employeeNavOpen && (
                     <div className="absolute right-0 mt-2 w-56 bg-white border border-gray-200 rounded-lg shadow-sm py-1">
-                      {employeeNavItems.map((item) => {
+                      {[...employeeNavItems, ...employeeToolItems].map((item) => {
                         const active = isActive(item.path);
                         return (
                           <Link
@@ -679,6 +873,16 @@ const Layout = ({ children }) => {
                         <FiKey size={16} />
                         <span>Change Password</span>
                       </Link>
+                      <Link href={sessionsPath} onClick={() => setProfileOpen(false)} className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors">
+                        <FiMonitor size={16} />
+                        <span>Active Sessions</span>
+                      </Link>
+                      {user?.permissions?.length > 0 && (
+                        <Link href="/two-factor" onClick={() => setProfileOpen(false)} className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors">
+                          <FiShield size={16} />
+                          <span>Two-Factor Authentication</span>
+                        </Link>
+                      )}
                       <button onClick={() => { logout(); setProfileOpen(false); }} className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 transition-colors">
                         <FiLogOut size={16} />
                         <span>Logout</span>
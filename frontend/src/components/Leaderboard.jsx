@@ -0,0 +1,349 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { FiDownload, FiX } from 'react-icons/fi';
+import api from '../services/api';
+import { STATUS_LABELS, STATUS_PILL_STYLES } from '../utils/complaintStatus';
+import { getBlobErrorMessage, saveBlobResponse } from '../utils/download';
+
+const RANGE_OPTIONS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' },
+];
+
+const GROUP_OPTIONS = [
+  { key: 'department', label: 'Departments' },
+  { key: 'handler', label: 'Handlers' },
+];
+
+const SORT_OPTIONS = [
+  { key: 'handled', label: 'Volume handled' },
+  { key: 'resolutionTime', label: 'Fastest resolution' },
+  { key: 'reopenRate', label: 'Lowest reopen rate' },
+  { key: 'rating', label: 'Highest rating' },
+];
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const COMPLAINT_EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 20;
+
+const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round((hours / 24) * 10) / 10}d`;
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Resolved complaints behind one leaderboard row
+const DrillDown = ({ row, params, onClose }) => {
+  const [complaints, setComplaints] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    const fetchComplaints = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get('/api/admin/leaderboard/complaints', {
+          params: { ...params, key: row.key, page, limit: PAGE_SIZE },
+        });
+        if (response.data.success) {
+          setComplaints(response.data.data.complaints);
+          setPagination(response.data.data.pagination);
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load complaints');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComplaints();
+  }, [row.key, params, page]);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const response = await api.get('/api/admin/leaderboard/complaints/export', {
+        params: { ...params, key: row.key, format },
+        responseType: 'blob',
+      });
+      saveBlobResponse(response, `resolved-complaints-${today()}.${format}`);
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, 'Failed to export complaints'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-200 bg-gray-50 px-4 py-4 sm:px-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-900">
+          Resolved by {row.label}
+          {pagination && <span className="ml-1 font-normal text-gray-500">({pagination.total})</span>}
+        </h3>
+        <div className="flex items-center gap-2">
+          {COMPLAINT_EXPORT_FORMATS.map((format) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => handleExport(format)}
+              disabled={!!exporting}
+              className="inline-flex items-center gap-1 px-2 py-1 border border-gray-300 rounded text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <FiDownload className="w-3 h-3" />
+              {exporting === format ? '...' : format.toUpperCase()}
+            </button>
+          ))}
+          <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Close">
+            <FiX className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-24 bg-white rounded animate-pulse" />
+      ) : complaints.length === 0 ? (
+        <p className="text-sm text-gray-500">No complaints</p>
+      ) : (
+        <div className="overflow-x-auto bg-white border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-xs">
+            <thead className="bg-gray-50 text-gray-500 uppercase tracking-wide">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Complaint</th>
+                <th className="px-3 py-2 text-left font-medium">Status</th>
+                <th className="px-3 py-2 text-left font-medium">Resolved</th>
+                <th className="px-3 py-2 text-left font-medium">Took</th>
+                <th className="px-3 py-2 text-left font-medium">Reopened</th>
+                <th className="px-3 py-2 text-left font-medium">Rating</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 text-gray-700">
+              {complaints.map((complaint) => (
+                <tr key={complaint._id}>
+                  <td className="px-3 py-2">
+                    <p className="font-medium text-gray-900">{complaint.complaintId || complaint._id}</p>
+                    <p className="text-gray-500 truncate max-w-xs">{complaint.subject}</p>
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 rounded-full font-medium ${STATUS_PILL_STYLES[complaint.status] || ''}`}>
+                      {STATUS_LABELS[complaint.status] || complaint.status}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    {new Date(complaint.resolvedAt).toLocaleDateString()}
+                    {complaint.resolvedBy?.name && <span className="block text-gray-400">{complaint.resolvedBy.name}</span>}
+                  </td>
+                  <td className="px-3 py-2">
+                    {formatDuration(Math.round(((new Date(complaint.resolvedAt) - new Date(complaint.createdAt)) / 36e5) * 10) / 10)}
+                  </td>
+                  <td className="px-3 py-2">{complaint.reopenHistory?.length ? `${complaint.reopenHistory.length}x` : '—'}</td>
+                  <td className="px-3 py-2">{complaint.rating ? `${complaint.rating}/5` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-end gap-2 mt-3 text-xs text-gray-600">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-2 py-1 border border-gray-300 rounded bg-white disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pagination.pages}</span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="px-2 py-1 border border-gray-300 rounded bg-white disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Departments and handlers ranked by the complaints they resolved
+const Leaderboard = () => {
+  const [days, setDays] = useState(30);
+  const [groupBy, setGroupBy] = useState('department');
+  const [sortBy, setSortBy] = useState('handled');
+  const [params, setParams] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    const to = new Date();
+    setParams({
+      from: new Date(to.getTime() - days * DAY_MS).toISOString(),
+      to: to.toISOString(),
+      groupBy,
+    });
+    setSelected(null);
+  }, [days, groupBy]);
+
+  useEffect(() => {
+    if (!params) return;
+
+    const fetchLeaderboard = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get('/api/admin/leaderboard', { params: { ...params, sortBy } });
+        if (response.data.success) {
+          setRows(response.data.data.leaderboard.rows);
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load leaderboard');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLeaderboard();
+  }, [params, sortBy]);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const response = await api.get('/api/admin/leaderboard/export', {
+        params: { ...params, sortBy, format },
+        responseType: 'blob',
+      });
+      saveBlobResponse(response, `leaderboard-${groupBy}-${today()}.${format}`);
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, 'Failed to export leaderboard'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const selectClass = 'border border-gray-300 rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-blue-500';
+  const isHandlers = groupBy === 'handler';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Leaderboard</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Complaints resolved in the period, by handling department or the person who resolved them
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => handleExport(format)}
+              disabled={!!exporting || !params}
+              className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <FiDownload className="w-4 h-4" />
+              {exporting === format ? 'Exporting...' : format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white shadow sm:rounded-lg overflow-hidden">
+        <div className="flex flex-wrap items-center gap-3 px-4 py-3 sm:px-6 border-b border-gray-200">
+          <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+            {GROUP_OPTIONS.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                onClick={() => setGroupBy(option.key)}
+                className={`px-3 py-1.5 text-sm font-medium ${
+                  groupBy === option.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} className={selectClass}>
+            {RANGE_OPTIONS.map((option) => (
+              <option key={option.days} value={option.days}>{option.label}</option>
+            ))}
+          </select>
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={selectClass}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>Rank by: {option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="h-48 animate-pulse bg-gray-50" />
+        ) : rows.length === 0 ? (
+          <p className="px-6 py-10 text-center text-sm text-gray-500">No complaints were resolved in this period</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 text-xs text-gray-500 uppercase tracking-wide">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium">#</th>
+                  <th className="px-4 py-2 text-left font-medium">{isHandlers ? 'Handler' : 'Department'}</th>
+                  <th className="px-4 py-2 text-right font-medium">Handled</th>
+                  <th className="px-4 py-2 text-right font-medium">Median Resolution</th>
+                  <th className="px-4 py-2 text-right font-medium">Reopen Rate</th>
+                  <th className="px-4 py-2 text-right font-medium">Avg Rating</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 text-gray-700">
+                {rows.map((row) => (
+                  <tr
+                    key={row.key || row.label}
+                    onClick={() => row.key && setSelected(selected?.key === row.key ? null : row)}
+                    className={`${row.key ? 'cursor-pointer hover:bg-gray-50' : ''} ${selected?.key === row.key ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="px-4 py-2 font-semibold text-gray-900">{row.rank}</td>
+                    <td className="px-4 py-2">
+                      <p className="font-medium text-gray-900">{row.label}</p>
+                      {isHandlers && row.handler && (
+                        <p className="text-xs text-gray-500">{row.handler.department || row.handler.email}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-right">{row.handled}</td>
+                    <td className="px-4 py-2 text-right" title={`Mean ${formatDuration(row.meanResolutionHours)}`}>
+                      {formatDuration(row.medianResolutionHours)}
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {row.reopenRate}%
+                      <span className="ml-1 text-xs text-gray-400">({row.reopened})</span>
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {row.averageRating === null ? '—' : row.averageRating.toFixed(2)}
+                      <span className="ml-1 text-xs text-gray-400">({row.rated})</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {selected && <DrillDown key={selected.key} row={selected} params={params} onClose={() => setSelected(null)} />}
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
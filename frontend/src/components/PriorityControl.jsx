@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import { COMPLAINT_PRIORITIES, PRIORITY_LABELS } from '../utils/complaintSla';
+
+// Staff override of a complaint's priority, showing what the complainant suggested.
+const PriorityControl = ({ basePath, complaint, onChanged }) => {
+  const [saving, setSaving] = useState(false);
+  const current = complaint.priority || 'NORMAL';
+
+  const handleChange = async (priority) => {
+    if (priority === current) return;
+    if (priority === 'URGENT' && !window.confirm('Mark this complaint as urgent? The department head will be notified.')) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await api.patch(`${basePath}/complaints/${complaint._id}/priority`, { priority });
+      toast.success(response?.data?.message || 'Priority updated');
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update priority');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <select
+        value={current}
+        onChange={(e) => handleChange(e.target.value)}
+        disabled={saving}
+        className="h-7 w-full rounded-md border border-gray-200 px-1 text-sm text-gray-900 focus:border-indigo-500 focus:outline-none disabled:opacity-50"
+      >
+        {COMPLAINT_PRIORITIES.map((priority) => (
+          <option key={priority} value={priority}>
+            {PRIORITY_LABELS[priority]}
+          </option>
+        ))}
+      </select>
+      {complaint.suggestedPriority && complaint.suggestedPriority !== current && (
+        <p className="mt-0.5 text-[11px] text-gray-500">
+          Suggested: {PRIORITY_LABELS[complaint.suggestedPriority]}
+        </p>
+      )}
+      {complaint.sla?.escalationLevel > 0 && (
+        <p className="mt-0.5 text-[11px] text-red-600">Escalated ×{complaint.sla.escalationLevel}</p>
+      )}
+    </div>
+  );
+};
+
+export default PriorityControl;
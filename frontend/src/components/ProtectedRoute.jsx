@@ -2,8 +2,18 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { user, loading, requirePasswordChange } = useAuth();
+// Two-factor setup page (reachable while setup is required)
+const TWO_FACTOR_PATHS = ['/two-factor', '/TwoFactor'];
+
+// allowedPermissions lets staff outside allowedRoles in when they hold any of
+// the listed permissions (granted through custom roles)
+const isAllowed = (currentUser, allowedRoles, allowedPermissions) =>
+  allowedRoles.length === 0 ||
+  allowedRoles.includes(currentUser.role) ||
+  allowedPermissions.some((permission) => currentUser.permissions?.includes(permission));
+
+const ProtectedRoute = ({ children, allowedRoles = [], allowedPermissions = [] }) => {
+  const { user, loading, requirePasswordChange, requireTwoFactorSetup } = useAuth();
   const router = useRouter();
   const [isClient, setIsClient] = useState(false);
 
@@ -32,8 +42,14 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
       return;
     }
 
+    // Role requires two-factor authentication - redirect to set it up
+    if (!requirePasswordChange && requireTwoFactorSetup && !TWO_FACTOR_PATHS.includes(currentPath)) {
+      router.replace('/two-factor');
+      return;
+    }
+
     // Check role permissions
-    if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
+    if (!isAllowed(user, allowedRoles, allowedPermissions)) {
       // Redirect to appropriate dashboard based on role
       const dashboardMap = {
         'ADMIN': '/admin/dashboard',
@@ -43,7 +59,7 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
       };
       router.replace(dashboardMap[user.role] || '/Login');
     }
-  }, [isClient, router, user, loading, requirePasswordChange, allowedRoles]);
+  }, [isClient, router, user, loading, requirePasswordChange, requireTwoFactorSetup, allowedRoles, allowedPermissions]);
 
   // Show loading spinner during SSR or while checking auth
   if (!isClient || loading || !router.isReady) {
@@ -73,8 +89,17 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
     );
   }
 
+  // Needs two-factor setup - show loading while redirecting
+  if (!requirePasswordChange && requireTwoFactorSetup && !TWO_FACTOR_PATHS.includes(currentPath)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
   // Wrong role - show loading while redirecting
-  if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
+  if (!isAllowed(user, allowedRoles, allowedPermissions)) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
         <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
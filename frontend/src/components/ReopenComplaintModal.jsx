@@ -1,9 +1,11 @@
 import { useState } from 'react';
 import toast from 'react-hot-toast';
 import { FiX, FiAlertCircle } from 'react-icons/fi';
+import AttachmentPicker from './AttachmentPicker';
 
 const ReopenComplaintModal = ({ onClose, onReopen }) => {
   const [reopenRemarks, setReopenRemarks] = useState('');
+  const [attachments, setAttachments] = useState([]);
   const [submitting, setSubmitting] = useState(false);
 
   const handleSubmit = async (e) => {
@@ -16,8 +18,9 @@ const ReopenComplaintModal = ({ onClose, onReopen }) => {
 
     try {
       setSubmitting(true);
-      await onReopen(reopenRemarks);
+      await onReopen(reopenRemarks, attachments);
       setReopenRemarks('');
+      setAttachments([]);
     } catch (error) {
       // Error already handled by parent
     } finally {
@@ -95,6 +98,17 @@ const ReopenComplaintModal = ({ onClose, onReopen }) => {
                   </p>
                 </div>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-800 mb-2">
+                  Supporting Files (optional)
+                </label>
+                <AttachmentPicker
+                  files={attachments}
+                  onChange={setAttachments}
+                  disabled={submitting}
+                />
+              </div>
             </div>
 
             {/* Footer */}
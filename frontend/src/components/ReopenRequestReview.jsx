@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+
+const DECISION_LABELS = {
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+};
+
+// A complainant's request to reopen a closed complaint. Admins approve or
+// reject it; other staff only see that it is waiting.
+const ReopenRequestReview = ({ complaint, canDecide = false, onChanged }) => {
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const request = complaint.reopenRequest;
+  if (!request) return null;
+
+  const handleDecision = async (approve) => {
+    setSaving(true);
+    try {
+      const response = await api.patch(`/api/admin/complaints/${complaint._id}/reopen-request`, {
+        approve,
+        ...(note.trim() && { note: note.trim() }),
+      });
+      toast.success(response?.data?.message || 'Reopen request updated');
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update reopen request');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (request.status !== 'PENDING') {
+    return (
+      <p className="text-[11px] text-gray-500">
+        Reopen request {DECISION_LABELS[request.status]?.toLowerCase()} {new Date(request.decidedAt).toLocaleString()}
+        {request.decisionNote && <>: {request.decisionNote}</>}
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-xs font-semibold text-gray-700">Reopen Request</p>
+      <div className="mt-2 rounded-md border border-orange-200 bg-orange-50 px-4 py-3 space-y-2">
+        <p className="text-xs text-orange-700 font-medium">
+          Requested {new Date(request.requestedAt).toLocaleString()}
+        </p>
+        <p className="text-sm text-orange-900 whitespace-pre-wrap break-words">{request.remarks}</p>
+
+        {canDecide ? (
+          <>
+            <textarea
+              rows={2}
+              maxLength={1000}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note to the complainant (optional)"
+              className="w-full rounded-md border border-orange-200 bg-white px-2 py-1.5 text-xs text-gray-800 focus:border-orange-400 focus:outline-none"
+            />
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => handleDecision(true)}
+                disabled={saving}
+                className="px-3 py-1.5 rounded-md bg-orange-600 text-white text-xs font-medium hover:bg-orange-700 disabled:opacity-50"
+              >
+                Approve &amp; Reopen
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDecision(false)}
+                disabled={saving}
+                className="px-3 py-1.5 rounded-md border border-gray-300 bg-white text-gray-700 text-xs font-medium hover:bg-gray-50 disabled:opacity-50"
+              >
+                Reject
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="text-[11px] text-orange-700">Waiting for an admin to approve or reject it.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReopenRequestReview;
@@ -0,0 +1,397 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { FiDownload, FiSave, FiTrash2 } from 'react-icons/fi';
+import api from '../services/api';
+import { COMPLAINT_PRIORITIES, PRIORITY_LABELS } from '../utils/complaintSla';
+import {
+  DEFAULT_REPORT_COLUMNS,
+  REPORT_COLUMN_OPTIONS,
+  REPORT_FORMAT_OPTIONS,
+  REPORT_RANGE_OPTIONS,
+} from '../utils/reportOptions';
+import { getBlobErrorMessage, saveBlobResponse } from '../utils/download';
+
+// Full class names so Tailwind keeps them in the build
+const ACCENTS = {
+  blue: {
+    button: 'bg-blue-600 hover:bg-blue-700 focus:ring-blue-500',
+    input: 'text-blue-600 focus:ring-blue-500',
+    selected: 'border-blue-500 bg-blue-50',
+    field: 'focus:ring-blue-500 focus:border-blue-500',
+  },
+  indigo: {
+    button: 'bg-indigo-600 hover:bg-indigo-700 focus:ring-indigo-500',
+    input: 'text-indigo-600 focus:ring-indigo-500',
+    selected: 'border-indigo-500 bg-indigo-50',
+    field: 'focus:ring-indigo-500 focus:border-indigo-500',
+  },
+};
+
+// Report format, period, filters and columns, with per-user saved presets.
+// `basePath` is the API prefix of the viewer (/api/admin or /api/sub-admin).
+const ReportBuilder = ({ basePath, accent = 'blue' }) => {
+  const colors = ACCENTS[accent] || ACCENTS.blue;
+  const [format, setFormat] = useState('csv');
+  const [range, setRange] = useState('last7days');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [priority, setPriority] = useState('all');
+  const [columns, setColumns] = useState(DEFAULT_REPORT_COLUMNS);
+  const [includeFullText, setIncludeFullText] = useState(false);
+  const [generating, setGenerating] = useState(false);
+
+  const [presets, setPresets] = useState([]);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [savingPreset, setSavingPreset] = useState(false);
+
+  const fieldClass = `mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none sm:text-sm ${colors.field}`;
+
+  useEffect(() => {
+    const fetchPresets = async () => {
+      try {
+        const response = await api.get(`${basePath}/report-presets`);
+        if (response.data.success) {
+          setPresets(response.data.data.presets);
+        }
+      } catch {
+      }
+    };
+
+    fetchPresets();
+  }, [basePath]);
+
+  const applyPreset = (presetId) => {
+    setSelectedPresetId(presetId);
+    const preset = presets.find((item) => item._id === presetId);
+    if (!preset) return;
+
+    setFormat(preset.format);
+    setColumns(preset.columns);
+    setIncludeFullText(preset.includeFullText);
+    setRange(preset.predefinedRange);
+    setPriority(preset.priority || 'all');
+    setPresetName(preset.name);
+  };
+
+  const toggleColumn = (key) => {
+    setColumns((prev) => (prev.includes(key) ? prev.filter((column) => column !== key) : [...prev, key]));
+  };
+
+  const handleSavePreset = async () => {
+    if (!presetName.trim()) {
+      toast.error('Enter a name for the preset');
+      return;
+    }
+    if (columns.length === 0) {
+      toast.error('Select at least one column');
+      return;
+    }
+
+    setSavingPreset(true);
+    try {
+      const response = await api.post(`${basePath}/report-presets`, {
+        name: presetName.trim(),
+        format,
+        columns,
+        includeFullText,
+        // Presets keep relative periods; custom dates are not saved
+        predefinedRange: range === 'custom' ? 'last30days' : range,
+        priority: priority === 'all' ? null : priority,
+      });
+      const saved = response.data.data.preset;
+      setPresets((prev) =>
+        [...prev.filter((item) => item._id !== saved._id), saved].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setSelectedPresetId(saved._id);
+      toast.success(response.data.message || 'Report preset saved');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save preset');
+    } finally {
+      setSavingPreset(false);
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    const preset = presets.find((item) => item._id === selectedPresetId);
+    if (!preset || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+
+    try {
+      await api.delete(`${basePath}/report-presets/${preset._id}`);
+      setPresets((prev) => prev.filter((item) => item._id !== preset._id));
+      setSelectedPresetId('');
+      setPresetName('');
+      toast.success('Report preset deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete preset');
+    }
+  };
+
+  const handleGenerateReport = async () => {
+    if (range === 'custom' && (!startDate || !endDate)) {
+      toast.error('Please select both start and end dates');
+      return;
+    }
+    if (columns.length === 0) {
+      toast.error('Select at least one column');
+      return;
+    }
+
+    setGenerating(true);
+    try {
+      const params = {
+        format,
+        columns: columns.join(','),
+        includeFullText: String(includeFullText),
+        predefinedRange: range,
+      };
+      if (range === 'custom') {
+        params.startDate = startDate;
+        params.endDate = endDate;
+      }
+      if (priority !== 'all') {
+        params.priority = priority;
+      }
+
+      const response = await api.get(`${basePath}/reports`, {
+        params,
+        responseType: 'blob',
+      });
+
+      saveBlobResponse(response, `complaints-report-${new Date().toISOString().split('T')[0]}.${format}`);
+
+      toast.success('Report downloaded successfully');
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, 'Failed to generate report'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Presets */}
+      <div className="bg-white shadow sm:rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Saved Presets</h3>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label htmlFor="report-preset" className="block text-sm font-medium text-gray-700">
+                Load preset
+              </label>
+              <div className="flex gap-2">
+                <select
+                  id="report-preset"
+                  value={selectedPresetId}
+                  onChange={(e) => applyPreset(e.target.value)}
+                  className={fieldClass}
+                >
+                  <option value="">{presets.length ? 'Choose a preset' : 'No saved presets'}</option>
+                  {presets.map((preset) => (
+                    <option key={preset._id} value={preset._id}>{preset.name}</option>
+                  ))}
+                </select>
+                {selectedPresetId && (
+                  <button
+                    type="button"
+                    onClick={handleDeletePreset}
+                    title="Delete preset"
+                    className="mt-1 px-3 border border-gray-300 rounded-md text-red-600 hover:bg-red-50"
+                  >
+                    <FiTrash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+            <div>
+              <label htmlFor="preset-name" className="block text-sm font-medium text-gray-700">
+                Save current settings as
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="preset-name"
+                  value={presetName}
+                  onChange={(e) => setPresetName(e.target.value)}
+                  maxLength={100}
+                  placeholder="e.g. Weekly status review"
+                  className={fieldClass}
+                />
+                <button
+                  type="button"
+                  onClick={handleSavePreset}
+                  disabled={savingPreset}
+                  className="mt-1 inline-flex items-center gap-1 px-3 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <FiSave className="w-4 h-4" />
+                  {savingPreset ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+              {range === 'custom' && (
+                <p className="mt-1 text-xs text-gray-500">Custom dates are not saved; the preset will use the last 30 days.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white shadow sm:rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+            Select Report Parameters
+          </h3>
+
+          <div className="space-y-6">
+            {/* Format */}
+            <div>
+              <label className="text-base font-medium text-gray-900">Format</label>
+              <div className="mt-3 grid grid-cols-2 gap-3 sm:grid-cols-4">
+                {REPORT_FORMAT_OPTIONS.map((option) => (
+                  <button
+                    key={option.key}
+                    type="button"
+                    onClick={() => setFormat(option.key)}
+                    className={`text-left rounded-md border p-3 ${
+                      format === option.key ? colors.selected : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{option.label}</p>
+                    <p className="text-xs text-gray-500">{option.description}</p>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Report Period */}
+            <div>
+              <label className="text-base font-medium text-gray-900">Report Period</label>
+              <p className="text-sm leading-5 text-gray-500">Choose the time range for the report</p>
+              <fieldset className="mt-4">
+                <legend className="sr-only">Report period</legend>
+                <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                  {REPORT_RANGE_OPTIONS.map((option) => (
+                    <div key={option.key} className="flex items-center">
+                      <input
+                        id={`range-${option.key}`}
+                        name="report-range"
+                        type="radio"
+                        checked={range === option.key}
+                        onChange={() => setRange(option.key)}
+                        className={`h-4 w-4 border-gray-300 ${colors.input}`}
+                      />
+                      <label htmlFor={`range-${option.key}`} className="ml-3 block text-sm font-medium text-gray-700">
+                        {option.label}
+                      </label>
+                    </div>
+                  ))}
+                </div>
+              </fieldset>
+            </div>
+
+            {range === 'custom' && (
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label htmlFor="start-date" className="block text-sm font-medium text-gray-700">
+                    Start Date
+                  </label>
+                  <input
+                    type="date"
+                    id="start-date"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    className={fieldClass}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="end-date" className="block text-sm font-medium text-gray-700">
+                    End Date
+                  </label>
+                  <input
+                    type="date"
+                    id="end-date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    className={fieldClass}
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Priority */}
+            <div className="sm:w-1/2">
+              <label htmlFor="report-priority" className="block text-sm font-medium text-gray-700">
+                Priority
+              </label>
+              <select
+                id="report-priority"
+                value={priority}
+                onChange={(e) => setPriority(e.target.value)}
+                className={fieldClass}
+              >
+                <option value="all">All priorities</option>
+                {COMPLAINT_PRIORITIES.map((value) => (
+                  <option key={value} value={value}>{PRIORITY_LABELS[value]}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Columns */}
+            <div>
+              <div className="flex items-center justify-between">
+                <label className="text-base font-medium text-gray-900">Columns</label>
+                <div className="flex gap-3 text-xs font-medium">
+                  <button type="button" onClick={() => setColumns(REPORT_COLUMN_OPTIONS.map((column) => column.key))} className="text-gray-600 hover:text-gray-900">
+                    Select all
+                  </button>
+                  <button type="button" onClick={() => setColumns(DEFAULT_REPORT_COLUMNS)} className="text-gray-600 hover:text-gray-900">
+                    Defaults
+                  </button>
+                  <button type="button" onClick={() => setColumns([])} className="text-gray-600 hover:text-gray-900">
+                    Clear
+                  </button>
+                </div>
+              </div>
+              <div className="mt-3 grid grid-cols-1 gap-2 sm:grid-cols-3">
+                {REPORT_COLUMN_OPTIONS.map((column) => (
+                  <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={columns.includes(column.key)}
+                      onChange={() => toggleColumn(column.key)}
+                      className={`h-4 w-4 rounded border-gray-300 ${colors.input}`}
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </div>
+              <label className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={includeFullText}
+                  onChange={(e) => setIncludeFullText(e.target.checked)}
+                  className={`h-4 w-4 rounded border-gray-300 ${colors.input}`}
+                />
+                Include the full complaint text (otherwise the first 200 characters)
+              </label>
+            </div>
+
+            {/* Generate Button */}
+            <div className="flex justify-end">
+              <button
+                onClick={handleGenerateReport}
+                disabled={generating}
+                className={`inline-flex items-center gap-2 px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 ${colors.button}`}
+              >
+                <FiDownload className="w-4 h-4" />
+                {generating
+                  ? 'Generating...'
+                  : `Download Report (${REPORT_FORMAT_OPTIONS.find((option) => option.key === format)?.label})`}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportBuilder;
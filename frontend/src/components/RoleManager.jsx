@@ -0,0 +1,446 @@
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { FiEdit2, FiPlus, FiSearch, FiTrash2 } from 'react-icons/fi';
+
+const PERMISSION_LABELS = {
+  'complaints.view': { label: 'View complaints', hint: 'All complaints, stats and the leaderboard' },
+  'complaints.resolve': { label: 'Resolve complaints', hint: 'Change status, priority, assignment and comment' },
+  'reports.export': { label: 'Export reports', hint: 'Reports, report presets and data exports' },
+  'users.manage': { label: 'Manage users', hint: 'Add and edit students, employees and sub-admins' },
+  'email_config.manage': { label: 'Manage email configuration', hint: 'Complaint notification recipients' },
+  'attendance.upload': { label: 'Upload attendance', hint: 'Attendance files and the upload activity log' },
+};
+
+const ROLE_LABELS = {
+  SUB_ADMIN: 'Sub-admin',
+  EMPLOYEE: 'Employee',
+};
+
+const EMPTY_FORM = { name: '', description: '', permissions: [] };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallback;
+
+// Create or edit one custom role
+const RoleForm = ({ role, permissions, onSaved, onCancel }) => {
+  const [form, setForm] = useState(
+    role ? { name: role.name, description: role.description || '', permissions: role.permissions } : EMPTY_FORM
+  );
+  const [saving, setSaving] = useState(false);
+
+  const togglePermission = (permission) => {
+    setForm((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter((p) => p !== permission)
+        : [...prev.permissions, permission],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = { ...form, name: form.name.trim(), description: form.description.trim() };
+      const response = role
+        ? await api.put(`/api/admin/roles/${role._id}`, payload)
+        : await api.post('/api/admin/roles', payload);
+      toast.success(response.data.message || 'Role saved');
+      onSaved();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save role'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            maxLength={60}
+            placeholder="e.g. HR Attendance"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            autoFocus
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+          <input
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            maxLength={300}
+            placeholder="What this role is for"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-gray-900">Permissions</p>
+        {permissions.map((permission) => (
+          <label key={permission} className="flex items-start gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.permissions.includes(permission)}
+              onChange={() => togglePermission(permission)}
+              className="mt-0.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            <span>
+              {PERMISSION_LABELS[permission]?.label || permission}
+              {PERMISSION_LABELS[permission]?.hint && (
+                <span className="block text-xs text-gray-500">{PERMISSION_LABELS[permission].hint}</span>
+              )}
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || form.name.trim().length < 2 || form.permissions.length === 0}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : role ? 'Save Role' : 'Create Role'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Pick which custom roles one staff member holds
+const AssignRoles = ({ roles, onAssigned }) => {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [roleIds, setRoleIds] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!search.trim()) return;
+    setSearching(true);
+    try {
+      const params = { search: search.trim(), limit: 10 };
+      const [employees, subAdmins] = await Promise.all([
+        api.get('/api/admin/employees', { params }),
+        api.get('/api/admin/sub-admins', { params }),
+      ]);
+      setResults([...subAdmins.data.data.subAdmins, ...employees.data.data.employees]);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to search staff'));
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const selectUser = (user) => {
+    setSelected(user);
+    setRoleIds((user.customRoles || []).map((role) => String(role._id || role)));
+  };
+
+  const toggleRole = (id) => {
+    setRoleIds((prev) => (prev.includes(id) ? prev.filter((r) => r !== id) : [...prev, id]));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await api.put(`/api/admin/users/${selected._id}/roles`, { roleIds });
+      toast.success(response.data.message || 'Roles updated');
+      setSelected(null);
+      setResults([]);
+      setSearch('');
+      onAssigned();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update roles'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSearch} className="flex gap-2">
+        <div className="relative flex-1">
+          <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search sub-admins and employees by name, email or department"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={searching || !search.trim()}
+          className="px-4 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {results.length > 0 && !selected && (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {results.map((user) => (
+            <li key={user._id} className="px-4 py-2 flex items-center justify-between gap-2">
+              <div>
+                <p className="text-sm text-gray-900">
+                  {user.name} <span className="text-gray-500">{user.email}</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {ROLE_LABELS[user.role] || user.role}
+                  {user.department ? ` · ${user.department}` : ''}
+                </p>
+              </div>
+              <button type="button" onClick={() => selectUser(user)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                Choose
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <p className="text-sm text-gray-900">
+            Roles for <span className="font-medium">{selected.name}</span>{' '}
+            <span className="text-gray-500">({ROLE_LABELS[selected.role] || selected.role})</span>
+          </p>
+          {roles.length === 0 ? (
+            <p className="text-sm text-gray-500">Create a role first.</p>
+          ) : (
+            roles.map((role) => (
+              <label key={role._id} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={roleIds.includes(String(role._id))}
+                  onChange={() => toggleRole(String(role._id))}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                {role.name}
+              </label>
+            ))
+          )}
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setSelected(null)}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving}
+              className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Roles'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RoleManager = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [editing, setEditing] = useState(null); // role being edited, or 'new'
+  const [loading, setLoading] = useState(true);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await api.get('/api/admin/roles');
+      const { roles: customRoles, permissions: available, users: holders } = response.data.data;
+      setRoles(customRoles);
+      setPermissions(available);
+      setUsers(holders);
+    } catch (error) {
+      toast.error('Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchRoles();
+  };
+
+  const handleDelete = async (role) => {
+    const holders = role.userCount ? ` ${role.userCount} user${role.userCount === 1 ? '' : 's'} will lose it.` : '';
+    if (!window.confirm(`Delete the "${role.name}" role?${holders}`)) return;
+
+    try {
+      const response = await api.delete(`/api/admin/roles/${role._id}`);
+      toast.success(response.data.message || 'Role deleted');
+      fetchRoles();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete role'));
+    }
+  };
+
+  const handleRemove = async (user, roleId) => {
+    try {
+      const roleIds = user.customRoles.map((role) => role._id).filter((id) => id !== roleId);
+      const response = await api.put(`/api/admin/users/${user._id}/roles`, { roleIds });
+      toast.success(response.data.message || 'Roles updated');
+      fetchRoles();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update roles'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Roles & Permissions</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Give sub-admins and employees specific admin abilities without making them admins. Admins always have
+              every permission.
+            </p>
+          </div>
+          {editing !== 'new' && (
+            <button
+              type="button"
+              onClick={() => setEditing('new')}
+              className="inline-flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              <FiPlus /> New Role
+            </button>
+          )}
+        </div>
+
+        {editing === 'new' && (
+          <div className="mb-6">
+            <RoleForm permissions={permissions} onSaved={handleSaved} onCancel={() => setEditing(null)} />
+          </div>
+        )}
+
+        {roles.length === 0 ? (
+          <p className="text-sm text-gray-500">No custom roles yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {roles.map((role) =>
+              editing?._id === role._id ? (
+                <li key={role._id} className="p-4">
+                  <RoleForm role={role} permissions={permissions} onSaved={handleSaved} onCancel={() => setEditing(null)} />
+                </li>
+              ) : (
+                <li key={role._id} className="px-4 py-3 flex flex-wrap items-start justify-between gap-2">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {role.name}{' '}
+                      <span className="text-xs font-normal text-gray-500">
+                        · {role.userCount} user{role.userCount === 1 ? '' : 's'}
+                      </span>
+                    </p>
+                    {role.description && <p className="text-xs text-gray-500">{role.description}</p>}
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {role.permissions.map((permission) => (
+                        <span key={permission} className="px-2 py-0.5 rounded-full text-xs bg-indigo-50 text-indigo-700">
+                          {PERMISSION_LABELS[permission]?.label || permission}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setEditing(role)}
+                      className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+                    >
+                      <FiEdit2 size={14} /> Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(role)}
+                      className="inline-flex items-center gap-1 text-sm text-red-600 hover:text-red-800"
+                    >
+                      <FiTrash2 size={14} /> Delete
+                    </button>
+                  </div>
+                </li>
+              )
+            )}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Assign Roles</h2>
+        <p className="text-sm text-gray-600 mt-1 mb-6">
+          Changes apply the next time the person loads the portal.
+        </p>
+        <AssignRoles roles={roles} onAssigned={fetchRoles} />
+
+        <p className="text-sm font-medium text-gray-900 mt-6 mb-2">Staff with custom roles</p>
+        {users.length === 0 ? (
+          <p className="text-sm text-gray-500">Nobody holds a custom role.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {users.map((user) => (
+              <li key={user._id} className="px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <p className="text-sm text-gray-900">
+                    {user.name} <span className="text-gray-500">{user.email}</span>
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {ROLE_LABELS[user.role] || user.role}
+                    {user.department ? ` · ${user.department}` : ''}
+                    {!user.isActive ? ' · Inactive' : ''}
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {user.customRoles.map((role) => (
+                    <span key={role._id} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                      {role.name}
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(user, role._id)}
+                        className="text-gray-400 hover:text-red-600"
+                        aria-label={`Remove ${role.name}`}
+                      >
+                        ×
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoleManager;
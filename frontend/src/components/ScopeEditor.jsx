@@ -0,0 +1,75 @@
+import { FiPlus, FiX } from 'react-icons/fi';
+
+// Label for one sub-admin scope
+export const formatScope = (scope) => (scope.college ? `${scope.department} (${scope.college})` : scope.department);
+
+// What a sub-admin covers: their scopes, or just their department
+export const describeScopes = (user) =>
+  user?.scopes?.length ? user.scopes.map(formatScope).join(', ') : user?.department;
+
+// Scopes worth sending: rows with a department, college left empty for any college
+export const cleanScopes = (scopes = []) =>
+  scopes
+    .filter((scope) => scope.department?.trim())
+    .map((scope) => ({ department: scope.department.trim(), college: scope.college?.trim() || null }));
+
+// Departments (each optionally limited to one college) a sub-admin covers.
+// Leaving it empty keeps the sub-admin on their own department.
+const ScopeEditor = ({ scopes = [], onChange }) => {
+  const updateScope = (index, field, value) => {
+    onChange(scopes.map((scope, i) => (i === index ? { ...scope, [field]: value } : scope)));
+  };
+
+  const addScope = () => onChange([...scopes, { department: '', college: '' }]);
+
+  const removeScope = (index) => onChange(scopes.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      {scopes.map((scope, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={scope.department}
+            onChange={(e) => updateScope(index, 'department', e.target.value)}
+            placeholder="Department"
+            maxLength={200}
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <input
+            type="text"
+            value={scope.college || ''}
+            onChange={(e) => updateScope(index, 'college', e.target.value)}
+            placeholder="College (any if empty)"
+            maxLength={200}
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <button
+            type="button"
+            onClick={() => removeScope(index)}
+            className="p-2 text-gray-400 hover:text-red-600"
+            aria-label="Remove scope"
+          >
+            <FiX size={16} />
+          </button>
+        </div>
+      ))}
+      {scopes.length < 20 && (
+        <button
+          type="button"
+          onClick={addScope}
+          className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+        >
+          <FiPlus size={14} /> Add department
+        </button>
+      )}
+      <p className="text-xs text-gray-500">
+        {scopes.length === 0
+          ? 'Covers only the department above. Add departments to cover several, or to limit one to a college.'
+          : 'Covers exactly these departments (names match regardless of case and spacing).'}
+      </p>
+    </div>
+  );
+};
+
+export default ScopeEditor;
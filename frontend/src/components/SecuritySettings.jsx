@@ -0,0 +1,416 @@
+import { useCallback, useEffect, useState } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { FiCheckCircle, FiLock, FiXCircle } from 'react-icons/fi';
+
+const ROLE_LABELS = {
+  ADMIN: 'Admins',
+  SUB_ADMIN: 'Sub-admins',
+  EMPLOYEE: 'Employees',
+};
+
+const EVENT_LABELS = {
+  TWO_FACTOR_SETUP_STARTED: 'Setup started',
+  TWO_FACTOR_ENABLED: 'Two-factor turned on',
+  TWO_FACTOR_DISABLED: 'Two-factor turned off',
+  TWO_FACTOR_VERIFIED: 'Signed in with code',
+  TWO_FACTOR_FAILED: 'Wrong code',
+  TWO_FACTOR_BACKUP_CODE_USED: 'Backup code used',
+  TWO_FACTOR_BACKUP_CODES_REGENERATED: 'Backup codes replaced',
+  TWO_FACTOR_RESET: 'Two-factor reset',
+  TWO_FACTOR_POLICY_UPDATED: 'Policy updated',
+  LOGIN_FAILED: 'Wrong password',
+  ACCOUNT_LOCKED: 'Account locked',
+  ACCOUNT_UNLOCKED: 'Account unlocked',
+  NEW_DEVICE_LOGIN: 'New device login',
+};
+
+const EVENT_STYLES = {
+  TWO_FACTOR_FAILED: 'bg-red-100 text-red-700',
+  TWO_FACTOR_RESET: 'bg-amber-100 text-amber-700',
+  TWO_FACTOR_DISABLED: 'bg-amber-100 text-amber-700',
+  TWO_FACTOR_BACKUP_CODE_USED: 'bg-amber-100 text-amber-700',
+  LOGIN_FAILED: 'bg-red-100 text-red-700',
+  ACCOUNT_LOCKED: 'bg-red-100 text-red-700',
+  NEW_DEVICE_LOGIN: 'bg-blue-100 text-blue-700',
+};
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallback;
+
+const ResetForm = ({ user, onReset, onCancel }) => {
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post(`/api/admin/two-factor/users/${user._id}/reset`, { reason: reason.trim() });
+      toast.success(response.data.message || 'Two-factor authentication reset');
+      onReset();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to reset two-factor authentication'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 mt-2">
+      <input
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        maxLength={500}
+        placeholder="Reason (e.g. lost phone, identity confirmed by call)"
+        className="flex-1 min-w-[240px] px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        autoFocus
+      />
+      <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">
+        Cancel
+      </button>
+      <button
+        type="submit"
+        disabled={saving || reason.trim().length < 5}
+        className="bg-red-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-red-700 disabled:opacity-50"
+      >
+        {saving ? 'Resetting...' : 'Reset and Sign Out'}
+      </button>
+    </form>
+  );
+};
+
+// Accounts locked after failed logins, with an early unlock
+const LockedAccounts = ({ onUnlocked }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [unlockingId, setUnlockingId] = useState(null);
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.get('/api/admin/lockouts');
+      setAccounts(response.data.data.accounts);
+      setSettings(response.data.data.settings);
+    } catch (error) {
+      console.error('Failed to load locked accounts:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const handleUnlock = async (account) => {
+    setUnlockingId(account._id);
+    try {
+      const response = await api.post(`/api/admin/lockouts/${account._id}/unlock`);
+      toast.success(response.data.message || 'Account unlocked');
+      await fetchAccounts();
+      onUnlocked();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to unlock account'));
+    } finally {
+      setUnlockingId(null);
+    }
+  };
+
+  const now = new Date();
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Locked Accounts</h2>
+          {settings && (
+            <p className="text-sm text-gray-600 mt-1">
+              {settings.maxFailedAttempts} failed logins within {settings.failureWindowMinutes} minutes lock an account
+              for {settings.lockoutMinutes} minutes, doubling for each further lockout (up to {settings.maxLockoutMinutes} minutes).
+              Owners are emailed when it happens and can unlock by resetting their password.
+            </p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={fetchAccounts}
+          className="px-4 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {accounts.length === 0 ? (
+        <p className="text-sm text-gray-500">No locked accounts or recent failed logins.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {accounts.map((account) => {
+            const locked = account.lockedUntil && new Date(account.lockedUntil) > now;
+            return (
+              <li key={account._id} className="px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <p className="text-sm text-gray-900">
+                    {account.name} <span className="text-gray-500">{account.email}</span>
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {account.role}
+                    {account.department ? ` · ${account.department}` : ''}
+                    {account.lockoutCount > 0 ? ` · ${account.lockoutCount} lockout${account.lockoutCount === 1 ? '' : 's'} in a row` : ''}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  {locked ? (
+                    <span className="flex items-center gap-1 text-xs text-red-700">
+                      <FiLock /> Locked until {new Date(account.lockedUntil).toLocaleString()}
+                    </span>
+                  ) : (
+                    <span className="text-xs text-amber-700">
+                      {account.failedLoginCount} failed attempt{account.failedLoginCount === 1 ? '' : 's'}, last at{' '}
+                      {new Date(account.lastFailedLoginAt).toLocaleTimeString()}
+                    </span>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleUnlock(account)}
+                    disabled={unlockingId === account._id}
+                    className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                  >
+                    {locked ? 'Unlock' : 'Clear'}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const SecuritySettings = () => {
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [resettingId, setResettingId] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchConfig = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/two-factor');
+      const { policy, roles: availableRoles, users: staff } = response.data.data;
+      setRequiredRoles(policy.requiredRoles || []);
+      setRoles(availableRoles);
+      setUsers(staff);
+    } catch (error) {
+      toast.error('Failed to load security settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/security-events', { params: { page, limit: 20 } });
+      setEvents(response.data.data.events);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      console.error('Failed to load security events:', error);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchConfig();
+  }, [fetchConfig]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const toggleRole = (role) => {
+    setRequiredRoles((prev) => (prev.includes(role) ? prev.filter((r) => r !== role) : [...prev, role]));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.put('/api/admin/two-factor', { requiredRoles });
+      setRequiredRoles(response.data.data.policy.requiredRoles);
+      toast.success('Two-factor policy saved successfully');
+      fetchEvents();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save two-factor policy'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = () => {
+    setResettingId(null);
+    fetchConfig();
+    fetchEvents();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Two-Factor Authentication</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Staff in a required role must set up an authenticator app before they can use the portal. The admin
+              setting also covers anyone given admin permissions through a custom role.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Policy'}
+          </button>
+        </div>
+
+        <div className="border border-gray-200 rounded-lg p-4 mb-6 space-y-2">
+          <p className="text-sm font-medium text-gray-900">Required for</p>
+          {roles.map((role) => (
+            <label key={role} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={requiredRoles.includes(role)}
+                onChange={() => toggleRole(role)}
+                className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              {ROLE_LABELS[role] || role}
+            </label>
+          ))}
+        </div>
+
+        <p className="text-sm font-medium text-gray-900 mb-2">Staff</p>
+        {users.length === 0 ? (
+          <p className="text-sm text-gray-500">No staff accounts.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {users.map((user) => (
+              <li key={user._id} className="px-4 py-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className="text-sm text-gray-900">
+                      {user.name} <span className="text-gray-500">{user.email}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {ROLE_LABELS[user.role] || user.role}
+                      {user.department ? ` · ${user.department}` : ''}
+                      {!user.isActive ? ' · Inactive' : ''}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {user.twoFactorEnabled ? (
+                      <span className="flex items-center gap-1 text-xs text-emerald-700">
+                        <FiCheckCircle /> On since {new Date(user.twoFactorEnabledAt).toLocaleDateString()}
+                      </span>
+                    ) : (
+                      <span className="flex items-center gap-1 text-xs text-gray-500">
+                        <FiXCircle /> Not set up
+                      </span>
+                    )}
+                    {user.twoFactorEnabled && resettingId !== user._id && (
+                      <button
+                        type="button"
+                        onClick={() => setResettingId(user._id)}
+                        className="text-sm text-red-600 hover:text-red-800"
+                      >
+                        Reset 2FA
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {resettingId === user._id && (
+                  <ResetForm user={user} onReset={handleReset} onCancel={() => setResettingId(null)} />
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="text-xs text-gray-500 mt-2">
+          Resetting turns two-factor off and signs the person out everywhere. Confirm who is asking before you do it.
+        </p>
+      </div>
+
+      <LockedAccounts onUnlocked={fetchEvents} />
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Security Events</h2>
+        <p className="text-sm text-gray-600 mt-1 mb-6">Failed logins, lockouts, new devices and two-factor changes, newest first.</p>
+        {events.length === 0 ? (
+          <p className="text-sm text-gray-500">No security events yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="pr-6 py-2 font-medium">When</th>
+                  <th className="pr-6 py-2 font-medium">Event</th>
+                  <th className="pr-6 py-2 font-medium">Account</th>
+                  <th className="pr-6 py-2 font-medium">By</th>
+                  <th className="pr-6 py-2 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {events.map((event) => (
+                  <tr key={event._id}>
+                    <td className="pr-6 py-2 text-gray-600 whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</td>
+                    <td className="pr-6 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${EVENT_STYLES[event.type] || 'bg-gray-100 text-gray-700'}`}>
+                        {EVENT_LABELS[event.type] || event.type}
+                      </span>
+                    </td>
+                    <td className="pr-6 py-2 text-gray-900">{event.user?.name || '—'}</td>
+                    <td className="pr-6 py-2 text-gray-600">{event.actor?.name || '—'}</td>
+                    <td className="pr-6 py-2 text-gray-600">
+                      {event.details}
+                      {event.ip && <span className="block text-xs text-gray-400">{event.ip}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {pagination.pages > 1 && (
+          <div className="flex justify-end items-center gap-3 mt-4 text-sm">
+            <button
+              type="button"
+              onClick={() => setPage((p) => p - 1)}
+              disabled={pagination.current <= 1}
+              className="px-3 py-1.5 rounded-lg border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+            <button
+              type="button"
+              onClick={() => setPage((p) => p + 1)}
+              disabled={pagination.current >= pagination.pages}
+              className="px-3 py-1.5 rounded-lg border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
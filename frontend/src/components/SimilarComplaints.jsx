@@ -0,0 +1,132 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import { STATUS_PILL_STYLES, formatStatus } from '../utils/complaintStatus';
+
+const ComplaintRow = ({ item, children }) => (
+  <li className="flex items-center justify-between gap-2 rounded-md border border-gray-200 bg-white px-3 py-2 text-xs">
+    <div className="min-w-0">
+      <p className="truncate text-gray-800">
+        <span className="font-medium">{item.complaintId}</span> · {item.subject}
+      </p>
+      {item.userId?.name && <p className="text-[11px] text-gray-500 truncate">{item.userId.name}</p>}
+    </div>
+    <div className="flex flex-none items-center gap-2">
+      <span className={`px-2 py-0.5 rounded-full border text-[10px] font-medium ${STATUS_PILL_STYLES[item.status] || ''}`}>
+        {formatStatus(item.status)}
+      </span>
+      {children}
+    </div>
+  </li>
+);
+
+// Duplicates of a complaint: what it is merged into, open complaints that
+// look the same (which can be merged into it), and those already merged.
+const SimilarComplaints = ({ basePath, complaint, onChanged }) => {
+  const [data, setData] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchSimilar = useCallback(async () => {
+    try {
+      const response = await api.get(`${basePath}/complaints/${complaint._id}/similar`);
+      setData(response.data.data);
+    } catch (error) {
+      console.error('Failed to load similar complaints:', error);
+    }
+  }, [basePath, complaint._id]);
+
+  useEffect(() => {
+    fetchSimilar();
+  }, [fetchSimilar]);
+
+  const runAction = async (request, fallback) => {
+    setSaving(true);
+    try {
+      const response = await request();
+      toast.success(response?.data?.message || 'Complaint updated');
+      await fetchSimilar();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallback);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // The similar complaint becomes the duplicate; the open one stays the parent
+  const handleMergeHere = (duplicate) =>
+    runAction(
+      () => api.post(`${basePath}/complaints/${duplicate._id}/merge`, { parentId: complaint._id }),
+      'Failed to merge complaint'
+    );
+
+  const handleMergeInto = (parent) =>
+    runAction(
+      () => api.post(`${basePath}/complaints/${complaint._id}/merge`, { parentId: parent._id }),
+      'Failed to merge complaint'
+    );
+
+  const handleUnmerge = (item) =>
+    runAction(() => api.delete(`${basePath}/complaints/${item._id}/merge`), 'Failed to unmerge complaint');
+
+  if (!data) return null;
+
+  const { parent, similar, merged } = data;
+  if (!parent && similar.length === 0 && merged.length === 0) return null;
+
+  const buttonClass = 'px-2 py-1 rounded-md border border-gray-300 bg-white text-[11px] font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50';
+
+  return (
+    <div>
+      <p className="text-xs font-semibold text-gray-700">Duplicates</p>
+      <div className="mt-2 space-y-3">
+        {parent && (
+          <div className="rounded-md border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800 flex items-center justify-between gap-2">
+            <span>
+              Merged into <span className="font-medium">{parent.complaintId}</span> · {parent.subject}. It follows that complaint&apos;s status.
+            </span>
+            <button type="button" onClick={() => handleUnmerge(complaint)} disabled={saving} className={buttonClass}>
+              Unmerge
+            </button>
+          </div>
+        )}
+
+        {similar.length > 0 && (
+          <div>
+            <p className="text-[11px] text-gray-500 mb-1">Similar open complaints</p>
+            <ul className="space-y-1.5">
+              {similar.map((item) => (
+                <ComplaintRow key={item._id} item={item}>
+                  <span className="text-[10px] text-gray-500">{item.similarity}%</span>
+                  <button type="button" onClick={() => handleMergeHere(item)} disabled={saving} className={buttonClass}>
+                    Merge here
+                  </button>
+                  <button type="button" onClick={() => handleMergeInto(item)} disabled={saving} className={buttonClass}>
+                    Merge into this
+                  </button>
+                </ComplaintRow>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {merged.length > 0 && (
+          <div>
+            <p className="text-[11px] text-gray-500 mb-1">Merged into this complaint ({merged.length})</p>
+            <ul className="space-y-1.5">
+              {merged.map((item) => (
+                <ComplaintRow key={item._id} item={item}>
+                  <button type="button" onClick={() => handleUnmerge(item)} disabled={saving} className={buttonClass}>
+                    Unmerge
+                  </button>
+                </ComplaintRow>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SimilarComplaints;
@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { FiCopy } from 'react-icons/fi';
+import api from '../services/api';
+import { STATUS_BADGE_STYLES, formatStatus } from '../utils/complaintStatus';
+
+const MIN_SUBJECT_LENGTH = 5;
+
+// Open complaints that look like the one being written, so the submitter
+// can tell the problem may already be reported before sending another.
+const SimilarComplaintsNotice = ({ basePath, subject, content, categoryId }) => {
+  const [similar, setSimilar] = useState([]);
+
+  // Wait for typing to pause before looking up matches
+  useEffect(() => {
+    if (subject.trim().length < MIN_SUBJECT_LENGTH) {
+      setSimilar([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.post(`${basePath}/complaints/similar`, {
+          subject: subject.trim(),
+          content,
+          ...(categoryId && { categoryId }),
+        });
+        if (!cancelled) setSimilar(response.data.data.similar);
+      } catch (error) {
+        // The warning is advisory; submission does not depend on it
+        console.error('Failed to check for similar complaints:', error);
+      }
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [basePath, subject, content, categoryId]);
+
+  if (similar.length === 0) return null;
+
+  return (
+    <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-3">
+      <p className="flex items-center gap-2 text-xs font-medium text-amber-800">
+        <FiCopy />
+        Similar open complaints
+      </p>
+      <p className="text-xs text-amber-700 mt-1">
+        These may describe the same problem. You can still submit; staff may merge duplicates so everyone gets the same updates.
+      </p>
+      <ul className="mt-2 space-y-1.5">
+        {similar.map((item) => (
+          <li key={item._id} className="flex items-center justify-between gap-2 rounded-md bg-white px-2 py-1.5 text-xs">
+            <span className="min-w-0 truncate text-gray-800">
+              <span className="font-medium">{item.complaintId}</span> · {item.subject}
+            </span>
+            <span className={`flex-none px-2 py-0.5 rounded-full text-[10px] font-medium ${STATUS_BADGE_STYLES[item.status] || 'bg-gray-100 text-gray-700'}`}>
+              {formatStatus(item.status)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SimilarComplaintsNotice;
@@ -0,0 +1,211 @@
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { FiRotateCcw } from 'react-icons/fi';
+import { COMPLAINT_PRIORITIES, PRIORITY_LABELS, PRIORITY_PILL_STYLES } from '../utils/complaintSla';
+
+// Strip server-only fields so the policy can be sent back as-is
+const toDefinition = (policy) => ({
+  targets: Object.fromEntries(
+    COMPLAINT_PRIORITIES.map((priority) => [
+      priority,
+      {
+        firstResponseHours: policy.targets[priority].firstResponseHours,
+        resolutionHours: policy.targets[priority].resolutionHours,
+      },
+    ])
+  ),
+  escalation: {
+    enabled: !!policy.escalation?.enabled,
+    notifyAdmins: !!policy.escalation?.notifyAdmins,
+    bumpPriority: !!policy.escalation?.bumpPriority,
+    reassignTo: policy.escalation?.reassignTo || null,
+  },
+});
+
+const ESCALATION_OPTIONS = [
+  { key: 'notifyAdmins', label: 'Email all admins' },
+  { key: 'bumpPriority', label: 'Raise the complaint priority one level' },
+];
+
+const SlaPolicyEditor = () => {
+  const [definition, setDefinition] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [subAdmins, setSubAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPolicy();
+    fetchSubAdmins();
+  }, []);
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await api.get('/api/admin/sla');
+      setDefinition(toDefinition(response.data.data.policy));
+      setDefaults(response.data.data.defaults);
+    } catch (error) {
+      toast.error('Failed to load SLA policy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSubAdmins = async () => {
+    try {
+      const response = await api.get('/api/admin/sub-admins', { params: { limit: 100 } });
+      setSubAdmins(response.data.data.subAdmins.filter((s) => s.isActive !== false));
+    } catch (error) {
+      console.error('Failed to load sub-admins:', error);
+    }
+  };
+
+  const updateTarget = (priority, field, value) => {
+    setDefinition((prev) => ({
+      ...prev,
+      targets: {
+        ...prev.targets,
+        [priority]: { ...prev.targets[priority], [field]: value === '' ? '' : Number(value) },
+      },
+    }));
+  };
+
+  const updateEscalation = (changes) => {
+    setDefinition((prev) => ({ ...prev, escalation: { ...prev.escalation, ...changes } }));
+  };
+
+  const handleResetDefaults = () => {
+    if (!defaults) return;
+    if (!window.confirm('Replace the current editor contents with the default SLA policy? Nothing is saved until you click Save.')) {
+      return;
+    }
+    setDefinition(toDefinition(defaults));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.put('/api/admin/sla', definition);
+      setDefinition(toDefinition(response.data.data.policy));
+      toast.success('SLA policy saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save SLA policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (!definition) {
+    return <p className="text-sm text-red-500">SLA policy could not be loaded.</p>;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Service Levels</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Response and resolution targets per priority. Categories may override them; changes apply to new complaints.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleResetDefaults}
+            disabled={saving}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors flex items-center gap-2 disabled:opacity-50"
+          >
+            <FiRotateCcw className="w-4 h-4" />
+            Defaults
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Policy'}
+          </button>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 mb-6">
+        <div className="hidden sm:grid grid-cols-3 gap-4 px-4 py-2 text-xs font-medium uppercase tracking-wide text-gray-500">
+          <span>Priority</span>
+          <span>First response (hours)</span>
+          <span>Resolution (hours)</span>
+        </div>
+        {COMPLAINT_PRIORITIES.map((priority) => (
+          <div key={priority} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-center px-4 py-3">
+            <span className={`inline-flex w-fit items-center px-2 py-0.5 rounded-full text-xs font-medium border ${PRIORITY_PILL_STYLES[priority]}`}>
+              {PRIORITY_LABELS[priority]}
+            </span>
+            {['firstResponseHours', 'resolutionHours'].map((field) => (
+              <input
+                key={field}
+                type="number"
+                min={1}
+                value={definition.targets[priority][field]}
+                onChange={(e) => updateTarget(priority, field, e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                aria-label={`${PRIORITY_LABELS[priority]} ${field === 'firstResponseHours' ? 'first response' : 'resolution'} hours`}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-900">
+          <input
+            type="checkbox"
+            checked={definition.escalation.enabled}
+            onChange={(e) => updateEscalation({ enabled: e.target.checked })}
+            className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Escalate complaints that miss a target
+        </label>
+
+        <div className={`space-y-3 pl-6 ${definition.escalation.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+          {ESCALATION_OPTIONS.map((option) => (
+            <label key={option.key} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={definition.escalation[option.key]}
+                onChange={(e) => updateEscalation({ [option.key]: e.target.checked })}
+                className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              {option.label}
+            </label>
+          ))}
+          <div>
+            <label className="block text-sm text-gray-700 mb-2">Reassign to</label>
+            <select
+              value={definition.escalation.reassignTo || ''}
+              onChange={(e) => updateEscalation({ reassignTo: e.target.value || null })}
+              className="w-full sm:w-80 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="">Keep the current handler</option>
+              {subAdmins.map((subAdmin) => (
+                <option key={subAdmin._id} value={subAdmin._id}>
+                  {subAdmin.name}{subAdmin.department ? ` (${subAdmin.department})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SlaPolicyEditor;
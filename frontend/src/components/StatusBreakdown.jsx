@@ -0,0 +1,16 @@
+import { COMPLAINT_STATUSES, STATUS_LABELS, STATUS_PILL_STYLES } from '../utils/complaintStatus';
+
+// Per-status complaint counts for the staff dashboards. `byStatus` is the
+// status -> count map returned by the stats endpoints.
+const StatusBreakdown = ({ byStatus = {} }) => (
+  <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+    {COMPLAINT_STATUSES.map((status) => (
+      <div key={status} className={`text-center p-3 rounded-lg border ${STATUS_PILL_STYLES[status]}`}>
+        <p className="text-xl font-bold">{byStatus[status] || 0}</p>
+        <p className="text-xs font-medium">{STATUS_LABELS[status]}</p>
+      </div>
+    ))}
+  </div>
+);
+
+export default StatusBreakdown;
@@ -0,0 +1,116 @@
+import { useEffect, useState } from 'react';
+import { FiClock } from 'react-icons/fi';
+import api from '../services/api';
+import { STATUS_DOTS, formatStatus } from '../utils/complaintStatus';
+
+const formatEntryDate = (value) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const assignmentText = (entry) => {
+  const name = entry.assignedTo?.name || 'a handler';
+  if (entry.escalated) return `Escalated to ${name}`;
+  if (entry.previousAssignee) return `Reassigned from ${entry.previousAssignee.name || 'a handler'} to ${name}`;
+  return `Assigned to ${name}`;
+};
+
+// Read-only audit trail of status transitions (and, for staff, assignments).
+// `refreshKey` (e.g. the complaint's updatedAt) triggers a reload after changes.
+const StatusTimeline = ({ basePath, complaintId, refreshKey }) => {
+  const [timeline, setTimeline] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!complaintId) return;
+    let cancelled = false;
+
+    const fetchTimeline = async () => {
+      try {
+        setLoading(true);
+        setFailed(false);
+        const response = await api.get(`${basePath}/complaints/${complaintId}/timeline`);
+        if (!cancelled && response.data.success) {
+          const { timeline: statusEntries = [], assignments = [] } = response.data.data;
+          setTimeline(
+            [
+              ...statusEntries.map((entry) => ({ ...entry, at: entry.changedAt })),
+              ...assignments.map((entry) => ({ ...entry, at: entry.assignedAt, isAssignment: true })),
+            ].sort((a, b) => new Date(a.at) - new Date(b.at))
+          );
+        }
+      } catch {
+        if (!cancelled) setFailed(true);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchTimeline();
+    return () => {
+      cancelled = true;
+    };
+  }, [basePath, complaintId, refreshKey]);
+
+  if (loading) {
+    return (
+      <div className="space-y-2 animate-pulse">
+        {[...Array(2)].map((_, i) => (
+          <div key={i} className="h-10 bg-gray-100 rounded-md"></div>
+        ))}
+      </div>
+    );
+  }
+
+  if (failed) {
+    return <p className="text-xs text-red-500">Failed to load status history</p>;
+  }
+
+  if (timeline.length === 0) {
+    return <p className="text-xs text-gray-500">No status changes recorded</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-3">
+      {timeline.map((entry) => (
+        <li key={entry._id} className="ml-4">
+          <span
+            className={`absolute -left-1.5 mt-1 w-3 h-3 rounded-full border-2 border-white ${
+              entry.isAssignment ? 'bg-violet-500' : STATUS_DOTS[entry.to] || 'bg-gray-400'
+            }`}
+          />
+          <p className="text-sm text-gray-900">
+            {entry.isAssignment ? (
+              <span className="font-medium">{assignmentText(entry)}</span>
+            ) : entry.from ? (
+              <>
+                <span className="text-gray-500">{formatStatus(entry.from)}</span>
+                {' → '}
+                <span className="font-medium">{formatStatus(entry.to)}</span>
+              </>
+            ) : (
+              <span className="font-medium">Created as {formatStatus(entry.to)}</span>
+            )}
+          </p>
+          <p className="text-xs text-gray-500 mt-0.5 flex items-center gap-1">
+            <FiClock className="w-3 h-3" />
+            {formatEntryDate(entry.at)}
+            {(entry.changedBy || entry.assignedBy)?.name && <span>• by {(entry.changedBy || entry.assignedBy).name}</span>}
+          </p>
+          {entry.note && (
+            <p className="text-xs text-gray-700 mt-1 whitespace-pre-wrap break-words rounded-md bg-gray-50 border border-gray-200 px-2 py-1.5">
+              {entry.note}
+            </p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default StatusTimeline;
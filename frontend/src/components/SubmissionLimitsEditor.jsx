@@ -0,0 +1,438 @@
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+
+const ROLES = [
+  { key: 'STUDENT', label: 'Students' },
+  { key: 'EMPLOYEE', label: 'Employees' },
+];
+
+const LIMIT_FIELDS = [
+  { key: 'dailyLimit', label: 'Per day', min: 1 },
+  { key: 'cooldownMinutes', label: 'Cooldown (min)', min: 0 },
+  { key: 'duplicateWindowMinutes', label: 'Duplicate window (min)', min: 0 },
+];
+
+const ROLE_LIST_PATHS = {
+  STUDENT: { path: '/api/admin/students', key: 'students' },
+  EMPLOYEE: { path: '/api/admin/employees', key: 'employees' },
+};
+
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+// Strip server-only fields so the limits can be sent back as-is
+const toDefinition = (policy) => ({
+  limits: Object.fromEntries(
+    ROLES.map(({ key }) => [
+      key,
+      {
+        dailyLimit: policy.limits[key].dailyLimit,
+        cooldownMinutes: policy.limits[key].cooldownMinutes,
+        duplicateWindowMinutes: policy.limits[key].duplicateWindowMinutes,
+      },
+    ])
+  ),
+  categoryOverrides: (policy.categoryOverrides || []).map((override) => ({
+    category: override.category?._id || override.category,
+    role: override.role || null,
+    dailyLimit: override.dailyLimit,
+    cooldownMinutes: override.cooldownMinutes,
+    duplicateWindowMinutes: override.duplicateWindowMinutes,
+  })),
+});
+
+// Empty override fields fall back to the role limits
+const toPayload = (definition) => ({
+  ...definition,
+  categoryOverrides: definition.categoryOverrides.map((override) => ({
+    ...override,
+    ...Object.fromEntries(LIMIT_FIELDS.map(({ key }) => [key, override[key] === '' ? null : override[key]])),
+  })),
+});
+
+const inputClass = 'w-24 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const ExemptionForm = ({ onGranted }) => {
+  const [role, setRole] = useState('STUDENT');
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [user, setUser] = useState(null);
+  const [reason, setReason] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    if (user || search.trim().length < 2) {
+      setResults([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const { path, key } = ROLE_LIST_PATHS[role];
+        const response = await api.get(path, { params: { search: search.trim(), limit: 5 } });
+        setResults(response.data.data[key] || []);
+      } catch (error) {
+        console.error('Failed to search users:', error);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [role, search, user]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!user) return;
+    setSaving(true);
+    try {
+      const response = await api.post('/api/admin/submission-limits/exemptions', {
+        userId: user._id,
+        reason,
+        expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null,
+      });
+      toast.success(response.data.message || 'Exemption granted');
+      onGranted(response.data.data.policy);
+      setUser(null);
+      setSearch('');
+      setReason('');
+      setExpiresAt('');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to grant exemption');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={role}
+          onChange={(e) => { setRole(e.target.value); setUser(null); }}
+          className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+        >
+          {ROLES.map((option) => (
+            <option key={option.key} value={option.key}>{option.label}</option>
+          ))}
+        </select>
+        {user ? (
+          <button
+            type="button"
+            onClick={() => setUser(null)}
+            className="px-3 py-1.5 rounded-lg bg-indigo-50 text-indigo-700 text-sm"
+            title="Choose someone else"
+          >
+            {user.name} ({user.email}) ✕
+          </button>
+        ) : (
+          <div className="relative flex-1 min-w-[200px]">
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name or email"
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            {results.length > 0 && (
+              <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-md">
+                {results.map((result) => (
+                  <li key={result._id}>
+                    <button
+                      type="button"
+                      onClick={() => setUser(result)}
+                      className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                    >
+                      {result.name} <span className="text-gray-500">{result.email}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <input
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          placeholder="Reason (e.g. class representative)"
+          className="flex-1 min-w-[200px] px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <label className="text-sm text-gray-600 flex items-center gap-2">
+          Until
+          <input
+            type="date"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={!user || reason.trim().length < 3 || saving}
+          className="bg-indigo-600 text-white px-4 py-1.5 rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Grant Exemption
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">Leave the date empty for an exemption that does not expire.</p>
+    </form>
+  );
+};
+
+const SubmissionLimitsEditor = () => {
+  const [policy, setPolicy] = useState(null);
+  const [definition, setDefinition] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const applyPolicy = (saved) => {
+    setPolicy(saved);
+    setDefinition(toDefinition(saved));
+  };
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [policyResponse, categoriesResponse] = await Promise.all([
+          api.get('/api/admin/submission-limits'),
+          api.get('/api/admin/categories'),
+        ]);
+        applyPolicy(policyResponse.data.data.policy);
+        setCategories(
+          categoriesResponse.data.data.categories.flatMap((category) => [
+            { _id: category._id, label: category.name },
+            ...(category.children || []).map((child) => ({ _id: child._id, label: `${category.name} › ${child.name}` })),
+          ])
+        );
+      } catch (error) {
+        toast.error('Failed to load submission limits');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, []);
+
+  const updateRoleLimit = (role, changes) => {
+    setDefinition((prev) => ({ ...prev, limits: { ...prev.limits, [role]: { ...prev.limits[role], ...changes } } }));
+  };
+
+  const updateOverride = (index, changes) => {
+    setDefinition((prev) => ({
+      ...prev,
+      categoryOverrides: prev.categoryOverrides.map((override, i) => (i === index ? { ...override, ...changes } : override)),
+    }));
+  };
+
+  const addOverride = () => {
+    setDefinition((prev) => ({
+      ...prev,
+      categoryOverrides: [
+        ...prev.categoryOverrides,
+        { category: categories[0]?._id || '', role: null, dailyLimit: '', cooldownMinutes: '', duplicateWindowMinutes: '' },
+      ],
+    }));
+  };
+
+  const removeOverride = (index) => {
+    setDefinition((prev) => ({ ...prev, categoryOverrides: prev.categoryOverrides.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.put('/api/admin/submission-limits', toPayload(definition));
+      applyPolicy(response.data.data.policy);
+      toast.success('Submission limits saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save submission limits');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (userId) => {
+    try {
+      const response = await api.delete(`/api/admin/submission-limits/exemptions/${userId}`);
+      applyPolicy(response.data.data.policy);
+      toast.success(response.data.message || 'Exemption removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove exemption');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (!definition) {
+    return <p className="text-sm text-red-500">Submission limits could not be loaded.</p>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Submission Limits</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              How often students and employees can submit complaints. A cooldown or duplicate window of 0 turns that check off.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Limits'}
+          </button>
+        </div>
+
+        <div className="border border-gray-200 rounded-lg p-4 mb-6 overflow-x-auto">
+          <table className="text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="pr-6 py-2 font-medium">Role</th>
+                {LIMIT_FIELDS.map((field) => (
+                  <th key={field.key} className="pr-6 py-2 font-medium">{field.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ROLES.map((role) => (
+                <tr key={role.key}>
+                  <td className="pr-6 py-2 text-gray-900">{role.label}</td>
+                  {LIMIT_FIELDS.map((field) => (
+                    <td key={field.key} className="pr-6 py-2">
+                      <input
+                        type="number"
+                        min={field.min}
+                        value={definition.limits[role.key][field.key]}
+                        onChange={(e) => updateRoleLimit(role.key, { [field.key]: toNumber(e.target.value) })}
+                        className={inputClass}
+                        aria-label={`${role.label} ${field.label}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="border border-gray-200 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-1">
+            <p className="text-sm font-medium text-gray-900">Category overrides</p>
+            <button
+              type="button"
+              onClick={addOverride}
+              disabled={categories.length === 0}
+              className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+            >
+              <FiPlus /> Add override
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            Replace the limits for complaints in a category. Empty fields keep the role limit; a daily limit set here counts only that category.
+          </p>
+          {definition.categoryOverrides.length === 0 ? (
+            <p className="text-sm text-gray-500">No overrides.</p>
+          ) : (
+            <div className="space-y-2">
+              {definition.categoryOverrides.map((override, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={override.category}
+                    onChange={(e) => updateOverride(index, { category: e.target.value })}
+                    className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm max-w-[220px]"
+                  >
+                    {categories.map((category) => (
+                      <option key={category._id} value={category._id}>{category.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={override.role || ''}
+                    onChange={(e) => updateOverride(index, { role: e.target.value || null })}
+                    className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="">Everyone</option>
+                    {ROLES.map((role) => (
+                      <option key={role.key} value={role.key}>{role.label}</option>
+                    ))}
+                  </select>
+                  {LIMIT_FIELDS.map((field) => (
+                    <input
+                      key={field.key}
+                      type="number"
+                      min={field.min}
+                      value={override[field.key] ?? ''}
+                      onChange={(e) => updateOverride(index, { [field.key]: toNumber(e.target.value) })}
+                      placeholder={field.label}
+                      title={field.label}
+                      className={inputClass}
+                    />
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => removeOverride(index)}
+                    className="p-1.5 text-gray-400 hover:text-red-600"
+                    aria-label="Remove override"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Exemptions</h2>
+        <p className="text-sm text-gray-600 mt-1 mb-6">
+          Exempted users can submit without any of the limits above.
+        </p>
+
+        <ExemptionForm onGranted={applyPolicy} />
+
+        {policy.exemptions.length > 0 && (
+          <ul className="mt-4 divide-y divide-gray-100">
+            {policy.exemptions.map((exemption) => (
+              <li key={exemption.user?._id || exemption.user} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                <div className="text-sm">
+                  <p className="text-gray-900">
+                    {exemption.user?.name || 'Deleted user'}{' '}
+                    <span className="text-gray-500">{exemption.user?.email}</span>
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {exemption.reason} · granted {new Date(exemption.grantedAt).toLocaleDateString()}
+                    {exemption.grantedBy?.name && ` by ${exemption.grantedBy.name}`}
+                    {exemption.expiresAt
+                      ? ` · ${new Date(exemption.expiresAt) < new Date() ? 'expired' : 'until'} ${new Date(exemption.expiresAt).toLocaleDateString()}`
+                      : ' · no expiry'}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(exemption.user?._id || exemption.user)}
+                  className="text-sm text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubmissionLimitsEditor;
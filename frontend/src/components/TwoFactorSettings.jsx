@@ -0,0 +1,286 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiCheckCircle, FiCopy, FiShield } from 'react-icons/fi';
+import api from '../services/api';
+
+const inputClass = 'w-full rounded-lg border border-slate-300 bg-white px-4 py-2.5 text-sm text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+const primaryButtonClass = 'rounded-lg bg-emerald-600 px-4 py-2.5 text-sm font-semibold text-white hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed';
+const secondaryButtonClass = 'rounded-lg border border-slate-300 px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.message || error.response?.data?.message || fallback;
+
+// Backup codes are only ever shown right after they are generated
+const BackupCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Backup codes copied');
+    } catch {
+      toast.error('Copy failed. Write the codes down instead.');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+        Save these backup codes somewhere safe. Each works once, in place of a code from your app,
+        if you lose your device. They will not be shown again.
+      </div>
+      <ul className="grid grid-cols-2 gap-2 rounded-lg bg-slate-50 p-4 font-mono text-sm text-slate-900">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <button type="button" onClick={handleCopy} className={`${secondaryButtonClass} flex items-center gap-2`}>
+          <FiCopy className="w-4 h-4" />
+          Copy
+        </button>
+        <button type="button" onClick={onDone} className={`${primaryButtonClass} flex-1`}>
+          I have saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Two-factor authentication for the signed-in staff member: setup with a
+// QR code, backup codes, and turning it off when their role allows.
+const TwoFactorSettings = ({ onChanged }) => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  // 'disable' or 'regenerate' while that form is open
+  const [mode, setMode] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/api/auth/2fa');
+      setStatus(response.data.data.twoFactor);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load two-factor status'));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const submit = async (request, onSuccess, fallbackMessage) => {
+    setSaving(true);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      await onSuccess(response.data.data);
+    } catch (error) {
+      toast.error(errorMessage(error, fallbackMessage));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    submit(
+      () => api.post('/api/auth/2fa/setup'),
+      (data) => setSetup(data),
+      'Failed to start setup'
+    );
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post('/api/auth/2fa/enable', { code: code.trim() }),
+      async (data) => {
+        setSetup(null);
+        setBackupCodes(data.backupCodes);
+        resetForm();
+        await fetchStatus();
+        onChanged?.();
+      },
+      'Failed to turn on two-factor authentication'
+    );
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post('/api/auth/2fa/backup-codes', { code: code.trim() }),
+      async (data) => {
+        setBackupCodes(data.backupCodes);
+        resetForm();
+        await fetchStatus();
+      },
+      'Failed to generate backup codes'
+    );
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    submit(
+      () => api.post('/api/auth/2fa/disable', { password, code: code.trim() }),
+      async () => {
+        resetForm();
+        await fetchStatus();
+        onChanged?.();
+      },
+      'Failed to turn off two-factor authentication'
+    );
+  };
+
+  if (!status) {
+    return <p className="text-sm text-slate-500">Loading...</p>;
+  }
+
+  if (!status.available) {
+    return <p className="text-sm text-slate-500">Two-factor authentication is available to staff accounts only.</p>;
+  }
+
+  if (backupCodes) {
+    return <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />;
+  }
+
+  if (setup) {
+    return (
+      <form onSubmit={handleEnable} className="space-y-4">
+        <p className="text-sm text-slate-600">
+          Scan this QR code with an authenticator app (such as Google Authenticator or Microsoft Authenticator),
+          then enter the 6-digit code it shows.
+        </p>
+        <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto h-48 w-48" />
+        <p className="text-center text-xs text-slate-500">
+          Can&apos;t scan it? Enter this key instead:
+          <span className="mt-1 block break-all font-mono text-slate-800">{setup.secret}</span>
+        </p>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          maxLength={6}
+          placeholder="123456"
+          className={`${inputClass} tracking-widest`}
+          aria-label="Authentication code"
+        />
+        <div className="flex gap-2">
+          <button type="button" onClick={() => { setSetup(null); resetForm(); }} className={secondaryButtonClass}>
+            Cancel
+          </button>
+          <button type="submit" disabled={saving || code.trim().length !== 6} className={`${primaryButtonClass} flex-1`}>
+            {saving ? 'Verifying...' : 'Turn On'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-slate-600">
+          Protect your account with a code from your phone in addition to your password.
+        </p>
+        <button type="button" onClick={handleStartSetup} disabled={saving} className={`${primaryButtonClass} w-full flex items-center justify-center gap-2`}>
+          <FiShield className="w-4 h-4" />
+          {saving ? 'Starting...' : 'Set Up Two-Factor Authentication'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start gap-3 rounded-lg border border-emerald-200 bg-emerald-50 p-4">
+        <FiCheckCircle className="mt-0.5 w-5 h-5 flex-shrink-0 text-emerald-600" />
+        <div className="text-sm text-emerald-800">
+          <p className="font-medium">Two-factor authentication is on</p>
+          <p className="mt-1 text-xs">
+            Since {new Date(status.enabledAt).toLocaleDateString()} · {status.backupCodesRemaining} backup codes left
+          </p>
+        </div>
+      </div>
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="space-y-3">
+          <p className="text-sm text-slate-600">Enter a code from your app to replace your backup codes.</p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            maxLength={20}
+            placeholder="Authentication or backup code"
+            className={inputClass}
+          />
+          <div className="flex gap-2">
+            <button type="button" onClick={resetForm} className={secondaryButtonClass}>Cancel</button>
+            <button type="submit" disabled={saving || code.trim().length < 6} className={`${primaryButtonClass} flex-1`}>
+              {saving ? 'Generating...' : 'Generate New Codes'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-3">
+          <p className="text-sm text-slate-600">Confirm with your password and a code to turn two-factor authentication off.</p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            maxLength={20}
+            placeholder="Authentication or backup code"
+            className={inputClass}
+          />
+          <div className="flex gap-2">
+            <button type="button" onClick={resetForm} className={secondaryButtonClass}>Cancel</button>
+            <button
+              type="submit"
+              disabled={saving || !password || code.trim().length < 6}
+              className="flex-1 rounded-lg bg-red-600 px-4 py-2.5 text-sm font-semibold text-white hover:bg-red-700 disabled:opacity-50"
+            >
+              {saving ? 'Turning off...' : 'Turn Off'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {!mode && (
+        <div className="flex flex-col gap-2">
+          <button type="button" onClick={() => setMode('regenerate')} className={secondaryButtonClass}>
+            Generate New Backup Codes
+          </button>
+          {status.required ? (
+            <p className="text-xs text-slate-500">Two-factor authentication is required for your role and cannot be turned off.</p>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setMode('disable')}
+              className="rounded-lg border border-red-200 px-4 py-2.5 text-sm text-red-600 hover:bg-red-50"
+            >
+              Turn Off Two-Factor Authentication
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
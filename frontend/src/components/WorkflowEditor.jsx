@@ -0,0 +1,323 @@
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { FiPlus, FiTrash2, FiRotateCcw } from 'react-icons/fi';
+import { COMPLAINT_STATUSES, NON_WORKFLOW_STATUSES, STATUS_PILL_STYLES, formatStatus } from '../utils/complaintStatus';
+
+const ROLES = [
+  { key: 'ADMIN', label: 'Admin' },
+  { key: 'SUB_ADMIN', label: 'Sub-Admin' },
+  { key: 'STUDENT', label: 'Student' },
+  { key: 'EMPLOYEE', label: 'Employee' },
+];
+
+// Strip server-only fields so the definition can be sent back as-is
+const toDefinition = (workflow) => ({
+  initialStatus: workflow.initialStatus,
+  states: workflow.states.map((state) => ({
+    status: state.status,
+    label: state.label,
+    transitions: state.transitions.map((t) => ({
+      to: t.to,
+      roles: [...t.roles],
+      requiresRemark: !!t.requiresRemark,
+    })),
+  })),
+});
+
+const WorkflowEditor = () => {
+  const [definition, setDefinition] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchWorkflow();
+  }, []);
+
+  const fetchWorkflow = async () => {
+    try {
+      const response = await api.get('/api/admin/workflow');
+      setDefinition(toDefinition(response.data.data.workflow));
+      setDefaults(response.data.data.defaults);
+    } catch (error) {
+      toast.error('Failed to load workflow');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateState = (index, changes) => {
+    setDefinition((prev) => ({
+      ...prev,
+      states: prev.states.map((state, i) => (i === index ? { ...state, ...changes } : state)),
+    }));
+  };
+
+  const updateTransition = (stateIndex, transitionIndex, changes) => {
+    const state = definition.states[stateIndex];
+    updateState(stateIndex, {
+      transitions: state.transitions.map((t, i) => (i === transitionIndex ? { ...t, ...changes } : t)),
+    });
+  };
+
+  const toggleRole = (stateIndex, transitionIndex, role) => {
+    const transition = definition.states[stateIndex].transitions[transitionIndex];
+    const roles = transition.roles.includes(role)
+      ? transition.roles.filter((r) => r !== role)
+      : [...transition.roles, role];
+    updateTransition(stateIndex, transitionIndex, { roles });
+  };
+
+  const addTransition = (stateIndex) => {
+    const state = definition.states[stateIndex];
+    const used = state.transitions.map((t) => t.to);
+    const target = definition.states.find((s) => s.status !== state.status && !used.includes(s.status));
+    if (!target) {
+      toast.error('This state already transitions to every other state');
+      return;
+    }
+    updateState(stateIndex, {
+      transitions: [
+        ...state.transitions,
+        { to: target.status, roles: ['ADMIN', 'SUB_ADMIN'], requiresRemark: target.status === 'RESOLVED' },
+      ],
+    });
+  };
+
+  const removeTransition = (stateIndex, transitionIndex) => {
+    const state = definition.states[stateIndex];
+    updateState(stateIndex, {
+      transitions: state.transitions.filter((_, i) => i !== transitionIndex),
+    });
+  };
+
+  const addState = (status) => {
+    if (!status) return;
+    setDefinition((prev) => ({
+      ...prev,
+      states: [...prev.states, { status, label: formatStatus(status), transitions: [] }],
+    }));
+  };
+
+  const removeState = (index) => {
+    const { status } = definition.states[index];
+    setDefinition((prev) => ({
+      ...prev,
+      // Drop transitions into the removed state as well
+      states: prev.states
+        .filter((_, i) => i !== index)
+        .map((state) => ({
+          ...state,
+          transitions: state.transitions.filter((t) => t.to !== status),
+        })),
+    }));
+  };
+
+  const handleResetDefaults = () => {
+    if (!defaults) return;
+    if (!window.confirm('Replace the current editor contents with the default workflow? Nothing is saved until you click Save.')) {
+      return;
+    }
+    setDefinition(toDefinition(defaults));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.put('/api/admin/workflow', definition);
+      setDefinition(toDefinition(response.data.data.workflow));
+      toast.success('Workflow saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (!definition) {
+    return <p className="text-sm text-red-500">Workflow could not be loaded.</p>;
+  }
+
+  const statusesInUse = definition.states.map((s) => s.status);
+  const missingStatuses = COMPLAINT_STATUSES.filter(
+    (status) => !statusesInUse.includes(status) && !NON_WORKFLOW_STATUSES.includes(status)
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Complaint Workflow</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Define which status changes are allowed, who may make them and when a remark is required.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleResetDefaults}
+            disabled={saving}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors flex items-center gap-2 disabled:opacity-50"
+          >
+            <FiRotateCcw className="w-4 h-4" />
+            Defaults
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Workflow'}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Initial status</label>
+          <select
+            value={definition.initialStatus}
+            onChange={(e) => setDefinition((prev) => ({ ...prev, initialStatus: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {definition.states.map((state) => (
+              <option key={state.status} value={state.status}>
+                {state.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">New and reopened complaints start here.</p>
+        </div>
+
+        {missingStatuses.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Add state</label>
+            <select
+              value=""
+              onChange={(e) => addState(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="">Select status</option>
+              {missingStatuses.map((status) => (
+                <option key={status} value={status}>
+                  {formatStatus(status)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {definition.states.map((state, stateIndex) => (
+          <div key={state.status} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border ${STATUS_PILL_STYLES[state.status]}`}>
+                {state.status}
+              </span>
+              <input
+                type="text"
+                value={state.label}
+                maxLength={50}
+                onChange={(e) => updateState(stateIndex, { label: e.target.value })}
+                className="flex-1 min-w-[12rem] px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                aria-label={`${state.status} label`}
+              />
+              {state.status !== 'RESOLVED' && (
+                <button
+                  type="button"
+                  onClick={() => removeState(stateIndex)}
+                  className="text-red-600 hover:text-red-800 p-2"
+                  title="Remove state"
+                >
+                  <FiTrash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+
+            <div className="mt-3 space-y-2">
+              {state.transitions.length === 0 && (
+                <p className="text-sm text-gray-500">No outgoing transitions (final state)</p>
+              )}
+              {state.transitions.map((transition, transitionIndex) => (
+                <div
+                  key={`${state.status}-${transitionIndex}`}
+                  className="flex flex-wrap items-center gap-3 rounded-md bg-gray-50 border border-gray-100 px-3 py-2"
+                >
+                  <span className="text-sm text-gray-500">→</span>
+                  <select
+                    value={transition.to}
+                    onChange={(e) => updateTransition(stateIndex, transitionIndex, { to: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {definition.states
+                      .filter((s) => s.status !== state.status)
+                      .map((s) => (
+                        <option key={s.status} value={s.status}>
+                          {s.label}
+                        </option>
+                      ))}
+                  </select>
+
+                  <div className="flex flex-wrap items-center gap-3">
+                    {ROLES.map((role) => (
+                      <label key={role.key} className="inline-flex items-center gap-1.5 text-xs text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={transition.roles.includes(role.key)}
+                          onChange={() => toggleRole(stateIndex, transitionIndex, role.key)}
+                          className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        {role.label}
+                      </label>
+                    ))}
+                  </div>
+
+                  <label className="inline-flex items-center gap-1.5 text-xs text-gray-700 ml-auto">
+                    <input
+                      type="checkbox"
+                      checked={transition.requiresRemark}
+                      onChange={(e) => updateTransition(stateIndex, transitionIndex, { requiresRemark: e.target.checked })}
+                      className="h-4 w-4 rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+                    />
+                    Remark required
+                  </label>
+
+                  <button
+                    type="button"
+                    onClick={() => removeTransition(stateIndex, transitionIndex)}
+                    className="text-red-600 hover:text-red-800 p-1"
+                    title="Remove transition"
+                  >
+                    <FiTrash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => addTransition(stateIndex)}
+              className="mt-3 inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-700 font-medium"
+            >
+              <FiPlus className="w-4 h-4" />
+              Add transition
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowEditor;
@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import api from '../services/api';
+import api, { setAccessToken, refreshAccessToken } from '../services/api';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext(null);
@@ -14,69 +14,63 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
-  const [token, setToken] = useState(() => {
-    if (typeof window === 'undefined') return null;
-    return localStorage.getItem('token');
-  });
   const [loading, setLoading] = useState(typeof window !== 'undefined');
 
-  // Set token in API headers
+  // Restore the session from the refresh token cookie on load; the access
+  // token itself is never persisted
   useEffect(() => {
-    if (typeof window === 'undefined') return;
-    if (token) {
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      localStorage.setItem('token', token);
-    } else {
-      delete api.defaults.headers.common['Authorization'];
-      localStorage.removeItem('token');
-    }
-  }, [token]);
-
-  // Verify token and get user on mount
-  useEffect(() => {
-    const verifyToken = async () => {
-      if (!token) {
-        setLoading(false);
-        return;
-      }
-
+    const restoreSession = async () => {
       try {
+        await refreshAccessToken();
         const response = await api.get('/api/auth/verify');
         if (response.data.success) {
           setUser(response.data.data.user);
         } else {
-          setToken(null);
-          setUser(null);
+          setAccessToken(null);
         }
       } catch {
-        setToken(null);
+        setAccessToken(null);
         setUser(null);
       } finally {
         setLoading(false);
       }
     };
 
-    verifyToken();
-  }, [token]);
+    restoreSession();
+  }, []);
+
+  // Store the session of a completed login
+  const applyLogin = useCallback((data) => {
+    const { user: userData, token: newToken, requirePasswordChange, requireTwoFactorSetup } = data;
+
+    setAccessToken(newToken);
+    setUser(userData);
+
+    toast.success('Login successful!');
+
+    return {
+      success: true,
+      requirePasswordChange,
+      requireTwoFactorSetup,
+      role: userData.role
+    };
+  }, []);
 
   // Login function
+  // Accounts with two-factor authentication get a challenge to answer with loginWithTwoFactor
   const login = useCallback(async (email, password) => {
     try {
       const response = await api.post('/api/auth/login', { email, password });
       
       if (response.data.success) {
-        const { user: userData, token: newToken, requirePasswordChange } = response.data.data;
-        
-        setToken(newToken);
-        setUser(userData);
-        
-        toast.success('Login successful!');
-        
-        return { 
-          success: true, 
-          requirePasswordChange,
-          role: userData.role 
-        };
+        if (response.data.data.requireTwoFactor) {
+          return {
+            success: false,
+            requireTwoFactor: true,
+            challengeToken: response.data.data.challengeToken,
+          };
+        }
+        return applyLogin(response.data.data);
       }
       
       return { success: false, message: response.data.message };
@@ -85,7 +79,23 @@ export const AuthProvider = ({ children }) => {
       toast.error(message);
       return { success: false, message };
     }
-  }, []);
+  }, [applyLogin]);
+
+  // Second login step with an authenticator or backup code
+  const loginWithTwoFactor = useCallback(async (challengeToken, code) => {
+    try {
+      const response = await api.post('/api/auth/login/2fa', { challengeToken, code });
+
+      if (response.data.success) {
+        return applyLogin(response.data.data);
+      }
+
+      return { success: false, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Verification failed';
+      return { success: false, message };
+    }
+  }, [applyLogin]);
 
   // Logout function
   const logout = useCallback(async () => {
@@ -93,12 +103,25 @@ export const AuthProvider = ({ children }) => {
       await api.post('/api/auth/logout');
     } catch {
     } finally {
-      setToken(null);
+      setAccessToken(null);
       setUser(null);
       toast.success('Logged out successfully');
     }
   }, []);
 
+  // Sign out every device, including this one
+  const logoutAll = useCallback(async () => {
+    try {
+      const response = await api.post('/api/auth/logout-all');
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log out of all devices');
+      return;
+    }
+    setAccessToken(null);
+    setUser(null);
+  }, []);
+
   // Change password function
   const changePassword = useCallback(async (currentPassword, newPassword, confirmPassword) => {
     try {
@@ -110,7 +133,7 @@ export const AuthProvider = ({ children }) => {
 
       if (response.data.success) {
         const { token: newToken, user: userData } = response.data.data;
-        setToken(newToken);
+        setAccessToken(newToken);
         setUser(userData);
         toast.success('Password changed successfully!');
         return { success: true };
@@ -146,16 +169,20 @@ export const AuthProvider = ({ children }) => {
 
   const value = {
     user,
-    token,
     loading,
     login,
+    loginWithTwoFactor,
     logout,
+    logoutAll,
     changePassword,
     refreshUser,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'ADMIN',
     isStudent: user?.role === 'STUDENT',
+    // Named permissions from the user's role and any custom roles
+    hasPermission: (permission) => Boolean(user?.permissions?.includes(permission)),
     requirePasswordChange: user?.forcePasswordChange,
+    requireTwoFactorSetup: user?.requireTwoFactorSetup,
   };
 
   return (
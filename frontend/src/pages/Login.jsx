@@ -2,7 +2,7 @@ import { useEffect, useState } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { useAuth } from '../context/AuthContext';
-import { FiMail, FiLock, FiEye, FiEyeOff, FiAlertCircle } from 'react-icons/fi';
+import { FiMail, FiLock, FiEye, FiEyeOff, FiAlertCircle, FiShield } from 'react-icons/fi';
 import { Merriweather, Plus_Jakarta_Sans } from 'next/font/google';
 
 const headingFont = Merriweather({
@@ -17,13 +17,16 @@ const bodyFont = Plus_Jakarta_Sans({
 
 const Login = () => {
   const router = useRouter();
-  const { login, user, loading: authLoading } = useAuth();
+  const { login, loginWithTwoFactor, user, loading: authLoading } = useAuth();
   
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set once the password is accepted for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
 
   // If already authenticated, redirect
   useEffect(() => {
@@ -41,6 +44,24 @@ const Login = () => {
     );
   }
 
+  const redirectAfterLogin = (result) => {
+    if (result.requirePasswordChange) {
+      router.push('/change-password');
+    } else if (result.requireTwoFactorSetup) {
+      router.push('/two-factor');
+    } else {
+      const fromQuery = Array.isArray(router.query?.from)
+        ? router.query.from[0]
+        : router.query?.from;
+
+      const from = typeof fromQuery === 'string' && fromQuery.startsWith('/')
+        ? fromQuery
+        : (result.role === 'ADMIN' ? '/admin' : '/student');
+
+      router.push(from);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -50,19 +71,9 @@ const Login = () => {
       const result = await login(email, password);
       
       if (result.success) {
-        if (result.requirePasswordChange) {
-          router.push('/change-password');
-        } else {
-          const fromQuery = Array.isArray(router.query?.from)
-            ? router.query.from[0]
-            : router.query?.from;
-
-          const from = typeof fromQuery === 'string' && fromQuery.startsWith('/')
-            ? fromQuery
-            : (result.role === 'ADMIN' ? '/admin' : '/student');
-
-          router.push(from);
-        }
+        redirectAfterLogin(result);
+      } else if (result.requireTwoFactor) {
+        setChallengeToken(result.challengeToken);
       } else {
         setError(result.message || 'Login failed');
       }
@@ -73,6 +84,34 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await loginWithTwoFactor(challengeToken, code.trim());
+
+      if (result.success) {
+        redirectAfterLogin(result);
+      } else {
+        setError(result.message || 'Verification failed');
+        setCode('');
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartOver = () => {
+    setChallengeToken(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
   return (
     <div className={[bodyFont.className, 'min-h-screen bg-white flex items-center justify-center px-4 py-12'].join(' ')}>
       <div className="w-full max-w-4xl animate-fadeIn">
@@ -110,7 +149,9 @@ const Login = () => {
                   Login
                 </h1>
                 <p className="mt-2 text-sm text-slate-500">
-                  Use your provided credentials to access the portal.
+                  {challengeToken
+                    ? 'Enter the 6-digit code from your authenticator app.'
+                    : 'Use your provided credentials to access the portal.'}
                 </p>
               </div>
 
@@ -121,93 +162,139 @@ const Login = () => {
                 </div>
               )}
 
-              <form onSubmit={handleSubmit} className="space-y-5">
-                <div>
-                  <label htmlFor="email" className="block text-sm font-medium text-slate-700 mb-2">
-                    Email / Username
-                  </label>
-                  <div className="relative">
-                    <FiMail className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
-                    <input
-                      id="email"
-                      type="email"
-                      value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                      className="w-full rounded-lg border border-slate-300 bg-white pl-10 pr-4 py-3 text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
-                      placeholder="Enter your email"
-                      required
-                      disabled={loading}
-                    />
+              {challengeToken ? (
+                <form onSubmit={handleCodeSubmit} className="space-y-5">
+                  <div>
+                    <label htmlFor="code" className="block text-sm font-medium text-slate-700 mb-2">
+                      Authentication code
+                    </label>
+                    <div className="relative">
+                      <FiShield className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+                      <input
+                        id="code"
+                        type="text"
+                        inputMode="text"
+                        autoComplete="one-time-code"
+                        autoFocus
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        maxLength={20}
+                        className="w-full rounded-lg border border-slate-300 bg-white pl-10 pr-4 py-3 text-slate-900 tracking-widest placeholder:text-slate-400 placeholder:tracking-normal focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                        placeholder="123456"
+                        required
+                        disabled={loading}
+                      />
+                    </div>
+                    <p className="mt-2 text-xs text-slate-500">
+                      No access to your device? Enter one of your backup codes instead.
+                    </p>
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={loading || code.trim().length < 6}
+                    className="w-full rounded-lg bg-emerald-600 px-4 py-3 font-semibold text-white hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {loading ? 'Verifying...' : 'Verify'}
+                  </button>
+
+                  <button
+                    type="button"
+                    onClick={handleStartOver}
+                    className="w-full text-sm text-slate-500 hover:text-slate-700 hover:underline underline-offset-4"
+                  >
+                    Back to login
+                  </button>
+                </form>
+              ) : (
+                <form onSubmit={handleSubmit} className="space-y-5">
+                  <div>
+                    <label htmlFor="email" className="block text-sm font-medium text-slate-700 mb-2">
+                      Email / Username
+                    </label>
+                    <div className="relative">
+                      <FiMail className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+                      <input
+                        id="email"
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        className="w-full rounded-lg border border-slate-300 bg-white pl-10 pr-4 py-3 text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                        placeholder="Enter your email"
+                        required
+                        disabled={loading}
+                      />
+                    </div>
                   </div>
-                </div>
 
-                <div>
-                  <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-2">
-                    Password
-                  </label>
-                  <div className="relative">
-                    <FiLock className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
-                    <input
-                      id="password"
-                      type={showPassword ? 'text' : 'password'}
-                      value={password}
-                      onChange={(e) => setPassword(e.target.value)}
-                      className="w-full rounded-lg border border-slate-300 bg-white pl-10 pr-12 py-3 text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
-                      placeholder="Enter your password"
-                      required
-                      disabled={loading}
-                    />
-                    <button
-                      type="button"
-                      onClick={() => setShowPassword(!showPassword)}
-                      className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600 transition-colors"
-                      tabIndex={-1}
-                      aria-label={showPassword ? 'Hide password' : 'Show password'}
+                  <div>
+                    <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-2">
+                      Password
+                    </label>
+                    <div className="relative">
+                      <FiLock className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+                      <input
+                        id="password"
+                        type={showPassword ? 'text' : 'password'}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="w-full rounded-lg border border-slate-300 bg-white pl-10 pr-12 py-3 text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+                        placeholder="Enter your password"
+                        required
+                        disabled={loading}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600 transition-colors"
+                        tabIndex={-1}
+                        aria-label={showPassword ? 'Hide password' : 'Show password'}
+                      >
+                        {showPassword ? <FiEyeOff /> : <FiEye />}
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="mt-2 flex items-center justify-end">
+                    <Link
+                      href="/ForgotPassword"
+                      className="text-sm text-emerald-600 hover:underline underline-offset-4"
                     >
-                      {showPassword ? <FiEyeOff /> : <FiEye />}
-                    </button>
+                      Forgot password?
+                    </Link>
                   </div>
-                </div>
 
-                <div className="mt-2 flex items-center justify-end">
-                  <Link
-                    href="/ForgotPassword"
-                    className="text-sm text-emerald-600 hover:underline underline-offset-4"
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="w-full rounded-lg bg-emerald-600 px-4 py-3 font-semibold text-white hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    Forgot password?
-                  </Link>
-                </div>
-
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="w-full rounded-lg bg-emerald-600 px-4 py-3 font-semibold text-white hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  {loading ? (
-                    <span className="flex items-center justify-center gap-2">
-                      <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
-                        <circle
-                          className="opacity-25"
-                          cx="12"
-                          cy="12"
-                          r="10"
-                          stroke="currentColor"
-                          strokeWidth="4"
-                          fill="none"
-                        />
-                        <path
-                          className="opacity-75"
-                          fill="currentColor"
-                          d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                        />
-                      </svg>
-                      Logging in...
-                    </span>
-                  ) : (
-                    'Login'
-                  )}
-                </button>
-              </form>
+                    {loading ? (
+                      <span className="flex items-center justify-center gap-2">
+                        <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
+                          <circle
+                            className="opacity-25"
+                            cx="12"
+                            cy="12"
+                            r="10"
+                            stroke="currentColor"
+                            strokeWidth="4"
+                            fill="none"
+                          />
+                          <path
+                            className="opacity-75"
+                            fill="currentColor"
+                            d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                          />
+                        </svg>
+                        Logging in...
+                      </span>
+                    ) : (
+                      'Login'
+                    )}
+                  </button>
+                </form>
+              )}
 
               <div className="mt-6 text-center">
                 <span className="text-sm text-slate-500">
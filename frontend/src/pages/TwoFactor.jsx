@@ -0,0 +1,82 @@
+import Link from 'next/link';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import { Merriweather, Plus_Jakarta_Sans } from 'next/font/google';
+
+const headingFont = Merriweather({
+  subsets: ['latin'],
+  weight: ['300', '400', '700', '900'],
+});
+
+const bodyFont = Plus_Jakarta_Sans({
+  subsets: ['latin'],
+  weight: ['200', '300', '400', '500', '600', '700', '800'],
+});
+
+const DASHBOARD_PATHS = {
+  ADMIN: '/admin/dashboard',
+  SUB_ADMIN: '/sub-admin/dashboard',
+  EMPLOYEE: '/employee/dashboard',
+  STUDENT: '/student/dashboard',
+};
+
+const TwoFactor = () => {
+  const { user, requireTwoFactorSetup, refreshUser } = useAuth();
+
+  return (
+    <div className={[bodyFont.className, 'min-h-screen bg-white flex items-center justify-center px-4 py-12'].join(' ')}>
+      <div className="w-full max-w-md animate-fadeIn">
+        <div className="overflow-hidden rounded-2xl bg-white shadow-xl">
+          {/* Header */}
+          <div className="bg-gradient-to-br from-slate-800 to-slate-900 p-8 text-center">
+            <img
+              src="/sc/geims-logo.webp"
+              alt="GEIMS logo"
+              className="mx-auto h-12 w-auto"
+              loading="eager"
+              decoding="async"
+            />
+            <p className="mt-4 text-sm font-semibold text-white">
+              Graphic Era Institute of Medical Sciences
+            </p>
+            {requireTwoFactorSetup && (
+              <div className="mt-4 rounded-lg bg-amber-500/20 border border-amber-500/30 p-3">
+                <p className="text-xs text-amber-100 font-medium">
+                  ⚠️ Your role requires two-factor authentication. Set it up to continue.
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="p-8">
+            <div className="mb-6">
+              <h1
+                className={[
+                  headingFont.className,
+                  'text-2xl font-bold tracking-tight text-slate-900'
+                ].join(' ')}
+              >
+                Two-Factor Authentication
+              </h1>
+            </div>
+
+            <TwoFactorSettings onChanged={refreshUser} />
+
+            {!requireTwoFactorSetup && user && (
+              <div className="mt-6 text-center">
+                <Link
+                  href={DASHBOARD_PATHS[user.role] || '/login'}
+                  className="text-sm text-emerald-600 hover:underline underline-offset-4"
+                >
+                  Back to dashboard
+                </Link>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactor;
@@ -10,6 +10,22 @@ import Layout from '../components/Layout';
 import ProtectedRoute from '../components/ProtectedRoute';
 import { setNavigationHandler } from '../services/api';
 
+// Admin pages staff can open through custom role permissions
+const ADMIN_PAGE_PERMISSIONS = {
+  '/admin/Complaints': ['complaints.view'],
+  '/admin/leaderboard': ['complaints.view'],
+  '/admin/reports': ['reports.export'],
+  '/admin/Students': ['users.manage'],
+  '/admin/AddStudent': ['users.manage'],
+  '/admin/SubAdmins': ['users.manage'],
+  '/admin/AddSubAdmin': ['users.manage'],
+  '/admin/Employees': ['users.manage'],
+  '/admin/AddEmployee': ['users.manage'],
+  '/admin/attendance-management': ['attendance.upload'],
+  '/admin/activity-log': ['attendance.upload'],
+  '/admin/email-config': ['email_config.manage'],
+};
+
 export default function App({ Component, pageProps }) {
   const router = useRouter();
   const pathname = router.pathname;
@@ -26,13 +42,14 @@ export default function App({ Component, pageProps }) {
   const isSubAdminRoute = pathname.startsWith('/sub-admin');
   const isEmployeeRoute = pathname.startsWith('/employee');
   const isChangePasswordRoute = pathname === '/ChangePassword';
+  const isTwoFactorRoute = pathname === '/TwoFactor';
 
   // Use router.asPath as key to force re-render on navigation
   let content = <Component {...pageProps} key={router.asPath} />;
 
   if (isAdminRoute) {
     content = (
-      <ProtectedRoute allowedRoles={['ADMIN']}>
+      <ProtectedRoute allowedRoles={['ADMIN']} allowedPermissions={ADMIN_PAGE_PERMISSIONS[pathname]}>
         <Layout>{content}</Layout>
       </ProtectedRoute>
     );
@@ -54,7 +71,7 @@ export default function App({ Component, pageProps }) {
         <Layout>{content}</Layout>
       </ProtectedRoute>
     );
-  } else if (isChangePasswordRoute) {
+  } else if (isChangePasswordRoute || isTwoFactorRoute) {
     content = <ProtectedRoute>{content}</ProtectedRoute>;
   }
 
@@ -2,13 +2,16 @@ import { useState } from 'react';
 import { useRouter } from 'next/router';
 import api from '../../services/api';
 import toast from 'react-hot-toast';
+import ScopeEditor, { cleanScopes } from '../../components/ScopeEditor';
 
 const AddSubAdmin = () => {
   const router = useRouter();
   const [formData, setFormData] = useState({
     name: '',
     email: '',
-    department: ''
+    department: '',
+    isDepartmentHead: false,
+    scopes: []
   });
   const [csvFile, setCSVFile] = useState(null);
   const [uploadMode, setUploadMode] = useState('single');
@@ -18,7 +21,7 @@ const AddSubAdmin = () => {
   const handleChange = (e) => {
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
     });
   };
 
@@ -51,11 +54,11 @@ const AddSubAdmin = () => {
 
     try {
       setSubmitting(true);
-      const response = await api.post('/api/admin/sub-admins', formData);
+      const response = await api.post('/api/admin/sub-admins', { ...formData, scopes: cleanScopes(formData.scopes) });
       
       if (response.data.success) {
         toast.success('Sub-admin created successfully!');
-        setFormData({ name: '', email: '', department: '' });
+        setFormData({ name: '', email: '', department: '', isDepartmentHead: false, scopes: [] });
       }
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to create sub-admin');
@@ -175,6 +178,27 @@ const AddSubAdmin = () => {
                   required
                 />
               </div>
+
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Departments Covered
+                </label>
+                <ScopeEditor
+                  scopes={formData.scopes}
+                  onChange={(scopes) => setFormData({ ...formData, scopes })}
+                />
+              </div>
+
+              <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  name="isDepartmentHead"
+                  checked={formData.isDepartmentHead}
+                  onChange={handleChange}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Department head (receives urgent complaint alerts)
+              </label>
             </div>
 
             <div className="flex items-start gap-2 p-3 bg-indigo-50 rounded-lg border border-indigo-200">
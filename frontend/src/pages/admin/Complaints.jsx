@@ -1,13 +1,20 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import toast from 'react-hot-toast';
 import api from '../../services/api';
-
-const STATUS_TABS = [
-  { key: 'all', label: 'All' },
-  { key: 'READ', label: 'Read' },
-  { key: 'UNDER_REVIEW', label: 'Under Review' },
-  { key: 'RESOLVED', label: 'Resolved' },
-];
+import AttachmentList from '../../components/AttachmentList';
+import ComplaintThread from '../../components/ComplaintThread';
+import StatusTimeline from '../../components/StatusTimeline';
+import AssignmentPanel from '../../components/AssignmentPanel';
+import AnonymousIdentity from '../../components/AnonymousIdentity';
+import PriorityControl from '../../components/PriorityControl';
+import FeedbackSummary from '../../components/FeedbackSummary';
+import ReopenRequestReview from '../../components/ReopenRequestReview';
+import SimilarComplaints from '../../components/SimilarComplaints';
+import ComplaintRevisions from '../../components/ComplaintRevisions';
+import ComplaintListFilters from '../../components/ComplaintListFilters';
+import { STATUS_PILL_STYLES, STATUS_TABS, formatStatus } from '../../utils/complaintStatus';
+import { COMPLAINT_PRIORITIES, PRIORITY_LABELS, PRIORITY_PILL_STYLES, getSlaBreaches } from '../../utils/complaintSla';
+import { DEFAULT_LIST_FILTERS, getDateRange, toListParams } from '../../utils/complaintQuery';
 
 const DATE_TABS = [
   { key: 'today', label: 'Today' },
@@ -28,52 +35,12 @@ const formatListDate = (value) => {
   });
 };
 
-const isWithinDateRange = ({ createdAt, dateFilter, customStartDate, customEndDate }) => {
-  if (!createdAt) return true;
-  const created = new Date(createdAt);
-  if (Number.isNaN(created.getTime())) return true;
-
-  const now = new Date();
-  if (dateFilter === 'today') {
-    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    return created >= todayStart;
-  }
-  if (dateFilter === 'week') {
-    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    return created >= weekAgo;
-  }
-  if (dateFilter === 'month') {
-    const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    return created >= monthAgo;
-  }
-  if (dateFilter === 'custom') {
-    if (!customStartDate) return true;
-    const start = new Date(customStartDate);
-    const end = customEndDate ? new Date(customEndDate) : new Date();
-    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return true;
-    return created >= start && created <= end;
-  }
-  return true;
-};
-
 const StatusPill = ({ status }) => {
-  const style = (() => {
-    switch (status) {
-      case 'READ':
-        return 'bg-indigo-50 text-indigo-700 border-indigo-100';
-      case 'UNDER_REVIEW':
-        return 'bg-amber-50 text-amber-700 border-amber-100';
-      case 'RESOLVED':
-        return 'bg-emerald-50 text-emerald-700 border-emerald-100';
-      case 'SUBMITTED':
-      default:
-        return 'bg-sky-50 text-sky-700 border-sky-100';
-    }
-  })();
+  const style = STATUS_PILL_STYLES[status] || STATUS_PILL_STYLES.SUBMITTED;
 
   return (
     <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-medium border ${style}`}>
-      {String(status || 'SUBMITTED').replaceAll('_', ' ')}
+      {formatStatus(status || 'SUBMITTED')}
     </span>
   );
 };
@@ -87,9 +54,16 @@ const AdminComplaints = () => {
   // Filters
   const [statusFilter, setStatusFilter] = useState('all');
   const [dateFilter, setDateFilter] = useState('month');
+  const [priorityFilter, setPriorityFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
   const [customStartDate, setCustomStartDate] = useState('');
   const [customEndDate, setCustomEndDate] = useState('');
+  const [listFilters, setListFilters] = useState(DEFAULT_LIST_FILTERS);
+  const [debouncedText, setDebouncedText] = useState({ q: '', department: '' });
+
+  // Cursor pagination
+  const [pagination, setPagination] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   // Sidebar resizing
   const [sidebarWidth, setSidebarWidth] = useState(380);
@@ -100,52 +74,64 @@ const AdminComplaints = () => {
   const [showActionModal, setShowActionModal] = useState(false);
   const [newStatus, setNewStatus] = useState('');
   const [acknowledgment, setAcknowledgment] = useState('');
+  const [statusNote, setStatusNote] = useState('');
+  const [transitions, setTransitions] = useState([]);
+  const [loadingTransitions, setLoadingTransitions] = useState(false);
+
+  // Wait for typing to pause before querying
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedText({ q: searchQuery.trim(), department: listFilters.department.trim() });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery, listFilters.department]);
+
+  const listParams = useMemo(
+    () => toListParams({
+      ...listFilters,
+      ...debouncedText,
+      status: statusFilter,
+      priority: priorityFilter,
+      ...getDateRange(dateFilter, customStartDate, customEndDate),
+    }),
+    [listFilters, debouncedText, statusFilter, priorityFilter, dateFilter, customStartDate, customEndDate]
+  );
 
   const fetchComplaints = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await api.get('/api/admin/complaints');
-      if (response?.data?.success) {
-        const list = response.data.data?.complaints || [];
-        setComplaints(list);
-      } else {
-        setComplaints([]);
-      }
+      const response = await api.get('/api/admin/complaints', { params: listParams });
+      setComplaints(response.data.data?.complaints || []);
+      setPagination(response.data.data?.pagination || null);
     } catch {
       toast.error('Failed to load complaints');
       setComplaints([]);
+      setPagination(null);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [listParams]);
+
+  const handleLoadMore = async () => {
+    if (!pagination?.nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const response = await api.get('/api/admin/complaints', {
+        params: { ...listParams, cursor: pagination.nextCursor },
+      });
+      setComplaints((prev) => [...prev, ...(response.data.data?.complaints || [])]);
+      setPagination(response.data.data?.pagination || null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load more complaints');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
   useEffect(() => {
     fetchComplaints();
   }, [fetchComplaints]);
 
-  const filteredComplaints = useMemo(() => {
-    const query = searchQuery.trim().toLowerCase();
-    return (complaints || [])
-      .filter((c) => {
-        if (statusFilter !== 'all' && c?.status !== statusFilter) return false;
-        return isWithinDateRange({
-          createdAt: c?.createdAt,
-          dateFilter,
-          customStartDate,
-          customEndDate,
-        });
-      })
-      .filter((c) => {
-        if (!query) return true;
-        return (
-          (c?.subject || '').toLowerCase().includes(query) ||
-          (c?.content || '').toLowerCase().includes(query) ||
-          (c?.userId?.name || '').toLowerCase().includes(query) ||
-          (c?.userId?.email || '').toLowerCase().includes(query)
-        );
-      });
-  }, [complaints, statusFilter, dateFilter, customStartDate, customEndDate, searchQuery]);
-
   const selectedComplaint = useMemo(() => {
     if (!selectedComplaintId) return null;
     return (complaints || []).find((c) => c?._id === selectedComplaintId) || null;
@@ -155,11 +141,11 @@ const AdminComplaints = () => {
     if (loading) return;
 
     // Keep selection stable; fall back to first visible item.
-    const stillVisible = filteredComplaints.some((c) => c?._id === selectedComplaintId);
+    const stillVisible = complaints.some((c) => c?._id === selectedComplaintId);
     if (!selectedComplaintId || !stillVisible) {
-      setSelectedComplaintId(filteredComplaints[0]?._id || null);
+      setSelectedComplaintId(complaints[0]?._id || null);
     }
-  }, [loading, filteredComplaints, selectedComplaintId]);
+  }, [loading, complaints, selectedComplaintId]);
 
   useEffect(() => {
     const onMouseMove = (e) => {
@@ -198,6 +184,33 @@ const AdminComplaints = () => {
     document.body.style.userSelect = 'none';
   };
 
+  // Only offer the status changes the workflow allows for this complaint
+  const openStatusModal = async () => {
+    if (!selectedComplaint?._id) return;
+
+    setLoadingTransitions(true);
+    try {
+      const response = await api.get(`/api/admin/complaints/${selectedComplaint._id}/transitions`);
+      const allowed = response?.data?.data?.transitions || [];
+      if (allowed.length === 0) {
+        toast.error('No status changes are available for this complaint');
+        return;
+      }
+      setTransitions(allowed);
+      setNewStatus(allowed[0].to);
+      setAcknowledgment('');
+      setStatusNote('');
+      setShowActionModal(true);
+    } catch {
+      toast.error('Failed to load status options');
+    } finally {
+      setLoadingTransitions(false);
+    }
+  };
+
+  const noteRequired =
+    newStatus !== 'RESOLVED' && !!transitions.find((t) => t.to === newStatus)?.requiresRemark;
+
   const handleUpdateStatus = async () => {
     if (!selectedComplaint?._id || !newStatus) return;
 
@@ -206,6 +219,7 @@ const AdminComplaints = () => {
       const response = await api.patch(`/api/admin/complaints/${selectedComplaint._id}/status`, {
         status: newStatus,
         acknowledgment: newStatus === 'RESOLVED' ? acknowledgment : undefined,
+        note: newStatus !== 'RESOLVED' && statusNote.trim() ? statusNote.trim() : undefined,
       });
 
       if (response?.data?.success) {
@@ -213,12 +227,13 @@ const AdminComplaints = () => {
         setShowActionModal(false);
         setNewStatus('');
         setAcknowledgment('');
+        setStatusNote('');
         fetchComplaints();
       } else {
         toast.error('Failed to update status');
       }
-      } catch {
-      toast.error('Failed to update status');
+      } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update status');
     } finally {
       setUpdating(false);
     }
@@ -246,6 +261,10 @@ const AdminComplaints = () => {
         params.endDate = customEndDate || new Date().toISOString().split('T')[0];
       }
 
+      if (priorityFilter !== 'all') {
+        params.priority = priorityFilter;
+      }
+
       const response = await api.get('/api/admin/reports', {
         params,
         responseType: 'blob'
@@ -299,7 +318,7 @@ const AdminComplaints = () => {
           </div>
           
           {/* Status tabs row */}
-          <div className="flex items-center gap-1 border-b border-gray-100 pb-2">
+          <div className="grid grid-cols-4 gap-1 border-b border-gray-100 pb-2">
             {STATUS_TABS.map((tab) => {
               const active = statusFilter === tab.key;
               return (
@@ -308,7 +327,7 @@ const AdminComplaints = () => {
                   type="button"
                   onClick={() => setStatusFilter(tab.key)}
                   className={
-                    "min-w-0 flex-1 text-center text-xs font-medium px-2 py-1 rounded-md transition-colors " +
+                    "min-w-0 text-center text-xs font-medium px-2 py-1 rounded-md transition-colors " +
                     (active
                       ? 'text-blue-700 bg-blue-50'
                       : 'text-gray-600 hover:bg-gray-50')
@@ -372,37 +391,53 @@ const AdminComplaints = () => {
 
           {/* Search row */}
           <div className="mt-2">
-            <div className="relative">
-              <span className="pointer-events-none absolute left-2 top-1/2 -translate-y-1/2 text-gray-400">
-                <svg
-                  width="14"
-                  height="14"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  xmlns="http://www.w3.org/2000/svg"
-                >
-                  <path
-                    d="M10.5 18a7.5 7.5 0 1 1 0-15 7.5 7.5 0 0 1 0 15Z"
-                    stroke="currentColor"
-                    strokeWidth="2"
-                  />
-                  <path
-                    d="M21 21l-4.2-4.2"
-                    stroke="currentColor"
-                    strokeWidth="2"
-                    strokeLinecap="round"
-                  />
-                </svg>
-              </span>
-              <input
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                placeholder="Search"
-                className="h-8 w-full rounded-md border border-gray-200 bg-white pl-8 pr-2 text-xs text-gray-700 placeholder:text-gray-400 focus:border-blue-500 focus:outline-none"
-              />
+            <div className="flex items-center gap-2">
+              <div className="relative flex-1">
+                <span className="pointer-events-none absolute left-2 top-1/2 -translate-y-1/2 text-gray-400">
+                  <svg
+                    width="14"
+                    height="14"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    xmlns="http://www.w3.org/2000/svg"
+                  >
+                    <path
+                      d="M10.5 18a7.5 7.5 0 1 1 0-15 7.5 7.5 0 0 1 0 15Z"
+                      stroke="currentColor"
+                      strokeWidth="2"
+                    />
+                    <path
+                      d="M21 21l-4.2-4.2"
+                      stroke="currentColor"
+                      strokeWidth="2"
+                      strokeLinecap="round"
+                    />
+                  </svg>
+                </span>
+                <input
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  placeholder="Search subject, details or ID"
+                  className="h-8 w-full rounded-md border border-gray-200 bg-white pl-8 pr-2 text-xs text-gray-700 placeholder:text-gray-400 focus:border-blue-500 focus:outline-none"
+                />
+              </div>
+              <select
+                value={priorityFilter}
+                onChange={(e) => setPriorityFilter(e.target.value)}
+                aria-label="Filter by priority"
+                className="h-8 rounded-md border border-gray-200 bg-white px-1 text-xs text-gray-700 focus:border-blue-500 focus:outline-none"
+              >
+                <option value="all">Any priority</option>
+                {COMPLAINT_PRIORITIES.map((priority) => (
+                  <option key={priority} value={priority}>
+                    {PRIORITY_LABELS[priority]}
+                  </option>
+                ))}
+              </select>
             </div>
+            <ComplaintListFilters value={listFilters} onChange={setListFilters} showDepartment />
             <div className="mt-1 text-[11px] text-gray-500">
-              {filteredComplaints.length} result{filteredComplaints.length === 1 ? '' : 's'}
+              {pagination?.total ?? complaints.length} result{(pagination?.total ?? complaints.length) === 1 ? '' : 's'}
             </div>
           </div>
         </div>
@@ -426,7 +461,7 @@ const AdminComplaints = () => {
                 </div>
               ))}
             </div>
-          ) : filteredComplaints.length === 0 ? (
+          ) : complaints.length === 0 ? (
             <div className="flex flex-col items-center justify-center h-full p-8">
               <svg className="w-16 h-16 text-gray-300 mb-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -435,48 +470,82 @@ const AdminComplaints = () => {
               <p className="text-xs text-gray-500 mt-1">Try adjusting your filters</p>
             </div>
           ) : (
-            filteredComplaints.map((c) => {
-              const active = c?._id === selectedComplaintId;
-              const name = c?.userId?.name || 'Unknown';
-              const subject = (c?.subject || '').replace(/\s+/g, ' ').trim();
-              const complaintId = c?.complaintId || c?._id;
+            <>
+              {complaints.map((c) => {
+                const active = c?._id === selectedComplaintId;
+                const name = c?.userId?.name || 'Unknown';
+                const subject = (c?.subject || '').replace(/\s+/g, ' ').trim();
+                const complaintId = c?.complaintId || c?._id;
 
-              return (
-                <button
-                  key={c?._id}
-                  type="button"
-                  onClick={() => setSelectedComplaintId(c?._id)}
-                  className={
-                    "w-full text-left px-3 py-2 border-b border-gray-100 transition-colors " +
-                    (active ? 'bg-blue-50' : 'hover:bg-gray-50')
-                  }
-                >
-                  <div className="flex items-start justify-between gap-2">
-                    <div className="min-w-0">
-                      <div className="flex items-center gap-2 min-w-0">
-                        <p className="text-xs font-semibold text-gray-900 truncate" title={name}>
-                          {name}
+                return (
+                  <button
+                    key={c?._id}
+                    type="button"
+                    onClick={() => setSelectedComplaintId(c?._id)}
+                    className={
+                      "w-full text-left px-3 py-2 border-b border-gray-100 transition-colors " +
+                      (active ? 'bg-blue-50' : 'hover:bg-gray-50')
+                    }
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <p className="text-xs font-semibold text-gray-900 truncate" title={name}>
+                            {name}
+                          </p>
+                          {complaintId ? (
+                            <p className="text-[11px] text-gray-500 truncate font-mono" title={complaintId}>
+                              {complaintId}
+                            </p>
+                          ) : null}
+                        </div>
+                        <p className="mt-0.5 text-[11px] text-gray-600 truncate" title={subject}>
+                          {subject || '—'}
                         </p>
-                        {complaintId ? (
-                          <p className="text-[11px] text-gray-500 truncate font-mono" title={complaintId}>
-                            {complaintId}
+                        {c?.assignedTo?.name ? (
+                          <p className="mt-0.5 text-[10px] text-violet-700 truncate">
+                            Assigned to {c.assignedTo.name}
                           </p>
                         ) : null}
                       </div>
-                      <p className="mt-0.5 text-[11px] text-gray-600 truncate" title={subject}>
-                        {subject || '—'}
-                      </p>
-                    </div>
-                    <div className="flex flex-col items-end gap-1">
-                      <StatusPill status={c?.status} />
-                      <span className="text-[11px] text-gray-400 whitespace-nowrap">
-                        {formatListDate(c?.createdAt)}
-                      </span>
+                      <div className="flex flex-col items-end gap-1">
+                        <StatusPill status={c?.status} />
+                        {c?.isAnonymous && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-medium border bg-purple-50 text-purple-700 border-purple-100">
+                            Anonymous
+                          </span>
+                        )}
+                        {(c?.priority === 'HIGH' || c?.priority === 'URGENT') && (
+                          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-medium border ${PRIORITY_PILL_STYLES[c.priority]}`}>
+                            {PRIORITY_LABELS[c.priority]}
+                          </span>
+                        )}
+                        {c?.upvoteCount > 0 && (
+                          <span className="text-[11px] text-gray-500 whitespace-nowrap" title="Board upvotes">
+                            +{c.upvoteCount} me too
+                          </span>
+                        )}
+                        <span className="text-[11px] text-gray-400 whitespace-nowrap">
+                          {formatListDate(c?.createdAt)}
+                        </span>
+                      </div>
                     </div>
-                  </div>
-                </button>
-              );
-            })
+                  </button>
+                );
+              })}
+              {pagination?.hasMore && (
+                <div className="p-3">
+                  <button
+                    type="button"
+                    onClick={handleLoadMore}
+                    disabled={loadingMore}
+                    className="w-full rounded-md border border-gray-200 bg-white px-3 py-1.5 text-xs font-medium text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+                  >
+                    {loadingMore ? 'Loading…' : `Load more (${pagination.total - complaints.length} remaining)`}
+                  </button>
+                </div>
+              )}
+            </>
           )}
         </div>
       </div>
@@ -549,21 +618,77 @@ const AdminComplaints = () => {
               </div>
 
               <div className="mt-3 grid grid-cols-1 md:grid-cols-4 gap-3">
+                {selectedComplaint.isAnonymous ? (
+                  <div className="md:col-span-3">
+                    <AnonymousIdentity key={selectedComplaint._id} complaint={selectedComplaint} canReveal />
+                  </div>
+                ) : (
+                  <>
+                    <div className="rounded-md border border-gray-200 px-3 py-2">
+                      <p className="text-[11px] text-gray-500">Student ID</p>
+                      <p className="text-sm text-gray-900 break-words font-mono">{selectedComplaint.userId?.studentId || '—'}</p>
+                    </div>
+                    <div className="rounded-md border border-gray-200 px-3 py-2">
+                      <p className="text-[11px] text-gray-500">Student Name</p>
+                      <p className="text-sm text-gray-900 break-words">{selectedComplaint.userId?.name || '—'}</p>
+                    </div>
+                    <div className="rounded-md border border-gray-200 px-3 py-2">
+                      <p className="text-[11px] text-gray-500">Email</p>
+                      <p className="text-sm text-gray-900 break-words">{selectedComplaint.userId?.email || '—'}</p>
+                    </div>
+                  </>
+                )}
                 <div className="rounded-md border border-gray-200 px-3 py-2">
-                  <p className="text-[11px] text-gray-500">Student ID</p>
-                  <p className="text-sm text-gray-900 break-words font-mono">{selectedComplaint.userId?.studentId || '—'}</p>
+                  <p className="text-[11px] text-gray-500">Complaint ID</p>
+                  <p className="text-sm text-gray-900 break-words font-mono">{selectedComplaint.complaintId || selectedComplaint._id}</p>
                 </div>
                 <div className="rounded-md border border-gray-200 px-3 py-2">
-                  <p className="text-[11px] text-gray-500">Student Name</p>
-                  <p className="text-sm text-gray-900 break-words">{selectedComplaint.userId?.name || '—'}</p>
+                  <p className="text-[11px] text-gray-500">Category</p>
+                  <p className="text-sm text-gray-900 break-words">
+                    {selectedComplaint.category?.name
+                      ? [selectedComplaint.category.name, selectedComplaint.subCategory?.name].filter(Boolean).join(' / ')
+                      : '—'}
+                  </p>
                 </div>
                 <div className="rounded-md border border-gray-200 px-3 py-2">
-                  <p className="text-[11px] text-gray-500">Email</p>
-                  <p className="text-sm text-gray-900 break-words">{selectedComplaint.userId?.email || '—'}</p>
+                  <p className="text-[11px] text-gray-500">Routed To</p>
+                  <p className="text-sm text-gray-900 break-words">
+                    {selectedComplaint.routedDepartment ||
+                      (selectedComplaint.routedTo?.length
+                        ? `Handler pool (${selectedComplaint.routedTo.length})`
+                        : "Submitter's department")}
+                  </p>
                 </div>
                 <div className="rounded-md border border-gray-200 px-3 py-2">
-                  <p className="text-[11px] text-gray-500">Complaint ID</p>
-                  <p className="text-sm text-gray-900 break-words font-mono">{selectedComplaint.complaintId || selectedComplaint._id}</p>
+                  <p className="text-[11px] text-gray-500">Priority</p>
+                  <PriorityControl
+                    key={selectedComplaint._id}
+                    basePath="/api/admin"
+                    complaint={selectedComplaint}
+                    onChanged={fetchComplaints}
+                  />
+                </div>
+                <div className="rounded-md border border-gray-200 px-3 py-2">
+                  <p className="text-[11px] text-gray-500">SLA Due</p>
+                  {selectedComplaint.sla?.resolutionDueAt ? (
+                    <>
+                      <p className="text-xs text-gray-900">
+                        Response: {selectedComplaint.sla.firstRespondedAt
+                          ? 'Done'
+                          : formatListDate(selectedComplaint.sla.firstResponseDueAt)}
+                      </p>
+                      <p className="text-xs text-gray-900">
+                        Resolution: {formatListDate(selectedComplaint.sla.resolutionDueAt)}
+                      </p>
+                      {getSlaBreaches(selectedComplaint).length > 0 && (
+                        <span className="mt-1 inline-flex items-center px-2 py-0.5 rounded-full text-[11px] font-medium border bg-red-50 text-red-700 border-red-100">
+                          {getSlaBreaches(selectedComplaint).join(' & ')} overdue
+                        </span>
+                      )}
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-900">—</p>
+                  )}
                 </div>
               </div>
             </div>
@@ -588,6 +713,23 @@ const AdminComplaints = () => {
                   </div>
                 </div>
 
+                <ComplaintRevisions complaint={selectedComplaint} />
+
+                {selectedComplaint.attachments?.length > 0 ? (
+                  <div>
+                    <p className="text-xs font-semibold text-gray-700">
+                      Attachments ({selectedComplaint.attachments.length})
+                    </p>
+                    <div className="mt-2">
+                      <AttachmentList
+                        attachments={selectedComplaint.attachments}
+                        basePath="/api/admin"
+                        complaintId={selectedComplaint._id}
+                      />
+                    </div>
+                  </div>
+                ) : null}
+
                 {selectedComplaint.acknowledgment ? (
                   <div>
                     <p className="text-xs font-semibold text-gray-700">Admin Response</p>
@@ -599,32 +741,13 @@ const AdminComplaints = () => {
                   </div>
                 ) : null}
 
-                {/* Rating Display */}
-                {selectedComplaint.rating && (
-                  <div>
-                    <p className="text-xs font-semibold text-gray-700">Resolution Rating</p>
-                    <div className="mt-2 rounded-md border border-amber-200 bg-amber-50 px-4 py-3">
-                      <div className="flex items-center gap-2">
-                        {[1, 2, 3, 4, 5].map((star) => (
-                          <svg
-                            key={star}
-                            className={`w-5 h-5 ${
-                              star <= selectedComplaint.rating
-                                ? 'text-amber-500 fill-amber-500'
-                                : 'text-gray-300 fill-gray-300'
-                            }`}
-                            viewBox="0 0 20 20"
-                          >
-                            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                          </svg>
-                        ))}
-                        <span className="text-sm font-medium text-amber-900 ml-2">
-                          {selectedComplaint.rating} out of 5 stars
-                        </span>
-                      </div>
-                    </div>
-                  </div>
-                )}
+                {/* Feedback Display */}
+                <FeedbackSummary
+                  key={selectedComplaint._id}
+                  basePath="/api/admin"
+                  complaint={selectedComplaint}
+                  onChanged={fetchComplaints}
+                />
 
                 {/* Acknowledgment Display */}
                 {selectedComplaint.acknowledgedByStudent && (
@@ -671,6 +794,20 @@ const AdminComplaints = () => {
                   </div>
                 )}
 
+                <ReopenRequestReview
+                  key={`reopen-${selectedComplaint._id}`}
+                  complaint={selectedComplaint}
+                  canDecide
+                  onChanged={fetchComplaints}
+                />
+
+                <SimilarComplaints
+                  key={`similar-${selectedComplaint._id}`}
+                  basePath="/api/admin"
+                  complaint={selectedComplaint}
+                  onChanged={fetchComplaints}
+                />
+
                 {/* Reopen History */}
                 {selectedComplaint.reopenHistory && selectedComplaint.reopenHistory.length > 0 && (
                   <div>
@@ -702,27 +839,55 @@ const AdminComplaints = () => {
                     </div>
                   </div>
                 )}
+
+                {/* Assignment */}
+                <div>
+                  <p className="text-xs font-semibold text-gray-700">Assigned To</p>
+                  <div className="mt-2">
+                    <AssignmentPanel
+                      key={selectedComplaint._id}
+                      basePath="/api/admin"
+                      complaint={selectedComplaint}
+                      onAssigned={fetchComplaints}
+                    />
+                  </div>
+                </div>
+
+                {/* Status History */}
+                <div>
+                  <p className="text-xs font-semibold text-gray-700">Status History</p>
+                  <div className="mt-2">
+                    <StatusTimeline
+                      basePath="/api/admin"
+                      complaintId={selectedComplaint._id}
+                      refreshKey={selectedComplaint.updatedAt}
+                    />
+                  </div>
+                </div>
+
+                {/* Conversation */}
+                <div>
+                  <p className="text-xs font-semibold text-gray-700">Conversation</p>
+                  <div className="mt-2">
+                    <ComplaintThread
+                      basePath="/api/admin"
+                      complaintId={selectedComplaint._id}
+                      isStaff
+                    />
+                  </div>
+                </div>
               </div>
             </div>
 
             <div className="px-5 py-4 border-t border-gray-200">
-              {(() => {
-                const isResolved = selectedComplaint.status === 'RESOLVED';
-                return (
               <button
                 type="button"
-                onClick={() => {
-                  if (isResolved) return;
-                  setShowActionModal(true);
-                  setNewStatus(selectedComplaint.status || 'SUBMITTED');
-                }}
-                disabled={isResolved}
+                onClick={openStatusModal}
+                disabled={loadingTransitions}
                 className="h-9 w-full rounded-md border border-blue-600 bg-blue-600 text-sm font-semibold text-white hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                Update Status
+                {loadingTransitions ? 'Loading…' : 'Update Status'}
               </button>
-                );
-              })()}
             </div>
           </div>
         )}
@@ -755,10 +920,11 @@ const AdminComplaints = () => {
                   onChange={(e) => setNewStatus(e.target.value)}
                   className="h-9 w-full rounded-md border border-gray-200 px-2 text-sm text-gray-800 focus:border-blue-500 focus:outline-none"
                 >
-                  <option value="SUBMITTED">Submitted</option>
-                  <option value="READ">Read</option>
-                  <option value="UNDER_REVIEW">Under Review</option>
-                  <option value="RESOLVED">Resolved</option>
+                  {transitions.map((transition) => (
+                    <option key={transition.to} value={transition.to}>
+                      {transition.label}
+                    </option>
+                  ))}
                 </select>
               </div>
 
@@ -779,6 +945,31 @@ const AdminComplaints = () => {
                   )}
                 </div>
               )}
+
+              {newStatus !== 'RESOLVED' && (
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    {noteRequired ? (
+                      <>
+                        Remark <span className="text-red-500">*</span>
+                      </>
+                    ) : (
+                      'Note (optional)'
+                    )}
+                  </label>
+                  <textarea
+                    value={statusNote}
+                    onChange={(e) => setStatusNote(e.target.value)}
+                    rows={3}
+                    maxLength={1000}
+                    className="w-full rounded-md border border-gray-200 px-3 py-2 text-sm text-gray-800 focus:border-blue-500 focus:outline-none"
+                    placeholder="Reason for this status change…"
+                  />
+                  {noteRequired && !statusNote.trim() && (
+                    <p className="mt-1 text-xs text-red-500">A remark is required for this status change</p>
+                  )}
+                </div>
+              )}
             </div>
 
             <div className="flex items-center gap-2 px-5 py-4 border-t border-gray-200">
@@ -792,7 +983,12 @@ const AdminComplaints = () => {
               <button
                 type="button"
                 onClick={handleUpdateStatus}
-                disabled={updating || (newStatus === 'RESOLVED' && !acknowledgment.trim())}
+                disabled={
+                  updating ||
+                  !newStatus ||
+                  (newStatus === 'RESOLVED' && !acknowledgment.trim()) ||
+                  (noteRequired && !statusNote.trim())
+                }
                 className="h-9 flex-1 rounded-md border border-blue-600 bg-blue-600 text-sm font-semibold text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {updating ? 'Updating…' : 'Update'}
@@ -1,7 +1,16 @@
 import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import api from '../../services/api';
-import { FiUsers, FiMessageSquare, FiEye, FiClock, FiCheckCircle } from 'react-icons/fi';
+import { FiUsers, FiMessageSquare, FiClock, FiCheckCircle, FiAlertTriangle } from 'react-icons/fi';
+import StatusBreakdown from '../../components/StatusBreakdown';
+import ComplaintAnalytics from '../../components/ComplaintAnalytics';
+import {
+  OPEN_STATUSES,
+  RESOLUTION_STATUSES,
+  STATUS_PILL_STYLES,
+  countStatuses,
+  formatStatus,
+} from '../../utils/complaintStatus';
 
 const AdminDashboard = () => {
   const [stats, setStats] = useState(null);
@@ -13,7 +22,7 @@ const AdminDashboard = () => {
       try {
         const [statsRes, complaintsRes] = await Promise.all([
           api.get('/api/admin/stats'),
-          api.get('/api/admin/complaints?limit=5'),
+          api.get('/api/admin/complaints', { params: { limit: 5, sort: 'newest' } }),
         ]);
 
         if (statsRes.data.success) {
@@ -45,25 +54,11 @@ const AdminDashboard = () => {
     </div>
   );
 
-  const StatusBadge = ({ status }) => {
-    const styles = {
-      READ: 'bg-blue-100 text-blue-800',
-      UNDER_REVIEW: 'bg-yellow-100 text-yellow-800',
-      RESOLVED: 'bg-green-100 text-green-800',
-    };
-
-    const labels = {
-      READ: 'Read',
-      UNDER_REVIEW: 'Under Review',
-      RESOLVED: 'Resolved',
-    };
-
-    return (
-      <span className={`px-2 py-1 text-xs font-medium rounded-full ${styles[status]}`}>
-        {labels[status]}
-      </span>
-    );
-  };
+  const StatusBadge = ({ status }) => (
+    <span className={`px-2 py-1 text-xs font-medium rounded-full border ${STATUS_PILL_STYLES[status] || STATUS_PILL_STYLES.SUBMITTED}`}>
+      {formatStatus(status)}
+    </span>
+  );
 
   const SkeletonCard = () => (
     <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 animate-pulse">
@@ -87,11 +82,11 @@ const AdminDashboard = () => {
 
       {/* Stats Grid */}
       {loading ? (
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
-          {[...Array(6)].map((_, i) => <SkeletonCard key={i} />)}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          {[...Array(8)].map((_, i) => <SkeletonCard key={i} />)}
         </div>
       ) : (
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
           <StatCard
             icon={FiUsers}
             label="Students"
@@ -122,18 +117,32 @@ const AdminDashboard = () => {
           />
           <StatCard
             icon={FiClock}
-            label="Under Review"
-            value={stats?.byStatus?.underReview || 0}
+            label="Open"
+            value={countStatuses(stats?.byStatus, OPEN_STATUSES)}
             color="text-yellow-600"
             bgColor="bg-yellow-50"
           />
           <StatCard
             icon={FiCheckCircle}
             label="Resolved"
-            value={stats?.byStatus?.resolved || 0}
+            value={countStatuses(stats?.byStatus, RESOLUTION_STATUSES)}
             color="text-green-600"
             bgColor="bg-green-50"
           />
+          <StatCard
+            icon={FiAlertTriangle}
+            label="Response Overdue"
+            value={stats?.slaBreaches?.firstResponse || 0}
+            color="text-orange-600"
+            bgColor="bg-orange-50"
+          />
+          <StatCard
+            icon={FiAlertTriangle}
+            label="Resolution Overdue"
+            value={stats?.slaBreaches?.resolution || 0}
+            color="text-red-600"
+            bgColor="bg-red-50"
+          />
         </div>
       )}
 
@@ -141,8 +150,8 @@ const AdminDashboard = () => {
       {loading ? (
         <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 animate-pulse">
           <div className="h-5 bg-gray-200 rounded w-40 mb-3"></div>
-          <div className="grid grid-cols-3 gap-3">
-            {[...Array(3)].map((_, i) => (
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+            {[...Array(7)].map((_, i) => (
               <div key={i} className="text-center p-3 bg-gray-50 rounded-lg border border-gray-100">
                 <div className="w-6 h-6 bg-gray-200 rounded mx-auto mb-1.5"></div>
                 <div className="h-6 bg-gray-200 rounded w-8 mx-auto mb-1"></div>
@@ -154,26 +163,13 @@ const AdminDashboard = () => {
       ) : (
         <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200">
           <h2 className="text-base font-semibold text-gray-900 mb-3">Complaints by Status</h2>
-          <div className="grid grid-cols-3 gap-3">
-            <div className="text-center p-3 bg-blue-50 rounded-lg border border-blue-100">
-              <FiEye className="w-6 h-6 text-blue-600 mx-auto mb-1.5" />
-              <p className="text-xl font-bold text-blue-700">{stats?.byStatus?.read || 0}</p>
-              <p className="text-xs text-blue-600 font-medium">Read</p>
-            </div>
-            <div className="text-center p-3 bg-yellow-50 rounded-lg border border-yellow-100">
-              <FiClock className="w-6 h-6 text-yellow-600 mx-auto mb-1.5" />
-              <p className="text-xl font-bold text-yellow-700">{stats?.byStatus?.underReview || 0}</p>
-              <p className="text-xs text-yellow-600 font-medium">Under Review</p>
-            </div>
-            <div className="text-center p-3 bg-green-50 rounded-lg border border-green-100">
-              <FiCheckCircle className="w-6 h-6 text-green-600 mx-auto mb-1.5" />
-              <p className="text-xl font-bold text-green-700">{stats?.byStatus?.resolved || 0}</p>
-              <p className="text-xs text-green-600 font-medium">Resolved</p>
-            </div>
-          </div>
+          <StatusBreakdown byStatus={stats?.byStatus} />
         </div>
       )}
 
+      {/* Analytics */}
+      <ComplaintAnalytics endpoint="/api/admin/analytics" accent="blue" />
+
       {/* Recent Complaints */}
       {loading ? (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 animate-pulse">
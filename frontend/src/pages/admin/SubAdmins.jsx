@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import api from '../../services/api';
 import toast from 'react-hot-toast';
+import ScopeEditor, { cleanScopes, formatScope } from '../../components/ScopeEditor';
 import { FiEdit2, FiTrash2, FiX } from 'react-icons/fi';
 
 const SubAdmins = () => {
@@ -39,7 +40,7 @@ const SubAdmins = () => {
   };
 
   const handleEdit = (subAdmin) => {
-    setEditModal({ isOpen: true, subAdmin: { ...subAdmin } });
+    setEditModal({ isOpen: true, subAdmin: { ...subAdmin, scopes: subAdmin.scopes || [] } });
   };
 
   const handleDelete = (subAdmin) => {
@@ -55,6 +56,8 @@ const SubAdmins = () => {
         email: editModal.subAdmin.email,
         department: editModal.subAdmin.department,
         college: editModal.subAdmin.college,
+        isDepartmentHead: !!editModal.subAdmin.isDepartmentHead,
+        scopes: cleanScopes(editModal.subAdmin.scopes),
       });
       if (response.data.success) {
         toast.success('Sub-admin updated successfully');
@@ -200,7 +203,15 @@ const SubAdmins = () => {
                       <div className="text-sm text-gray-600">{subAdmin.email}</div>
                     </td>
                     <td className="px-4 py-3 whitespace-nowrap">
-                      <div className="text-sm text-gray-900">{subAdmin.department}</div>
+                      <div className="text-sm text-gray-900">
+                        {subAdmin.department}
+                        {subAdmin.isDepartmentHead && (
+                          <span className="ml-2 px-2 py-0.5 inline-flex text-xs font-medium rounded-full bg-indigo-50 text-indigo-700">Head</span>
+                        )}
+                      </div>
+                      {subAdmin.scopes?.length > 0 && (
+                        <div className="text-xs text-gray-500 mt-0.5">Covers {subAdmin.scopes.map(formatScope).join(', ')}</div>
+                      )}
                     </td>
                     <td className="px-4 py-3 whitespace-nowrap">
                       <div className="text-sm text-gray-600">{new Date(subAdmin.createdAt).toLocaleDateString()}</div>
@@ -260,6 +271,10 @@ const SubAdmins = () => {
                   <div>
                     <span className="text-gray-500">Department:</span>
                     <span className="ml-1 text-gray-900 font-medium">{subAdmin.department}</span>
+                    {subAdmin.isDepartmentHead && <span className="ml-1 text-indigo-700 font-medium">(Head)</span>}
+                    {subAdmin.scopes?.length > 0 && (
+                      <div className="text-gray-500 mt-0.5">Covers {subAdmin.scopes.map(formatScope).join(', ')}</div>
+                    )}
                   </div>
                   <div>
                     <span className="text-gray-500">Created:</span>
@@ -326,6 +341,22 @@ const SubAdmins = () => {
                   required
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Departments Covered</label>
+                <ScopeEditor
+                  scopes={editModal.subAdmin.scopes}
+                  onChange={(scopes) => setEditModal({ ...editModal, subAdmin: { ...editModal.subAdmin, scopes } })}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!editModal.subAdmin.isDepartmentHead}
+                  onChange={(e) => setEditModal({ ...editModal, subAdmin: { ...editModal.subAdmin, isDepartmentHead: e.target.checked } })}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Department head (receives urgent complaint alerts)
+              </label>
               <div className="flex gap-2 justify-end pt-2">
                 <button
                   type="button"
@@ -0,0 +1,9 @@
+import CategoryManager from '../../components/CategoryManager';
+
+export default function CategoriesPage() {
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <CategoryManager />
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import Leaderboard from '../../components/Leaderboard';
+
+export default function LeaderboardPage() {
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Leaderboard />
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import ReportBuilder from '../../components/ReportBuilder';
+import DigestSettings from '../../components/DigestSettings';
+
+export default function ReportsPage() {
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Generate Reports</h1>
+        <p className="mt-2 text-sm text-gray-600">
+          Download reports across all complaints as CSV, Excel, PDF or JSON
+        </p>
+      </div>
+
+      <ReportBuilder basePath="/api/admin" accent="blue" />
+
+      <div className="mt-8">
+        <DigestSettings basePath="/api/admin" accent="blue" showRecipient />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import RoleManager from '../../components/RoleManager';
+
+export default function RolesPage() {
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <RoleManager />
+    </div>
+  );
+}
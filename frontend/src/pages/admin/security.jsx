@@ -0,0 +1,9 @@
+import SecuritySettings from '../../components/SecuritySettings';
+
+export default function SecurityPage() {
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <SecuritySettings />
+    </div>
+  );
+}
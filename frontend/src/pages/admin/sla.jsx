@@ -0,0 +1,13 @@
+import SlaPolicyEditor from '../../components/SlaPolicyEditor';
+import ClosurePolicyEditor from '../../components/ClosurePolicyEditor';
+
+export default function SlaPage() {
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <SlaPolicyEditor />
+      <div className="mt-8">
+        <ClosurePolicyEditor />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import SubmissionLimitsEditor from '../../components/SubmissionLimitsEditor';
+
+export default function SubmissionLimitsPage() {
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <SubmissionLimitsEditor />
+    </div>
+  );
+}
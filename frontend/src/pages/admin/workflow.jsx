@@ -0,0 +1,9 @@
+import WorkflowEditor from '../../components/WorkflowEditor';
+
+export default function WorkflowPage() {
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <WorkflowEditor />
+    </div>
+  );
+}
@@ -3,6 +3,14 @@ import Link from 'next/link';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../services/api';
 import { FiPlusCircle } from 'react-icons/fi';
+import {
+  OPEN_STATUSES,
+  RESOLUTION_STATUSES,
+  STATUS_BADGE_STYLES,
+  STATUS_DOTS,
+  countStatuses,
+  formatStatus,
+} from '../../utils/complaintStatus';
 
 const EmployeeDashboard = () => {
   const { user } = useAuth();
@@ -39,41 +47,23 @@ const EmployeeDashboard = () => {
     return () => clearTimeout(id);
   }, []);
 
-  const StatusBadge = ({ status }) => {
-    const labels = {
-      READ: 'Read',
-      UNDER_REVIEW: 'Under Review',
-      RESOLVED: 'Resolved',
-    };
-
-    const styles = {
-      READ: 'text-blue-700 bg-blue-50',
-      UNDER_REVIEW: 'text-yellow-700 bg-yellow-50',
-      RESOLVED: 'text-green-700 bg-green-50',
-    };
-
-    return (
-      <span className={`inline-flex items-center gap-2 px-2.5 py-1 text-xs font-medium rounded-full ${styles[status]}`}>
-        <span
-          className={`w-1.5 h-1.5 rounded-full ${
-            status === 'READ'
-              ? 'bg-blue-600'
-              : status === 'UNDER_REVIEW'
-                ? 'bg-yellow-600'
-                : 'bg-green-600'
-          }`}
-        />
-        <span>{labels[status]}</span>
-      </span>
-    );
-  };
+  const StatusBadge = ({ status }) => (
+    <span
+      className={`inline-flex items-center gap-2 px-2.5 py-1 text-xs font-medium rounded-full ${
+        STATUS_BADGE_STYLES[status] || STATUS_BADGE_STYLES.SUBMITTED
+      }`}
+    >
+      <span className={`w-1.5 h-1.5 rounded-full ${STATUS_DOTS[status] || 'bg-gray-500'}`} />
+      <span>{formatStatus(status)}</span>
+    </span>
+  );
 
   const totals = useMemo(() => {
     const totalComplaints = stats?.totalComplaints || 0;
-    const read = stats?.byStatus?.read || 0;
-    const underReview = stats?.byStatus?.underReview || 0;
-    const resolved = stats?.byStatus?.resolved || 0;
-    return { totalComplaints, read, underReview, resolved };
+    const open = countStatuses(stats?.byStatus, OPEN_STATUSES);
+    const resolved = countStatuses(stats?.byStatus, RESOLUTION_STATUSES);
+    const rejected = stats?.byStatus?.REJECTED || 0;
+    return { totalComplaints, open, resolved, rejected };
   }, [stats]);
 
   const hasStats = !!stats;
@@ -96,12 +86,12 @@ const EmployeeDashboard = () => {
     const recentStatusCounts = recentComplaints.reduce(
       (acc, complaint) => {
         const status = complaint?.status;
-        if (status === 'READ') acc.READ += 1;
-        if (status === 'UNDER_REVIEW') acc.UNDER_REVIEW += 1;
-        if (status === 'RESOLVED') acc.RESOLVED += 1;
+        if (OPEN_STATUSES.includes(status)) acc.open += 1;
+        if (RESOLUTION_STATUSES.includes(status)) acc.resolved += 1;
+        if (status === 'REJECTED') acc.rejected += 1;
         return acc;
       },
-      { READ: 0, UNDER_REVIEW: 0, RESOLVED: 0 }
+      { open: 0, resolved: 0, rejected: 0 }
     );
 
     return { mostRecentCreatedAt, mostRecentResolvedAt, recentStatusCounts };
@@ -114,9 +104,9 @@ const EmployeeDashboard = () => {
       return Math.round((value / total) * 100);
     };
     return {
-      readPct: safePct(totals.read),
-      underReviewPct: safePct(totals.underReview),
+      openPct: safePct(totals.open),
       resolvedPct: safePct(totals.resolved),
+      rejectedPct: safePct(totals.rejected),
     };
   }, [totals]);
 
@@ -163,14 +153,9 @@ const EmployeeDashboard = () => {
             bg: 'bg-teal-50/40',
             accent: 'border-teal-400',
           },
-          { label: 'Read', value: totals.read, bg: 'bg-blue-50', accent: 'border-blue-500' },
-          {
-            label: 'Review',
-            value: totals.underReview,
-            bg: 'bg-yellow-50',
-            accent: 'border-yellow-500',
-          },
+          { label: 'Open', value: totals.open, bg: 'bg-blue-50', accent: 'border-blue-500' },
           { label: 'Resolved', value: totals.resolved, bg: 'bg-green-50', accent: 'border-green-600' },
+          { label: 'Rejected', value: totals.rejected, bg: 'bg-red-50', accent: 'border-red-500' },
         ].map((item) => (
           <div
             key={item.label}
@@ -218,15 +203,15 @@ const EmployeeDashboard = () => {
               <div className="flex flex-wrap gap-2 mt-2">
                 <span className="inline-flex items-center gap-2 px-2.5 py-1 rounded-full text-xs font-medium bg-blue-50 text-blue-700">
                   <span className="w-1.5 h-1.5 rounded-full bg-blue-600" />
-                  Read: {activity.recentStatusCounts.READ}
-                </span>
-                <span className="inline-flex items-center gap-2 px-2.5 py-1 rounded-full text-xs font-medium bg-yellow-50 text-yellow-700">
-                  <span className="w-1.5 h-1.5 rounded-full bg-yellow-600" />
-                  Review: {activity.recentStatusCounts.UNDER_REVIEW}
+                  Open: {activity.recentStatusCounts.open}
                 </span>
                 <span className="inline-flex items-center gap-2 px-2.5 py-1 rounded-full text-xs font-medium bg-green-50 text-green-700">
                   <span className="w-1.5 h-1.5 rounded-full bg-green-600" />
-                  Resolved: {activity.recentStatusCounts.RESOLVED}
+                  Resolved: {activity.recentStatusCounts.resolved}
+                </span>
+                <span className="inline-flex items-center gap-2 px-2.5 py-1 rounded-full text-xs font-medium bg-red-50 text-red-700">
+                  <span className="w-1.5 h-1.5 rounded-full bg-red-600" />
+                  Rejected: {activity.recentStatusCounts.rejected}
                 </span>
               </div>
             </div>
@@ -240,41 +225,41 @@ const EmployeeDashboard = () => {
           </div>
           <div className="px-4 py-4 space-y-4">
             <div className="flex items-center justify-between">
-              <p className="text-sm text-gray-700">Read</p>
+              <p className="text-sm text-gray-700">Open</p>
               <p className="text-sm text-gray-900 font-medium">
-                {hasStats ? totals.read : '—'} ({distribution.readPct}%)
+                {hasStats ? totals.open : '—'} ({distribution.openPct}%)
               </p>
             </div>
             <div className="h-2 rounded-full bg-blue-100 overflow-hidden">
               <div
                 className="h-full bg-gradient-to-r from-blue-500 to-blue-600 transition-[width] duration-700 ease-out"
-                style={{ width: `${barsReady ? distribution.readPct : 0}%` }}
+                style={{ width: `${barsReady ? distribution.openPct : 0}%` }}
               />
             </div>
 
             <div className="flex items-center justify-between">
-              <p className="text-sm text-gray-700">Under Review</p>
+              <p className="text-sm text-gray-700">Resolved</p>
               <p className="text-sm text-gray-900 font-medium">
-                {hasStats ? totals.underReview : '—'} ({distribution.underReviewPct}%)
+                {hasStats ? totals.resolved : '—'} ({distribution.resolvedPct}%)
               </p>
             </div>
-            <div className="h-2 rounded-full bg-yellow-100 overflow-hidden">
+            <div className="h-2 rounded-full bg-green-100 overflow-hidden">
               <div
-                className="h-full bg-gradient-to-r from-yellow-500 to-yellow-600 transition-[width] duration-700 ease-out"
-                style={{ width: `${barsReady ? distribution.underReviewPct : 0}%` }}
+                className="h-full bg-gradient-to-r from-green-500 to-green-600 transition-[width] duration-700 ease-out"
+                style={{ width: `${barsReady ? distribution.resolvedPct : 0}%` }}
               />
             </div>
 
             <div className="flex items-center justify-between">
-              <p className="text-sm text-gray-700">Resolved</p>
+              <p className="text-sm text-gray-700">Rejected</p>
               <p className="text-sm text-gray-900 font-medium">
-                {hasStats ? totals.resolved : '—'} ({distribution.resolvedPct}%)
+                {hasStats ? totals.rejected : '—'} ({distribution.rejectedPct}%)
               </p>
             </div>
-            <div className="h-2 rounded-full bg-green-100 overflow-hidden">
+            <div className="h-2 rounded-full bg-red-100 overflow-hidden">
               <div
-                className="h-full bg-gradient-to-r from-green-500 to-green-600 transition-[width] duration-700 ease-out"
-                style={{ width: `${barsReady ? distribution.resolvedPct : 0}%` }}
+                className="h-full bg-gradient-to-r from-red-500 to-red-600 transition-[width] duration-700 ease-out"
+                style={{ width: `${barsReady ? distribution.rejectedPct : 0}%` }}
               />
             </div>
           </div>
@@ -0,0 +1,9 @@
+import ComplaintBoard from '../../components/ComplaintBoard';
+
+export default function EmployeeBoardPage() {
+  return (
+    <div className="max-w-screen-xl mx-auto">
+      <ComplaintBoard basePath="/api/employee" accent="teal" />
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import ActiveSessions from '../../components/ActiveSessions';
+
+export default function EmployeeSessionsPage() {
+  return (
+    <div className="p-6 max-w-4xl mx-auto">
+      <ActiveSessions accent="teal" />
+    </div>
+  );
+}
@@ -2,11 +2,23 @@ import { useState, useEffect, useCallback } from 'react';
 import Link from 'next/link';
 import api from '../../services/api';
 import toast from 'react-hot-toast';
-import ComplaintRating from '../../components/ComplaintRating';
+import ComplaintFeedbackForm from '../../components/ComplaintFeedbackForm';
+import ComplaintClosureNotice from '../../components/ComplaintClosureNotice';
 import ReopenComplaintModal from '../../components/ReopenComplaintModal';
+import AttachmentList from '../../components/AttachmentList';
+import ComplaintThread from '../../components/ComplaintThread';
+import ComplaintRevisions from '../../components/ComplaintRevisions';
+import ComplaintAuthorActions from '../../components/ComplaintAuthorActions';
 import { 
-  FiX, FiStar, FiCheckCircle, FiRotateCw
+  FiX, FiStar, FiCheckCircle, FiRotateCw, FiEyeOff, FiThumbsUp
 } from 'react-icons/fi';
+import {
+  RESOLUTION_STATUSES,
+  STATUS_BADGE_STYLES,
+  STATUS_DOTS,
+  STATUS_TABS,
+  formatStatus,
+} from '../../utils/complaintStatus';
 
 const StudentComplaints = () => {
   const [complaints, setComplaints] = useState([]);
@@ -48,15 +60,16 @@ const StudentComplaints = () => {
     setShowDetailModal(true);
   };
 
-  const handleRate = async (complaintId, rating) => {
+  const handleRate = async (complaintId, feedback) => {
     try {
-      const response = await api.post(`/api/student/complaints/${complaintId}/rate`, { rating });
+      const response = await api.post(`/api/student/complaints/${complaintId}/rate`, feedback);
       if (response.data.success) {
-        toast.success('Rating submitted successfully!');
+        toast.success('Thanks for your feedback!');
+        setSelectedComplaint(response.data.data.complaint);
         fetchComplaints(pagination.current, statusFilter);
       }
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to rate complaint');
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to submit feedback');
     }
   };
 
@@ -72,20 +85,29 @@ const StudentComplaints = () => {
     }
   };
 
+  const handleComplaintUpdated = (complaint) => {
+    setSelectedComplaint(complaint);
+    fetchComplaints(pagination.current, statusFilter);
+  };
+
   const handleReopenClick = (complaintId) => {
     setReopeningComplaintId(complaintId);
     setShowReopenModal(true);
   };
 
-  const handleReopen = async (remarks) => {
+  const handleReopen = async (remarks, files = []) => {
     if (!reopeningComplaintId) return;
 
     try {
-      const response = await api.post(`/api/student/complaints/${reopeningComplaintId}/reopen`, {
-        reopenRemarks: remarks
+      const formData = new FormData();
+      formData.append('reopenRemarks', remarks);
+      files.forEach((file) => formData.append('attachments', file));
+
+      const response = await api.post(`/api/student/complaints/${reopeningComplaintId}/reopen`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
       });
       if (response.data.success) {
-        toast.success('Complaint reopened successfully!');
+        toast.success(response.data.message || 'Complaint reopened successfully!');
         setShowReopenModal(false);
         setReopeningComplaintId(null);
         fetchComplaints(pagination.current, statusFilter);
@@ -95,41 +117,23 @@ const StudentComplaints = () => {
     }
   };
 
-  const StatusBadge = ({ status }) => {
-    const labels = {
-      READ: 'Read',
-      UNDER_REVIEW: 'Under Review',
-      RESOLVED: 'Resolved',
-    };
-
-    const styles = {
-      READ: 'text-blue-700 bg-blue-50',
-      UNDER_REVIEW: 'text-yellow-700 bg-yellow-50',
-      RESOLVED: 'text-green-700 bg-green-50',
-    };
-
-    return (
-      <span className={`inline-flex items-center gap-2 px-2.5 py-1 text-xs font-medium rounded-full ${styles[status]}`}>
-        <span
-          className={`w-1.5 h-1.5 rounded-full ${
-            status === 'READ'
-              ? 'bg-blue-600'
-              : status === 'UNDER_REVIEW'
-                ? 'bg-yellow-600'
-                : 'bg-green-600'
-          }`}
-        />
-        <span>{labels[status]}</span>
-      </span>
-    );
-  };
+  const StatusBadge = ({ status }) => (
+    <span
+      className={`inline-flex items-center gap-2 px-2.5 py-1 text-xs font-medium rounded-full ${
+        STATUS_BADGE_STYLES[status] || STATUS_BADGE_STYLES.SUBMITTED
+      }`}
+    >
+      <span className={`w-1.5 h-1.5 rounded-full ${STATUS_DOTS[status] || 'bg-gray-500'}`} />
+      <span>{formatStatus(status)}</span>
+    </span>
+  );
 
   // Complaint Detail Modal
   const ComplaintDetailModal = () => {
     if (!selectedComplaint) return null;
 
-    const isResolved = selectedComplaint.status === 'RESOLVED';
-    const hasRated = selectedComplaint.rating > 0;
+    const isResolved = RESOLUTION_STATUSES.includes(selectedComplaint.status);
+    const canReopen = ['RESOLVED', 'REJECTED'].includes(selectedComplaint.status);
     const isAcknowledged = selectedComplaint.acknowledgedByStudent;
 
     return (
@@ -180,6 +184,28 @@ const StudentComplaints = () => {
                   </div>
                 </div>
 
+                {selectedComplaint.isAnonymous && (
+                  <div className="flex items-start gap-2 bg-purple-50 rounded-lg border border-purple-200 px-4 py-3">
+                    <FiEyeOff className="w-4 h-4 text-purple-600 mt-0.5 flex-shrink-0" />
+                    <p className="text-xs text-purple-800">
+                      Submitted anonymously. Staff handling this complaint see you as{' '}
+                      <span className="font-mono font-semibold">{selectedComplaint.anonymousRef}</span>; replies still reach you here and by email.
+                    </p>
+                  </div>
+                )}
+
+                {selectedComplaint.board && (
+                  <div className="flex items-start gap-2 bg-gray-50 rounded-lg border border-gray-200 px-4 py-3">
+                    <FiThumbsUp className="w-4 h-4 text-gray-500 mt-0.5 flex-shrink-0" />
+                    <p className="text-xs text-gray-700">
+                      Shared on the {selectedComplaint.board.visibility === 'DEPARTMENT' ? 'department' : 'college'} board.{' '}
+                      {selectedComplaint.upvoteCount === 1
+                        ? '1 person said this affects them too.'
+                        : `${selectedComplaint.upvoteCount || 0} people said this affects them too.`}
+                    </p>
+                  </div>
+                )}
+
                 {/* Subject */}
                 {selectedComplaint.subject && (
                   <div>
@@ -198,6 +224,20 @@ const StudentComplaints = () => {
                   </div>
                 </div>
 
+                <ComplaintRevisions complaint={selectedComplaint} />
+
+                {/* Attachments */}
+                {selectedComplaint.attachments?.length > 0 && (
+                  <div>
+                    <p className="text-xs text-gray-500 font-medium mb-2">Attachments</p>
+                    <AttachmentList
+                      attachments={selectedComplaint.attachments}
+                      basePath="/api/student"
+                      complaintId={selectedComplaint._id}
+                    />
+                  </div>
+                )}
+
                 {/* Admin Response */}
                 {selectedComplaint.acknowledgment && (
                   <div>
@@ -208,28 +248,61 @@ const StudentComplaints = () => {
                   </div>
                 )}
 
-                {/* Resolution Actions - Only for RESOLVED complaints */}
+                {/* Conversation */}
+                <div>
+                  <p className="text-xs text-gray-500 font-medium mb-2">Conversation</p>
+                  <ComplaintThread
+                    basePath="/api/student"
+                    complaintId={selectedComplaint._id}
+                  />
+                </div>
+
+                <ComplaintAuthorActions
+                  basePath="/api/student"
+                  complaint={selectedComplaint}
+                  onUpdated={handleComplaintUpdated}
+                  accent="green"
+                />
+
+                {/* Rejected complaints can be reopened with more information */}
+                {selectedComplaint.status === 'REJECTED' && (
+                  <div className="border-t border-gray-200 pt-5 mt-5">
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                      <p className="flex-1 text-xs text-gray-500">
+                        This complaint was rejected. You can reopen it with additional details for another review.
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowDetailModal(false);
+                          handleReopenClick(selectedComplaint._id);
+                        }}
+                        className="px-4 py-2.5 bg-white border-2 border-orange-600 text-orange-600 text-sm font-medium rounded-lg hover:bg-orange-50 transition-colors flex items-center justify-center gap-2"
+                      >
+                        <FiRotateCw className="w-4 h-4" />
+                        Reopen Complaint
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Resolution Actions - Only for RESOLVED/CLOSED complaints */}
                 {isResolved && (
                   <div className="border-t border-gray-200 pt-5 mt-5">
                     <h4 className="text-sm font-semibold text-gray-900 mb-4">Resolution Feedback</h4>
                     
                     <div className="space-y-4">
-                      {/* Rating Section */}
+                      {/* Feedback Section */}
                       <div className="bg-amber-50 rounded-lg border border-amber-200 px-4 py-4">
                         <p className="text-xs text-amber-900 font-medium mb-3">Rate the Resolution Quality</p>
-                        <ComplaintRating
-                          rating={selectedComplaint.rating || 0}
-                          onRate={(rating) => handleRate(selectedComplaint._id, rating)}
-                          disabled={hasRated}
+                        <ComplaintFeedbackForm
+                          complaint={selectedComplaint}
+                          onSubmit={(feedback) => handleRate(selectedComplaint._id, feedback)}
+                          canReopen={canReopen}
+                          onReopen={() => {
+                            setShowDetailModal(false);
+                            handleReopenClick(selectedComplaint._id);
+                          }}
                         />
-                        {hasRated && (
-                          <p className="text-xs text-amber-700 mt-2 flex items-center gap-1">
-                            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                            </svg>
-                            You rated this resolution {selectedComplaint.rating} stars
-                          </p>
-                        )}
                       </div>
 
                       {/* Action Buttons */}
@@ -256,23 +329,35 @@ const StudentComplaints = () => {
                           </div>
                         )}
                         
-                        <button
-                          onClick={() => {
-                            setShowDetailModal(false);
-                            handleReopenClick(selectedComplaint._id);
-                          }}
-                          className="px-4 py-2.5 bg-white border-2 border-orange-600 text-orange-600 text-sm font-medium rounded-lg hover:bg-orange-50 transition-colors flex items-center justify-center gap-2"
-                        >
-                          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-                          </svg>
-                          Reopen Complaint
-                        </button>
+                        {canReopen && (
+                          <button
+                            onClick={() => {
+                              setShowDetailModal(false);
+                              handleReopenClick(selectedComplaint._id);
+                            }}
+                            className="px-4 py-2.5 bg-white border-2 border-orange-600 text-orange-600 text-sm font-medium rounded-lg hover:bg-orange-50 transition-colors flex items-center justify-center gap-2"
+                          >
+                            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                            </svg>
+                            Reopen Complaint
+                          </button>
+                        )}
                       </div>
 
-                      <p className="text-xs text-gray-500 text-center">
-                        Not satisfied with the resolution? You can reopen this complaint to provide additional feedback.
-                      </p>
+                      {canReopen && (
+                        <p className="text-xs text-gray-500 text-center">
+                          Not satisfied with the resolution? You can reopen this complaint to provide additional feedback.
+                        </p>
+                      )}
+
+                      <ComplaintClosureNotice
+                        complaint={selectedComplaint}
+                        onRequestReopen={() => {
+                          setShowDetailModal(false);
+                          handleReopenClick(selectedComplaint._id);
+                        }}
+                      />
                     </div>
                   </div>
                 )}
@@ -311,24 +396,11 @@ const StudentComplaints = () => {
             idle: 'bg-primary-50/40 text-primary-800 border-primary-100',
             active: 'bg-primary-50 text-primary-800 border-primary-300',
           },
-          {
-            key: 'READ',
-            label: 'Read',
-            idle: 'bg-blue-50 text-blue-800 border-blue-100',
-            active: 'bg-blue-50 text-blue-800 border-blue-300',
-          },
-          {
-            key: 'UNDER_REVIEW',
-            label: 'Under Review',
-            idle: 'bg-yellow-50 text-yellow-800 border-yellow-100',
-            active: 'bg-yellow-50 text-yellow-800 border-yellow-300',
-          },
-          {
-            key: 'RESOLVED',
-            label: 'Resolved',
-            idle: 'bg-green-50 text-green-800 border-green-100',
-            active: 'bg-green-50 text-green-800 border-green-300',
-          },
+          ...STATUS_TABS.filter((tab) => tab.key !== 'all').map((tab) => ({
+            ...tab,
+            idle: `${STATUS_BADGE_STYLES[tab.key]} border-gray-100`,
+            active: `${STATUS_BADGE_STYLES[tab.key]} border-gray-400`,
+          })),
         ].map((item) => {
           const isActive = statusFilter === item.key;
           return (
@@ -1,11 +1,17 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import api from '../../services/api';
 import toast from 'react-hot-toast';
+import AttachmentPicker from '../../components/AttachmentPicker';
+import CategorySelect from '../../components/CategorySelect';
+import SimilarComplaintsNotice from '../../components/SimilarComplaintsNotice';
+import ComplaintDrafts from '../../components/ComplaintDrafts';
+import { COMPLAINT_PRIORITIES, PRIORITY_LABELS } from '../../utils/complaintSla';
 import { 
   FiSend, 
   FiAlertCircle,
-  FiCheck
+  FiCheck,
+  FiEyeOff
 } from 'react-icons/fi';
 
 const SubmitComplaint = () => {
@@ -13,9 +19,30 @@ const SubmitComplaint = () => {
   
   const [subject, setSubject] = useState('');
   const [content, setContent] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [selection, setSelection] = useState({ categoryId: '', subCategoryId: '' });
+  const [priority, setPriority] = useState('NORMAL');
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [boardVisibility, setBoardVisibility] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [draftId, setDraftId] = useState(null);
   const [errors, setErrors] = useState({});
 
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await api.get('/api/student/categories');
+        setCategories(response.data.data.categories);
+      } catch (error) {
+        // Submission still works without categories; routing falls back to the user's department
+        console.error('Failed to load categories:', error);
+      }
+    };
+    fetchCategories();
+  }, []);
+
   // Word count helper
   const getWordCount = (text) => {
     if (!text || typeof text !== 'string') return 0;
@@ -27,6 +54,27 @@ const SubmitComplaint = () => {
   const maxWords = 5000;
   const isWordCountValid = wordCount >= minWords && wordCount <= maxWords;
 
+  // What the draft keeps of the form (attachments are chosen again on submit)
+  const draftValues = {
+    subject,
+    content,
+    categoryId: selection.categoryId || null,
+    subCategoryId: selection.subCategoryId || null,
+    priority,
+    isAnonymous,
+    boardVisibility: boardVisibility || null,
+  };
+
+  const handleResumeDraft = (draft) => {
+    setSubject(draft.subject);
+    setContent(draft.content);
+    setSelection({ categoryId: draft.category || '', subCategoryId: draft.subCategory || '' });
+    setPriority(draft.priority || 'NORMAL');
+    setIsAnonymous(draft.isAnonymous);
+    setBoardVisibility(draft.boardVisibility || '');
+    setErrors({});
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -38,6 +86,12 @@ const SubmitComplaint = () => {
       return;
     }
 
+    // Validate category when the admin has defined any
+    if (categories.length > 0 && !selection.categoryId) {
+      setErrors({ categoryId: 'Please select a category' });
+      return;
+    }
+
     // Validate content
     if (!isWordCountValid) {
       setErrors({ content: `Content must be between ${minWords} and ${maxWords} words` });
@@ -47,14 +101,28 @@ const SubmitComplaint = () => {
     setSubmitting(true);
 
     try {
-      const response = await api.post('/api/student/complaints', {
-        subject: subject.trim(),
-        content: content,
+      const formData = new FormData();
+      formData.append('subject', subject.trim());
+      formData.append('content', content);
+      if (selection.categoryId) formData.append('categoryId', selection.categoryId);
+      if (selection.subCategoryId) formData.append('subCategoryId', selection.subCategoryId);
+      formData.append('priority', priority);
+      if (isAnonymous) formData.append('isAnonymous', 'true');
+      if (boardVisibility) formData.append('boardVisibility', boardVisibility);
+      if (draftId) formData.append('draftId', draftId);
+      attachments.forEach((file) => formData.append('attachments', file));
+
+      const response = await api.post('/api/student/complaints', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
       });
 
       if (response.data.success) {
-        const complaintId = response.data.data.complaint.complaintId;
-        toast.success(`Complaint ${complaintId} submitted successfully!`);
+        setSubmitted(true);
+        const { complaint, similarComplaints = [] } = response.data.data;
+        toast.success(`Complaint ${complaint.complaintId} submitted successfully!`);
+        if (similarComplaints.length > 0) {
+          toast(`${similarComplaints.length} similar open complaint(s) found; staff may merge them with yours.`);
+        }
         router.push('/student/complaints');
       }
     } catch (error) {
@@ -84,6 +152,15 @@ const SubmitComplaint = () => {
 
       <div className="bg-white border border-gray-200 rounded-xl p-4 sm:p-6">
         <form onSubmit={handleSubmit} className="space-y-5">
+          <ComplaintDrafts
+            basePath="/api/student"
+            values={draftValues}
+            draftId={draftId}
+            onDraftIdChange={setDraftId}
+            onResume={handleResumeDraft}
+            disabled={submitting || submitted}
+          />
+
           {/* Subject Field */}
           <div>
             <label className="block text-sm font-medium text-gray-800 mb-2">
@@ -109,6 +186,18 @@ const SubmitComplaint = () => {
             <p className="text-xs text-gray-500 mt-1">{subject.length}/200 characters</p>
           </div>
 
+          {categories.length > 0 && (
+            <CategorySelect
+              categories={categories}
+              categoryId={selection.categoryId}
+              subCategoryId={selection.subCategoryId}
+              onChange={setSelection}
+              error={errors.categoryId || errors.subCategoryId}
+              disabled={submitting}
+              focusRing="focus:ring-primary-500"
+            />
+          )}
+
           <div className="grid grid-cols-1 lg:grid-cols-12 gap-5">
             {/* Content Textarea */}
             <div className="lg:col-span-8">
@@ -160,6 +249,67 @@ const SubmitComplaint = () => {
             </div>
 
             <div className="lg:col-span-4 space-y-4">
+              {/* Suggested priority */}
+              <div className="rounded-lg border border-gray-200 bg-gray-50 px-3 py-3">
+                <label className="block text-xs font-medium text-gray-700 mb-2">Priority</label>
+                <select
+                  value={priority}
+                  onChange={(e) => setPriority(e.target.value)}
+                  disabled={submitting}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {COMPLAINT_PRIORITIES.map((value) => (
+                    <option key={value} value={value}>
+                      {PRIORITY_LABELS[value]}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  Your suggestion; staff may adjust it after review. Reserve Urgent for safety issues or anything that cannot wait.
+                </p>
+              </div>
+
+              {/* Anonymous mode */}
+              <div className="rounded-lg border border-gray-200 bg-gray-50 px-3 py-3">
+                <label className="flex items-center gap-2 text-xs font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={isAnonymous}
+                    onChange={(e) => {
+                      setIsAnonymous(e.target.checked);
+                      if (e.target.checked) setBoardVisibility('');
+                    }}
+                    disabled={submitting}
+                    className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <FiEyeOff />
+                  Hide my identity from staff
+                </label>
+                <p className="text-xs text-gray-500 mt-2">
+                  Handlers see a reference instead of your name. Only an administrator can reveal it, and every reveal is recorded. You still receive replies.
+                </p>
+              </div>
+
+              {/* Board listing */}
+              <div className="rounded-lg border border-gray-200 bg-gray-50 px-3 py-3">
+                <label className="block text-xs font-medium text-gray-700 mb-2">Share on the board</label>
+                <select
+                  value={boardVisibility}
+                  onChange={(e) => setBoardVisibility(e.target.value)}
+                  disabled={submitting || isAnonymous}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:opacity-60"
+                >
+                  <option value="">Don&apos;t share</option>
+                  <option value="COLLEGE">My college</option>
+                  <option value="DEPARTMENT">My department</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  {isAnonymous
+                    ? 'Anonymous complaints are never shared.'
+                    : 'Others can read it (without your name) and upvote it if it affects them too, which helps staff prioritise it.'}
+                </p>
+              </div>
+
               {/* Guidelines */}
               <div className="rounded-lg border border-gray-200 bg-gray-50 px-3 py-3">
                 <p className="text-xs font-medium text-gray-700">Guidelines</p>
@@ -167,9 +317,26 @@ const SubmitComplaint = () => {
                   Keep it respectful. Minimum {minWords} words. Describe your complaint clearly with relevant details.
                 </p>
               </div>
+
+              {/* Attachments */}
+              <div className="rounded-lg border border-gray-200 bg-gray-50 px-3 py-3">
+                <p className="text-xs font-medium text-gray-700 mb-2">Attachments (optional)</p>
+                <AttachmentPicker
+                  files={attachments}
+                  onChange={setAttachments}
+                  disabled={submitting}
+                />
+              </div>
             </div>
           </div>
 
+          <SimilarComplaintsNotice
+            basePath="/api/student"
+            subject={subject}
+            content={content}
+            categoryId={selection.categoryId}
+          />
+
           {/* Submit Button */}
           <div className="sticky bottom-0 bg-white/95 backdrop-blur border-t border-gray-200 -mx-4 sm:-mx-6 px-4 sm:px-6 py-3">
             <div className="flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
@@ -0,0 +1,9 @@
+import ComplaintBoard from '../../components/ComplaintBoard';
+
+export default function StudentBoardPage() {
+  return (
+    <div className="max-w-screen-xl mx-auto">
+      <ComplaintBoard basePath="/api/student" accent="green" />
+    </div>
+  );
+}
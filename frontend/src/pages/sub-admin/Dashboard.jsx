@@ -2,7 +2,10 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import Link from 'next/link';
 import api from '../../services/api';
-import { FiUsers, FiMessageSquare, FiEye, FiClock, FiCheckCircle } from 'react-icons/fi';
+import { FiUsers, FiMessageSquare, FiClock, FiUserCheck, FiAlertTriangle } from 'react-icons/fi';
+import StatusBreakdown from '../../components/StatusBreakdown';
+import ComplaintAnalytics from '../../components/ComplaintAnalytics';
+import { OPEN_STATUSES, countStatuses } from '../../utils/complaintStatus';
 
 const SubAdminDashboard = () => {
   const { user } = useAuth();
@@ -53,12 +56,12 @@ const SubAdminDashboard = () => {
       <div>
         <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
         <p className="text-sm text-gray-600 mt-0.5">
-          Welcome back, {user?.name} • Department: {stats?.department || 'N/A'}
+          Welcome back, {user?.name} • Covers: {stats?.scope || stats?.department || 'N/A'}
         </p>
       </div>
 
       {/* Stats Grid */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
         <StatCard
           icon={FiUsers}
           label="Students"
@@ -83,34 +86,28 @@ const SubAdminDashboard = () => {
         <StatCard
           icon={FiClock}
           label="Pending"
-          value={(stats?.byStatus?.read || 0) + (stats?.byStatus?.underReview || 0)}
+          value={countStatuses(stats?.byStatus, OPEN_STATUSES)}
           color="text-yellow-600"
           bgColor="bg-yellow-50"
         />
+        <StatCard
+          icon={FiAlertTriangle}
+          label="Overdue"
+          value={stats?.slaBreaches?.total || 0}
+          color="text-red-600"
+          bgColor="bg-red-50"
+        />
       </div>
 
       {/* Status Breakdown */}
       <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200">
         <h2 className="text-base font-semibold text-gray-900 mb-3">Complaints by Status</h2>
-        <div className="grid grid-cols-3 gap-3">
-          <div className="text-center p-3 bg-blue-50 rounded-lg border border-blue-100">
-            <FiEye className="w-6 h-6 text-blue-600 mx-auto mb-1.5" />
-            <p className="text-xl font-bold text-blue-700">{stats?.byStatus?.read || 0}</p>
-            <p className="text-xs text-blue-600 font-medium">Read</p>
-          </div>
-          <div className="text-center p-3 bg-yellow-50 rounded-lg border border-yellow-100">
-            <FiClock className="w-6 h-6 text-yellow-600 mx-auto mb-1.5" />
-            <p className="text-xl font-bold text-yellow-700">{stats?.byStatus?.underReview || 0}</p>
-            <p className="text-xs text-yellow-600 font-medium">Under Review</p>
-          </div>
-          <div className="text-center p-3 bg-green-50 rounded-lg border border-green-100">
-            <FiCheckCircle className="w-6 h-6 text-green-600 mx-auto mb-1.5" />
-            <p className="text-xl font-bold text-green-700">{stats?.byStatus?.resolved || 0}</p>
-            <p className="text-xs text-green-600 font-medium">Resolved</p>
-          </div>
-        </div>
+        <StatusBreakdown byStatus={stats?.byStatus} />
       </div>
 
+      {/* Analytics */}
+      <ComplaintAnalytics endpoint="/api/sub-admin/analytics" accent="indigo" />
+
       {/* Department Info */}
       <div className="bg-white rounded-lg shadow-sm p-4 border border-gray-200">
         <h2 className="text-base font-semibold text-gray-900 mb-3">Department Information</h2>
@@ -123,7 +120,7 @@ const SubAdminDashboard = () => {
             </div>
             <div>
               <p className="text-xs text-indigo-600 font-medium">Department</p>
-              <p className="text-sm font-semibold text-indigo-900">{stats?.department || 'N/A'}</p>
+              <p className="text-sm font-semibold text-indigo-900">{stats?.scope || stats?.department || 'N/A'}</p>
             </div>
           </div>
           <div className="flex items-start gap-3 p-3 bg-purple-50 rounded-lg border border-purple-100">
@@ -141,7 +138,26 @@ const SubAdminDashboard = () => {
       </div>
 
       {/* Quick Actions */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Link
+          href="/sub-admin/complaints?assigned=me"
+          className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 hover:shadow-md hover:border-violet-300 transition-all group"
+        >
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-violet-50 rounded-lg group-hover:bg-violet-100 transition-colors">
+              <FiUserCheck className="w-5 h-5 text-violet-600" />
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900">
+                Assigned to Me
+                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-violet-50 text-violet-700">
+                  {stats?.assignedToMe || 0}
+                </span>
+              </h3>
+              <p className="text-xs text-gray-500">Open complaints in your queue</p>
+            </div>
+          </div>
+        </Link>
         <Link
           href="/sub-admin/complaints"
           className="bg-white rounded-lg shadow-sm p-4 border border-gray-200 hover:shadow-md hover:border-indigo-300 transition-all group"
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../services/api';
 import toast from 'react-hot-toast';
+import { describeScopes } from '../../components/ScopeEditor';
 import { FiSearch, FiBriefcase } from 'react-icons/fi';
 
 const EmployeeDatabase = () => {
@@ -49,7 +50,7 @@ const EmployeeDatabase = () => {
               <div>
                 <h1 className="text-2xl font-bold text-gray-900">Employee Database</h1>
                 <p className="text-sm text-gray-600 mt-0.5">
-                  Employees from {user?.department} department
+                  Employees from {describeScopes(user)}
                 </p>
               </div>
             </div>
@@ -99,7 +100,7 @@ const EmployeeDatabase = () => {
             <FiBriefcase className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-3 text-sm font-medium text-gray-900">No employees found</h3>
             <p className="mt-1 text-sm text-gray-500">
-              {searchTerm ? 'Try adjusting your search criteria.' : `No employees are currently assigned to the ${user?.department} department.`}
+              {searchTerm ? 'Try adjusting your search criteria.' : `No employees are currently assigned to ${describeScopes(user)}.`}
             </p>
           </div>
         </div>
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../services/api';
 import toast from 'react-hot-toast';
+import { describeScopes } from '../../components/ScopeEditor';
 import { FiSearch, FiUsers } from 'react-icons/fi';
 
 const StudentDatabase = () => {
@@ -60,7 +61,7 @@ const StudentDatabase = () => {
               <div>
                 <h1 className="text-2xl font-bold text-gray-900">Student Database</h1>
                 <p className="text-sm text-gray-600 mt-0.5">
-                  Students from {user?.department} department
+                  Students from {describeScopes(user)}
                 </p>
               </div>
             </div>
@@ -112,12 +113,12 @@ const StudentDatabase = () => {
             <p className="mt-1 text-sm text-gray-500">
               {search 
                 ? 'Try adjusting your search criteria.' 
-                : `No students are currently enrolled in the ${user?.department} department.`}
+                : `No students are currently enrolled in ${describeScopes(user)}.`}
             </p>
             {!search && (
               <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-left">
                 <p className="text-xs text-blue-800">
-                  <strong>Note:</strong> Students must have their department field set to "{user?.department}" to appear here.
+                  <strong>Note:</strong> Students must have their department (and college, where one is given) set to one you cover to appear here.
                   Contact your administrator if students are missing.
                 </p>
               </div>
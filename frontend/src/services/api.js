@@ -7,17 +7,23 @@ const api = axios.create({
     'Content-Type': 'application/json',
   },
   timeout: 30000, // 30 second timeout
+  withCredentials: true, // Refresh token cookie
 });
 
+// Access token, kept in memory only so page scripts cannot read it from
+// storage; the httpOnly refresh cookie restores it after a reload
+let accessToken = null;
+
+export const setAccessToken = (token) => {
+  accessToken = token || null;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    if (typeof window !== 'undefined') {
-      const token = localStorage.getItem('token');
-      if (token) {
-        config.headers.Authorization = `Bearer ${token}`;
-      }
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     return config;
   },
@@ -33,17 +39,56 @@ export const setNavigationHandler = (handler) => {
   navigationHandler = handler;
 };
 
+// Login steps answer a wrong password or code with 401; the form shows it in place
+const LOGIN_PATHS = ['/api/auth/login', '/api/auth/login/2fa'];
+
+// Auth endpoints whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_PATHS = [...LOGIN_PATHS, '/api/auth/refresh', '/api/auth/logout'];
+
+// Shared by requests failing at the same time so the refresh token is used once
+let refreshPromise = null;
+
+// Exchange the refresh token cookie for a new access token
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/api/auth/refresh`, {}, { withCredentials: true, timeout: api.defaults.timeout })
+      .then((response) => {
+        const { token } = response.data.data;
+        setAccessToken(token);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     // Handle specific error codes
     if (typeof window !== 'undefined' && error.response) {
       const { status, data } = error.response;
+      const { config } = error;
+
+      // Access token expired or revoked - try once with a refreshed one
+      if (status === 401 && config && !config._retried && !NO_REFRESH_PATHS.includes(config.url)) {
+        try {
+          const token = await refreshAccessToken();
+          config._retried = true;
+          config.headers.Authorization = `Bearer ${token}`;
+          return api(config);
+        } catch {
+          // Session is over; fall through to the login redirect
+        }
+      }
 
       // Unauthorized - redirect to login
-      if (status === 401) {
-        localStorage.removeItem('token');
+      if (status === 401 && !LOGIN_PATHS.includes(config?.url)) {
+        setAccessToken(null);
         if (navigationHandler && window.location.pathname !== '/login') {
           navigationHandler('/login');
         }
@@ -56,6 +101,13 @@ api.interceptors.response.use(
         }
       }
 
+      // Forbidden - role requires two-factor authentication
+      if (status === 403 && data.requireTwoFactorSetup) {
+        if (navigationHandler && window.location.pathname !== '/two-factor') {
+          navigationHandler('/two-factor');
+        }
+      }
+
       // Rate limited
       if (status === 429) {
       }
@@ -0,0 +1,80 @@
+// Query-string helpers for the server-side admin and sub-admin complaint lists
+// (GET /api/admin/complaints, GET /api/sub-admin/complaints).
+
+export const COMPLAINT_SORT_OPTIONS = [
+  { key: 'priority', label: 'Priority' },
+  { key: 'upvotes', label: 'Most upvoted' },
+  { key: 'newest', label: 'Newest' },
+  { key: 'oldest', label: 'Oldest' },
+  { key: 'updated', label: 'Recently updated' },
+];
+
+export const ROLE_FILTER_OPTIONS = [
+  { key: '', label: 'Anyone' },
+  { key: 'STUDENT', label: 'Students' },
+  { key: 'EMPLOYEE', label: 'Employees' },
+];
+
+export const RATING_FILTER_OPTIONS = [
+  { key: '', label: 'Any rating' },
+  ...['5', '4', '3', '2', '1'].map((rating) => ({ key: rating, label: `${rating} star${rating === '1' ? '' : 's'}` })),
+  { key: 'unrated', label: 'Not rated' },
+];
+
+export const REOPENED_FILTER_OPTIONS = [
+  { key: '', label: 'Any' },
+  { key: 'true', label: 'Reopened' },
+  { key: 'false', label: 'Never reopened' },
+  { key: 'requested', label: 'Reopen requested' },
+];
+
+export const FEEDBACK_FILTER_OPTIONS = [
+  { key: '', label: 'Any feedback' },
+  { key: 'negative', label: 'Negative feedback' },
+  { key: 'followUpOpen', label: 'Follow-up open' },
+];
+
+export const MERGED_FILTER_OPTIONS = [
+  { key: '', label: 'Hide merged' },
+  { key: 'include', label: 'Include merged' },
+  { key: 'only', label: 'Merged only' },
+];
+
+export const DEFAULT_LIST_FILTERS = {
+  sort: 'priority',
+  role: '',
+  rating: '',
+  reopened: '',
+  feedback: '',
+  merged: '',
+  department: '',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date tab (today/week/month/custom) to a createdAt range
+export const getDateRange = (dateFilter, customStartDate, customEndDate) => {
+  const now = new Date();
+  if (dateFilter === 'today') {
+    return { from: new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString() };
+  }
+  if (dateFilter === 'week') {
+    return { from: new Date(now.getTime() - 7 * DAY_MS).toISOString() };
+  }
+  if (dateFilter === 'month') {
+    return { from: new Date(now.getTime() - 30 * DAY_MS).toISOString() };
+  }
+  if (dateFilter === 'custom' && customStartDate) {
+    return {
+      from: new Date(`${customStartDate}T00:00:00`).toISOString(),
+      ...(customEndDate ? { to: new Date(`${customEndDate}T23:59:59.999`).toISOString() } : {}),
+    };
+  }
+  return {};
+};
+
+// Drop empty and "all" values so only active filters reach the API
+export const toListParams = (filters) =>
+  Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== '' && value !== 'all')
+  );
@@ -0,0 +1,35 @@
+// Display metadata for complaint priorities and SLA due dates. Targets and
+// breaches are computed by the backend; this only covers presentation.
+
+export const COMPLAINT_PRIORITIES = ['LOW', 'NORMAL', 'HIGH', 'URGENT'];
+
+export const PRIORITY_LABELS = {
+  LOW: 'Low',
+  NORMAL: 'Normal',
+  HIGH: 'High',
+  URGENT: 'Urgent',
+};
+
+export const PRIORITY_PILL_STYLES = {
+  LOW: 'bg-gray-50 text-gray-600 border-gray-200',
+  NORMAL: 'bg-sky-50 text-sky-700 border-sky-100',
+  HIGH: 'bg-amber-50 text-amber-700 border-amber-100',
+  URGENT: 'bg-red-50 text-red-700 border-red-100',
+};
+
+const STOPPED_STATUSES = ['RESOLVED', 'CLOSED', 'REJECTED', 'WITHDRAWN'];
+
+// Overdue SLA targets of an open complaint, e.g. ['First response', 'Resolution']
+export const getSlaBreaches = (complaint, now = new Date()) => {
+  const sla = complaint?.sla;
+  if (!sla || STOPPED_STATUSES.includes(complaint.status)) return [];
+
+  const breaches = [];
+  if (!sla.firstRespondedAt && sla.firstResponseDueAt && new Date(sla.firstResponseDueAt) <= now) {
+    breaches.push('First response');
+  }
+  if (sla.resolutionDueAt && new Date(sla.resolutionDueAt) <= now) {
+    breaches.push('Resolution');
+  }
+  return breaches;
+};
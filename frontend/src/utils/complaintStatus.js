@@ -0,0 +1,79 @@
+// Display metadata for complaint workflow statuses. Which transitions are
+// allowed is decided by the backend workflow; this only covers presentation.
+
+export const COMPLAINT_STATUSES = [
+  'SUBMITTED',
+  'ACKNOWLEDGED',
+  'IN_PROGRESS',
+  'ON_HOLD',
+  'REJECTED',
+  'RESOLVED',
+  'CLOSED',
+  'WITHDRAWN',
+];
+
+export const STATUS_LABELS = {
+  SUBMITTED: 'Submitted',
+  ACKNOWLEDGED: 'Acknowledged',
+  IN_PROGRESS: 'In Progress',
+  ON_HOLD: 'On Hold',
+  REJECTED: 'Rejected',
+  RESOLVED: 'Resolved',
+  CLOSED: 'Closed',
+  WITHDRAWN: 'Withdrawn',
+};
+
+// Bordered pills used by the staff complaint lists
+export const STATUS_PILL_STYLES = {
+  SUBMITTED: 'bg-sky-50 text-sky-700 border-sky-100',
+  ACKNOWLEDGED: 'bg-indigo-50 text-indigo-700 border-indigo-100',
+  IN_PROGRESS: 'bg-amber-50 text-amber-700 border-amber-100',
+  ON_HOLD: 'bg-orange-50 text-orange-700 border-orange-100',
+  REJECTED: 'bg-red-50 text-red-700 border-red-100',
+  RESOLVED: 'bg-emerald-50 text-emerald-700 border-emerald-100',
+  CLOSED: 'bg-gray-100 text-gray-700 border-gray-200',
+  WITHDRAWN: 'bg-slate-50 text-slate-500 border-slate-200',
+};
+
+// Borderless badges used by the student/employee complaint lists
+export const STATUS_BADGE_STYLES = {
+  SUBMITTED: 'text-sky-700 bg-sky-50',
+  ACKNOWLEDGED: 'text-indigo-700 bg-indigo-50',
+  IN_PROGRESS: 'text-yellow-700 bg-yellow-50',
+  ON_HOLD: 'text-orange-700 bg-orange-50',
+  REJECTED: 'text-red-700 bg-red-50',
+  RESOLVED: 'text-green-700 bg-green-50',
+  CLOSED: 'text-gray-700 bg-gray-100',
+  WITHDRAWN: 'text-slate-500 bg-slate-50',
+};
+
+export const STATUS_DOTS = {
+  SUBMITTED: 'bg-sky-500',
+  ACKNOWLEDGED: 'bg-indigo-500',
+  IN_PROGRESS: 'bg-yellow-500',
+  ON_HOLD: 'bg-orange-500',
+  REJECTED: 'bg-red-500',
+  RESOLVED: 'bg-green-500',
+  CLOSED: 'bg-gray-500',
+  WITHDRAWN: 'bg-slate-300',
+};
+
+export const STATUS_TABS = [
+  { key: 'all', label: 'All' },
+  ...COMPLAINT_STATUSES.map((status) => ({ key: status, label: STATUS_LABELS[status] })),
+];
+
+// Statuses where the complainant can rate/acknowledge the resolution
+export const RESOLUTION_STATUSES = ['RESOLVED', 'CLOSED'];
+
+// Set by complainants rather than the admin-managed workflow
+export const NON_WORKFLOW_STATUSES = ['WITHDRAWN'];
+
+// Statuses still waiting on staff action
+export const OPEN_STATUSES = ['SUBMITTED', 'ACKNOWLEDGED', 'IN_PROGRESS', 'ON_HOLD'];
+
+export const formatStatus = (status) =>
+  STATUS_LABELS[status] || String(status || '').replaceAll('_', ' ');
+
+export const countStatuses = (byStatus = {}, statuses = []) =>
+  statuses.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
@@ -0,0 +1,23 @@
+// Helpers for file downloads requested with `responseType: 'blob'`.
+
+// Error bodies of blob requests arrive as Blobs
+export const getBlobErrorMessage = async (error, fallback) => {
+  try {
+    const body = JSON.parse(await error.response.data.text());
+    return body.errors?.[0]?.message || body.message || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Save a blob response as a file
+export const saveBlobResponse = (response, filename) => {
+  const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
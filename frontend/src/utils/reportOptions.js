@@ -0,0 +1,52 @@
+// Options for the complaint report builder (GET /api/admin/reports,
+// GET /api/sub-admin/reports). Column keys mirror REPORT_COLUMNS in the backend.
+
+export const REPORT_FORMAT_OPTIONS = [
+  { key: 'csv', label: 'CSV', description: 'Spreadsheet-friendly text' },
+  { key: 'xlsx', label: 'Excel (XLSX)', description: 'Complaints and a summary sheet' },
+  { key: 'pdf', label: 'PDF', description: 'Printable summary with totals' },
+  { key: 'json', label: 'JSON', description: 'Structured data for other tools' },
+];
+
+export const REPORT_RANGE_OPTIONS = [
+  { key: 'last7days', label: 'Last 7 Days' },
+  { key: 'last30days', label: 'Last 30 Days' },
+  { key: 'all', label: 'All Time' },
+  { key: 'custom', label: 'Custom Date Range' },
+];
+
+export const REPORT_COLUMN_OPTIONS = [
+  { key: 'complaintId', label: 'Complaint ID' },
+  { key: 'submittedBy', label: 'Submitted By' },
+  { key: 'email', label: 'Email' },
+  { key: 'userType', label: 'User Type' },
+  { key: 'studentId', label: 'Student ID' },
+  { key: 'department', label: 'Department' },
+  { key: 'college', label: 'College' },
+  { key: 'category', label: 'Category' },
+  { key: 'subCategory', label: 'Sub-Category' },
+  { key: 'routedDepartment', label: 'Routed Department' },
+  { key: 'subject', label: 'Subject' },
+  { key: 'content', label: 'Content' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'suggestedPriority', label: 'Suggested Priority' },
+  { key: 'submittedAt', label: 'Submitted At' },
+  { key: 'firstResponseDue', label: 'First Response Due' },
+  { key: 'resolutionDue', label: 'Resolution Due' },
+  { key: 'slaStatus', label: 'SLA Status' },
+  { key: 'resolvedAt', label: 'Resolved At' },
+  { key: 'assignedTo', label: 'Assigned To' },
+  { key: 'resolvedBy', label: 'Resolved By' },
+  { key: 'acknowledgment', label: 'Acknowledgment' },
+  { key: 'rating', label: 'Rating' },
+  { key: 'acknowledgedBySubmitter', label: 'Acknowledged By Submitter' },
+  { key: 'reopenCount', label: 'Reopen Count' },
+  { key: 'reopenRemarks', label: 'Reopen Remarks' },
+  { key: 'statusHistory', label: 'Status History' },
+];
+
+// History columns are opt-in, matching the backend defaults
+export const DEFAULT_REPORT_COLUMNS = REPORT_COLUMN_OPTIONS
+  .map((column) => column.key)
+  .filter((key) => !['reopenRemarks', 'statusHistory'].includes(key));